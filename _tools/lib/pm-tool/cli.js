@@ -1,8 +1,31 @@
 #!/usr/bin/env zx
 
-import { getPmToolConfig } from './config.js';
-import { info, error as logError, debug } from './common/logger.js';
-import { PmToolError } from './common/error.js';
+import {
+    getPmToolConfig,
+    getTicketDir,
+    listProfiles,
+    loadConfigLayers,
+    setConfigPath,
+    validateToolConfig,
+    findUnresolvedPlaceholders,
+    getEnvFilePath
+} from './config.js';
+import { info, warn, error as logError, debug, redactUrl } from './common/logger.js';
+import { PmToolError, ConfigError, ConflictError, isPmToolError } from './common/error.js';
+import {
+    renderAttachmentSection,
+    appendSection,
+    extractFileLinks,
+    stripGeneratedSections
+} from './common/markdown.js';
+import { toAttachmentFilename } from './common/attachments.js';
+import { mergeFrontmatter, mergeMarkdown, diffTicket, hasConflictMarkers } from './common/merge.js';
+import { readSnapshot, writeSnapshot } from './common/snapshot.js';
+import { readSyncState, writeSyncState } from './common/state.js';
+import { configureScheduler, getScheduler, mapConcurrent } from './common/scheduler.js';
+import { unifiedDiff } from './common/diff.js';
+import { login, readToken, deleteToken, getTokenPath, isExpiring } from './common/oauth.js';
+import { readCredentials, writeCredentials, isEncrypted, getCredentialsPath } from './common/credentials.js';
 
 // zx内包のモジュール(fs, path)はimport不要
 // グローバルに利用可能: fs, path, os, YAML, chalk, argv, glob, which, etc.
@@ -16,23 +39,44 @@ function showUsage(plugin = null) {
     let usageText = `
 使用方法:
   pm-tool fetch <チケット番号>        チケット情報を取得する
+  pm-tool fetch --query <検索条件>     検索条件に一致するチケットを一括取得する(Redmine、Backlog)
   pm-tool update <ファイルパス>       チケット情報を更新する
+  pm-tool pull <ファイルパス>         リモートの変更をローカルのチケットにマージする
+  pm-tool diff <ファイルパス>         リモートとローカルの差分を表示する(差分がある場合は終了コード1、エラーは2)
+  pm-tool create <ファイルパス>       チケットを新規作成する
+  pm-tool sync [ディレクトリ]         ディレクトリ内のチケットをリモートと双方向に同期する
+  pm-tool auth <login|logout|status>   OAuth 2.0でログイン/ログアウトする、ログイン状態を表示する(Backlog)
+  pm-tool auth set <名前>             資格情報を保存する(config.ymlで\${secret:名前}として参照する)
+  pm-tool auth list                    保存した資格情報の名前を表示する
+  pm-tool auth remove <名前>          保存した資格情報を削除する
+  pm-tool config show [--resolved]     設定ファイルを重ね合わせた結果を、項目ごとの参照元とともに表示する
+  pm-tool doctor                       動作環境・設定・接続先への認証を確認する(問題がある場合は終了コード1)
   pm-tool help                         ヘルプを表示する
 
 オプション:
   --help, -h                           ヘルプを表示する
   --version, -v                        バージョンを表示する
   --dry-run                            実際の更新を行わず、ペイロードのみ表示する
+  --force                              リモートで更新されていても上書きする(update)
+  --encrypt                            資格情報ストアをパスフレーズで暗号化する(auth set)
+  --profile <プロファイル名>           接続先のプロファイルを指定する(integration.pm_tool.profiles)
+  --config <ファイルパス>              設定ファイルを指定する(省略時はカレントディレクトリから.ticket/config.ymlを検索)
+  --resolved                           環境変数・資格情報を展開して表示する(config show)
 
 fetchコマンド用オプション:
   --stdout                             ファイル保存せず標準出力に表示する
   --json                               JSON形式で保存/出力する
   --dir <ディレクトリ>                 出力ディレクトリを指定する
   --prefix <プレフィックス>            ファイル名のプレフィックスを指定する
+  --include-comments                   コメント履歴を本文に含める(Redmine、Backlog)
+  --attachments                        添付ファイルを_files/にダウンロードする(Redmine、Backlog)
+  --query <検索条件>                   「キー=値」のスペース区切りで一括取得する(例: "assigned_to=me status=open")
 
 環境変数:
   PM_TOOL_LOG_LEVEL                    ログレベル (DEBUG, INFO, WARN, ERROR)
-                                       デフォルト: INFO`;
+                                       デフォルト: INFO
+  PM_TOOL_PASSPHRASE                   暗号化した資格情報ストアのパスフレーズ
+  PM_TOOL_CONFIG                       設定ファイルのパス(--configで上書き)`;
 
     // プラグイン固有のオプションを追加
     if (plugin && typeof plugin.getUpdateOptions === 'function') {
@@ -45,6 +89,16 @@ fetchコマンド用オプション:
             }
         }
     }
+    if (plugin && typeof plugin.getCreateOptions === 'function') {
+        const options = plugin.getCreateOptions();
+        if (options && options.length > 0) {
+            usageText += `\n\n${plugin.label}固有の作成オプション:`;
+            for (const opt of options) {
+                const padding = ' '.repeat(Math.max(0, 30 - opt.name.length));
+                usageText += `\n  --${opt.name}${padding}${opt.description}`;
+            }
+        }
+    }
 
     usageText += `
 
@@ -52,8 +106,20 @@ fetchコマンド用オプション:
   pm-tool fetch 1234
   pm-tool fetch 1234 --stdout
   pm-tool fetch 1234 --json --dir ./output
+  pm-tool fetch 1234 --include-comments
+  pm-tool fetch 1234 --attachments
+  pm-tool fetch --query "assigned_to=me status=open" --dir task
   pm-tool update ticket-1234.md
-  pm-tool update ticket-1234.md --dry-run`;
+  pm-tool update ticket-1234.md --dry-run
+  pm-tool pull ticket-1234.md
+  pm-tool diff ticket-1234.md
+  pm-tool sync task --dry-run
+  pm-tool create request/new-feature.md --dry-run
+  pm-tool auth login
+  pm-tool auth set redmine-api-key
+  pm-tool fetch 1234 --profile redmine-sub
+  pm-tool config show --resolved
+  pm-tool doctor --profile redmine-sub`;
 
     // プラグイン固有の例を追加
     if (plugin) {
@@ -65,6 +131,22 @@ fetchコマンド用オプション:
             usageText += `
   pm-tool fetch PROJ-123
   pm-tool update task/PROJ-123.md --start-date 2025-11-01`;
+        } else if (plugin.name === 'github') {
+            usageText += `
+  pm-tool fetch https://github.com/owner/repo/issues/42
+  pm-tool update owner-repo-42.md --comment "対応しました"`;
+        } else if (plugin.name === 'jira') {
+            usageText += `
+  pm-tool fetch https://your-domain.atlassian.net/browse/PROJ-123
+  pm-tool update task/PROJ-123.md --status "In Progress"`;
+        } else if (plugin.name === 'gitlab') {
+            usageText += `
+  pm-tool fetch https://gitlab.example.com/group/project/-/issues/17
+  pm-tool update group-project-17.md --comment "対応しました" --spend 1h30m`;
+        } else if (plugin.name === 'gitea') {
+            usageText += `
+  pm-tool fetch https://git.example.com/owner/repo/issues/5
+  pm-tool update owner-repo-5.md --comment "対応しました"`;
         }
     }
 
@@ -98,6 +180,152 @@ async function loadPlugin(toolName) {
     }
 }
 
+/**
+ * フロントマターに接続先のプロファイル名を記録するキー
+ */
+const PROFILE_KEY = 'pm_profile';
+
+/**
+ * 取得・作成したチケットのフロントマターにプロファイル名を記録するようプラグインをラップする
+ * update等はフロントマターのプロファイル名から接続先を選択する
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {string|null} profile - プロファイル名(プロファイルを使用しない場合はnull)
+ * @returns {Object} プラグインオブジェクト
+ */
+function bindProfile(plugin, profile) {
+    if (!profile) {
+        return plugin;
+    }
+
+    const withProfile = result => {
+        if (result?.meta) {
+            result.meta = { ...result.meta, [PROFILE_KEY]: profile };
+        }
+        return result;
+    };
+    const bound = {
+        ...plugin,
+        async fetch(config, ticketId, options) {
+            return withProfile(await plugin.fetch(config, ticketId, options));
+        }
+    };
+    if (typeof plugin.create === 'function') {
+        bound.create = async (config, data) => withProfile(await plugin.create(config, data));
+    }
+    return bound;
+}
+
+/**
+ * コマンドで使用する連携ツールの設定とプラグインを読み込む
+ * ツール固有の設定はプラグインのスキーマ(configSchema)とvalidateで検証する
+ *
+ * @param {Object} options - オプション(profile: プロファイル名)
+ * @returns {Promise<{tool: string, config: Object, pmToolConfig: Object, profile: string|null, plugin: Object}>}
+ *   PM Tool設定とプラグインオブジェクト(プロファイル名を記録するようラップしたもの)
+ * @throws {ConfigError} 設定に誤りがある場合
+ */
+async function loadToolContext(options = {}) {
+    const pmTool = getPmToolConfig(options.profile);
+    const plugin = await loadPlugin(pmTool.tool);
+
+    validateToolConfig(plugin, pmTool);
+    if (typeof plugin.validate === 'function') {
+        const { valid, errors } = await plugin.validate(pmTool.config);
+        if (!valid) {
+            throw new ConfigError(`${plugin.label}の設定に誤りがあります:\n${errors.map(message => `  ${message}`).join('\n')}`);
+        }
+    }
+
+    return { ...pmTool, plugin: bindProfile(plugin, pmTool.profile) };
+}
+
+/**
+ * コマンドで使用するプロファイル名を決定する
+ * --profile、チケットファイルのフロントマターのpm_profile(update、create、pull、diff)、
+ * URLのホストが一致するプロファイル(URLを指定したfetch)の順に参照する
+ *
+ * @param {string} command - コマンド
+ * @param {string|null} target - チケット番号、URLまたはファイルパス
+ * @param {Object} options - オプション
+ * @returns {string|null} プロファイル名(決定できない場合はnull、default_profileを使用する)
+ */
+function resolveProfileName(command, target, options) {
+    if (options.profile) {
+        return String(options.profile);
+    }
+    if (!target) {
+        return null;
+    }
+
+    if (['update', 'create', 'pull', 'diff'].includes(command)) {
+        try {
+            return readTicketFile(target).frontmatter?.[PROFILE_KEY] || null;
+        } catch (error) {
+            // ファイルの読み込みエラーは各コマンドで報告する
+            return null;
+        }
+    }
+
+    if (command === 'fetch' && /^https?:\/\//.test(String(target))) {
+        return findProfileByUrl(String(target));
+    }
+    return null;
+}
+
+/**
+ * URLのプロトコル、ホスト、ポートが一致するプロファイルを検索する
+ * 複数のプロファイルが一致する場合はdefault_profileを優先し、それ以外は最初のプロファイルを返す
+ *
+ * @param {string} input - チケットのURL
+ * @returns {string|null} プロファイル名(一致するプロファイルがない場合はnull)
+ */
+function findProfileByUrl(input) {
+    let profiles;
+    try {
+        profiles = listProfiles();
+    } catch (error) {
+        // 設定の読み込みエラーは各コマンドで報告する
+        return null;
+    }
+
+    const matched = profiles.filter(({ config }) => isSameOrigin(input, config.url));
+    if (matched.length === 0) {
+        return null;
+    }
+
+    let defaultProfile = null;
+    try {
+        defaultProfile = getPmToolConfig().profile;
+    } catch (error) {
+        // default_profileが設定されていない場合は最初のプロファイルを使用する
+    }
+    const selected = matched.find(({ profile }) => profile === defaultProfile) || matched[0];
+    debug('URLからプロファイルを選択', { url: redactUrl(input), profile: selected.profile });
+    return selected.profile;
+}
+
+/**
+ * URLのプロトコル、ホスト、ポートが一致するか判定する
+ *
+ * @param {string} input - 入力されたURL
+ * @param {string} configUrl - config.ymlで設定されたURL
+ * @returns {boolean} 一致する場合はtrue
+ * @throws {TypeError} 入力されたURLが不正な場合
+ */
+function isSameOrigin(input, configUrl) {
+    const inputUrl = new URL(input);
+    let baseUrl;
+    try {
+        baseUrl = new URL(configUrl);
+    } catch (error) {
+        return false;
+    }
+    return inputUrl.protocol === baseUrl.protocol &&
+        inputUrl.hostname === baseUrl.hostname &&
+        inputUrl.port === baseUrl.port;
+}
+
 /**
  * URLからチケット番号を抽出する
  * プラグインのparseUrlメソッドを使用してURL解析を行う
@@ -118,13 +346,8 @@ function parseTicketIdFromUrl(input, configUrl, plugin) {
     }
 
     try {
-        const inputUrl = new URL(inputStr);
-        const baseUrl = new URL(configUrl);
-
         // プロトコル、ホスト、ポートが一致するか確認
-        if (inputUrl.protocol !== baseUrl.protocol ||
-            inputUrl.hostname !== baseUrl.hostname ||
-            inputUrl.port !== baseUrl.port) {
+        if (!isSameOrigin(inputStr, configUrl)) {
             throw new PmToolError(
                 `URLが設定と一致しません\n設定: ${configUrl}\n入力: ${inputStr}`,
                 'URL_MISMATCH',
@@ -157,6 +380,69 @@ function parseTicketIdFromUrl(input, configUrl, plugin) {
     }
 }
 
+/**
+ * ファイル名に使用するチケットIDを決定する
+ * 取得結果からプラグインが抽出したチケットIDを優先し、
+ * ファイル名に使用できない文字(/, #等)はハイフンに置き換える
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {Object} result - fetch結果
+ * @param {string} ticketId - 入力されたチケットID
+ * @returns {string} ファイル名用のチケットID
+ */
+function toFileId(plugin, result, ticketId) {
+    const extracted = result?.meta ? plugin.extractTicketId(result.meta) : null;
+    return String(extracted || ticketId).replace(/[\\/#:?*"<>|\s]+/g, '-');
+}
+
+/**
+ * 添付ファイルを_files/にダウンロードし、本文に添付ファイルへのリンクを追加する
+ * ファイル名は「{チケットファイル名}-{添付ファイル名}」とし、USAGE.mdの命名規則に合わせる
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {Object} config - ツール固有の設定
+ * @param {Object} result - fetch結果(attachments: 添付ファイルの一覧)
+ * @param {string} fileBase - チケットファイル名(拡張子なし)
+ * @param {string} baseDir - リンクの基準となるディレクトリ(Markdownファイルの保存先)
+ */
+async function saveAttachments(plugin, config, result, fileBase, baseDir) {
+    const attachments = result.attachments || [];
+    if (attachments.length === 0) {
+        info('添付ファイルはありません');
+        return;
+    }
+    if (typeof plugin.downloadAttachment !== 'function') {
+        warn(`${plugin.label}プラグインは添付ファイルのダウンロードに対応していません`);
+        return;
+    }
+
+    const filesDir = path.join(getTicketDir(), '_files');
+    fs.mkdirSync(filesDir, { recursive: true });
+
+    const links = [];
+    const usedNames = new Set();
+    for (const attachment of attachments) {
+        let filename = toAttachmentFilename(fileBase, attachment);
+        // 同名の添付ファイルが複数ある場合は添付ファイルIDで区別する
+        if (usedNames.has(filename)) {
+            filename = toAttachmentFilename(fileBase, attachment, true);
+        }
+        usedNames.add(filename);
+
+        const filepath = path.join(filesDir, filename);
+        const content = await plugin.downloadAttachment(config, attachment);
+        fs.writeFileSync(filepath, content);
+        info(`添付ファイルを保存しました: ${filepath}`);
+
+        links.push({
+            name: attachment.filename,
+            path: path.relative(path.resolve(baseDir), filepath).split(path.sep).join('/')
+        });
+    }
+
+    result.body = appendSection(result.body, renderAttachmentSection(links));
+}
+
 /**
  * Markdown形式にフォーマットする
  *
@@ -190,14 +476,16 @@ ${body}
  * @param {Object} options - オプション
  */
 async function executeFetch(ticketIdOrUrl, options = {}) {
+    // 検索条件が指定された場合は一括取得
+    if (options.query) {
+        return await executeFetchQuery(options);
+    }
+
     if (!ticketIdOrUrl) {
         throw new PmToolError('チケット番号またはURLを指定してください', 'INVALID_ARGUMENT');
     }
 
-    const { tool, config, pmToolConfig } = getPmToolConfig();
-
-    // プラグインを先にロード（URL解析に必要）
-    const plugin = await loadPlugin(tool);
+    const { tool, config, pmToolConfig, profile, plugin } = await loadToolContext(options);
 
     // URLからチケット番号を抽出（URL形式でない場合はそのまま使用）
     const ticketId = parseTicketIdFromUrl(ticketIdOrUrl, config.url, plugin);
@@ -209,14 +497,21 @@ async function executeFetch(ticketIdOrUrl, options = {}) {
 
     info('チケット情報の取得に成功しました');
 
+    const prefix = options.prefix || pmToolConfig.file_prefix || plugin.defaults?.file_prefix || '';
+    const fileBase = `${prefix}${toFileId(plugin, result, ticketId)}`;
+    // JSON形式でディレクトリ指定がない場合は標準出力のため、カレントディレクトリを基準とする
+    const outputDir = options.dir || (options.json ? '.' : pmToolConfig.output_dir || '.');
+
+    // 添付ファイルのダウンロード
+    if (options.attachments) {
+        await saveAttachments(plugin, config, result, fileBase, outputDir);
+    }
+
     // JSON形式の場合
     if (options.json) {
         // ディレクトリ指定がある場合のみファイル保存
         if (options.dir) {
-            const outputDir = options.dir;
-            const prefix = options.prefix || pmToolConfig.file_prefix || plugin.defaults?.file_prefix || '';
-            const filename = `${prefix}${ticketId}.json`;
-            const filepath = path.resolve(outputDir, filename);
+            const filepath = path.resolve(outputDir, `${fileBase}.json`);
             fs.mkdirSync(path.dirname(filepath), { recursive: true });
             fs.writeFileSync(filepath, JSON.stringify(result, null, 2), 'utf8');
             info(`JSONファイルを保存しました: ${filepath}`);
@@ -235,53 +530,297 @@ async function executeFetch(ticketIdOrUrl, options = {}) {
     }
 
     // Markdown形式でファイル保存（デフォルト）
-    const outputDir = options.dir || pmToolConfig.output_dir || '.';
-    const prefix = options.prefix || pmToolConfig.file_prefix || plugin.defaults?.file_prefix || '';
-    const filename = `${prefix}${ticketId}.md`;
-    const filepath = path.resolve(outputDir, filename);
+    const filepath = path.resolve(outputDir, `${fileBase}.md`);
     const markdown = formatMarkdown(result);
     fs.mkdirSync(path.dirname(filepath), { recursive: true });
     fs.writeFileSync(filepath, markdown, 'utf8');
     info(`Markdownファイルを保存しました: ${filepath}`);
+
+    // pull時の3-wayマージのベースとして取得した内容を保存
+    writeSnapshot(profile || tool, toFileId(plugin, result, ticketId), markdown);
     return result;
 }
 
 /**
- * updateコマンドを実行する
+ * 検索条件に一致するチケットを一括取得し、1チケット1ファイルのMarkdown形式で保存する
+ * 既存のファイルはpullと同様にローカルの変更を残してマージする
  *
- * @param {string} filePath - チケットファイルパス
- * @param {Object} options - オプション
+ * @param {Object} options - オプション(query: 検索条件)
+ * @returns {Promise<Array<{status: string, ticketId: string, file: string, message?: string}>>} チケットごとの結果
  */
-async function executeUpdate(filePath, options = {}) {
-    if (!filePath) {
-        throw new PmToolError('チケットファイルパスを指定してください', 'INVALID_ARGUMENT');
+async function executeFetchQuery(options = {}) {
+    if (options.stdout || options.json) {
+        throw new PmToolError('--queryは--stdout、--jsonと同時に指定できません', 'INVALID_ARGUMENT');
+    }
+
+    const query = parseQuery(options.query);
+    const { tool, config, pmToolConfig, profile, plugin } = await loadToolContext(options);
+    // スナップショットはプロファイルごとに保存する
+    const namespace = profile || tool;
+    if (typeof plugin.search !== 'function') {
+        throw new PmToolError(
+            `${plugin.label}プラグインは検索条件による取得に対応していません`,
+            'NOT_SUPPORTED'
+        );
+    }
+
+    info(`検索条件に一致するチケットを取得します: ${options.query}`);
+
+    const ticketIds = await plugin.search(config, query);
+
+    const prefix = options.prefix || pmToolConfig.file_prefix || plugin.defaults?.file_prefix || '';
+    const outputDir = options.dir || pmToolConfig.output_dir || '.';
+    const dryRun = options.dryRun || options['dry-run'];
+
+    // チケットごとの取得を同時に実行する(リクエスト数はスケジューラーで制限する)
+    const results = await mapConcurrent(ticketIds, getScheduler().concurrency, async (ticketId) => {
+        let file = '';
+        try {
+            const result = await plugin.fetch(config, ticketId, options);
+            const fileId = toFileId(plugin, result, ticketId);
+            const filepath = path.resolve(outputDir, `${prefix}${fileId}.md`);
+            file = path.relative(process.cwd(), filepath);
+
+            if (options.attachments && !dryRun) {
+                await saveAttachments(plugin, config, result, `${prefix}${fileId}`, outputDir);
+            }
+
+            const markdown = formatMarkdown(result);
+
+            // 新規のファイルはそのまま保存する
+            if (!fs.existsSync(filepath)) {
+                if (!dryRun) {
+                    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+                    fs.writeFileSync(filepath, markdown, 'utf8');
+                    writeSnapshot(namespace, fileId, markdown);
+                }
+                return { status: '作成', ticketId, file };
+            }
+
+            // 既存のファイルはローカルの変更を残してマージする
+            const { frontmatter, body } = readTicketFile(filepath);
+            if (!frontmatter) {
+                throw new PmToolError('YAMLフロントマターが見つかりません', 'INVALID_FORMAT');
+            }
+            const { content, conflicts } = mergeWithRemote(namespace, fileId, { frontmatter, body }, markdown);
+            const current = fs.readFileSync(filepath, 'utf8').replace(/\r\n/g, '\n');
+            if (!dryRun) {
+                if (content !== current) {
+                    fs.writeFileSync(filepath, content, 'utf8');
+                }
+                writeSnapshot(namespace, fileId, markdown);
+            }
+
+            if (conflicts.length > 0) {
+                return { status: '競合', ticketId, file, message: conflicts.join(', ') };
+            }
+            return { status: content === current ? 'スキップ' : '更新', ticketId, file };
+        } catch (error) {
+            // 1件の失敗で中断せず、残りのチケットの取得を続ける
+            warn(`チケット ${ticketId} の取得に失敗しました: ${error.message}`);
+            return { status: '失敗', ticketId, file, message: error.message };
+        }
+    });
+
+    if (dryRun) {
+        info('[DRY RUN] ファイルは保存しません');
+    }
+    printResultTable(results, ['作成', '更新', 'スキップ', '競合', '失敗'], '検索条件に一致するチケットはありません');
+
+    return results;
+}
+
+/**
+ * 検索条件の文字列をパースする
+ * 「キー=値」をスペース区切りで指定し、スペースを含む値は引用符で囲む
+ * (例: assigned_to=me status=open project=foo subject="ログイン 画面")
+ *
+ * @param {string} queryString - 検索条件の文字列
+ * @returns {Object<string, string>} 検索条件
+ * @throws {PmToolError} 「キー=値」の形式でない場合
+ */
+function parseQuery(queryString) {
+    const query = {};
+    const pattern = /\s*([^\s=]+)=(?:"([^"]*)"|'([^']*)'|(\S*))/y;
+    const input = String(queryString).trim();
+
+    while (pattern.lastIndex < input.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(input);
+        if (!match) {
+            const token = input.slice(start).trim().split(/\s+/)[0];
+            throw new PmToolError(
+                `検索条件は「キー=値」の形式で指定してください: ${token}`,
+                'INVALID_ARGUMENT',
+                { query: queryString }
+            );
+        }
+        query[match[1]] = match[2] ?? match[3] ?? match[4];
     }
 
+    if (Object.keys(query).length === 0) {
+        throw new PmToolError('検索条件を指定してください', 'INVALID_ARGUMENT');
+    }
+
+    return query;
+}
+
+/**
+ * 一括取得・同期の結果を表形式で表示し、状態ごとの件数を集計する
+ *
+ * @param {Array<{status: string, ticketId: string, file: string, message?: string}>} results - チケットごとの結果
+ * @param {string[]} statuses - 集計する状態
+ * @param {string} emptyMessage - 結果がない場合のメッセージ
+ */
+function printResultTable(results, statuses, emptyMessage) {
+    if (results.length === 0) {
+        console.log(emptyMessage);
+        return;
+    }
+
+    const header = { status: '状態', ticketId: 'チケット', file: 'ファイル' };
+    const rows = [header, ...results];
+    const widths = ['status', 'ticketId'].map(key => Math.max(...rows.map(row => displayWidth(String(row[key])))));
+    const pad = (value, width) => value + ' '.repeat(width - displayWidth(value));
+
+    for (const row of rows) {
+        const columns = [pad(row.status, widths[0]), pad(String(row.ticketId), widths[1]), row.file];
+        if (row.message) {
+            columns.push(`(${row.message})`);
+        }
+        console.log(columns.filter(Boolean).join('  ').trimEnd());
+    }
+
+    const counts = statuses
+        .map(status => `${status}: ${results.filter(result => result.status === status).length}件`);
+    console.log(`\n${counts.join(', ')}`);
+}
+
+/**
+ * 端末上の表示幅を求める(全角文字は2文字分として数える)
+ *
+ * @param {string} text - 文字列
+ * @returns {number} 表示幅
+ */
+function displayWidth(text) {
+    return [...text].reduce((width, char) => width + (char.codePointAt(0) > 0xff ? 2 : 1), 0);
+}
+
+/**
+ * チケットファイルを読み込み、YAMLフロントマターと本文に分解する
+ * フロントマターのないファイル(テンプレートから作成したファイル等)も読み込める
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @returns {{frontmatter: Object|null, body: string, rawBody: string}}
+ *   フロントマター(ない場合はnull)、LF正規化済みの本文、元の本文
+ * @throws {PmToolError} ファイルが存在しない場合、フロントマターをパースできない場合
+ */
+function readTicketFile(filePath) {
     // ファイルの存在確認
     if (!fs.existsSync(filePath)) {
         throw new PmToolError(`ファイルが見つかりません: ${filePath}`, 'FILE_NOT_FOUND');
     }
 
-    const { tool, config } = getPmToolConfig();
+    return parseTicketContent(fs.readFileSync(filePath, 'utf8'));
+}
 
-    // ファイルを読み込んでYAMLフロントマターをパース
-    const fileContent = fs.readFileSync(filePath, 'utf8');
+/**
+ * チケットファイルの内容をYAMLフロントマターと本文に分解する
+ *
+ * @param {string} fileContent - チケットファイルの内容
+ * @returns {{frontmatter: Object|null, body: string, rawBody: string}}
+ *   フロントマター(ない場合はnull)、LF正規化済みの本文、元の本文
+ * @throws {PmToolError} フロントマターをパースできない場合(pullで書き込んだ競合マーカーが残っている場合を含む)
+ */
+function parseTicketContent(fileContent) {
     // CRLF(\r\n)とLF(\n)の両方に対応
     const frontmatterMatch = fileContent.match(/^---\r?\n([\s\S]+?)\r?\n---\r?\n([\s\S]*)$/);
 
-    if (!frontmatterMatch) {
-        throw new PmToolError('YAMLフロントマターが見つかりません', 'INVALID_FORMAT');
-    }
-
-    const frontmatter = YAML.parse(frontmatterMatch[1]);
+    const frontmatter = frontmatterMatch ? parseFrontmatter(frontmatterMatch[1]) : null;
+    const rawBody = frontmatterMatch ? frontmatterMatch[2] : fileContent;
     // CRLFをLFに正規化（プラットフォーム間の互換性確保）
-    const bodyContent = frontmatterMatch[2]
+    const body = rawBody
         .replace(/\r\n/g, '\n')
         .replace(/\r/g, '\n')
         .trim();
 
-    // プラグインをロード
-    const plugin = await loadPlugin(tool);
+    return { frontmatter, body, rawBody };
+}
+
+/**
+ * YAMLフロントマターをパースする
+ *
+ * @param {string} text - フロントマターのYAML
+ * @returns {Object} フロントマター
+ * @throws {PmToolError} YAMLとしてパースできない場合
+ */
+function parseFrontmatter(text) {
+    try {
+        return YAML.parse(text) || {};
+    } catch (error) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const message = hasConflictMarkers(normalized)
+            ? 'YAMLフロントマターに競合マーカーが残っています。解消してから実行してください'
+            : `YAMLフロントマターをパースできません: ${error.message}`;
+        throw new PmToolError(message, 'INVALID_FORMAT');
+    }
+}
+
+/**
+ * チケット本文からリンクされている_files/のローカルファイルを収集する
+ * fetch時に生成したセクション(添付ファイル等)内のリンクは対象外とする
+ *
+ * @param {string} filePath - チケットファイルパス(リンクの基準)
+ * @param {string} body - Markdown本文（LF改行）
+ * @returns {Array<{link: string, path: string, filename: string}>}
+ *   本文中のリンク先、ファイルの絶対パス、ファイル名
+ */
+function collectLocalFiles(filePath, body) {
+    const baseDir = path.dirname(path.resolve(filePath));
+    const files = [];
+
+    for (const link of extractFileLinks(stripGeneratedSections(body))) {
+        let decoded = link;
+        try {
+            decoded = decodeURI(link);
+        } catch {
+            // デコードできない場合はそのまま使用
+        }
+        const filepath = path.resolve(baseDir, decoded);
+        if (!fs.existsSync(filepath) || !fs.statSync(filepath).isFile()) {
+            warn(`リンク先のファイルが見つかりません: ${link}`);
+            continue;
+        }
+        files.push({ link, path: filepath, filename: path.basename(filepath) });
+    }
+
+    return files;
+}
+
+/**
+ * updateコマンドを実行する
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @param {Object} options - オプション
+ */
+async function executeUpdate(filePath, options = {}) {
+    if (!filePath) {
+        throw new PmToolError('チケットファイルパスを指定してください', 'INVALID_ARGUMENT');
+    }
+
+    // ファイルを読み込んでYAMLフロントマターをパース
+    const { frontmatter, body: bodyContent } = readTicketFile(filePath);
+
+    if (!frontmatter) {
+        throw new PmToolError('YAMLフロントマターが見つかりません', 'INVALID_FORMAT');
+    }
+
+    // pullで書き込んだ競合マーカーが残っている場合は送信しない
+    if (hasConflictMarkers(bodyContent)) {
+        throw new PmToolError('競合マーカーが残っています。解消してから更新してください', 'INVALID_FORMAT');
+    }
+
+    const { tool, config, profile, plugin } = await loadToolContext(options);
 
     // チケットIDを取得(プラグインに委譲)
     const ticketId = plugin.extractTicketId(frontmatter);
@@ -292,57 +831,1107 @@ async function executeUpdate(filePath, options = {}) {
         );
     }
 
-    info(`チケット ${ticketId} を更新します...`);
+    // 取得後にリモートで更新されていないかを確認(--forceで無視)
+    const updatedField = UPDATED_AT_FIELDS.find(key => frontmatter[key] !== undefined && frontmatter[key] !== null);
+    if (updatedField && !options.force) {
+        await checkConflict(plugin, config, profile || tool, ticketId, { frontmatter, body: bodyContent }, updatedField);
+    }
 
-    // 更新データを構築（コマンドラインオプション、YAMLフロントマター、本文を渡す）
-    const updateData = {
-        ...options, // コマンドラインオプションで指定された値
-        frontmatter, // YAMLフロントマター全体
-        body: bodyContent, // Markdown本文
-        ticketId // チケットID
-    };
+    info(`チケット ${ticketId} を更新します...`);
 
     // プラグインのupdateメソッドを呼び出し（フィールド抽出はプラグイン側で実施）
+    const updateData = buildUpdateData(filePath, frontmatter, bodyContent, ticketId, options);
     const result = await plugin.update(config, ticketId, updateData);
 
     info('チケットの更新に成功しました');
     console.log(JSON.stringify(result, null, 2));
 
+    // 自分の更新で競合と判定されないよう、ローカルの更新日時をリモートに合わせる
+    if (updatedField && !result.dryRun) {
+        await refreshUpdatedAt(plugin, config, ticketId, filePath, updatedField);
+    }
+
     return result;
 }
 
 /**
- * コマンドライン引数をパースする
- * zx組み込みのminimist(argv)を使用
+ * 更新データを構築する（コマンドラインオプション、YAMLフロントマター、本文を渡す）
  *
- * @param {string[]} args - コマンドライン引数
- * @param {Object} plugin - プラグインオブジェクト（オプション、オプション定義の取得に使用）
- * @returns {Object} パースされた引数
+ * @param {string} filePath - チケットファイルパス
+ * @param {Object} frontmatter - YAMLフロントマター
+ * @param {string} body - Markdown本文
+ * @param {string} ticketId - チケットID
+ * @param {Object} options - コマンドラインオプション
+ * @returns {Object} 更新データ
  */
-function parseArgs(args, plugin = null) {
-    // プラグインから文字列型・数値型のオプションを動的に取得
-    const stringOptions = ['dir', 'prefix']; // 共通オプション
-    const booleanOptions = ['help', 'version', 'dry-run', 'stdout', 'json']; // 共通オプション
+function buildUpdateData(filePath, frontmatter, body, ticketId, options) {
+    return {
+        ...options, // コマンドラインオプションで指定された値
+        frontmatter, // YAMLフロントマター全体
+        body, // Markdown本文
+        ticketId, // チケットID
+        localFiles: collectLocalFiles(filePath, body), // 本文からリンクされている_files/のファイル
+        fileBase: path.basename(filePath, path.extname(filePath)) // チケットファイル名(添付済みのファイルの判定に使用)
+    };
+}
 
-    if (plugin && typeof plugin.getUpdateOptions === 'function') {
-        const updateOptions = plugin.getUpdateOptions();
-        for (const opt of updateOptions) {
-            if (opt.type === 'string') {
-                stringOptions.push(opt.name);
-            }
-            // number型もminimistではstringとして扱い、プラグイン側で変換する
-            else if (opt.type === 'number') {
-                stringOptions.push(opt.name);
-            }
-        }
+/**
+ * 更新日時を表すフロントマターのキー(Redmineはupdated_on、その他はupdated_at)
+ */
+const UPDATED_AT_FIELDS = ['updated_on', 'updated_at'];
+
+/**
+ * 取得後にリモートのチケットが更新されていないかを確認する
+ * フロントマターの更新日時とリモートの更新日時が異なる場合は、リモートで変更された項目を示してエラーにする
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {Object} config - ツール固有の設定
+ * @param {string} namespace - スナップショットの保存先(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {string} ticketId - チケットID
+ * @param {{frontmatter: Object, body: string}} local - ローカルのチケット
+ * @param {string} updatedField - 更新日時のキー
+ * @throws {ConflictError} リモートで更新されている場合
+ */
+async function checkConflict(plugin, config, namespace, ticketId, local, updatedField) {
+    const result = await plugin.fetch(config, ticketId, {});
+    const remoteUpdated = result.meta?.[updatedField];
+    const localUpdated = local.frontmatter[updatedField];
+
+    if (remoteUpdated === undefined || String(remoteUpdated) === String(localUpdated)) {
+        debug('リモートの更新はありません', { ticketId, [updatedField]: remoteUpdated });
+        return;
     }
 
-    // minimistでパース（zxのargvを利用）
-    const parsed = minimist(args, {
-        string: stringOptions,
-        boolean: booleanOptions,
-        alias: {
-            h: 'help',
+    // 取得時の内容が保存されていれば取得後にリモートで変更された項目を、なければローカルとの差分を表示する
+    const remote = parseTicketContent(formatMarkdown(result));
+    const snapshot = readSnapshot(namespace, toFileId(plugin, result, ticketId));
+    const before = snapshot !== null ? parseTicketContent(snapshot) : local;
+    const changes = diffTicket({ frontmatter: before.frontmatter || {}, body: before.body }, remote, [updatedField]);
+
+    const lines = changes.map(change => (change.field === 'description'
+        ? '  - description: (変更あり)'
+        : `  - ${change.field}: ${formatDiffValue(change.from)} → ${formatDiffValue(change.to)}`));
+
+    throw new ConflictError(
+        `チケット ${ticketId} は取得後にリモートで更新されています ` +
+        `(${updatedField}: ${localUpdated} → ${remoteUpdated})\n` +
+        (lines.length > 0
+            ? `${snapshot !== null ? '取得後にリモートで変更された項目' : 'ローカルとリモートで異なる項目'}:\n${lines.join('\n')}\n`
+            : '') +
+        'pm-tool pull でリモートの変更を取り込むか、--force で上書きしてください',
+        { ticketId, local: localUpdated, remote: remoteUpdated }
+    );
+}
+
+/**
+ * 差分表示用に値を変換する
+ *
+ * @param {*} value - フロントマターの値
+ * @returns {string} 表示用の文字列
+ */
+function formatDiffValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '(なし)';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatDiffValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return value.name ?? JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * チケットファイルの更新日時をリモートの値に更新する
+ * フロントマターの他の項目や本文の書式は変更しない
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {Object} config - ツール固有の設定
+ * @param {string} ticketId - チケットID
+ * @param {string} filePath - チケットファイルパス
+ * @param {string} updatedField - 更新日時のキー
+ */
+async function refreshUpdatedAt(plugin, config, ticketId, filePath, updatedField) {
+    try {
+        const result = await plugin.fetch(config, ticketId, {});
+        writeUpdatedAt(filePath, updatedField, result.meta?.[updatedField]);
+    } catch (error) {
+        warn(`チケットファイルの更新日時を更新できませんでした: ${error.message}`);
+    }
+}
+
+/**
+ * チケットファイルのフロントマターの更新日時の行のみを書き換える
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @param {string} updatedField - 更新日時のキー
+ * @param {string|undefined} updated - 更新日時(undefinedの場合は何もしない)
+ */
+function writeUpdatedAt(filePath, updatedField, updated) {
+    if (updated === undefined) {
+        return;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const frontmatterMatch = content.match(/^(---\r?\n[\s\S]+?\r?\n---)(\r?\n[\s\S]*)$/);
+    const line = YAML.stringify({ [updatedField]: updated }).trim();
+    const pattern = new RegExp(`^${updatedField}:.*$`, 'm');
+    if (!frontmatterMatch || !pattern.test(frontmatterMatch[1])) {
+        return;
+    }
+    fs.writeFileSync(filePath, frontmatterMatch[1].replace(pattern, line) + frontmatterMatch[2], 'utf8');
+    debug('更新日時を更新しました', { filePath, [updatedField]: updated });
+}
+
+/**
+ * diffコマンドを実行する
+ * リモートのチケットとローカルのファイルから、それぞれupdate時に送信する内容をプラグインで作成し、
+ * 送信する項目ごとにunified diff形式で表示する
+ * (名前からIDへの変換やリンク先の置き換えはupdate時と同じ結果になり、送信されない項目は比較しない)
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @param {Object} options - オプション
+ * @returns {Promise<{changed: string[]}>} 差分のある項目
+ */
+async function executeDiff(filePath, options = {}) {
+    if (!filePath) {
+        throw new PmToolError('チケットファイルパスを指定してください', 'INVALID_ARGUMENT');
+    }
+
+    const { frontmatter, body } = readTicketFile(filePath);
+
+    if (!frontmatter) {
+        throw new PmToolError('YAMLフロントマターが見つかりません', 'INVALID_FORMAT');
+    }
+    if (hasConflictMarkers(body)) {
+        warn('競合マーカーが残っています。解消するまでupdateは実行できません');
+    }
+
+    const { tool, config, plugin } = await loadToolContext(options);
+
+    if (typeof plugin.buildUpdatePayload !== 'function') {
+        throw new PmToolError(
+            `${plugin.label}プラグインは差分の表示に対応していません`,
+            'NOT_SUPPORTED'
+        );
+    }
+
+    // チケットIDを取得(プラグインに委譲)
+    const ticketId = plugin.extractTicketId(frontmatter);
+    if (!ticketId) {
+        throw new PmToolError(
+            `YAMLフロントマターからチケットIDを抽出できませんでした (${tool}プラグイン)`,
+            'INVALID_FORMAT'
+        );
+    }
+
+    const result = await plugin.fetch(config, ticketId, {});
+    const remote = parseTicketContent(formatMarkdown(result));
+
+    // 比較する項目(update時に送信する項目)
+    const remotePayload = await plugin.buildUpdatePayload(
+        config, ticketId, buildUpdateData(filePath, remote.frontmatter || {}, remote.body, ticketId, {})
+    );
+    const localPayload = await plugin.buildUpdatePayload(
+        config, ticketId, buildUpdateData(filePath, frontmatter, body, ticketId, {})
+    );
+    const keys = [...new Set([...Object.keys(remotePayload), ...Object.keys(localPayload)])];
+    const fields = keys.map(key => ({ name: key, remote: toDiffText(remotePayload[key]), local: toDiffText(localPayload[key]) }));
+
+    const changed = [];
+    const output = [];
+    for (const field of fields) {
+        const hunks = unifiedDiff(field.remote, field.local);
+        if (hunks.length === 0) {
+            continue;
+        }
+        changed.push(field.name);
+        output.push(chalk.bold(`=== ${field.name} ===`));
+        output.push(...hunks.map(colorizeDiffLine));
+    }
+
+    if (changed.length === 0) {
+        info(`チケット ${ticketId} とローカルのファイルに差分はありません`);
+        return { changed };
+    }
+
+    console.log(chalk.bold(`--- remote: ${tool} ${ticketId}`));
+    console.log(chalk.bold(`+++ local: ${filePath}`));
+    console.log(output.join('\n'));
+    info(`${changed.length}項目に差分があります: ${changed.join(', ')}`);
+
+    return { changed };
+}
+
+/**
+ * フロントマターの値を差分表示用のテキストに変換する
+ *
+ * @param {*} value - フロントマターの値
+ * @returns {string} 差分表示用のテキスト(オブジェクト・配列はYAML形式)
+ */
+function toDiffText(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return YAML.stringify(value).trimEnd();
+    }
+    return String(value);
+}
+
+/**
+ * unified diffの行を色付けする
+ *
+ * @param {string} line - unified diffの行
+ * @returns {string} 色付けした行
+ */
+function colorizeDiffLine(line) {
+    if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+    }
+    if (line.startsWith('-')) {
+        return chalk.red(line);
+    }
+    if (line.startsWith('+')) {
+        return chalk.green(line);
+    }
+    return line;
+}
+
+/**
+ * ローカルのチケットとリモートの最新の内容を、前回取得時の内容(スナップショット)をベースに3-wayマージする
+ *
+ * @param {string} namespace - スナップショットの保存先(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {string} fileId - ファイル名用のチケットID
+ * @param {{frontmatter: Object, body: string}} local - ローカルのチケット
+ * @param {string} remoteContent - リモートの最新の内容(Markdown形式)
+ * @returns {{content: string, conflicts: string[]}} マージ後のファイル内容と、競合したフロントマターのキー・本文のセクション
+ */
+function mergeWithRemote(namespace, fileId, local, remoteContent) {
+    const remote = parseTicketContent(remoteContent);
+
+    // 前回取得時の内容をベースとする
+    const snapshot = readSnapshot(namespace, fileId);
+    let base = { frontmatter: {}, body: '' };
+    if (snapshot === null) {
+        warn('前回取得時の内容が保存されていないため、ローカルとリモートで異なる箇所はすべて競合として扱います');
+    } else {
+        base = parseTicketContent(snapshot);
+    }
+
+    const mergedFrontmatter = mergeFrontmatter(base.frontmatter || {}, local.frontmatter, remote.frontmatter);
+    const mergedBody = mergeMarkdown(base.body, local.body, remote.body);
+
+    return {
+        content: `---\n${mergedFrontmatter.text}\n---\n${mergedBody.text}\n`,
+        conflicts: [...mergedFrontmatter.conflicts, ...mergedBody.conflicts]
+    };
+}
+
+/**
+ * pullコマンドを実行する
+ * リモートの最新の内容を取得し、前回取得時の内容(スナップショット)をベースにローカルのファイルと3-wayマージする
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @param {Object} options - オプション
+ * @returns {Promise<{conflicts: string[]}>} 競合したフロントマターのキー・本文のセクション
+ */
+async function executePull(filePath, options = {}) {
+    if (!filePath) {
+        throw new PmToolError('チケットファイルパスを指定してください', 'INVALID_ARGUMENT');
+    }
+
+    const { frontmatter, body } = readTicketFile(filePath);
+
+    if (!frontmatter) {
+        throw new PmToolError('YAMLフロントマターが見つかりません', 'INVALID_FORMAT');
+    }
+
+    const { tool, config, profile, plugin } = await loadToolContext(options);
+
+    // チケットIDを取得(プラグインに委譲)
+    const ticketId = plugin.extractTicketId(frontmatter);
+    if (!ticketId) {
+        throw new PmToolError(
+            `YAMLフロントマターからチケットIDを抽出できませんでした (${tool}プラグイン)`,
+            'INVALID_FORMAT'
+        );
+    }
+
+    info(`チケット ${ticketId} の最新の情報を取得します...`);
+
+    const result = await plugin.fetch(config, ticketId, options);
+
+    // 添付ファイルのダウンロード(ファイル名はローカルのチケットファイル名を基準とする)
+    if (options.attachments) {
+        await saveAttachments(plugin, config, result, path.basename(filePath, path.extname(filePath)), path.dirname(filePath));
+    }
+
+    const remoteContent = formatMarkdown(result);
+    const fileId = toFileId(plugin, result, ticketId);
+    const { content: merged, conflicts } = mergeWithRemote(profile || tool, fileId, { frontmatter, body }, remoteContent);
+
+    // dry-runモードの場合はマージ結果を表示するのみ
+    if (options.dryRun || options['dry-run']) {
+        console.log(merged);
+        info('[DRY RUN] ファイルは更新しません');
+    } else {
+        fs.writeFileSync(filePath, merged, 'utf8');
+        writeSnapshot(profile || tool, fileId, remoteContent);
+        info(`チケットファイルを更新しました: ${filePath}`);
+    }
+
+    if (conflicts.length > 0) {
+        warn(`競合が発生しました。競合マーカー(<<<<<<< local 〜 >>>>>>> remote)を解消してください: ${conflicts.join(', ')}`);
+    } else {
+        info('リモートの変更をマージしました');
+    }
+
+    return { conflicts };
+}
+
+/**
+ * syncコマンドを実行する
+ * ディレクトリ内のリモートのチケットと紐付いたファイルについて、
+ * ローカルのみが変更されていれば送信し、リモートのみが変更されていれば取り込む。
+ * 両方が変更されている場合は競合として報告し、ファイルは変更しない。
+ *
+ * @param {string|null} dir - 同期するディレクトリ(省略時は--dir、output_dir)
+ * @param {Object} options - オプション
+ * @returns {Promise<Array<{status: string, ticketId: string, file: string, message?: string}>>} チケットごとの結果
+ */
+async function executeSync(dir, options = {}) {
+    const { tool, config, pmToolConfig, profile, plugin } = await loadToolContext(options);
+    // スナップショット・同期状態はプロファイルごとに保存する
+    const namespace = profile || tool;
+
+    const targetDir = dir || options.dir || pmToolConfig.output_dir || '.';
+    if (!fs.existsSync(targetDir) || !fs.statSync(targetDir).isDirectory()) {
+        throw new PmToolError(`ディレクトリが見つかりません: ${targetDir}`, 'FILE_NOT_FOUND');
+    }
+
+    const dryRun = options.dryRun || options['dry-run'];
+    const tickets = collectTicketFiles(plugin, targetDir, profile);
+    info(`${targetDir} の${tickets.length}件のチケットを同期します...`);
+
+    // リモートの更新日時をまとめて取得する(未対応のプラグインではチケットごとに取得して判定する)
+    const remoteUpdated = tickets.length > 0 && typeof plugin.getUpdatedAt === 'function'
+        ? await plugin.getUpdatedAt(config, tickets)
+        : {};
+
+    // チケットごとの同期を同時に実行する(リクエスト数はスケジューラーで制限する)
+    const state = readSyncState(namespace);
+    const results = await mapConcurrent(tickets, getScheduler().concurrency, async (ticket) => {
+        const file = path.relative(process.cwd(), ticket.filePath);
+        try {
+            const { status, message } = await syncTicket(plugin, config, namespace, ticket, state, remoteUpdated[ticket.ticketId], dryRun);
+            return { status, ticketId: ticket.ticketId, file, message };
+        } catch (error) {
+            // 1件の失敗で中断せず、残りのチケットの同期を続ける
+            warn(`チケット ${ticket.ticketId} の同期に失敗しました: ${error.message}`);
+            return { status: '失敗', ticketId: ticket.ticketId, file, message: error.message };
+        }
+    });
+
+    if (dryRun) {
+        info('[DRY RUN] ファイル・リモートのチケットは更新しません');
+    } else {
+        writeSyncState(namespace, state);
+    }
+    printResultTable(results, ['取得', '送信', 'スキップ', '競合', '失敗'], '同期対象のチケットはありません');
+
+    return results;
+}
+
+/**
+ * ディレクトリ内(サブディレクトリを含む)のリモートのチケットと紐付いたファイルを収集する
+ * 同じチケットと紐付いたファイルが複数ある場合は最初のファイルのみを対象とする
+ * フロントマターに別のプロファイル名が記録されたファイルは対象としない
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {string} dir - ディレクトリ
+ * @param {string|null} profile - プロファイル名(プロファイルを使用しない場合はnull)
+ * @returns {Array<{filePath: string, ticketId: string, frontmatter: Object, body: string}>} チケットファイルの一覧
+ */
+function collectTicketFiles(plugin, dir, profile) {
+    const tickets = [];
+    const seen = new Map();
+    const files = listMarkdownFiles(dir).sort();
+
+    for (const name of files) {
+        const filePath = path.join(dir, name);
+        let ticket;
+        try {
+            ticket = readTicketFile(filePath);
+        } catch (error) {
+            warn(`チケットファイルを読み込めませんでした: ${filePath} (${error.message})`);
+            continue;
+        }
+
+        const ticketId = ticket.frontmatter ? plugin.extractTicketId(ticket.frontmatter) : null;
+        if (!ticketId) {
+            debug('チケットIDがないため同期対象外', { filePath });
+            continue;
+        }
+        const fileProfile = ticket.frontmatter[PROFILE_KEY];
+        if (profile && fileProfile && fileProfile !== profile) {
+            debug('別のプロファイルのチケットのため同期対象外', { filePath, profile: fileProfile });
+            continue;
+        }
+        if (seen.has(String(ticketId))) {
+            warn(`チケット ${ticketId} は ${seen.get(String(ticketId))} と重複しているため同期しません: ${filePath}`);
+            continue;
+        }
+        seen.set(String(ticketId), filePath);
+
+        tickets.push({ filePath, ticketId: String(ticketId), frontmatter: ticket.frontmatter, body: ticket.body });
+    }
+
+    return tickets;
+}
+
+/**
+ * ディレクトリ配下のMarkdownファイルを再帰的に取得する
+ * (fs.readdirSyncのrecursiveオプションはNode.js 18.17以降のため使用しない)
+ *
+ * @param {string} dir - ディレクトリ
+ * @param {string} [relativeDir] - dirからの相対パス(再帰呼び出し用)
+ * @returns {string[]} dirからの相対パス
+ */
+function listMarkdownFiles(dir, relativeDir = '') {
+    return fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true }).flatMap(entry => {
+        const name = path.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+            return listMarkdownFiles(dir, name);
+        }
+        return entry.isFile() && entry.name.endsWith('.md') ? [name] : [];
+    });
+}
+
+/**
+ * 1件のチケットを同期する
+ * ローカル・リモートの変更は前回取得時の内容(スナップショット)と比較して判定し、
+ * リモートの更新日時が前回の同期時から変わっていない場合はリモートを取得しない
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {Object} config - ツール固有の設定
+ * @param {string} namespace - スナップショットの保存先(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {{filePath: string, ticketId: string, frontmatter: Object, body: string}} ticket - チケットファイル
+ * @param {Object} state - 同期状態(同期後の更新日時を書き込む)
+ * @param {string|undefined} remoteUpdated - まとめて取得したリモートの更新日時
+ * @param {boolean} dryRun - ファイル・リモートのチケットを更新しない場合はtrue
+ * @returns {Promise<{status: string, message?: string}>} 同期結果
+ */
+async function syncTicket(plugin, config, namespace, ticket, state, remoteUpdated, dryRun) {
+    const { filePath, ticketId, frontmatter, body } = ticket;
+    const local = { frontmatter, body };
+    const updatedField = UPDATED_AT_FIELDS.find(key => frontmatter[key] !== undefined && frontmatter[key] !== null);
+    const fileId = toFileId(plugin, { meta: frontmatter }, ticketId);
+    const snapshot = readSnapshot(namespace, fileId);
+    const base = snapshot !== null ? parseTicketContent(snapshot) : null;
+    const lastUpdated = state[ticketId]?.updated ?? base?.frontmatter?.[updatedField];
+
+    // 同期後のリモートの内容を記録する
+    const record = (remoteContent, updated) => {
+        if (!dryRun) {
+            writeSnapshot(namespace, fileId, remoteContent);
+            state[ticketId] = { updated, file: path.relative(getTicketDir(), path.resolve(filePath)) };
+        }
+    };
+
+    // リモートの更新日時が前回の同期時から変わっていなければ取得しない
+    let result = null;
+    let remote = base;
+    if (!(base && remoteUpdated !== undefined && lastUpdated !== undefined && String(remoteUpdated) === String(lastUpdated))) {
+        result = await plugin.fetch(config, ticketId, {});
+        remote = parseTicketContent(formatMarkdown(result));
+    }
+
+    // 前回取得時の内容がない場合は、ローカルとリモートが同じ場合のみ同期済みとして扱う
+    if (base === null) {
+        if (diffTicket(local, remote, ignoredKeys(remote, local)).length > 0) {
+            return { status: '競合', message: '前回取得時の内容がありません。pm-tool pullでマージしてください' };
+        }
+        record(formatMarkdown(result), result.meta?.[updatedField]);
+        return { status: 'スキップ' };
+    }
+
+    // ローカルで追加した項目と更新日時は比較しない
+    const localChanged = diffTicket(base, local, ignoredKeys(base, local)).length > 0;
+    // コメントの追加等で更新日時のみが変わった場合は、内容の変更とは扱わない
+    const remoteChanged = result !== null && diffTicket(base, remote, UPDATED_AT_FIELDS).length > 0;
+    const remoteUpdatedOnly = result !== null && !remoteChanged && diffTicket(base, remote).length > 0;
+
+    if (localChanged && remoteChanged) {
+        return { status: '競合', message: 'ローカルとリモートの両方で変更されています。pm-tool pullでマージしてください' };
+    }
+
+    // リモートのみの変更はpullと同様にマージして取り込む
+    if (remoteChanged || (remoteUpdatedOnly && !localChanged)) {
+        const remoteContent = formatMarkdown(result);
+        const { content } = mergeWithRemote(namespace, fileId, local, remoteContent);
+        if (!dryRun) {
+            fs.writeFileSync(filePath, content, 'utf8');
+        }
+        record(remoteContent, result.meta?.[updatedField]);
+        return { status: '取得' };
+    }
+
+    // ローカルのみの変更は送信し、送信後のリモートの内容を記録する
+    if (localChanged) {
+        // 前回のpullで書き込んだ競合マーカーが残っている場合は送信しない
+        if (hasConflictMarkers(body)) {
+            return { status: '競合', message: '競合マーカーが残っています。解消してから同期してください' };
+        }
+        if (!dryRun) {
+            await plugin.update(config, ticketId, buildUpdateData(filePath, frontmatter, body, ticketId, {}));
+            const updatedResult = await plugin.fetch(config, ticketId, {});
+            if (updatedField) {
+                writeUpdatedAt(filePath, updatedField, updatedResult.meta?.[updatedField]);
+            }
+            record(formatMarkdown(updatedResult), updatedResult.meta?.[updatedField]);
+        }
+        return { status: '送信' };
+    }
+
+    if (result !== null) {
+        record(formatMarkdown(result), result.meta?.[updatedField]);
+    } else if (!dryRun) {
+        state[ticketId] = { updated: lastUpdated, file: path.relative(getTicketDir(), path.resolve(filePath)) };
+    }
+    return { status: 'スキップ' };
+}
+
+/**
+ * 同期時のローカルの変更の判定で比較しないフロントマターのキーを求める
+ * 更新日時と、比較元にないローカル独自の項目は送信されないため除外する
+ *
+ * @param {{frontmatter: Object}} base - 比較元のチケット
+ * @param {{frontmatter: Object}} local - ローカルのチケット
+ * @returns {string[]} 比較しないキー
+ */
+function ignoredKeys(base, local) {
+    const localOnly = Object.keys(local.frontmatter).filter(key => !(key in (base.frontmatter || {})));
+    return [...UPDATED_AT_FIELDS, ...localOnly];
+}
+
+/**
+ * createコマンドを実行する
+ * ローカルのチケットファイルからリモートにチケットを作成し、
+ * 作成されたチケットの情報でYAMLフロントマターを書き換える
+ *
+ * @param {string} filePath - チケットファイルパス
+ * @param {Object} options - オプション
+ */
+async function executeCreate(filePath, options = {}) {
+    if (!filePath) {
+        throw new PmToolError('チケットファイルパスを指定してください', 'INVALID_ARGUMENT');
+    }
+
+    // ファイルを読み込む(フロントマターは任意)
+    const { frontmatter, body, rawBody } = readTicketFile(filePath);
+
+    const { tool, config, plugin } = await loadToolContext(options);
+
+    if (typeof plugin.create !== 'function') {
+        throw new PmToolError(
+            `${plugin.label}プラグインはチケットの作成に対応していません`,
+            'NOT_SUPPORTED'
+        );
+    }
+
+    // 既にリモートのチケットと紐付いている場合は二重作成を防ぐ
+    const existingId = frontmatter ? plugin.extractTicketId(frontmatter) : null;
+    if (existingId) {
+        throw new PmToolError(
+            `このファイルは既にチケット ${existingId} と紐付いています。pm-tool update を使用してください`,
+            'ALREADY_LINKED',
+            { ticketId: existingId }
+        );
+    }
+
+    info(`${filePath} からチケットを作成します...`);
+
+    // 作成データを構築（コマンドラインオプション、YAMLフロントマター、本文を渡す）
+    const createData = {
+        ...options, // コマンドラインオプションで指定された値
+        frontmatter: frontmatter || {}, // YAMLフロントマター全体
+        body // Markdown本文
+    };
+
+    // プラグインのcreateメソッドを呼び出し
+    const result = await plugin.create(config, createData);
+
+    if (result.dryRun) {
+        console.log(JSON.stringify(result, null, 2));
+        return result;
+    }
+
+    // 作成されたチケットの情報でフロントマターを書き換える(ローカル独自の項目は残す)
+    const meta = { ...result.meta };
+    for (const [key, value] of Object.entries(frontmatter || {})) {
+        if (!(key in meta)) {
+            meta[key] = value;
+        }
+    }
+    fs.writeFileSync(filePath, `---\n${YAML.stringify(meta).trim()}\n---\n${rawBody}`, 'utf8');
+
+    info(`チケット ${result.ticketId} を作成し、フロントマターを更新しました: ${filePath}`);
+    console.log(JSON.stringify(result, null, 2));
+
+    return result;
+}
+
+/**
+ * 資格情報の名前に使用できる文字
+ */
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * 認証情報を管理する
+ * login: ブラウザで認可してトークンを保存する、logout: 保存したトークンを削除する、status: ログイン状態を表示する
+ * set、list、remove: 資格情報ストアを操作する
+ *
+ * @param {string} action - サブコマンド(login、logout、status、set、list、remove)
+ * @param {string|null} name - 資格情報の名前(set、remove)
+ * @param {Object} options - オプション(encrypt: 資格情報ストアを暗号化する、profile: ログインするプロファイル)
+ * @returns {Promise<void>}
+ */
+async function executeAuth(action, name, options = {}) {
+    // 資格情報ストアの操作は連携ツールの設定に依存しない
+    if (['set', 'list', 'remove'].includes(action)) {
+        await executeCredentials(action, name, options);
+        return;
+    }
+
+    const { tool, config, profile, plugin } = await loadToolContext(options);
+    if (!plugin.oauth) {
+        throw new PmToolError(
+            `${plugin.label}プラグインはOAuth 2.0認証に対応していません`,
+            'NOT_SUPPORTED'
+        );
+    }
+
+    switch (action) {
+        case 'login': {
+            if (!config.client_id || !config.client_secret) {
+                const keyPath = profile ? `integration.pm_tool.profiles.${profile}` : `integration.pm_tool.${tool}`;
+                throw new ConfigError(
+                    `OAuth 2.0のクライアントIDとクライアントシークレットを設定してください ` +
+                    `(${keyPath}.client_id、${keyPath}.client_secret)`
+                );
+            }
+            const token = await login(tool, config, plugin.oauth);
+            console.log(`${plugin.label}にログインしました${token.expires_at ? `(有効期限: ${token.expires_at})` : ''}`);
+            break;
+        }
+
+        case 'logout':
+            if (deleteToken(tool, config)) {
+                console.log(`${plugin.label}からログアウトしました(トークンを削除しました)`);
+            } else {
+                console.log(`${plugin.label}にログインしていません`);
+            }
+            break;
+
+        case 'status': {
+            const token = readToken(tool, config);
+            if (!token) {
+                console.log(`${plugin.label}にログインしていません`);
+                break;
+            }
+            const state = !isExpiring(token)
+                ? '有効'
+                : token.refresh_token ? '期限切れ(次回のAPI呼び出し時に更新)' : '期限切れ(再ログインが必要)';
+            console.log(`${plugin.label}: ログイン済み`);
+            console.log(`  トークン: ${getTokenPath(tool, config)}`);
+            console.log(`  有効期限: ${token.expires_at || 'なし'} ${state}`);
+            if (!config.client_id && (config.api_key || config.access_token)) {
+                console.log('  ※ client_idが設定されていないため、保存したトークンは使用されません');
+            }
+            break;
+        }
+
+        default:
+            throw new PmToolError('サブコマンドを指定してください(login、logout、status、set、list、remove)', 'INVALID_ARGUMENT');
+    }
+}
+
+/**
+ * 資格情報ストアを操作する
+ * 値は画面に表示せずに入力する(標準入力がパイプの場合は1行目を値とする)
+ *
+ * @param {string} action - サブコマンド(set、list、remove)
+ * @param {string|null} name - 資格情報の名前
+ * @param {Object} options - オプション(encrypt: 資格情報ストアを暗号化する)
+ * @returns {Promise<void>}
+ */
+async function executeCredentials(action, name, options) {
+    if (action !== 'list') {
+        if (!name) {
+            throw new PmToolError(`資格情報の名前を指定してください(例: pm-tool auth ${action} redmine-api-key)`, 'INVALID_ARGUMENT');
+        }
+        if (!SECRET_NAME_PATTERN.test(name)) {
+            throw new PmToolError('資格情報の名前には英数字、「_」「.」「-」のみ使用できます', 'INVALID_ARGUMENT', { name });
+        }
+    }
+
+    const encrypted = isEncrypted();
+    const passphrase = encrypted ? await readPassphrase() : null;
+    const secrets = readCredentials(passphrase);
+
+    switch (action) {
+        case 'set': {
+            const value = await readSecretInput(`${name}の値: `);
+            if (!value) {
+                throw new PmToolError('値が入力されていません', 'INVALID_ARGUMENT');
+            }
+            // 暗号化済みのストアは同じパスフレーズで暗号化し直す
+            const newPassphrase = passphrase || (options.encrypt ? await readPassphrase(true) : null);
+            writeCredentials({ ...secrets, [name]: value }, newPassphrase);
+            console.log(`資格情報 "${name}" を保存しました${newPassphrase ? '(暗号化)' : ''}: ${getCredentialsPath()}`);
+            console.log(`config.ymlでは \${secret:${name}} で参照できます`);
+            break;
+        }
+
+        case 'list': {
+            const names = Object.keys(secrets).sort();
+            if (names.length === 0) {
+                console.log('保存された資格情報はありません');
+                break;
+            }
+            console.log(`資格情報(${getCredentialsPath()}${encrypted ? '、暗号化' : ''}):`);
+            for (const secretName of names) {
+                console.log(`  ${secretName}`);
+            }
+            break;
+        }
+
+        case 'remove':
+            if (!(name in secrets)) {
+                throw new PmToolError(`資格情報 "${name}" は保存されていません`, 'NOT_FOUND', { name });
+            }
+            delete secrets[name];
+            writeCredentials(secrets, passphrase);
+            console.log(`資格情報 "${name}" を削除しました`);
+            break;
+    }
+}
+
+/**
+ * 表示時に値を伏せる設定のキー(APIキー、パスワード、トークン等)
+ */
+const SECRET_KEY_PATTERN = /(api_key|password|secret|token)$/i;
+
+/**
+ * 設定を表示する
+ * show: 設定ファイルを重ね合わせた結果を、項目ごとの参照元のファイルを付けて表示する
+ * (--resolvedで環境変数・資格情報を展開する、APIキー等の値は伏せる)
+ *
+ * @param {string} action - サブコマンド(show)
+ * @param {Object} options - オプション(resolved: 環境変数・資格情報を展開する)
+ * @returns {Promise<void>}
+ */
+async function executeConfig(action, options = {}) {
+    if (action !== 'show') {
+        throw new PmToolError('サブコマンドを指定してください(show)', 'INVALID_ARGUMENT');
+    }
+
+    const { config, sources, files } = loadConfigLayers({ resolve: !!options.resolved });
+
+    console.log('# 設定ファイル(下のファイルが優先):');
+    for (const file of files) {
+        console.log(`#   ${file.source}: ${file.path}${file.exists ? '' : ' (なし)'}`);
+    }
+
+    const doc = new YAML.Document(config);
+    for (const { path: keyPath, file } of sources.values()) {
+        const node = doc.getIn(keyPath, true);
+        if (!node) {
+            continue;
+        }
+        const key = keyPath.findLast(item => typeof item === 'string');
+        // 展開前のプレースホルダー(${...})はそのまま表示する
+        if (SECRET_KEY_PATTERN.test(key) && typeof node.value === 'string' && node.value && !/^\$\{[^}]+\}$/.test(node.value)) {
+            node.value = '********';
+        }
+        node.comment = ` ${file}`;
+    }
+    console.log(doc.toString().trimEnd());
+}
+
+/**
+ * 動作に必要なNode.js・zxのメジャーバージョン
+ */
+const REQUIRED_VERSIONS = { node: 18, zx: 8 };
+
+/**
+ * 診断結果の表示
+ */
+const DOCTOR_MARKS = {
+    ok: chalk.green('✔'),
+    fail: chalk.red('✘'),
+    skip: chalk.yellow('-')
+};
+
+/**
+ * 動作環境と設定を診断し、結果をチェックリストとして表示する
+ * Node.js・zxのバージョン、設定ファイル、展開できなかったプレースホルダー、ツール固有の設定、
+ * 接続先への認証(認証ユーザーの取得)を順に確認する
+ *
+ * @param {Object} options - オプション(profile: 診断するプロファイル)
+ * @returns {Promise<Array<{label: string, status: string, message: string}>>} 診断結果(statusはok、fail、skip)
+ */
+async function executeDoctor(options = {}) {
+    const results = [];
+    const check = async (label, run) => {
+        let result;
+        try {
+            result = { status: 'ok', details: [], ...await run() };
+        } catch (error) {
+            debug(`診断エラー: ${label}`, error);
+            const [message, ...details] = error.message.split('\n');
+            result = { status: 'fail', message, details: details.map(line => line.trim()) };
+        }
+        results.push({ label, ...result });
+
+        console.log(`${DOCTOR_MARKS[result.status]} ${label}${result.message ? `: ${result.message}` : ''}`);
+        for (const detail of result.details) {
+            console.log(`    ${detail}`);
+        }
+        return result.status === 'ok';
+    };
+    const skip = message => ({ status: 'skip', message });
+
+    await check('Node.js', () => checkVersion(process.versions.node, REQUIRED_VERSIONS.node));
+    await check('zx', () => checkVersion(typeof VERSION === 'string' ? VERSION : null, REQUIRED_VERSIONS.zx));
+
+    const configLoaded = await check('設定ファイル', () => {
+        const { files } = loadConfigLayers();
+        const used = files.filter(file => file.exists);
+        const envFilePath = getEnvFilePath();
+        return {
+            message: used.at(-1).path,
+            details: [
+                ...used.slice(0, -1).map(file => `${file.source}: ${file.path}`),
+                ...(fs.existsSync(envFilePath) ? [`.env: ${envFilePath}`] : [])
+            ]
+        };
+    });
+
+    if (!configLoaded) {
+        for (const label of ['環境変数・資格情報', '連携ツールの設定', '認証']) {
+            await check(label, () => skip('設定ファイルを読み込めないため確認できません'));
+        }
+    } else {
+        await check('環境変数・資格情報', () => {
+            const unresolved = findUnresolvedPlaceholders();
+            if (unresolved.length === 0) {
+                return { message: 'すべて展開されました' };
+            }
+            return {
+                status: 'fail',
+                message: `展開できない値が${unresolved.length}件あります`,
+                details: unresolved.map(({ key, name, message, location }) =>
+                    `${location} ${key}: ${describePlaceholder(name, message)}`)
+            };
+        });
+        let context = null;
+        await check('連携ツールの設定', async () => {
+            context = await loadToolContext(options);
+            return { message: `${context.plugin.label}${context.profile ? `(プロファイル: ${context.profile})` : ''}` };
+        });
+        await check('認証', async () => {
+            if (!context) {
+                return skip('連携ツールの設定に誤りがあるため確認できません');
+            }
+            const { config, plugin } = context;
+            if (typeof plugin.getCurrentUser !== 'function') {
+                return skip(`${plugin.label}プラグインは認証ユーザーの確認に対応していません`);
+            }
+            const user = await plugin.getCurrentUser(config);
+            return { message: `${user.name}${user.login ? ` (${user.login})` : ''} として${config.url}に接続できます` };
+        });
+    }
+
+    const failures = results.filter(result => result.status === 'fail').length;
+    console.log(failures > 0 ? `\n${failures}件の問題が見つかりました` : '\n問題は見つかりませんでした');
+
+    return results;
+}
+
+/**
+ * バージョンが必要なメジャーバージョン以上か確認する(pm-tool doctor)
+ *
+ * @param {string|null} version - バージョン(取得できない場合はnull)
+ * @param {number} required - 必要なメジャーバージョン
+ * @returns {{status: string, message: string}} 診断結果
+ */
+function checkVersion(version, required) {
+    if (!version) {
+        return { status: 'fail', message: `バージョンを取得できません(${required}以上が必要です)` };
+    }
+    const major = Number(version.split('.')[0]);
+    return major >= required
+        ? { status: 'ok', message: version }
+        : { status: 'fail', message: `${version}(${required}以上が必要です)` };
+}
+
+/**
+ * 展開できなかったプレースホルダーの対処方法を表示用の文字列にする
+ *
+ * @param {string} name - 環境変数名(資格情報はsecret:名前)
+ * @param {string} [message] - config.ymlで指定したエラーメッセージ(${NAME:?エラーメッセージ})
+ * @returns {string} 表示用の文字列
+ */
+function describePlaceholder(name, message = '') {
+    if (name.startsWith('secret:')) {
+        const secretName = name.slice('secret:'.length);
+        return `資格情報 "${secretName}" が登録されていません(pm-tool auth set ${secretName})`;
+    }
+    return message ? `${message}(環境変数 ${name})` : `環境変数 ${name} が設定されていません`;
+}
+
+/**
+ * 資格情報ストアのパスフレーズを取得する
+ * 環境変数PM_TOOL_PASSPHRASEが設定されていればその値、なければ端末から入力する
+ *
+ * @param {boolean} [confirm=false] - 確認のため2回入力させる(新しく暗号化する場合)
+ * @returns {Promise<string>} パスフレーズ
+ * @throws {ConfigError} 端末から入力できない場合、入力が一致しない場合
+ */
+async function readPassphrase(confirm = false) {
+    if (process.env.PM_TOOL_PASSPHRASE) {
+        return process.env.PM_TOOL_PASSPHRASE;
+    }
+    if (!process.stdin.isTTY) {
+        throw new ConfigError('環境変数PM_TOOL_PASSPHRASEに資格情報ストアのパスフレーズを設定してください');
+    }
+
+    const passphrase = await promptHidden('パスフレーズ: ');
+    if (!passphrase) {
+        throw new ConfigError('パスフレーズが入力されていません');
+    }
+    if (confirm && await promptHidden('パスフレーズ(確認): ') !== passphrase) {
+        throw new ConfigError('パスフレーズが一致しません');
+    }
+    return passphrase;
+}
+
+/**
+ * 秘密の値を入力する
+ * 標準入力が端末の場合は入力を表示せずに読み取り、パイプの場合は1行目を読み取る
+ *
+ * @param {string} message - 入力を促すメッセージ
+ * @returns {Promise<string>} 入力された値
+ */
+async function readSecretInput(message) {
+    if (process.stdin.isTTY) {
+        return await promptHidden(message);
+    }
+
+    let input = '';
+    for await (const chunk of process.stdin) {
+        input += chunk;
+    }
+    return input.split(/\r?\n/)[0];
+}
+
+/**
+ * 入力を表示せずに端末から1行読み取る
+ *
+ * @param {string} message - 入力を促すメッセージ
+ * @returns {Promise<string>} 入力された値
+ */
+function promptHidden(message) {
+    return new Promise(resolve => {
+        const stdin = process.stdin;
+        let input = '';
+
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    stdin.off('data', onData);
+                    stdin.setRawMode(false);
+                    stdin.pause();
+                    process.stderr.write('\n');
+                    resolve(input);
+                    return;
+                }
+                if (char === '\u0003') {
+                    // Ctrl+Cで中断
+                    stdin.setRawMode(false);
+                    process.stderr.write('\n');
+                    process.exit(130);
+                }
+                input = char === '\u007f' || char === '\b' ? input.slice(0, -1) : input + char;
+            }
+        };
+
+        process.stderr.write(message);
+        stdin.setEncoding('utf8');
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onData);
+    });
+}
+
+/**
+ * APIリクエストのスケジューラーの設定を取得する
+ * ツール固有の設定のrate_limit、プラグインのデフォルト設定の順に参照する
+ *
+ * @param {Object} config - ツール固有の設定
+ * @param {Object} plugin - プラグインオブジェクト
+ * @returns {{concurrency?: number, requestsPerSecond?: number}} スケジューラーの設定
+ */
+function getRateLimitOptions(config, plugin) {
+    const rateLimit = { ...plugin.defaults?.rate_limit, ...config.rate_limit };
+    const options = {};
+    if (rateLimit.concurrency !== undefined) {
+        options.concurrency = Number(rateLimit.concurrency);
+    }
+    if (rateLimit.requests_per_second !== undefined) {
+        options.requestsPerSecond = Number(rateLimit.requests_per_second);
+    }
+    return options;
+}
+
+/**
+ * コマンドライン引数をパースする
+ * zx組み込みのminimist(argv)を使用
+ *
+ * @param {string[]} args - コマンドライン引数
+ * @param {Object} plugin - プラグインオブジェクト（オプション、オプション定義の取得に使用）
+ * @returns {Object} パースされた引数
+ */
+function parseArgs(args, plugin = null) {
+    // プラグインから文字列型・数値型のオプションを動的に取得
+    const stringOptions = ['dir', 'prefix', 'query', 'profile', 'config']; // 共通オプション
+    const booleanOptions = ['help', 'version', 'dry-run', 'stdout', 'json', 'include-comments', 'attachments', 'force', 'encrypt', 'resolved']; // 共通オプション
+
+    if (plugin) {
+        const pluginOptions = [
+            ...(typeof plugin.getUpdateOptions === 'function' ? plugin.getUpdateOptions() : []),
+            ...(typeof plugin.getCreateOptions === 'function' ? plugin.getCreateOptions() : [])
+        ];
+        for (const opt of pluginOptions) {
+            if (opt.type === 'string') {
+                stringOptions.push(opt.name);
+            }
+            // number型もminimistではstringとして扱い、プラグイン側で変換する
+            else if (opt.type === 'number') {
+                stringOptions.push(opt.name);
+            }
+        }
+    }
+
+    // minimistでパース（zxのargvを利用）
+    const parsed = minimist(args, {
+        string: stringOptions,
+        boolean: booleanOptions,
+        alias: {
+            h: 'help',
             v: 'version'
         }
     });
@@ -352,22 +1941,33 @@ function parseArgs(args, plugin = null) {
 
     // ヘルプまたはバージョンが指定された場合
     if (parsed.help) {
-        return { command: 'help', ticketId: null, options: {} };
+        return { command: 'help', ticketId: null, target: null, options: {} };
     }
     if (parsed.version) {
-        return { command: 'version', ticketId: null, options: {} };
+        return { command: 'version', ticketId: null, target: null, options: {} };
     }
 
     // コマンドとチケットID/ファイルパスを抽出
     const command = positional[0] || null;
     const ticketId = positional[1] || null;
+    // サブコマンドの対象(例: auth set <名前>)
+    const target = positional[2] || null;
 
     // オプションを抽出（_, help, version以外）
     const { _, help, version, h, v, ...options } = parsed;
 
+    // ハイフン区切りのオプション名はアンダースコア区切りでも参照できるようにする
+    // (例: --done-ratio → options['done-ratio'], options.done_ratio)
+    for (const [key, value] of Object.entries(options)) {
+        if (key.includes('-')) {
+            options[key.replace(/-/g, '_')] = value;
+        }
+    }
+
     return {
         command,
         ticketId,
+        target,
         options
     };
 }
@@ -376,6 +1976,7 @@ function parseArgs(args, plugin = null) {
  * メイン処理
  */
 async function main() {
+    let command;
     try {
         // zxスクリプトとして実行される場合、process.argvの構造が異なる
         // process.argv[0] = node, process.argv[1] = zx, process.argv[2] = スクリプトパス, process.argv[3]以降 = 実引数
@@ -389,7 +1990,8 @@ async function main() {
 
         // 第1段階: 基本パース（コマンド判定のみ、プラグイン情報なし）
         const basicParsed = parseArgs(args);
-        const { command, ticketId } = basicParsed;
+        const { ticketId, target } = basicParsed;
+        command = basicParsed.command;
         let { options } = basicParsed;
 
         // コマンドが指定されていない場合
@@ -398,10 +2000,18 @@ async function main() {
             process.exit(1);
         }
 
-        // 第2段階: updateコマンドの場合はプラグインをロードして再パース
-        if (command === 'update') {
+        // 設定ファイルの指定(以降の設定の読み込みすべてに適用)
+        if (options.config) {
+            setConfigPath(options.config);
+        }
+
+        // 接続先のプロファイルを決定(--profile、チケットファイルのpm_profile、URLのホストの順)
+        const profile = resolveProfileName(command, ticketId, options);
+
+        // 第2段階: update/createコマンドの場合はプラグインをロードして再パース
+        if (command === 'update' || command === 'create') {
             try {
-                const { tool } = getPmToolConfig();
+                const { tool } = getPmToolConfig(profile);
                 const plugin = await loadPlugin(tool);
                 // プラグイン情報を使って再パース
                 const reparsed = parseArgs(args, plugin);
@@ -411,13 +2021,28 @@ async function main() {
                 debug('プラグインロードに失敗したため、基本パース結果を使用します', error);
             }
         }
+        if (profile) {
+            options.profile = profile;
+        }
+
+        // APIリクエストの同時実行数・1秒あたりのリクエスト数を設定
+        if (!['help', 'version', 'config'].includes(command)) {
+            try {
+                const { tool, config } = getPmToolConfig(profile);
+                const plugin = await loadPlugin(tool);
+                configureScheduler(getRateLimitOptions(config, plugin));
+            } catch (error) {
+                // 設定・プラグインの読み込みエラーは各コマンドで報告する
+                debug('スケジューラーの設定に失敗したため、デフォルト設定を使用します', error);
+            }
+        }
 
         // コマンド実行
         switch (command) {
             case 'help':
                 // ヘルプ表示時にプラグイン情報を含める
                 try {
-                    const { tool } = getPmToolConfig();
+                    const { tool } = getPmToolConfig(profile);
                     const plugin = await loadPlugin(tool);
                     showUsage(plugin);
                 } catch (error) {
@@ -430,14 +2055,62 @@ async function main() {
                 showVersion();
                 break;
 
-            case 'fetch':
-                await executeFetch(ticketId, options);
+            case 'fetch': {
+                // 一括取得で失敗したチケットがある場合は終了コード1
+                const result = await executeFetch(ticketId, options);
+                if (options.query && result.some(item => item.status === '失敗')) {
+                    process.exitCode = 1;
+                }
                 break;
+            }
 
             case 'update':
                 await executeUpdate(ticketId, options);
                 break;
 
+            case 'create':
+                await executeCreate(ticketId, options);
+                break;
+
+            case 'pull':
+                await executePull(ticketId, options);
+                break;
+
+            case 'sync': {
+                // 競合・失敗したチケットがある場合は終了コード1
+                const results = await executeSync(ticketId, options);
+                if (results.some(item => item.status === '競合' || item.status === '失敗')) {
+                    process.exitCode = 1;
+                }
+                break;
+            }
+
+            case 'auth':
+                await executeAuth(ticketId, target, options);
+                break;
+
+            case 'config':
+                await executeConfig(ticketId, options);
+                break;
+
+            case 'doctor': {
+                // 問題が見つかった場合は終了コード1
+                const results = await executeDoctor(options);
+                if (results.some(result => result.status === 'fail')) {
+                    process.exitCode = 1;
+                }
+                break;
+            }
+
+            case 'diff': {
+                // 差分がある場合は終了コード1、エラーの場合は2(diffコマンドと同様)
+                const { changed } = await executeDiff(ticketId, options);
+                if (changed.length > 0) {
+                    process.exitCode = 1;
+                }
+                break;
+            }
+
             default:
                 console.error(`エラー: 不明なコマンド "${command}"`);
                 showUsage();
@@ -446,16 +2119,17 @@ async function main() {
     } catch (error) {
         logError('コマンド実行エラー', error);
 
-        if (error instanceof PmToolError) {
+        if (isPmToolError(error)) {
             console.error(`\nエラー: ${error.message}`);
             if (error.details) {
-                console.error('詳細:', JSON.stringify(error.details, null, 2));
+                console.error('詳細:', redactUrl(JSON.stringify(error.details, null, 2)));
             }
         } else {
             console.error(`\n予期しないエラーが発生しました: ${error.message}`);
         }
 
-        process.exit(1);
+        // diffコマンドは差分ありの終了コード1と区別するため2で終了する
+        process.exit(command === 'diff' ? 2 : 1);
     }
 }
 
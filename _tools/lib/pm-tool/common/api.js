@@ -1,8 +1,14 @@
 #!/usr/bin/env zx
 
-import { debug, error as logError } from './logger.js';
+import { debug, error as logError, redactUrl } from './logger.js';
 import { ApiError, NetworkError, AuthenticationError, normalizeError } from './error.js';
-import { retry, isTransientError } from './retry.js';
+import { retry, isTransientError, extractRetryDetails } from './retry.js';
+import { scheduledFetch } from './scheduler.js';
+
+/**
+ * デフォルトのリクエストのタイムアウト(ミリ秒)
+ */
+const DEFAULT_TIMEOUT = 30000;
 
 /**
  * Basic認証ヘッダーを生成する
@@ -19,15 +25,24 @@ export function createBasicAuthHeader(username, password) {
 
 /**
  * HTTP APIリクエストを実行する
+ * リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
  *
  * @param {string} url - リクエストURL
  * @param {Object} options - fetchオプション
+ * @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+ * @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+ * @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
  * @param {Object} [retryOptions] - リトライオプション
  * @returns {Promise<Object>} レスポンスオブジェクト
  * @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
  */
 export async function apiRequest(url, options = {}, retryOptions = {}) {
-    debug(`API Request: ${options.method || 'GET'} ${url}`);
+    const { responseType, auth, timeout = DEFAULT_TIMEOUT, ...fetchOptions } = options;
+    const request = auth ? await auth.apply(url, fetchOptions.headers) : { url, headers: fetchOptions.headers };
+    // エラーの詳細・ログには認証情報を含めない
+    const displayUrl = redactUrl(url);
+
+    debug(`API Request: ${options.method || 'GET'} ${displayUrl}`);
 
     // デフォルトのリトライ設定
     const defaultRetryOptions = {
@@ -40,17 +55,17 @@ export async function apiRequest(url, options = {}, retryOptions = {}) {
     try {
         return await retry(async () => {
             try {
-                const response = await fetch(url, {
-                    timeout: 30000, // 30秒タイムアウト
-                    ...options
-                });
+                const response = await scheduledFetch(request.url, {
+                    ...fetchOptions,
+                    headers: request.headers
+                }, timeout);
 
                 debug(`API Response: ${response.status} ${response.statusText}`);
 
                 // 認証エラー
                 if (response.status === 401) {
                     throw new AuthenticationError('認証に失敗しました。APIキーまたはトークンを確認してください', {
-                        url,
+                        url: displayUrl,
                         status: response.status
                     });
                 }
@@ -58,41 +73,51 @@ export async function apiRequest(url, options = {}, retryOptions = {}) {
                 // 権限エラー
                 if (response.status === 403) {
                     throw new AuthenticationError('アクセス権限がありません', {
-                        url,
+                        url: displayUrl,
                         status: response.status
                     });
                 }
 
-                // レート制限
+                // レート制限(Retry-After等はリトライ時の待機時間に使用する)
                 if (response.status === 429) {
-                    const retryAfter = response.headers.get('Retry-After');
                     throw new ApiError(
                         'レート制限に達しました。しばらく待ってから再試行してください',
                         response.status,
-                        { retryAfter }
+                        extractRetryDetails(response.headers)
                     );
                 }
 
-                // サーバーエラー
+                // サーバーエラー(503等のRetry-Afterはリトライ時の待機時間に使用する)
                 if (response.status >= 500) {
                     const text = await response.text();
                     throw new ApiError(
                         'サーバーエラーが発生しました',
                         response.status,
-                        { responseBody: text }
+                        { responseBody: text, ...extractRetryDetails(response.headers) }
                     );
                 }
 
-                // クライアントエラー
+                // クライアントエラー(レスポンスにエラーメッセージがあればメッセージに含める)
                 if (!response.ok) {
                     const text = await response.text();
+                    const detail = extractErrorMessage(text);
                     throw new ApiError(
-                        `APIエラー: ${response.statusText}`,
+                        `APIエラー: ${detail || response.statusText}`,
                         response.status,
-                        { responseBody: text }
+                        { url: displayUrl, responseBody: text }
                     );
                 }
 
+                // レスポンスボディなし(204 No Content)
+                if (response.status === 204) {
+                    return null;
+                }
+
+                // バイナリレスポンス(添付ファイル等)
+                if (responseType === 'buffer') {
+                    return Buffer.from(await response.arrayBuffer());
+                }
+
                 // JSONレスポンスをパース
                 const contentType = response.headers.get('content-type');
                 if (contentType && contentType.includes('application/json')) {
@@ -104,19 +129,46 @@ export async function apiRequest(url, options = {}, retryOptions = {}) {
                 // fetch自体のエラー（ネットワークエラー等）
                 if (error instanceof TypeError) {
                     throw new NetworkError('ネットワークエラーが発生しました', {
-                        url,
+                        url: displayUrl,
                         originalError: error.message
                     });
                 }
+                // タイムアウト
+                if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                    throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1000}秒)`, {
+                        url: displayUrl
+                    });
+                }
                 throw error;
             }
         }, finalRetryOptions);
     } catch (error) {
-        logError(`API Request Failed: ${url}`, error);
+        logError(`API Request Failed: ${displayUrl}`, error);
         throw normalizeError(error);
     }
 }
 
+/**
+ * エラーレスポンスからエラーメッセージを取り出す
+ * {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+ * {error_description: "..."}(OAuth 2.0)の形式に対応する
+ *
+ * @param {string} text - レスポンスボディ
+ * @returns {string|null} エラーメッセージ(取り出せない場合はnull)
+ */
+function extractErrorMessage(text) {
+    try {
+        const data = JSON.parse(text);
+        if (Array.isArray(data.errors) && data.errors.length > 0) {
+            return data.errors.map(item => (typeof item === 'string' ? item : item.message)).filter(Boolean).join(', ');
+        }
+        const message = data.message || data.error_description || data.error;
+        return typeof message === 'string' ? message : null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * GETリクエストを実行する
  *
@@ -175,6 +227,26 @@ export async function put(url, body, headers = {}, retryOptions = {}) {
     }, retryOptions);
 }
 
+/**
+ * PATCHリクエストを実行する
+ *
+ * @param {string} url - リクエストURL
+ * @param {Object} body - リクエストボディ
+ * @param {Object} [headers] - リクエストヘッダー
+ * @param {Object} [retryOptions] - リトライオプション
+ * @returns {Promise<Object>} レスポンスオブジェクト
+ */
+export async function patch(url, body, headers = {}, retryOptions = {}) {
+    return apiRequest(url, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    }, retryOptions);
+}
+
 /**
  * DELETEリクエストを実行する
  *
@@ -192,3 +264,39 @@ export async function del(url, headers = {}, retryOptions = {}) {
         }
     }, retryOptions);
 }
+
+/**
+ * ファイルをダウンロードする
+ *
+ * @param {string} url - ダウンロードURL
+ * @param {Object} [headers] - リクエストヘッダー
+ * @param {Object} [retryOptions] - リトライオプション
+ * @returns {Promise<Buffer>} ファイルの内容
+ */
+export async function download(url, headers = {}, retryOptions = {}) {
+    return apiRequest(url, {
+        method: 'GET',
+        headers,
+        responseType: 'buffer'
+    }, retryOptions);
+}
+
+/**
+ * ファイルをアップロードする(バイナリをそのまま送信する)
+ *
+ * @param {string} url - アップロードURL
+ * @param {Buffer} content - ファイルの内容
+ * @param {Object} [headers] - リクエストヘッダー
+ * @param {Object} [retryOptions] - リトライオプション
+ * @returns {Promise<Object>} レスポンスオブジェクト
+ */
+export async function upload(url, content, headers = {}, retryOptions = {}) {
+    return apiRequest(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            ...headers
+        },
+        body: content
+    }, retryOptions);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env zx
+
+/**
+ * 添付ファイルと_files/のローカルファイルの対応付け
+ *
+ * fetch時は添付ファイルを「{チケットファイル名}-{添付ファイル名}」として_files/に保存し、
+ * update時はその命名規則をもとに、ローカルファイルがリモートに添付済みかを判定する。
+ */
+
+/**
+ * ファイル名に使用できない文字をハイフンに置き換える
+ *
+ * @param {string} name - ファイル名
+ * @returns {string} 置き換え後のファイル名
+ */
+export function sanitizeFilename(name) {
+    return String(name).replace(/[\\/:?*"<>|\s]+/g, '-');
+}
+
+/**
+ * 添付ファイルの保存先ファイル名を生成する
+ *
+ * @param {string} fileBase - チケットファイル名(拡張子なし)
+ * @param {{id: *, filename: string}} attachment - 添付ファイル情報
+ * @param {boolean} [withId=false] - 添付ファイルIDを付けるか(同名の添付ファイルを区別する場合)
+ * @returns {string} ファイル名
+ */
+export function toAttachmentFilename(fileBase, attachment, withId = false) {
+    const safeName = sanitizeFilename(attachment.filename);
+    if (!withId) {
+        return `${fileBase}-${safeName}`;
+    }
+    const ext = path.extname(safeName);
+    return `${fileBase}-${path.basename(safeName, ext)}-${attachment.id}${ext}`;
+}
+
+/**
+ * ローカルファイルに対応するリモートの添付ファイルを検索する
+ * 添付ファイル名そのもの、またはfetch時の命名規則で保存したファイル名と一致するものを返す
+ * (末尾の一致では判定しない。ticket-1-diagram-image.pngは添付ファイルimage.pngとは別のファイルとして扱う)
+ *
+ * @param {string} localName - ローカルファイル名
+ * @param {Array<{id: *, filename: string}>} attachments - リモートの添付ファイル一覧
+ * @param {string} fileBase - チケットファイル名(拡張子なし)
+ * @returns {Object|null} 対応する添付ファイル(ない場合はnull)
+ */
+export function findRemoteAttachment(localName, attachments, fileBase) {
+    return attachments.find(attachment =>
+        localName === attachment.filename
+        || localName === toAttachmentFilename(fileBase, attachment)
+        || localName === toAttachmentFilename(fileBase, attachment, true)
+    ) || null;
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env zx
+
+/**
+ * API認証方式
+ *
+ * 認証方式はリクエストのURL・ヘッダーに認証情報を付与するオブジェクト({type, apply(url, headers)})で、
+ * common/api.jsのapiRequestにauthオプションとして渡す。applyはPromiseを返してもよい(common/oauth.js)。
+ * 認証情報は送信直前に付与するため、ログに出力されるリクエストURLには含まれない。
+ */
+
+/**
+ * クエリパラメータで認証情報を送信する認証方式を作成する(例: BacklogのapiKey)
+ *
+ * @param {string} name - パラメータ名
+ * @param {string} value - APIキー
+ * @returns {{type: string, apply: function(string, Object): {url: string, headers: Object}}} 認証方式
+ */
+export function createQueryAuth(name, value) {
+    return {
+        type: 'query',
+        apply(url, headers = {}) {
+            const authorizedUrl = new URL(url);
+            authorizedUrl.searchParams.set(name, value);
+            return { url: authorizedUrl.toString(), headers };
+        }
+    };
+}
+
+/**
+ * Authorizationヘッダーでアクセストークンを送信する認証方式を作成する(OAuth 2.0)
+ *
+ * @param {string} token - アクセストークン
+ * @returns {{type: string, apply: function(string, Object): {url: string, headers: Object}}} 認証方式
+ */
+export function createBearerAuth(token) {
+    return {
+        type: 'bearer',
+        apply(url, headers = {}) {
+            return { url, headers: { ...headers, Authorization: `Bearer ${token}` } };
+        }
+    };
+}
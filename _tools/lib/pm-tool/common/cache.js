@@ -0,0 +1,101 @@
+#!/usr/bin/env zx
+
+import { debug, warn } from './logger.js';
+
+// zx内包のモジュール(fs, path, os)はimport不要
+
+/**
+ * キャッシュの有効期間のデフォルト値(秒)
+ */
+export const DEFAULT_CACHE_TTL = 3600;
+
+/**
+ * キャッシュディレクトリを取得する
+ * 環境変数PM_TOOL_CACHE_DIR、XDG_CACHE_HOME/pm-tool、~/.cache/pm-toolの順に参照する
+ *
+ * @returns {string} キャッシュディレクトリのパス
+ */
+export function getCacheDir() {
+    if (process.env.PM_TOOL_CACHE_DIR) {
+        return process.env.PM_TOOL_CACHE_DIR;
+    }
+    const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(base, 'pm-tool');
+}
+
+/**
+ * キャッシュキーからキャッシュファイルのパスを生成する
+ *
+ * @param {string} key - キャッシュキー
+ * @returns {string} キャッシュファイルのパス
+ */
+function getCachePath(key) {
+    const filename = key.replace(/[^a-zA-Z0-9._-]+/g, '_');
+    return path.join(getCacheDir(), `${filename}.json`);
+}
+
+/**
+ * キャッシュから値を読み込む
+ *
+ * @param {string} key - キャッシュキー
+ * @param {number} ttl - 有効期間(秒)
+ * @returns {*} キャッシュされた値、存在しないか期限切れの場合はundefined
+ */
+export function readCache(key, ttl = DEFAULT_CACHE_TTL) {
+    const cachePath = getCachePath(key);
+    try {
+        const entry = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        if (Date.now() - entry.savedAt > ttl * 1000) {
+            debug('キャッシュ期限切れ', { key });
+            return undefined;
+        }
+        debug('キャッシュを使用', { key });
+        return entry.value;
+    } catch (error) {
+        // キャッシュが存在しない、または壊れている場合は未キャッシュとして扱う
+        return undefined;
+    }
+}
+
+/**
+ * キャッシュに値を書き込む
+ * 書き込みに失敗しても処理は継続する
+ *
+ * @param {string} key - キャッシュキー
+ * @param {*} value - キャッシュする値(JSONとして保存可能な値)
+ */
+export function writeCache(key, value) {
+    const cachePath = getCachePath(key);
+    try {
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+        fs.writeFileSync(cachePath, JSON.stringify({ key, savedAt: Date.now(), value }), 'utf8');
+    } catch (error) {
+        warn('キャッシュの書き込みに失敗しました', { key, error: error.message });
+    }
+}
+
+/**
+ * キャッシュを利用して値を取得する
+ * 有効なキャッシュがない場合はloaderで取得し、キャッシュに保存する
+ *
+ * @param {string} key - キャッシュキー
+ * @param {Function} loader - 値を取得する非同期関数
+ * @param {Object} options - オプション
+ * @param {number} options.ttl - 有効期間(秒)、0の場合はキャッシュを使用しない
+ * @param {boolean} options.refresh - trueの場合はキャッシュを無視して再取得する
+ * @returns {Promise<*>} 値
+ */
+export async function cached(key, loader, { ttl = DEFAULT_CACHE_TTL, refresh = false } = {}) {
+    if (ttl > 0 && !refresh) {
+        const value = readCache(key, ttl);
+        if (value !== undefined) {
+            return value;
+        }
+    }
+
+    const value = await loader();
+    if (ttl > 0) {
+        writeCache(key, value);
+    }
+    return value;
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env zx
+
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'node:crypto';
+import { ConfigError } from './error.js';
+
+// zx内包のモジュール(fs, path, os)はimport不要
+
+/**
+ * 資格情報ストア
+ *
+ * APIキー等を名前を付けて ~/.config/pm-tool/credentials.json に保存し(本人のみ読み書き可能)、
+ * config.ymlの${secret:名前}で参照する。
+ * パスフレーズを指定した場合は、scryptで導出した鍵によるAES-256-GCMで暗号化して保存する。
+ * 暗号化したストアの参照時は、環境変数PM_TOOL_PASSPHRASEのパスフレーズで復号する。
+ */
+
+/**
+ * 暗号化の方式
+ */
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * 読み込んだ資格情報(設定ファイルの読み込みのたびに復号しないよう保持する)
+ */
+let cachedSecrets = null;
+
+/**
+ * 資格情報ファイルのパスを取得する
+ * 環境変数XDG_CONFIG_HOMEが設定されている場合はその配下に保存する
+ *
+ * @returns {string} 資格情報ファイルのパス
+ */
+export function getCredentialsPath() {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'pm-tool', 'credentials.json');
+}
+
+/**
+ * 資格情報ファイルが暗号化されているか判定する
+ *
+ * @returns {boolean} 暗号化されている場合はtrue(ファイルがない場合はfalse)
+ */
+export function isEncrypted() {
+    return !!readStore()?.encrypted;
+}
+
+/**
+ * 資格情報を読み込む
+ *
+ * @param {string|null} [passphrase] - パスフレーズ(暗号化されている場合は必須)
+ * @returns {Object<string, string>} 名前と値の対応(ファイルがない場合は空のオブジェクト)
+ * @throws {ConfigError} パスフレーズが未指定または正しくない場合、ファイルが読み込めない場合
+ */
+export function readCredentials(passphrase = null) {
+    const store = readStore();
+    if (!store) {
+        return {};
+    }
+    if (!store.encrypted) {
+        return store.secrets || {};
+    }
+    if (!passphrase) {
+        throw new ConfigError(
+            '資格情報ストアは暗号化されています。環境変数PM_TOOL_PASSPHRASEにパスフレーズを設定してください',
+            { credentialsPath: getCredentialsPath() }
+        );
+    }
+    return decrypt(store.encrypted, passphrase);
+}
+
+/**
+ * 資格情報を保存する
+ * ファイルは本人のみ読み書きできるパーミッション(0600)で作成する
+ *
+ * @param {Object<string, string>} secrets - 名前と値の対応
+ * @param {string|null} [passphrase] - パスフレーズ(指定した場合は暗号化する)
+ */
+export function writeCredentials(secrets, passphrase = null) {
+    const credentialsPath = getCredentialsPath();
+    const store = passphrase
+        ? { version: 1, encrypted: encrypt(secrets, passphrase) }
+        : { version: 1, secrets };
+
+    fs.mkdirSync(path.dirname(credentialsPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(credentialsPath, JSON.stringify(store, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    // 既存のファイルはmodeが適用されないため、パーミッションを設定し直す
+    fs.chmodSync(credentialsPath, 0o600);
+    cachedSecrets = null;
+}
+
+/**
+ * 名前を指定して資格情報の値を取得する(config.ymlの${secret:名前}の展開に使用)
+ *
+ * @param {string} name - 資格情報の名前
+ * @returns {string|undefined} 値(登録されていない場合はundefined)
+ * @throws {ConfigError} 暗号化されたストアのパスフレーズが未指定または正しくない場合
+ */
+export function getSecret(name) {
+    if (!cachedSecrets) {
+        cachedSecrets = readCredentials(process.env.PM_TOOL_PASSPHRASE || null);
+    }
+    return cachedSecrets[name];
+}
+
+/**
+ * 資格情報ファイルを読み込む
+ *
+ * @returns {Object|null} ファイルの内容(ない場合はnull)
+ * @throws {ConfigError} ファイルが読み込めない場合
+ */
+function readStore() {
+    const credentialsPath = getCredentialsPath();
+    try {
+        return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new ConfigError(`資格情報ファイルの読み込みに失敗しました: ${error.message}`, { credentialsPath });
+    }
+}
+
+/**
+ * 資格情報を暗号化する
+ *
+ * @param {Object<string, string>} secrets - 名前と値の対応
+ * @param {string} passphrase - パスフレーズ
+ * @returns {{kdf: string, salt: string, iv: string, tag: string, data: string}} 暗号化した資格情報(Base64)
+ */
+function encrypt(secrets, passphrase) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(CIPHER, scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * 資格情報を復号する
+ *
+ * @param {Object} encrypted - 暗号化した資格情報
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Object<string, string>} 名前と値の対応
+ * @throws {ConfigError} パスフレーズが正しくない場合
+ */
+function decrypt(encrypted, passphrase) {
+    try {
+        const key = scryptSync(passphrase, Buffer.from(encrypted.salt, 'base64'), 32);
+        const decipher = createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new ConfigError('資格情報ストアのパスフレーズが正しくありません', { credentialsPath: getCredentialsPath() });
+    }
+}
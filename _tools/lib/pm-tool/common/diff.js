@@ -0,0 +1,106 @@
+#!/usr/bin/env zx
+
+/**
+ * テキストの行単位の差分(unified diff形式)
+ */
+
+/**
+ * 2つのテキストの行単位の差分を求める(最長共通部分列による)
+ *
+ * @param {string} oldText - 変更前のテキスト
+ * @param {string} newText - 変更後のテキスト
+ * @returns {Array<{type: string, line: string}>} 差分(typeは' '(共通)、'-'(削除)、'+'(追加))
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText ? oldText.split('\n') : [];
+    const b = newText ? newText.split('\n') : [];
+
+    // table[i][j]: a[i..]とb[j..]の最長共通部分列の長さ
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            ops.push({ type: '-', line: a[i++] });
+        } else {
+            ops.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) {
+        ops.push({ type: '-', line: a[i++] });
+    }
+    while (j < b.length) {
+        ops.push({ type: '+', line: b[j++] });
+    }
+
+    return ops;
+}
+
+/**
+ * 2つのテキストの差分をunified diff形式のハンクとして生成する
+ *
+ * @param {string} oldText - 変更前のテキスト
+ * @param {string} newText - 変更後のテキスト
+ * @param {number} [context=3] - 変更箇所の前後に表示する行数
+ * @returns {string[]} ハンクの行(`@@ -1,3 +1,4 @@`、` 共通`、`-削除`、`+追加`)。差分がない場合は空配列
+ */
+export function unifiedDiff(oldText, newText, context = 3) {
+    const ops = diffLines(oldText, newText);
+
+    // 各行の変更前・変更後の行番号を求める
+    let oldNo = 1;
+    let newNo = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldNo, newNo };
+        if (op.type !== '+') {
+            oldNo++;
+        }
+        if (op.type !== '-') {
+            newNo++;
+        }
+        return entry;
+    });
+
+    // 変更箇所の前後context行をハンクとしてまとめる(重なる範囲は結合する)
+    const ranges = [];
+    numbered.forEach((op, index) => {
+        if (op.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(numbered.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    const lines = [];
+    for (const { start, end } of ranges) {
+        const hunk = numbered.slice(start, end + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        // 行数が0の場合は直前の行番号を表示する(unified diffの慣例)
+        const oldStart = oldCount === 0 ? hunk[0].oldNo - 1 : hunk[0].oldNo;
+        const newStart = newCount === 0 ? hunk[0].newNo - 1 : hunk[0].newNo;
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        lines.push(...hunk.map(op => `${op.type}${op.line}`));
+    }
+
+    return lines;
+}
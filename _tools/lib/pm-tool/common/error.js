@@ -1,5 +1,11 @@
 #!/usr/bin/env zx
 
+/**
+ * PM Toolのエラーであることを示すマーカー
+ * プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+ */
+const PM_TOOL_ERROR = Symbol.for('pm-tool.error');
+
 /**
  * PM Tool基底エラークラス
  */
@@ -9,9 +15,21 @@ export class PmToolError extends Error {
         this.name = 'PmToolError';
         this.code = code;
         this.details = details;
+        this[PM_TOOL_ERROR] = true;
     }
 }
 
+/**
+ * PM Toolのエラーかどうかを判定する
+ * プラグイン(別バンドル)で生成されたエラーも判定できる
+ *
+ * @param {Error} error - 判定するエラー
+ * @returns {boolean} PM Toolのエラーの場合はtrue
+ */
+export function isPmToolError(error) {
+    return error instanceof PmToolError || !!error?.[PM_TOOL_ERROR];
+}
+
 /**
  * 設定エラー
  */
@@ -63,6 +81,16 @@ export class ValidationError extends PmToolError {
     }
 }
 
+/**
+ * 競合エラー(取得後にリモートで更新されている場合)
+ */
+export class ConflictError extends PmToolError {
+    constructor(message, details) {
+        super(message, 'CONFLICT', details);
+        this.name = 'ConflictError';
+    }
+}
+
 /**
  * エラーを適切な型に変換する
  *
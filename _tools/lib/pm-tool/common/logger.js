@@ -15,6 +15,21 @@ const LOG_LEVELS = {
  */
 const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
 
+/**
+ * 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+ */
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+
+/**
+ * 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+ *
+ * @param {string} text - URLまたはURLを含む文字列
+ * @returns {string} 伏せ字にした文字列
+ */
+export function redactUrl(text) {
+    return String(text).replace(SECRET_QUERY_PATTERN, '$1***');
+}
+
 /**
  * タイムスタンプを生成する
  *
@@ -26,6 +41,7 @@ function timestamp() {
 
 /**
  * ログメッセージをフォーマットする
+ * URLに含まれるAPIキー等はログに出力しない
  *
  * @param {string} level - ログレベル
  * @param {string} message - ログメッセージ
@@ -37,7 +53,7 @@ function formatMessage(level, message, data) {
     if (data) {
         formatted += ` ${JSON.stringify(data)}`;
     }
-    return formatted;
+    return redactUrl(formatted);
 }
 
 /**
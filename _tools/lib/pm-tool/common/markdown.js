@@ -0,0 +1,235 @@
+#!/usr/bin/env zx
+
+/**
+ * pm-toolが生成するセクションの開始・終了マーカー
+ * fetch時に生成したセクション(コメント履歴等)を識別し、update時に説明から除外するために使用する
+ *
+ * @param {string} name - セクション名
+ * @returns {{start: string, end: string}} マーカー
+ */
+function sectionMarkers(name) {
+    return {
+        start: `<!-- pm-tool:${name}:start -->`,
+        end: `<!-- pm-tool:${name}:end -->`
+    };
+}
+
+/**
+ * Markdown本文からsubject（件名）を抽出する
+ * h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+ *
+ * @param {string} body - Markdown本文（LF改行）
+ * @returns {string} 件名（h1見出しのテキスト）
+ */
+export function extractSubjectFromMarkdown(body) {
+    if (!body) {
+        return '';
+    }
+    body = stripGeneratedSections(body);
+
+    // setext記法のh1（タイトル\n===）を抽出
+    const setextMatch = body.match(/^([^\n]+)\n=+/);
+    if (setextMatch) {
+        return setextMatch[1].trim();
+    }
+
+    // atx記法のh1（# タイトル）を抽出
+    const atxMatch = body.match(/^#\s+(.+)$/m);
+    if (atxMatch) {
+        return atxMatch[1].trim();
+    }
+
+    // h1が見つからない場合は空文字列を返す
+    return '';
+}
+
+/**
+ * Markdown本文からdescription（説明）を抽出する
+ * h1見出しを除去し、残りの本文を返す
+ *
+ * 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+ *
+ * @param {string} body - Markdown本文（LF改行）
+ * @returns {string} 説明（h1見出しを除いた本文）
+ */
+export function extractDescriptionFromMarkdown(body) {
+    if (!body) {
+        return '';
+    }
+
+    // fetch時に生成したセクション(コメント履歴等)は説明に含めない
+    body = stripGeneratedSections(body);
+
+    // setext記法のh1（タイトル\n===）を除去
+    const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+    if (setextMatch) {
+        return setextMatch[1].trim();
+    }
+
+    // atx記法のh1（# タイトル）を除去
+    const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+    if (atxMatch) {
+        return atxMatch[1].trim();
+    }
+
+    // h1が見つからない場合は本文全体を返す
+    return body.trim();
+}
+
+/**
+ * コメント履歴セクションを生成する
+ *
+ * @param {Array<Object>} comments - コメントの一覧(古い順)
+ * @param {string} comments[].author - 投稿者
+ * @param {string} comments[].created_at - 投稿日時(ISO形式)
+ * @param {string} [comments[].text] - コメント本文
+ * @param {Array<{field: string, from: *, to: *, text: string}>} [comments[].changes]
+ *   項目の変更履歴(textを指定した場合は変更前後の値の代わりに表示する)
+ * @returns {string} コメント履歴セクション(コメントがない場合は空文字列)
+ */
+export function renderCommentSection(comments) {
+    if (!comments || comments.length === 0) {
+        return '';
+    }
+
+    const entries = comments.map(comment => {
+        const lines = [`### ${comment.author || '(不明)'} (${formatDateTime(comment.created_at)})`, ''];
+        const changes = comment.changes || [];
+        if (changes.length > 0) {
+            lines.push(...changes.map(change => (change.text
+                ? `- ${change.field}: ${change.text}`
+                : `- ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`)), '');
+        }
+        const text = (comment.text || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+        if (text) {
+            lines.push(text, '');
+        }
+        return lines.join('\n');
+    });
+
+    return renderGeneratedSection('comments', 'コメント履歴', entries.join('\n'));
+}
+
+/**
+ * 添付ファイルセクションを生成する
+ *
+ * @param {Array<{name: string, path: string}>} links - 添付ファイル名とMarkdownファイルからの相対パス
+ * @returns {string} 添付ファイルセクション(添付ファイルがない場合は空文字列)
+ */
+export function renderAttachmentSection(links) {
+    if (!links || links.length === 0) {
+        return '';
+    }
+
+    const items = links.map(link => `- [${link.name}](${encodeURI(link.path)})`);
+    return renderGeneratedSection('attachments', '添付ファイル', `${items.join('\n')}\n`);
+}
+
+/**
+ * pm-toolが生成するセクションを本文の末尾に追加する
+ *
+ * @param {string} body - Markdown本文
+ * @param {string} section - 追加するセクション(空文字列の場合は追加しない)
+ * @returns {string} セクションを追加した本文
+ */
+export function appendSection(body, section) {
+    if (!section) {
+        return body;
+    }
+    return body ? `${body}\n\n${section}` : section;
+}
+
+/**
+ * pm-toolが生成するセクションを組み立てる
+ *
+ * @param {string} name - セクション名(マーカーに使用)
+ * @param {string} title - 見出し
+ * @param {string} content - セクションの内容
+ * @returns {string} マーカーで囲まれたセクション
+ */
+function renderGeneratedSection(name, title, content) {
+    const { start, end } = sectionMarkers(name);
+    return [
+        start,
+        title,
+        '-------------------------',
+        '',
+        content,
+        end
+    ].join('\n');
+}
+
+/**
+ * Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+ *
+ * @param {string} body - Markdown本文（LF改行）
+ * @returns {string} 生成したセクションを除いた本文
+ */
+export function stripGeneratedSections(body) {
+    return body
+        .replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, '')
+        .trim();
+}
+
+/**
+ * Markdown本文から_files/へのリンク先を抽出する
+ * リンク・画像(`[テキスト](パス)`、`![代替テキスト](パス)`)の相対パスのみを対象とする
+ *
+ * @param {string} body - Markdown本文（LF改行）
+ * @returns {string[]} リンク先の一覧(重複なし、記述された形式のまま)
+ */
+export function extractFileLinks(body) {
+    const links = new Set();
+    for (const match of body.matchAll(/!?\[[^\]]*\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g)) {
+        const target = match[1];
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(target) && /(^|\/)_files\//.test(target)) {
+            links.add(target);
+        }
+    }
+    return [...links];
+}
+
+/**
+ * Markdown本文のリンク先を置き換える
+ *
+ * @param {string} body - Markdown本文
+ * @param {Object<string, string>} replacements - 置き換え前のリンク先と置き換え後のリンク先
+ * @returns {string} リンク先を置き換えた本文
+ */
+export function replaceLinks(body, replacements) {
+    if (!body || Object.keys(replacements).length === 0) {
+        return body;
+    }
+    return body.replace(/(!?\[[^\]]*\]\(<?)([^)\s>]+)(>?(?:\s+"[^"]*")?\))/g, (match, open, target, close) => {
+        return Object.hasOwn(replacements, target) ? `${open}${replacements[target]}${close}` : match;
+    });
+}
+
+/**
+ * ISO形式の日時をUTCの「YYYY-MM-DD HH:mm UTC」形式に変換する
+ * 実行環境のタイムゾーンに依存すると、取得する人によってファイルの内容が変わるためUTCで表示する
+ *
+ * @param {string} value - ISO形式の日時
+ * @returns {string} 変換後の日時(変換できない場合は元の値)
+ */
+function formatDateTime(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        return value || '';
+    }
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * 変更履歴の値を表示用に変換する
+ *
+ * @param {*} value - 変更前または変更後の値
+ * @returns {string} 表示用の値(未設定の場合は「(なし)」)
+ */
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '(なし)';
+    }
+    // 複数行の値は1行にまとめる
+    return String(value).replace(/\s*\r?\n\s*/g, ' ');
+}
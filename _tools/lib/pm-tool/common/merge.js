@@ -0,0 +1,298 @@
+#!/usr/bin/env zx
+
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown } from './markdown.js';
+
+/**
+ * チケットファイルの3-wayマージと差分
+ *
+ * 前回取得時のリモートの内容(ベース)、ローカルのファイル、現在のリモートの内容を比較し、
+ * 片方のみが変更した箇所はその変更を採用する。
+ * 両方が同じ箇所を異なる内容に変更した場合は競合マーカーを書き込む。
+ *
+ * - フロントマター: キー単位でマージする
+ * - 本文: 見出し単位のセクションでマージする(pm-toolが生成したセクションは1つのセクションとして扱う)
+ *   生成したセクション(コメント履歴等)はオプションを付けずに取得するとリモートに含まれないため、
+ *   リモートにない場合はローカルの内容を残す
+ */
+
+/**
+ * 競合マーカー
+ */
+const CONFLICT_START = '<<<<<<< local';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> remote';
+
+/**
+ * YAMLフロントマターを3-wayマージする
+ *
+ * @param {Object} base - ベースのフロントマター
+ * @param {Object} local - ローカルのフロントマター
+ * @param {Object} remote - リモートのフロントマター
+ * @returns {{text: string, conflicts: string[]}} マージ後のYAML文字列と競合したキーの一覧
+ */
+export function mergeFrontmatter(base, local, remote) {
+    // ローカルのキー順を維持し、リモートで追加されたキーを末尾に加える
+    const keys = [...new Set([...Object.keys(local), ...Object.keys(remote)])];
+    const lines = [];
+    const conflicts = [];
+
+    for (const key of keys) {
+        const merged = mergeValue(base[key], local[key], remote[key], isSameValue);
+        if (merged.conflict) {
+            conflicts.push(key);
+            lines.push(renderConflict(toYaml(key, local[key]), toYaml(key, remote[key])));
+        } else if (merged.value !== undefined) {
+            lines.push(toYaml(key, merged.value));
+        }
+    }
+
+    return { text: lines.join('\n'), conflicts };
+}
+
+/**
+ * Markdown本文を見出し単位で3-wayマージする
+ *
+ * @param {string} base - ベースの本文（LF改行）
+ * @param {string} local - ローカルの本文（LF改行）
+ * @param {string} remote - リモートの本文（LF改行）
+ * @returns {{text: string, conflicts: string[]}} マージ後の本文と競合したセクション(見出し)の一覧
+ */
+export function mergeMarkdown(base, local, remote) {
+    const baseSections = toSectionMap(splitSections(base));
+    const localSections = splitSections(local);
+    const remoteSections = splitSections(remote);
+    const localMap = toSectionMap(localSections);
+    const remoteMap = toSectionMap(remoteSections);
+    const remoteGenerated = new Set(remoteSections.map(section => generatedName(section.key)).filter(Boolean));
+
+    // ローカルのセクション順を維持し、リモートにのみあるセクションはリモートでの直前のセクションの後ろに挿入する
+    const order = localSections.map(section => section.key);
+    let anchor = -1;
+    for (const { key } of remoteSections) {
+        const index = order.indexOf(key);
+        if (index !== -1) {
+            anchor = index;
+            continue;
+        }
+        order.splice(anchor + 1, 0, key);
+        anchor++;
+    }
+
+    const blocks = [];
+    const conflicts = [];
+    for (const key of order) {
+        const localText = localMap.get(key);
+        const remoteText = remoteMap.get(key);
+        const name = generatedName(key);
+        const merged = name && !remoteGenerated.has(name)
+            ? { value: localText }
+            : mergeValue(baseSections.get(key), localText, remoteText, (a, b) => a === b);
+        if (merged.conflict) {
+            conflicts.push(key.replace(/^#+\s*/, '') || '(見出しなし)');
+            blocks.push(renderConflict(localText ?? '', remoteText ?? ''));
+        } else if (merged.value !== undefined && merged.value !== '') {
+            blocks.push(merged.value);
+        }
+    }
+
+    return { text: blocks.join('\n\n'), conflicts };
+}
+
+/**
+ * 競合マーカーが残っているかどうかを判定する
+ *
+ * @param {string} text - チケットの本文
+ * @returns {boolean} 競合マーカーがある場合はtrue
+ */
+export function hasConflictMarkers(text) {
+    const lines = (text || '').split('\n');
+    return lines.includes(CONFLICT_START) || lines.includes(CONFLICT_END);
+}
+
+/**
+ * チケットの変更内容を項目単位で比較する
+ * フロントマターはキー単位、本文は件名(h1見出し)と説明に分けて比較する
+ *
+ * @param {{frontmatter: Object, body: string}} before - 変更前のチケット
+ * @param {{frontmatter: Object, body: string}} after - 変更後のチケット
+ * @param {string[]} [ignoreKeys] - 比較しないフロントマターのキー
+ * @returns {Array<{field: string, from: *, to: *}>} 変更された項目(説明はfrom/toを省略)
+ */
+export function diffTicket(before, after, ignoreKeys = []) {
+    const changes = [];
+    const keys = [...new Set([...Object.keys(before.frontmatter || {}), ...Object.keys(after.frontmatter || {})])];
+    for (const key of keys) {
+        const from = before.frontmatter?.[key];
+        const to = after.frontmatter?.[key];
+        if (!ignoreKeys.includes(key) && !isSameValue(from, to)) {
+            changes.push({ field: key, from, to });
+        }
+    }
+
+    const fromSubject = extractSubjectFromMarkdown(before.body);
+    const toSubject = extractSubjectFromMarkdown(after.body);
+    if (fromSubject !== toSubject) {
+        changes.push({ field: 'subject', from: fromSubject, to: toSubject });
+    }
+    if (extractDescriptionFromMarkdown(before.body) !== extractDescriptionFromMarkdown(after.body)) {
+        changes.push({ field: 'description' });
+    }
+
+    return changes;
+}
+
+/**
+ * 1つの値を3-wayマージする
+ * 値がない(削除された)場合はundefinedとして扱う
+ *
+ * @param {*} base - ベースの値
+ * @param {*} local - ローカルの値
+ * @param {*} remote - リモートの値
+ * @param {Function} equals - 値の比較関数
+ * @returns {{value?: *, conflict?: boolean}} マージ結果
+ */
+function mergeValue(base, local, remote, equals) {
+    if (equals(local, remote)) {
+        return { value: local };
+    }
+    if (equals(local, base)) {
+        return { value: remote };
+    }
+    if (equals(remote, base)) {
+        return { value: local };
+    }
+    return { conflict: true };
+}
+
+/**
+ * フロントマターの値が同じかどうかを判定する
+ *
+ * @param {*} a - 値
+ * @param {*} b - 値
+ * @returns {boolean} 同じ場合はtrue
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * フロントマターの1つのキーをYAML文字列に変換する
+ *
+ * @param {string} key - キー
+ * @param {*} value - 値(undefinedの場合は空文字列)
+ * @returns {string} YAML文字列
+ */
+function toYaml(key, value) {
+    return value === undefined ? '' : YAML.stringify({ [key]: value }).trimEnd();
+}
+
+/**
+ * 競合マーカーで囲んだ文字列を生成する
+ *
+ * @param {string} local - ローカルの内容
+ * @param {string} remote - リモートの内容
+ * @returns {string} 競合マーカー付きの文字列
+ */
+function renderConflict(local, remote) {
+    return [
+        CONFLICT_START,
+        ...(local ? [local] : []),
+        CONFLICT_SEPARATOR,
+        ...(remote ? [remote] : []),
+        CONFLICT_END
+    ].join('\n');
+}
+
+/**
+ * Markdown本文を見出し単位のセクションに分割する
+ * 同じ見出しが複数ある場合は出現順の番号で区別する
+ *
+ * @param {string} markdown - Markdown本文（LF改行）
+ * @returns {Array<{key: string, text: string}>} セクションの一覧(keyは見出し行)
+ */
+function splitSections(markdown) {
+    const lines = (markdown || '').split('\n');
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    let inFence = false;
+
+    const push = () => {
+        // セクション間の空行は結合時に付け直すため除く
+        const text = current.lines.join('\n').replace(/^\n+/, '').trimEnd();
+        if (text || current.heading) {
+            sections.push({ heading: current.heading, text });
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+
+        if (!inFence) {
+            // pm-toolが生成したセクション(コメント履歴等)は終了マーカーまでを1つのセクションとする
+            const generated = line.match(/^<!-- pm-tool:([\w-]+):start -->$/);
+            if (generated) {
+                push();
+                const endMarker = `<!-- pm-tool:${generated[1]}:end -->`;
+                let end = i;
+                while (end < lines.length - 1 && lines[end] !== endMarker) {
+                    end++;
+                }
+                current = { heading: `pm-tool:${generated[1]}`, lines: lines.slice(i, end + 1) };
+                push();
+                current = { heading: `pm-tool:${generated[1]}:after`, lines: [] };
+                i = end;
+                continue;
+            }
+
+            // atx記法の見出し
+            if (/^#{1,6}\s/.test(line)) {
+                push();
+                current = { heading: line.trim(), lines: [line] };
+                continue;
+            }
+
+            // setext記法の見出し
+            if (line.trim() && i + 1 < lines.length && /^(=+|-+)\s*$/.test(lines[i + 1])) {
+                push();
+                current = { heading: line.trim(), lines: [line, lines[i + 1]] };
+                i++;
+                continue;
+            }
+        }
+
+        current.lines.push(line);
+    }
+    push();
+
+    // 見出しの重複を出現順の番号で区別する
+    const counts = new Map();
+    return sections.map(section => {
+        const count = (counts.get(section.heading) || 0) + 1;
+        counts.set(section.heading, count);
+        return { key: count > 1 ? `${section.heading} (${count})` : section.heading, text: section.text };
+    });
+}
+
+/**
+ * pm-toolが生成したセクション(とその直後の部分)のキーからセクション名を取得する
+ *
+ * @param {string} key - セクションのキー
+ * @returns {string|null} セクション名(commentsなど)、生成したセクションでない場合はnull
+ */
+function generatedName(key) {
+    return key.match(/^pm-tool:([\w-]+)(?::after)?(?: \(\d+\))?$/)?.[1] ?? null;
+}
+
+/**
+ * セクションの一覧をキーから本文を引けるMapに変換する
+ *
+ * @param {Array<{key: string, text: string}>} sections - セクションの一覧
+ * @returns {Map<string, string>} キーとセクション本文のMap
+ */
+function toSectionMap(sections) {
+    return new Map(sections.map(section => [section.key, section.text]));
+}
@@ -0,0 +1,341 @@
+#!/usr/bin/env zx
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { spawn } from 'node:child_process';
+import { getTicketDir } from '../config.js';
+import { apiRequest } from './api.js';
+import { info, debug } from './logger.js';
+import { AuthenticationError } from './error.js';
+
+// zx内包のモジュール(fs, path)はimport不要
+
+/**
+ * OAuth 2.0認証(認可コードフロー)
+ *
+ * `pm-tool auth login`でブラウザから認可し、ローカルのループバックアドレスで受け取った認可コードを
+ * アクセストークンに交換して .ticket/.pm-tool/auth/{ツール名}-{ホスト名}.json に保存する(本人のみ読み書き可能)。
+ * トークンは接続先のサーバーごとに保存するため、同じツールの複数のプロファイルを併用できる。
+ * API呼び出し時は保存したトークンを使用し、有効期限が近い場合はリフレッシュトークンで更新する。
+ *
+ * OAuthに対応するプラグインは、以下のプロバイダー定義をoauthとして公開する。
+ * - authorizeUrl(config, {redirectUri, state}): 認可画面のURL
+ * - tokenUrl(config): トークンエンドポイントのURL
+ */
+
+/**
+ * デフォルトのリダイレクトURI(アプリケーション登録時に指定したものと一致させる)
+ */
+export const DEFAULT_REDIRECT_URI = 'http://localhost:5033/callback';
+
+/**
+ * 認可コードの受け取りを待つ時間(ミリ秒)
+ */
+const LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * 有効期限のこの時間(ミリ秒)前からトークンを更新する
+ */
+const REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * トークンファイルごとのトークン更新処理(同時に複数のリクエストから更新しないよう共有する)
+ */
+const refreshing = new Map();
+
+/**
+ * トークンファイルのパスを生成する
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(url)
+ * @returns {string} トークンファイルのパス
+ */
+export function getTokenPath(tool, config) {
+    return path.join(getTicketDir(), '.pm-tool', 'auth', `${getTokenName(tool, config)}.json`);
+}
+
+/**
+ * 保存したトークンを読み込む
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(url)
+ * @returns {{access_token: string, refresh_token?: string, expires_at?: string}|null} トークン(ない場合はnull)
+ */
+export function readToken(tool, config) {
+    try {
+        return JSON.parse(fs.readFileSync(getTokenPath(tool, config), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * トークンを保存する
+ * トークンファイルは本人のみ読み書きできるパーミッション(0600)で作成する
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(url)
+ * @param {Object} token - トークン
+ */
+export function writeToken(tool, config, token) {
+    const tokenPath = getTokenPath(tool, config);
+    fs.mkdirSync(path.dirname(tokenPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    // 既存のファイルはmodeが適用されないため、パーミッションを設定し直す
+    fs.chmodSync(tokenPath, 0o600);
+    debug('トークンを保存', { tokenPath });
+}
+
+/**
+ * 保存したトークンを削除する
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(url)
+ * @returns {boolean} 削除した場合はtrue
+ */
+export function deleteToken(tool, config) {
+    const tokenPath = getTokenPath(tool, config);
+    if (!fs.existsSync(tokenPath)) {
+        return false;
+    }
+    fs.unlinkSync(tokenPath);
+    return true;
+}
+
+/**
+ * ブラウザで認可し、取得したトークンを保存する
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(client_id、client_secret、redirect_uri)
+ * @param {Object} provider - プラグインのOAuthプロバイダー定義
+ * @returns {Promise<Object>} 保存したトークン
+ * @throws {AuthenticationError} 認可が拒否された、またはタイムアウトした場合
+ */
+export async function login(tool, config, provider) {
+    const redirectUri = config.redirect_uri || DEFAULT_REDIRECT_URI;
+    const state = randomBytes(16).toString('hex');
+    const authorizeUrl = provider.authorizeUrl(config, { redirectUri, state });
+
+    const code = await waitForAuthorizationCode(redirectUri, state, () => {
+        console.log('\n以下のURLをブラウザで開いて、アクセスを許可してください:');
+        console.log(`  ${authorizeUrl}\n`);
+        openBrowser(authorizeUrl);
+    });
+
+    const token = await requestToken(provider.tokenUrl(config), {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: config.client_id,
+        client_secret: config.client_secret
+    });
+    writeToken(tool, config, token);
+    info('アクセストークンを保存しました', { tokenPath: getTokenPath(tool, config) });
+
+    return token;
+}
+
+/**
+ * 有効なアクセストークンを取得する
+ * 有効期限が近い場合はリフレッシュトークンで更新して保存する
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(client_id、client_secret)
+ * @param {Object} provider - プラグインのOAuthプロバイダー定義
+ * @returns {Promise<string>} アクセストークン
+ * @throws {AuthenticationError} ログインしていない、またはトークンを更新できない場合
+ */
+export async function getAccessToken(tool, config, provider) {
+    const tokenPath = getTokenPath(tool, config);
+    const token = readToken(tool, config);
+    if (!token?.access_token) {
+        throw new AuthenticationError(
+            `${tool}にログインしていません。pm-tool auth login を実行してください`,
+            { tokenPath }
+        );
+    }
+
+    if (!isExpiring(token)) {
+        return token.access_token;
+    }
+
+    if (!token.refresh_token) {
+        throw new AuthenticationError(
+            'アクセストークンの有効期限が切れています。pm-tool auth login を実行してください',
+            { expires_at: token.expires_at }
+        );
+    }
+
+    if (!refreshing.has(tokenPath)) {
+        debug('アクセストークンを更新', { tool, expires_at: token.expires_at });
+        const refresh = requestToken(provider.tokenUrl(config), {
+            grant_type: 'refresh_token',
+            refresh_token: token.refresh_token,
+            client_id: config.client_id,
+            client_secret: config.client_secret
+        })
+            .then(refreshed => {
+                // リフレッシュトークンが返されない場合は元のリフレッシュトークンを使い続ける
+                const saved = { refresh_token: token.refresh_token, ...refreshed };
+                writeToken(tool, config, saved);
+                return saved;
+            })
+            .catch(error => {
+                throw new AuthenticationError(
+                    `アクセストークンの更新に失敗しました。pm-tool auth login を実行してください: ${error.message}`
+                );
+            })
+            .finally(() => refreshing.delete(tokenPath));
+        refreshing.set(tokenPath, refresh);
+    }
+
+    return (await refreshing.get(tokenPath)).access_token;
+}
+
+/**
+ * 保存したトークン(必要に応じて更新する)で認証する認証方式を作成する
+ * common/auth.jsの認証方式と同じく、apiRequestのauthオプションに渡す
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定
+ * @param {Object} provider - プラグインのOAuthプロバイダー定義
+ * @returns {{type: string, apply: function(string, Object): Promise<{url: string, headers: Object}>}} 認証方式
+ */
+export function createOAuthAuth(tool, config, provider) {
+    return {
+        type: 'oauth',
+        async apply(url, headers = {}) {
+            const accessToken = await getAccessToken(tool, config, provider);
+            return { url, headers: { ...headers, Authorization: `Bearer ${accessToken}` } };
+        }
+    };
+}
+
+/**
+ * トークンの有効期限が近いか判定する
+ *
+ * @param {Object} token - トークン
+ * @returns {boolean} 有効期限が近い、または切れている場合はtrue(有効期限がない場合はfalse)
+ */
+export function isExpiring(token) {
+    if (!token.expires_at) {
+        return false;
+    }
+    return new Date(token.expires_at).getTime() - REFRESH_MARGIN <= Date.now();
+}
+
+/**
+ * トークンファイルの名前を生成する({ツール名}-{ホスト名}、URLがない場合はツール名)
+ *
+ * @param {string} tool - ツール名
+ * @param {Object} config - ツール固有の設定(url)
+ * @returns {string} トークンファイルの名前(拡張子なし)
+ */
+function getTokenName(tool, config) {
+    try {
+        return `${tool}-${new URL(config.url).host.replace(':', '_')}`;
+    } catch (error) {
+        return tool;
+    }
+}
+
+/**
+ * トークンエンドポイントにリクエストし、トークンを取得する
+ *
+ * @param {string} tokenUrl - トークンエンドポイントのURL
+ * @param {Object} params - リクエストパラメータ(フォーム形式で送信)
+ * @returns {Promise<{access_token: string, refresh_token?: string, token_type: string, expires_at?: string}>} トークン
+ */
+async function requestToken(tokenUrl, params) {
+    const response = await apiRequest(tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+    });
+
+    const token = {
+        access_token: response.access_token,
+        token_type: response.token_type || 'Bearer'
+    };
+    if (response.refresh_token) {
+        token.refresh_token = response.refresh_token;
+    }
+    if (response.expires_in) {
+        token.expires_at = new Date(Date.now() + Number(response.expires_in) * 1000).toISOString();
+    }
+    return token;
+}
+
+/**
+ * リダイレクトURIで待ち受け、認可コードを受け取る
+ *
+ * @param {string} redirectUri - リダイレクトURI(ループバックアドレス)
+ * @param {string} state - CSRF対策のstateパラメータ
+ * @param {Function} onListening - 待ち受けを開始した後に呼び出す処理
+ * @returns {Promise<string>} 認可コード
+ * @throws {AuthenticationError} 認可が拒否された、stateが一致しない、またはタイムアウトした場合
+ */
+function waitForAuthorizationCode(redirectUri, state, onListening) {
+    const redirect = new URL(redirectUri);
+
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            const url = new URL(req.url, redirectUri);
+            if (url.pathname !== redirect.pathname) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+
+            const finish = (message, result) => {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(`<!DOCTYPE html><html><body><p>${message}</p></body></html>`);
+                clearTimeout(timer);
+                server.close();
+                result();
+            };
+
+            if (url.searchParams.get('state') !== state) {
+                finish('認証に失敗しました。', () => reject(new AuthenticationError('認可のレスポンスのstateが一致しません')));
+            } else if (url.searchParams.get('error')) {
+                const error = url.searchParams.get('error');
+                finish('認証に失敗しました。', () => reject(new AuthenticationError(`認可が拒否されました: ${error}`)));
+            } else {
+                finish('認証が完了しました。このウィンドウを閉じてください。', () => resolve(url.searchParams.get('code')));
+            }
+        });
+
+        const timer = setTimeout(() => {
+            server.close();
+            reject(new AuthenticationError(`${LOGIN_TIMEOUT / 60000}分以内に認可されなかったため中断しました`));
+        }, LOGIN_TIMEOUT);
+
+        server.on('error', error => {
+            clearTimeout(timer);
+            reject(new AuthenticationError(`リダイレクトURIで待ち受けできません: ${error.message}`, { redirectUri }));
+        });
+
+        server.listen(Number(redirect.port) || 80, redirect.hostname, onListening);
+    });
+}
+
+/**
+ * 既定のブラウザでURLを開く(開けない場合は何もしない)
+ *
+ * @param {string} url - URL
+ */
+function openBrowser(url) {
+    const [command, ...args] = process.platform === 'darwin'
+        ? ['open', url]
+        : process.platform === 'win32'
+            ? ['cmd', '/c', 'start', '', url]
+            : ['xdg-open', url];
+
+    try {
+        spawn(command, args, { stdio: 'ignore', detached: true })
+            .on('error', error => debug('ブラウザを開けませんでした', { error: error.message }))
+            .unref();
+    } catch (error) {
+        debug('ブラウザを開けませんでした', { error: error.message });
+    }
+}
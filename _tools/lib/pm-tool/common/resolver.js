@@ -0,0 +1,117 @@
+#!/usr/bin/env zx
+
+import { debug } from './logger.js';
+import { ValidationError } from './error.js';
+import { cached, DEFAULT_CACHE_TTL } from './cache.js';
+
+/**
+ * 名前またはIDで一覧から項目を検索する
+ *
+ * @param {Array<Object>} items - 項目の一覧(id, nameを持つ)
+ * @param {string|number|undefined} value - 名前またはID
+ * @param {string} label - 項目の名称(エラーメッセージ用)
+ * @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+ * @returns {Object} 見つかった項目
+ * @throws {ValidationError} 未指定または見つからない場合
+ */
+export function findByNameOrId(items, value, label, names = (item) => [item.name]) {
+    const available = items.map(item => item.name).join(', ');
+
+    if (isEmpty(value)) {
+        throw new ValidationError(`${label}が指定されていません。使用可能な${label}: ${available}`);
+    }
+
+    const item = matchItem(items, value, names);
+    if (!item) {
+        throw new ValidationError(
+            `${label} "${value}" が見つかりません。使用可能な${label}: ${available}`,
+            { [label]: value }
+        );
+    }
+
+    return item;
+}
+
+/**
+ * 一覧APIから取得した項目を名前またはIDで検索するリゾルバーを作成する
+ * 一覧はキャッシュし、有効期間内は再取得しない
+ * 名前が見つからない場合はキャッシュが古い可能性があるため、一覧を再取得して検索し直す
+ *
+ * @param {Object} options - オプション
+ * @param {Object<string, {label: string, names?: function(Object): Array<string>}>} options.resources - 変換対象の定義
+ * @param {function(string): string} options.cacheKey - 変換対象からキャッシュキーを生成する関数
+ * @param {function(string): Promise<Array<Object>>} options.fetchList - 変換対象の一覧をAPIから取得する関数
+ * @param {number} options.ttl - キャッシュの有効期間(秒)、0の場合はキャッシュしない
+ * @returns {{find: function(string, string|number): Promise<Object>, list: function(string): Promise<Array<Object>>}} リゾルバー
+ */
+export function createListResolver({ resources, cacheKey, fetchList, ttl = DEFAULT_CACHE_TTL }) {
+    const lists = {};
+
+    /**
+     * 一覧を取得する(同じリゾルバー内で取得済みの場合、またはキャッシュがあれば再利用する)
+     *
+     * @param {string} type - 変換対象
+     * @param {boolean} refresh - キャッシュを無視して再取得する場合はtrue
+     * @returns {Promise<Array<Object>>} 一覧
+     */
+    async function load(type, refresh = false) {
+        if (refresh || !lists[type]) {
+            lists[type] = cached(cacheKey(type), () => fetchList(type), { ttl, refresh });
+        }
+        return await lists[type];
+    }
+
+    return {
+        /**
+         * 名前またはIDから項目を検索する
+         *
+         * @param {string} type - 変換対象
+         * @param {string|number} value - 名前またはID
+         * @returns {Promise<Object>} 見つかった項目
+         * @throws {ValidationError} 未指定または見つからない場合(使用可能な名前の一覧を含む)
+         */
+        async find(type, value) {
+            const { label, names } = resources[type];
+            let items = await load(type);
+
+            if (!isEmpty(value) && !matchItem(items, value, names)) {
+                debug('名前が見つからないため一覧を再取得します', { type, value });
+                items = await load(type, true);
+            }
+
+            return findByNameOrId(items, value, label, names);
+        },
+
+        /**
+         * 一覧を取得する
+         *
+         * @param {string} type - 変換対象
+         * @returns {Promise<Array<Object>>} 一覧
+         */
+        async list(type) {
+            return await load(type);
+        }
+    };
+}
+
+/**
+ * 名前またはIDに一致する項目を探す
+ *
+ * @param {Array<Object>} items - 項目の一覧
+ * @param {string|number} value - 名前またはID
+ * @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+ * @returns {Object|undefined} 見つかった項目
+ */
+function matchItem(items, value, names = (item) => [item.name]) {
+    return items.find(item => names(item).includes(String(value)) || String(item.id) === String(value));
+}
+
+/**
+ * 未指定(空文字列を含む)かどうかを判定する
+ *
+ * @param {*} value - 値
+ * @returns {boolean} 未指定の場合はtrue
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
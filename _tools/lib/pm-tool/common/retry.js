@@ -14,6 +14,7 @@ function sleep(ms) {
 
 /**
  * 指数バックオフでリトライを実行する
+ * エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
  *
  * @param {Function} fn - 実行する関数
  * @param {Object} options - オプション
@@ -21,9 +22,11 @@ function sleep(ms) {
  * @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
  * @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
  * @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+ * @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+ * @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
  * @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
  * @returns {Promise<*>} 関数の実行結果
- * @throws {Error} すべてのリトライが失敗した場合
+ * @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
  */
 export async function retry(fn, options = {}) {
     const {
@@ -31,9 +34,12 @@ export async function retry(fn, options = {}) {
         initialDelay = 1000,
         maxDelay = 10000,
         backoffMultiplier = 2,
+        jitter = 0.5,
+        timeBudget = 60000,
         shouldRetry = () => true
     } = options;
 
+    const startedAt = Date.now();
     let lastError;
     let delay = initialDelay;
 
@@ -55,11 +61,22 @@ export async function retry(fn, options = {}) {
                 throw error;
             }
 
+            // 同時に失敗したリクエストが一斉に再試行しないようジッターを加える
+            const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+            const wait = Math.round(Math.max(backoff, getRetryAfter(error) ?? 0));
+
+            if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+                warn(`リトライの待機時間が上限(${timeBudget / 1000}秒)を超えるため中断します: ${error.message}`, {
+                    nextRetryIn: wait
+                });
+                break;
+            }
+
             warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error.message}`, {
-                nextRetryIn: delay
+                nextRetryIn: wait
             });
 
-            await sleep(delay);
+            await sleep(wait);
 
             // 次のディレイを計算（指数バックオフ）
             delay = Math.min(delay * backoffMultiplier, maxDelay);
@@ -70,6 +87,69 @@ export async function retry(fn, options = {}) {
     throw lastError;
 }
 
+/**
+ * Retry-Afterヘッダーの値を待機時間に変換する
+ *
+ * @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+ * @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+ * @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Number(text) * 1000;
+    }
+
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+ * APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
+ *
+ * @param {Headers} headers - レスポンスヘッダー
+ * @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
+ */
+export function extractRetryDetails(headers) {
+    const details = {};
+    const retryAfter = headers?.get('Retry-After');
+    if (retryAfter) {
+        details.retryAfter = retryAfter;
+    }
+    const rateLimitReset = headers?.get('X-RateLimit-Reset');
+    if (rateLimitReset) {
+        details.rateLimitReset = rateLimitReset;
+    }
+    return details;
+}
+
+/**
+ * エラーからサーバーが指定した待機時間を求める
+ * Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+ *
+ * @param {Error} error - エラーオブジェクト
+ * @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+ */
+export function getRetryAfter(error) {
+    const details = error?.details || {};
+    const waits = [parseRetryAfter(details.retryAfter)];
+
+    if (error && isRateLimitError(error) && details.rateLimitReset) {
+        const reset = Number(details.rateLimitReset);
+        if (Number.isFinite(reset)) {
+            waits.push(Math.max(0, reset * 1000 - Date.now()));
+        }
+    }
+
+    const valid = waits.filter(wait => wait !== null);
+    return valid.length > 0 ? Math.max(...valid) : null;
+}
+
 /**
  * レート制限エラーかどうかを判定する
  *
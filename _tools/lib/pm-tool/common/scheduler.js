@@ -0,0 +1,186 @@
+#!/usr/bin/env zx
+
+import { info, debug } from './logger.js';
+
+/**
+ * APIリクエストのスケジューラー
+ *
+ * 同時実行数と1秒あたりのリクエスト数を制限し、
+ * レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+ * 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
+ */
+
+/**
+ * 共有するスケジューラーの格納先
+ * プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+ */
+const SCHEDULER = Symbol.for('pm-tool.scheduler');
+
+/**
+ * デフォルトの同時実行数
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * デフォルトの1秒あたりのリクエスト数(0は無制限)
+ */
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+
+/**
+ * スケジューラーを作成する
+ *
+ * @param {Object} [options] - オプション
+ * @param {number} [options.concurrency=4] - 同時実行数
+ * @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+ * @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+ */
+export function createScheduler(options = {}) {
+    const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+    const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+    const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+
+    const queue = [];
+    let active = 0;
+    let nextStart = 0; // 次のリクエストを開始できる時刻(1秒あたりのリクエスト数の制限)
+    let pausedUntil = 0; // レート制限のリセット時刻
+    let timer = null;
+
+    /**
+     * 待機中のリクエストを実行できるだけ開始する
+     */
+    function dispatch() {
+        if (timer) {
+            return;
+        }
+        while (queue.length > 0 && active < concurrency) {
+            const now = Date.now();
+            const startAt = Math.max(nextStart, pausedUntil);
+            if (startAt > now) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    dispatch();
+                }, startAt - now);
+                return;
+            }
+
+            const { task, resolve, reject } = queue.shift();
+            active++;
+            nextStart = now + interval;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    dispatch();
+                });
+        }
+    }
+
+    return {
+        concurrency,
+
+        /**
+         * 処理をスケジュールして実行する
+         *
+         * @param {Function} task - 実行する処理(1件のリクエスト)
+         * @returns {Promise<*>} 処理の結果
+         */
+        schedule(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ task, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * レスポンスヘッダーからレート制限の残りを確認し、残りが少ない場合はリセット時刻まで新しいリクエストを待機させる
+         * 実行中のリクエストがすべて成功しても制限を超えないよう、残りが同時実行数以下になった時点で待機する
+         *
+         * @param {Headers} headers - レスポンスヘッダー
+         */
+        observe(headers) {
+            const remaining = Number(headers?.get('X-RateLimit-Remaining') ?? NaN);
+            const reset = Number(headers?.get('X-RateLimit-Reset') ?? NaN);
+            if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) {
+                return;
+            }
+
+            // X-RateLimit-ResetはUNIX時刻(秒)
+            const resetAt = reset * 1000;
+            if (resetAt <= Date.now() || resetAt <= pausedUntil) {
+                return;
+            }
+            pausedUntil = resetAt;
+            info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1000)}秒待機します`, { remaining });
+        }
+    };
+}
+
+/**
+ * 共有するスケジューラーを設定する
+ * CLIの起動時に、設定ファイルのrate_limitから1回だけ呼び出す
+ *
+ * @param {Object} [options] - オプション(createSchedulerと同じ)
+ * @returns {Object} 設定したスケジューラー
+ */
+export function configureScheduler(options = {}) {
+    debug('スケジューラーを設定', options);
+    globalThis[SCHEDULER] = createScheduler(options);
+    return globalThis[SCHEDULER];
+}
+
+/**
+ * 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
+ *
+ * @returns {Object} スケジューラー
+ */
+export function getScheduler() {
+    if (!globalThis[SCHEDULER]) {
+        globalThis[SCHEDULER] = createScheduler();
+    }
+    return globalThis[SCHEDULER];
+}
+
+/**
+ * 共有するスケジューラーを通してfetchを実行する
+ * タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
+ *
+ * @param {string} url - リクエストURL
+ * @param {Object} [init] - fetchオプション
+ * @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+ * @returns {Promise<Response>} レスポンス
+ */
+export async function scheduledFetch(url, init = {}, timeout = null) {
+    const scheduler = getScheduler();
+    return await scheduler.schedule(async () => {
+        const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+        const response = await fetch(url, { ...init, signal });
+        scheduler.observe(response.headers);
+        return response;
+    });
+}
+
+/**
+ * 配列の各要素に非同期処理を同時実行数を制限して適用する
+ * 結果は元の配列の順序で返す
+ *
+ * @param {Array} items - 対象の配列
+ * @param {number} concurrency - 同時実行数
+ * @param {function(*, number): Promise<*>} fn - 各要素に適用する処理
+ * @returns {Promise<Array>} 処理結果の配列
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    return results;
+}
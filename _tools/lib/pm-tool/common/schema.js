@@ -0,0 +1,214 @@
+#!/usr/bin/env zx
+
+/**
+ * 設定のスキーマ検証
+ *
+ * スキーマは以下の項目を持つオブジェクトで宣言する(JSON Schemaの一部に相当)。
+ * - type: 値の型('string'、'number'、'integer'、'boolean'、'object'、'array'、'null'、またはその配列)
+ * - properties: オブジェクトのキーごとのスキーマ
+ * - additionalProperties: propertiesにないキーのスキーマ(falseの場合は不明な設定項目としてエラー、省略時は任意の値を許可)
+ * - items: 配列の要素のスキーマ
+ * - required: 必須のキーの配列
+ * - enum: 使用できる値の配列
+ * - minimum: 数値の最小値
+ *
+ * 環境変数等のプレースホルダー(${...})を含む文字列は、展開前のためすべてのスカラー型として扱う。
+ */
+
+/**
+ * 値をスキーマで検証する
+ *
+ * @param {*} value - 検証する値
+ * @param {Object} schema - スキーマ
+ * @param {Array<string|number>} [keyPath] - 値のキーのパス(エラーの位置に使用)
+ * @returns {Array<{path: Array<string|number>, message: string}>} 検証エラー(問題がない場合は空の配列)
+ */
+export function validateSchema(value, schema, keyPath = []) {
+    if (!schema) {
+        return [];
+    }
+
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => matchesType(value, type))) {
+        return [{ path: keyPath, message: `${types.join('または')}で指定してください(${describeType(value)}が指定されています)` }];
+    }
+
+    if (schema.enum && !isPlaceholder(value) && !schema.enum.includes(value)) {
+        const suggestion = typeof value === 'string' ? suggestKey(value, schema.enum.map(String)) : null;
+        return [{
+            path: keyPath,
+            message: `使用できない値です: ${value}(使用可能な値: ${schema.enum.join(', ')})` +
+                (suggestion ? `。もしかして: ${suggestion}` : '')
+        }];
+    }
+
+    if (schema.minimum !== undefined && !isPlaceholder(value) && Number(value) < schema.minimum) {
+        return [{ path: keyPath, message: `${schema.minimum}以上の値を指定してください: ${value}` }];
+    }
+
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => validateSchema(item, schema.items, [...keyPath, index]));
+    }
+
+    if (value !== null && typeof value === 'object') {
+        return validateProperties(value, schema, keyPath);
+    }
+
+    return [];
+}
+
+/**
+ * 候補の中から最も近いキーを探す(綴りの誤りの候補の提示に使用)
+ *
+ * @param {string} key - 入力されたキー
+ * @param {string[]} candidates - 有効なキー
+ * @returns {string|null} 最も近いキー(十分に近いキーがない場合はnull)
+ */
+export function suggestKey(key, candidates) {
+    const normalized = normalizeKey(key);
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = levenshtein(normalized, normalizeKey(candidate));
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    // 長さの3分の1(最低2文字)までの違いを綴りの誤りとみなす
+    const threshold = Math.max(2, Math.floor(key.length / 3));
+    return bestDistance <= threshold ? best : null;
+}
+
+/**
+ * オブジェクトのキーを検証する
+ *
+ * @param {Object} value - 検証するオブジェクト
+ * @param {Object} schema - スキーマ
+ * @param {Array<string|number>} keyPath - 値のキーのパス
+ * @returns {Array<{path: Array<string|number>, message: string}>} 検証エラー
+ */
+function validateProperties(value, schema, keyPath) {
+    const issues = [];
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+            issues.push({ path: [...keyPath, key], message: '必須の設定項目です' });
+        }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+        if (properties[key]) {
+            issues.push(...validateSchema(item, properties[key], [...keyPath, key]));
+        } else if (schema.additionalProperties === false) {
+            const suggestion = suggestKey(key, Object.keys(properties));
+            issues.push({
+                path: [...keyPath, key],
+                message: `不明な設定項目です${suggestion ? `。もしかして: ${suggestion}` : ''}`
+            });
+        } else if (typeof schema.additionalProperties === 'object') {
+            issues.push(...validateSchema(item, schema.additionalProperties, [...keyPath, key]));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * 値が型に一致するか判定する
+ *
+ * @param {*} value - 値
+ * @param {string} type - 型
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean' || isPlaceholder(value) || value === 'true' || value === 'false';
+        case 'number':
+            return isNumeric(value) || isPlaceholder(value);
+        case 'integer':
+            return (isNumeric(value) && Number.isInteger(Number(value))) || isPlaceholder(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * 値が数値(環境変数から展開された数字の文字列を含む)か判定する
+ *
+ * @param {*} value - 値
+ * @returns {boolean} 数値の場合はtrue
+ */
+function isNumeric(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value);
+    }
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * 値が展開前のプレースホルダー(${...})を含む文字列か判定する
+ *
+ * @param {*} value - 値
+ * @returns {boolean} プレースホルダーを含む場合はtrue
+ */
+function isPlaceholder(value) {
+    return typeof value === 'string' && /\$\{[^}]+\}/.test(value);
+}
+
+/**
+ * エラーメッセージに表示する値の型を取得する
+ *
+ * @param {*} value - 値
+ * @returns {string} 型
+ */
+function describeType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value === 'object' ? 'object' : typeof value;
+}
+
+/**
+ * 比較のためにキーを正規化する(大文字・小文字、区切り文字の違いを無視する)
+ *
+ * @param {string} key - キー
+ * @returns {string} 正規化したキー
+ */
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[-\s]/g, '_');
+}
+
+/**
+ * 2つの文字列の編集距離(レーベンシュタイン距離)を求める
+ *
+ * @param {string} a - 文字列
+ * @param {string} b - 文字列
+ * @returns {number} 編集距離
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env zx
+
+import { getTicketDir } from '../config.js';
+import { debug, warn } from './logger.js';
+
+// zx内包のモジュール(fs, path)はimport不要
+
+/**
+ * 取得時のリモートの内容(スナップショット)の保存
+ *
+ * pull・syncコマンドでベースとして使用するため、fetch・pull・sync時にリモートの内容を
+ * .ticket/.pm-tool/base/{プロファイル名またはツール名}/{チケットID}.md に保存する。
+ * チケットファイルの場所(アーカイブ等)やファイル名のプレフィックスに依存しないよう、ツール名とチケットIDで管理する。
+ */
+
+/**
+ * スナップショットのパスを生成する
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {string} fileId - ファイル名用のチケットID
+ * @returns {string} スナップショットファイルのパス
+ */
+export function getSnapshotPath(namespace, fileId) {
+    return path.join(getTicketDir(), '.pm-tool', 'base', namespace, `${fileId}.md`);
+}
+
+/**
+ * スナップショットを読み込む
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {string} fileId - ファイル名用のチケットID
+ * @returns {string|null} 保存されている内容(ない場合はnull)
+ */
+export function readSnapshot(namespace, fileId) {
+    try {
+        return fs.readFileSync(getSnapshotPath(namespace, fileId), 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * スナップショットを保存する
+ * 保存に失敗してもコマンド自体は継続する
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {string} fileId - ファイル名用のチケットID
+ * @param {string} content - リモートの内容(Markdown形式)
+ */
+export function writeSnapshot(namespace, fileId, content) {
+    const snapshotPath = getSnapshotPath(namespace, fileId);
+    try {
+        fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+        fs.writeFileSync(snapshotPath, content, 'utf8');
+        debug('スナップショットを保存', { snapshotPath });
+    } catch (error) {
+        warn(`スナップショットの保存に失敗しました: ${error.message}`, { snapshotPath });
+    }
+}
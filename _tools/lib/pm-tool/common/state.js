@@ -0,0 +1,56 @@
+#!/usr/bin/env zx
+
+import { getTicketDir } from '../config.js';
+import { debug, warn } from './logger.js';
+
+// zx内包のモジュール(fs, path)はimport不要
+
+/**
+ * 同期状態の保存
+ *
+ * syncコマンドで、前回の同期時のリモートの更新日時をチケットごとに
+ * .ticket/.pm-tool/sync/{プロファイル名またはツール名}.json に保存する。
+ * リモートの更新日時が変わっていないチケットは再取得しない。
+ */
+
+/**
+ * 同期状態ファイルのパスを生成する
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @returns {string} 同期状態ファイルのパス
+ */
+export function getSyncStatePath(namespace) {
+    return path.join(getTicketDir(), '.pm-tool', 'sync', `${namespace}.json`);
+}
+
+/**
+ * 同期状態を読み込む
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @returns {Object<string, {updated: string, file: string}>} チケットIDごとの同期状態(ない場合は空のオブジェクト)
+ */
+export function readSyncState(namespace) {
+    try {
+        return JSON.parse(fs.readFileSync(getSyncStatePath(namespace), 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * 同期状態を保存する
+ * 保存に失敗してもコマンド自体は継続する(次回の同期で再取得される)
+ *
+ * @param {string} namespace - 保存先の名前(プロファイル名、プロファイルを使用しない場合はツール名)
+ * @param {Object<string, {updated: string, file: string}>} state - チケットIDごとの同期状態
+ */
+export function writeSyncState(namespace, state) {
+    const statePath = getSyncStatePath(namespace);
+    try {
+        fs.mkdirSync(path.dirname(statePath), { recursive: true });
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+        debug('同期状態を保存', { statePath });
+    } catch (error) {
+        warn(`同期状態の保存に失敗しました: ${error.message}`, { statePath });
+    }
+}
@@ -1,6 +1,9 @@
 #!/usr/bin/env zx
 
 import { fileURLToPath } from 'node:url';
+import { getSecret } from './common/credentials.js';
+import { isPmToolError, ConfigError } from './common/error.js';
+import { validateSchema } from './common/schema.js';
 
 // zx内包のモジュール(fs, path)はimport不要
 // グローバルに利用可能: fs, path, os, chalk, argv, glob, which, etc.
@@ -8,20 +11,76 @@ import { fileURLToPath } from 'node:url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * --configで指定された設定ファイルのパスの格納先
+ * プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+ */
+const CONFIG_PATH = Symbol.for('pm-tool.configPath');
+
+/**
+ * PM Tool設定(integration.pm_tool)のキーのパス
+ */
+const PM_TOOL_KEY_PATH = ['integration', 'pm_tool'];
+
+/**
+ * すべての連携ツールに共通のツール固有の設定項目
+ */
+const TOOL_COMMON_PROPERTIES = {
+    url: { type: 'string' },
+    rate_limit: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            concurrency: { type: 'integer', minimum: 1 },
+            requests_per_second: { type: 'number', minimum: 0 }
+        }
+    }
+};
+
+/**
+ * 環境変数・資格情報のプレースホルダー(${...})
+ */
+const PLACEHOLDER_PATTERN = /\$\{([^}]+)\}/g;
+
+/**
+ * 環境変数のプレースホルダーの式(NAME、NAME:-デフォルト値、NAME:?エラーメッセージ)
+ */
+const ENV_EXPRESSION_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?::([-?])([\s\S]*))?$/;
+
 /**
  * 環境変数を展開する
- * ${VARIABLE_NAME}形式の文字列をprocess.env.VARIABLE_NAMEに置き換える
+ * ${VARIABLE_NAME}形式の文字列をprocess.env.VARIABLE_NAME(未設定の場合は.ticket/.envの値)に置き換える
+ * ${VARIABLE_NAME:-デフォルト値}は環境変数が未設定または空の場合にデフォルト値に置き換える
+ * ${VARIABLE_NAME:?エラーメッセージ}は環境変数が未設定または空の場合にエラーとする
+ * ${secret:名前}形式の文字列は資格情報ストア(pm-tool auth setで保存した値)に置き換える
  *
  * @param {string} str - 展開対象の文字列
- * @returns {string} 環境変数が展開された文字列
+ * @param {Object<string, string>} [envFile] - .envファイルの環境変数
+ * @param {function(string): void} [onError] - 必須の環境変数(${NAME:?...})が未設定の場合にエラーメッセージを受け取る関数
+ * @returns {string} 環境変数が展開された文字列(展開できないプレースホルダーはそのまま残す)
  */
-function expandEnvVars(str) {
+function expandEnvVars(str, envFile = {}, onError = null) {
     if (typeof str !== 'string') {
         return str;
     }
 
-    return str.replace(/\$\{([^}]+)\}/g, (match, varName) => {
-        return process.env[varName] || match;
+    return str.replace(PLACEHOLDER_PATTERN, (match, expression) => {
+        if (expression.startsWith('secret:')) {
+            return getSecret(expression.slice('secret:'.length)) ?? match;
+        }
+
+        const [, name, operator, operand] = expression.match(ENV_EXPRESSION_PATTERN) || [null, expression];
+        const value = process.env[name] || envFile[name];
+        if (value) {
+            return value;
+        }
+        if (operator === '-') {
+            return operand;
+        }
+        if (operator === '?') {
+            onError?.(operand || `環境変数 ${name} が設定されていません`);
+        }
+        return match;
     });
 }
 
@@ -29,21 +88,24 @@ function expandEnvVars(str) {
  * オブジェクト内のすべての環境変数を再帰的に展開する
  *
  * @param {*} obj - 展開対象のオブジェクト
+ * @param {Object<string, string>} [envFile] - .envファイルの環境変数
+ * @param {Array<{path: Array<string|number>, message: string}>} [issues] - 必須の環境変数が未設定の項目の格納先
+ * @param {Array<string|number>} [keyPath] - objのキーのパス
  * @returns {*} 環境変数が展開されたオブジェクト
  */
-function expandEnvVarsRecursive(obj) {
+function expandEnvVarsRecursive(obj, envFile = {}, issues = [], keyPath = []) {
     if (typeof obj === 'string') {
-        return expandEnvVars(obj);
+        return expandEnvVars(obj, envFile, message => issues.push({ path: keyPath, message }));
     }
 
     if (Array.isArray(obj)) {
-        return obj.map(item => expandEnvVarsRecursive(item));
+        return obj.map((item, index) => expandEnvVarsRecursive(item, envFile, issues, [...keyPath, index]));
     }
 
     if (obj !== null && typeof obj === 'object') {
         const result = {};
         for (const [key, value] of Object.entries(obj)) {
-            result[key] = expandEnvVarsRecursive(value);
+            result[key] = expandEnvVarsRecursive(value, envFile, issues, [...keyPath, key]);
         }
         return result;
     }
@@ -51,60 +113,693 @@ function expandEnvVarsRecursive(obj) {
     return obj;
 }
 
+/**
+ * .envファイル(.ticket/.env)のパスを取得する
+ *
+ * @returns {string} .envファイルのパス
+ */
+export function getEnvFilePath() {
+    return path.join(getTicketDir(), '.env');
+}
+
+/**
+ * .envファイルを読み込む
+ * 「NAME=値」形式の行を環境変数として扱う(export、#から始まるコメント行、引用符で囲んだ値に対応)
+ *
+ * @returns {Object<string, string>} 環境変数名と値の対応(ファイルがない場合は空のオブジェクト)
+ * @throws {ConfigError} ファイルを読み込めない場合
+ */
+function readEnvFile() {
+    const envFilePath = getEnvFilePath();
+    let content;
+    try {
+        content = fs.readFileSync(envFilePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw new ConfigError(`.envファイルの読み込みに失敗しました: ${error.message}`, { envFilePath });
+    }
+
+    const env = {};
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (match) {
+            env[match[1]] = parseEnvValue(match[2]);
+        }
+    }
+    return env;
+}
+
+/**
+ * .envファイルの値を解釈する
+ * 二重引用符で囲んだ値はエスケープ(\n、\"、\\)を展開し、単一引用符で囲んだ値はそのまま使用する
+ * 引用符で囲まない値は「 #」以降をコメントとして除く
+ *
+ * @param {string} raw - 「=」以降の文字列
+ * @returns {string} 値
+ */
+function parseEnvValue(raw) {
+    const doubleQuoted = raw.match(/^"((?:[^"\\]|\\.)*)"/);
+    if (doubleQuoted) {
+        return doubleQuoted[1].replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+    }
+
+    const singleQuoted = raw.match(/^'([^']*)'/);
+    if (singleQuoted) {
+        return singleQuoted[1];
+    }
+
+    return raw.replace(/\s+#.*$/, '');
+}
+
+/**
+ * チケットディレクトリ(.ticket/)のパスを取得する
+ * プロジェクトの設定ファイル(findConfigPath)のあるディレクトリを返す
+ *
+ * @returns {string} チケットディレクトリの絶対パス
+ */
+export function getTicketDir() {
+    return path.dirname(findConfigPath().path);
+}
+
+/**
+ * 設定ファイルのパスを指定する(--configオプション)
+ *
+ * @param {string|null} configPath - 設定ファイルのパス(カレントディレクトリからの相対パス可)
+ */
+export function setConfigPath(configPath) {
+    globalThis[CONFIG_PATH] = configPath ? path.resolve(String(configPath)) : null;
+}
+
+/**
+ * プロジェクトの設定ファイルを検索する
+ * --config、環境変数PM_TOOL_CONFIG、カレントディレクトリから親ディレクトリへ遡って見つかった.ticket/config.yml、
+ * pm-toolをインストールした.ticket/config.ymlの順に参照する
+ *
+ * @returns {{path: string, source: string}} 設定ファイルのパスと、そのパスを決定した方法
+ */
+export function findConfigPath() {
+    if (globalThis[CONFIG_PATH]) {
+        return { path: globalThis[CONFIG_PATH], source: '--config' };
+    }
+    if (process.env.PM_TOOL_CONFIG) {
+        return { path: path.resolve(process.env.PM_TOOL_CONFIG), source: 'PM_TOOL_CONFIG' };
+    }
+
+    for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+        const configPath = path.join(dir, '.ticket', 'config.yml');
+        if (fs.existsSync(configPath)) {
+            return { path: configPath, source: 'カレントディレクトリから検索' };
+        }
+        if (path.dirname(dir) === dir) {
+            break;
+        }
+    }
+
+    return { path: path.join(getInstalledTicketDir(), 'config.yml'), source: 'インストール先' };
+}
+
+/**
+ * ユーザー単位の設定ファイルのパスを取得する
+ * 環境変数XDG_CONFIG_HOMEが設定されている場合はその配下を参照する
+ *
+ * @returns {string} ユーザー単位の設定ファイルのパス
+ */
+export function getUserConfigPath() {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'pm-tool', 'config.yml');
+}
+
+/**
+ * pm-toolをインストールしたチケットディレクトリのパスを取得する
+ * pm-toolは.ticket/_tools/にあるため、その親ディレクトリを返す
+ * プラグインは_tools/lib/pm-tool/plugins/にバンドルされるため、_toolsディレクトリまで遡って求める
+ *
+ * @returns {string} チケットディレクトリの絶対パス
+ */
+function getInstalledTicketDir() {
+    for (let dir = __dirname; path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+        if (path.basename(dir) === '_tools') {
+            return path.dirname(dir);
+        }
+    }
+    return path.resolve(__dirname, '..');
+}
+
 /**
  * config.ymlを読み込み、パースする
+ * ユーザー単位の設定(~/.config/pm-tool/config.yml)の上にプロジェクトの設定を重ねた結果を返す
  *
  * @returns {Object} パースされた設定オブジェクト
- * @throws {Error} 設定ファイルが見つからない、またはパースできない場合
+ * @throws {ConfigError} 設定ファイルが見つからない、パースできない、またはスキーマに一致しない場合
  */
 export function loadConfig() {
-    // 実行ファイル(pm-tool)のディレクトリから見た.ticket/config.ymlへのパス
-    // pm-toolは.ticket/_tools/にあるため、../config.ymlで.ticket/config.ymlを指す
-    const configPath = path.resolve(__dirname, '../config.yml');
+    return loadConfigLayers({ resolve: true }).config;
+}
+
+/**
+ * 設定ファイルを読み込み、重ね合わせた結果と各項目の参照元を返す
+ * オブジェクトはキーごとに、それ以外の値(配列を含む)は値全体をプロジェクトの設定で上書きする
+ *
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.resolve=false] - 環境変数・資格情報(${...})を展開する場合はtrue
+ * @returns {{config: Object, sources: Map<string, {path: Array<string|number>, file: string}>, files: Array<{path: string, source: string, exists: boolean, document?: Object, lineCounter?: Object}>}}
+ *   重ね合わせた設定、項目ごとの参照元のファイル、優先度の低い順の設定ファイル(エラーの位置の特定に使用するYAMLドキュメントを含む)
+ * @throws {ConfigError} プロジェクトの設定ファイルが見つからない、パースできない、またはスキーマに一致しない場合
+ */
+export function loadConfigLayers({ resolve = false } = {}) {
+    const project = findConfigPath();
+    const files = [
+        { path: getUserConfigPath(), source: 'ユーザー設定' },
+        { path: project.path, source: project.source }
+    ];
+
+    if (!fs.existsSync(project.path)) {
+        throw new ConfigError(`設定ファイルが見つかりません: ${project.path}`, { source: project.source });
+    }
+
+    let config = {};
+    const sources = new Map();
+    const schema = getCoreSchema();
+    for (const file of files) {
+        file.exists = fs.existsSync(file.path);
+        if (!file.exists) {
+            continue;
+        }
+
+        const content = readConfigFile(file);
+        const issues = validateSchema(content, schema);
+        if (issues.length > 0) {
+            throw createConfigError(issues, [file]);
+        }
+        config = mergeLayer(config, content, file.path, sources);
+    }
+
+    if (!resolve) {
+        return { config, sources, files };
+    }
+    return { config: resolvePlaceholders(config, files), sources, files };
+}
+
+/**
+ * 設定の一部(またはすべて)の環境変数・資格情報を展開する
+ * 環境変数が未設定の場合は.ticket/.envの値を使用する
+ *
+ * @param {*} value - 展開対象の設定
+ * @param {Array<Object>} files - 設定ファイル(loadConfigLayersのfiles)
+ * @param {Array<string|number>} [keyPath] - valueのキーのパス(エラーの位置の特定に使用する)
+ * @returns {*} 環境変数・資格情報が展開された設定
+ * @throws {ConfigError} 必須の環境変数(${NAME:?...})が未設定の場合
+ * @throws {PmToolError} 資格情報ストアを読み込めない場合(パスフレーズ未設定等)
+ */
+function resolvePlaceholders(value, files, keyPath = []) {
+    let resolved;
+    const issues = [];
+    try {
+        resolved = expandEnvVarsRecursive(value, readEnvFile(), issues, keyPath);
+    } catch (error) {
+        // 資格情報ストアのエラー(パスフレーズ未設定等)はそのまま報告する
+        if (isPmToolError(error)) {
+            throw error;
+        }
+        throw new ConfigError(`設定ファイルの読み込みに失敗しました: ${error.message}`);
+    }
+
+    if (issues.length > 0) {
+        throw createConfigError(issues, files, '必須の環境変数が設定されていません');
+    }
+    return resolved;
+}
+
+/**
+ * 展開できなかったプレースホルダー(未設定の環境変数、未登録の資格情報)を取得する
+ * expandEnvVarsは展開できないプレースホルダーをそのまま残すため、展開後の設定に残っているものを探す
+ *
+ * @returns {Array<{key: string, placeholder: string, name: string, message: string, location: string}>}
+ *   設定項目のキー、プレースホルダー、環境変数名(資格情報はsecret:名前)、
+ *   エラーメッセージ(${NAME:?エラーメッセージ}の場合、それ以外は空文字列)、設定ファイルの位置
+ * @throws {ConfigError} 設定ファイルが見つからない、パースできない、またはスキーマに一致しない場合
+ */
+export function findUnresolvedPlaceholders() {
+    // 必須の環境変数(${NAME:?...})が未設定でもエラーにせず、展開できなかったプレースホルダーとして報告する
+    const { config, files } = loadConfigLayers();
+    const resolved = expandEnvVarsRecursive(config, readEnvFile());
+    return collectPlaceholders(resolved).map(({ keyPath, placeholder, name, message }) => ({
+        key: formatKeyPath(keyPath),
+        placeholder,
+        name,
+        message,
+        location: locateKey(files, keyPath)
+    }));
+}
+
+/**
+ * 設定に含まれるプレースホルダーを再帰的に集める
+ *
+ * @param {*} value - 設定の値
+ * @param {Array<string|number>} [keyPath] - 値のキーのパス
+ * @returns {Array<{keyPath: Array<string|number>, placeholder: string, name: string, message: string}>} プレースホルダー
+ */
+function collectPlaceholders(value, keyPath = []) {
+    if (typeof value === 'string') {
+        return [...value.matchAll(PLACEHOLDER_PATTERN)].map(([placeholder, expression]) => {
+            const [, name = expression, operator, operand] = expression.match(ENV_EXPRESSION_PATTERN) || [];
+            return { keyPath, placeholder, name, message: operator === '?' ? operand : '' };
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => collectPlaceholders(item, [...keyPath, index]));
+    }
+
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => collectPlaceholders(item, [...keyPath, key]));
+    }
+
+    return [];
+}
+
+/**
+ * ツール固有の設定をプラグインのスキーマ(configSchema)で検証する
+ * configSchemaのpropertiesにurl、rate_limitを加え、それ以外のキーは不明な設定項目として扱う
+ *
+ * @param {Object} plugin - プラグインオブジェクト
+ * @param {{config: Object, keyPath: Array<string|number>}} pmTool - getPmToolConfigで取得した設定
+ * @throws {ConfigError} 設定がスキーマに一致しない場合
+ */
+export function validateToolConfig(plugin, { config, keyPath }) {
+    if (!plugin.configSchema) {
+        return;
+    }
 
+    const schema = {
+        type: 'object',
+        additionalProperties: false,
+        ...plugin.configSchema,
+        properties: { ...TOOL_COMMON_PROPERTIES, ...plugin.configSchema.properties }
+    };
+    const issues = validateSchema(config, schema, keyPath);
+    if (issues.length > 0) {
+        throw createConfigError(issues, loadConfigLayers().files);
+    }
+}
+
+/**
+ * 設定ファイルを読み込み、パースする
+ * エラーの位置を特定できるよう、YAMLドキュメントと行番号の対応をfileに保持する
+ *
+ * @param {{path: string}} file - 設定ファイル
+ * @returns {Object} パースされた設定(空のファイルは空のオブジェクト)
+ * @throws {ConfigError} 設定ファイルを読み込めない、またはパースできない場合
+ */
+function readConfigFile(file) {
+    let content;
     try {
-        const configContent = fs.readFileSync(configPath, 'utf8');
-        const config = YAML.parse(configContent);
+        content = fs.readFileSync(file.path, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`設定ファイルの読み込みに失敗しました: ${file.path}: ${error.message}`);
+    }
+
+    file.lineCounter = new YAML.LineCounter();
+    file.document = YAML.parseDocument(content, { lineCounter: file.lineCounter });
+    if (file.document.errors.length > 0) {
+        const [error] = file.document.errors;
+        const position = error.linePos ? `:${error.linePos[0].line}:${error.linePos[0].col}` : '';
+        throw new ConfigError(`設定ファイルのYAMLの構文に誤りがあります: ${file.path}${position}\n  ${error.message.split('\n')[0]}`);
+    }
+
+    const parsed = file.document.toJS();
+    if (parsed === null || parsed === undefined) {
+        return {};
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError(`設定ファイルの内容はキーと値の組(マッピング)で記述してください: ${file.path}`);
+    }
+    return parsed;
+}
 
-        // 環境変数を展開
-        return expandEnvVarsRecursive(config);
+/**
+ * 設定ファイルの共通の設定項目のスキーマを生成する
+ * 連携ツールの名前はインストールされているプラグインから求める
+ *
+ * @returns {Object} スキーマ(common/schema.js)
+ */
+function getCoreSchema() {
+    const tools = listInstalledTools();
+    const toolType = tools.length > 0 ? { type: 'string', enum: tools } : { type: 'string' };
+    const outputSettings = {
+        output_dir: { type: 'string' },
+        file_prefix: { type: ['string', 'null'] }
+    };
+    const profile = {
+        type: 'object',
+        required: ['type'],
+        properties: { type: toolType, name: { type: 'string' }, ...outputSettings }
+    };
+
+    return {
+        type: 'object',
+        properties: {
+            types: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        label: { type: 'string' },
+                        template: { type: 'string' },
+                        description: { type: 'string' }
+                    }
+                }
+            },
+            integration: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    pm_tool: {
+                        type: 'object',
+                        // ツール固有の設定はプラグインのconfigSchemaで検証する
+                        additionalProperties: tools.length > 0 ? false : { type: 'object' },
+                        properties: {
+                            type: toolType,
+                            ...outputSettings,
+                            default_profile: { type: 'string' },
+                            profiles: {
+                                type: ['object', 'array'],
+                                additionalProperties: profile,
+                                items: { ...profile, required: ['type', 'name'] }
+                            },
+                            ...Object.fromEntries(tools.map(tool => [tool, { type: 'object' }]))
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * インストールされているプラグインの名前を取得する(_tools/lib/pm-tool/plugins/{名前}.mjs)
+ *
+ * @returns {string[]} プラグインの名前(プラグインのディレクトリがない場合は空の配列)
+ */
+function listInstalledTools() {
+    try {
+        return fs.readdirSync(path.join(getInstalledTicketDir(), '_tools', 'lib', 'pm-tool', 'plugins'))
+            .filter(name => name.endsWith('.mjs'))
+            .map(name => path.basename(name, '.mjs'))
+            .sort();
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            throw new Error(`設定ファイルが見つかりません: ${configPath}`);
+        return [];
+    }
+}
+
+/**
+ * 検証エラーから、設定ファイルの位置(行・列)を示すConfigErrorを作成する
+ *
+ * @param {Array<{path: Array<string|number>, message: string}>} issues - 検証エラー
+ * @param {Array<Object>} files - 設定ファイル(loadConfigLayersのfiles)
+ * @param {string} [title] - エラーメッセージの見出し
+ * @returns {ConfigError} 設定エラー
+ */
+function createConfigError(issues, files, title = '設定ファイルに誤りがあります') {
+    const lines = issues.map(({ path: keyPath, message }) =>
+        `  ${locateKey(files, keyPath)} ${formatKeyPath(keyPath)}: ${message}`
+    );
+    return new ConfigError(`${title}:\n${lines.join('\n')}`);
+}
+
+/**
+ * 設定項目が記述されている設定ファイルの位置を求める
+ * キーのパスが最も深くまで一致する設定ファイル(同じ場合は優先度の高いファイル)のキーの位置を返す
+ *
+ * @param {Array<Object>} files - 設定ファイル(loadConfigLayersのfiles)
+ * @param {Array<string|number>} keyPath - キーのパス
+ * @returns {string} 位置({ファイルパス}:{行}:{列})
+ */
+function locateKey(files, keyPath) {
+    let best = null;
+    for (const file of files) {
+        if (!file.document) {
+            continue;
+        }
+
+        let node = file.document.contents;
+        let target = null;
+        let depth = 0;
+        for (const key of keyPath) {
+            const item = YAML.isMap(node)
+                ? node.items.find(pair => String(YAML.isScalar(pair.key) ? pair.key.value : pair.key) === String(key))
+                : YAML.isSeq(node) ? node.items[key] : null;
+            if (!item) {
+                break;
+            }
+            target = YAML.isPair(item) ? item.key : item;
+            node = YAML.isPair(item) ? item.value : item;
+            depth++;
+        }
+
+        if (!best || depth >= best.depth) {
+            best = { file, target, depth };
+        }
+    }
+
+    if (!best) {
+        return findConfigPath().path;
+    }
+    if (!best.target?.range) {
+        return best.file.path;
+    }
+    const { line, col } = best.file.lineCounter.linePos(best.target.range[0]);
+    return `${best.file.path}:${line}:${col}`;
+}
+
+/**
+ * キーのパスを表示用の文字列にする(例: integration.pm_tool.profiles[0].type)
+ *
+ * @param {Array<string|number>} keyPath - キーのパス
+ * @returns {string} 表示用の文字列
+ */
+function formatKeyPath(keyPath) {
+    return keyPath.reduce((text, key) =>
+        typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key, '');
+}
+
+/**
+ * 設定に設定ファイルの内容を重ねる
+ *
+ * @param {Object} base - 重ねる前の設定
+ * @param {Object} layer - 設定ファイルの内容
+ * @param {string} file - 設定ファイルのパス
+ * @param {Map} sources - 項目ごとの参照元(重ねた項目の参照元を書き換える)
+ * @param {Array<string|number>} [keyPath] - baseのキーのパス
+ * @returns {Object} 重ねた設定
+ */
+function mergeLayer(base, layer, file, sources, keyPath = []) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(layer)) {
+        const childPath = [...keyPath, key];
+        if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = mergeLayer(result[key], value, file, sources, childPath);
+            continue;
         }
-        throw new Error(`設定ファイルの読み込みに失敗しました: ${error.message}`);
+
+        // 上書きした値の配下の参照元を削除してから記録する
+        const prefix = childPath.join('.');
+        for (const sourceKey of [...sources.keys()]) {
+            if (sourceKey === prefix || sourceKey.startsWith(`${prefix}.`)) {
+                sources.delete(sourceKey);
+            }
+        }
+        recordSources(value, file, sources, childPath);
+        result[key] = value;
     }
+    return result;
+}
+
+/**
+ * 値の参照元を記録する(オブジェクト・配列は要素ごとに記録する)
+ *
+ * @param {*} value - 値
+ * @param {string} file - 設定ファイルのパス
+ * @param {Map} sources - 項目ごとの参照元
+ * @param {Array<string|number>} keyPath - 値のキーのパス
+ */
+function recordSources(value, file, sources, keyPath) {
+    const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : isPlainObject(value) ? Object.entries(value) : [];
+
+    if (entries.length === 0) {
+        sources.set(keyPath.join('.'), { path: keyPath, file });
+        return;
+    }
+    for (const [key, item] of entries) {
+        recordSources(item, file, sources, [...keyPath, key]);
+    }
+}
+
+/**
+ * 値がオブジェクト(配列・nullを除く)か判定する
+ *
+ * @param {*} value - 値
+ * @returns {boolean} オブジェクトの場合はtrue
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
  * PM Tool設定を取得する
+ * integration.pm_tool.profilesが設定されている場合は、指定されたプロファイル(省略時はdefault_profile)の設定を返す
  *
- * @returns {Object} PM Tool設定オブジェクト
- * @throws {Error} PM Tool設定が無効な場合
+ * @param {string|null} [profileName] - プロファイル名
+ * @returns {{tool: string, config: Object, pmToolConfig: Object, profile: string|null, keyPath: Array<string|number>}}
+ *   PM Tool設定オブジェクト(profileはプロファイルを使用しない場合null、keyPathはツール固有の設定のキーのパス)
+ * @throws {ConfigError} PM Tool設定が無効な場合、プロファイルが見つからない場合
  */
-export function getPmToolConfig() {
-    const config = loadConfig();
+export function getPmToolConfig(profileName = null) {
+    // 環境変数・資格情報は使用するツール(プロファイル)の設定のみ展開する
+    // (使用しないプロファイルの${secret:...}や${NAME:?...}でエラーにしない)
+    const { config, files } = loadConfigLayers();
 
     if (!config.integration?.pm_tool) {
-        throw new Error('config.ymlにintegration.pm_tool設定が見つかりません');
+        throw new ConfigError('config.ymlにintegration.pm_tool設定が見つかりません', { configPath: findConfigPath().path });
     }
 
     const pmToolConfig = config.integration.pm_tool;
 
+    const profiles = normalizeProfiles(pmToolConfig.profiles);
+    if (profiles) {
+        const names = Object.keys(profiles);
+        const name = profileName || pmToolConfig.default_profile || (names.length === 1 ? names[0] : null);
+        if (!name) {
+            throw new ConfigError(`プロファイルを指定してください (--profile)。使用可能なプロファイル: ${names.join(', ')}`);
+        }
+        if (!profiles[name]) {
+            throw new ConfigError(`プロファイル "${name}" が見つかりません。使用可能なプロファイル: ${names.join(', ')}`);
+        }
+        const { profile, keyPath } = profiles[name];
+        return getProfileConfig(
+            resolvePlaceholders(pickSharedSettings(pmToolConfig), files, PM_TOOL_KEY_PATH),
+            name,
+            { profile: resolvePlaceholders(profile, files, keyPath), keyPath }
+        );
+    }
+
+    if (profileName) {
+        throw new ConfigError(`プロファイル "${profileName}" が見つかりません (integration.pm_tool.profilesが設定されていません)`);
+    }
+
     if (!pmToolConfig.type) {
-        throw new Error('連携ツールが設定されていません (integration.pm_tool.type)');
+        throw createConfigError([{ path: [...PM_TOOL_KEY_PATH, 'type'], message: '連携ツールが設定されていません' }], files);
     }
 
     const toolName = pmToolConfig.type;
-    const toolConfig = pmToolConfig[toolName];
+    const keyPath = [...PM_TOOL_KEY_PATH, toolName];
 
-    if (!toolConfig) {
-        throw new Error(`ツール "${toolName}" の設定が見つかりません`);
+    if (!pmToolConfig[toolName]) {
+        throw createConfigError([{ path: keyPath, message: `ツール "${toolName}" の設定が見つかりません` }], files);
     }
 
+    const resolved = resolvePlaceholders(pickSharedSettings(pmToolConfig, toolName), files, PM_TOOL_KEY_PATH);
     return {
         tool: toolName,
+        config: resolved[toolName],
+        pmToolConfig: resolved,  // pm_toolレベルの設定も含める
+        profile: null,
+        keyPath
+    };
+}
+
+/**
+ * integration.pm_toolから使用するツールの設定とpm_toolレベルの設定(output_dir等)を取り出す
+ * プロファイルの一覧と、使用しないツールの設定(値がオブジェクトの項目)は含めない
+ *
+ * @param {Object} pmToolConfig - integration.pm_tool(環境変数の展開前)
+ * @param {string|null} [toolName] - 使用するツール名(プロファイルを使用する場合はnull)
+ * @returns {Object} 取り出した設定
+ */
+function pickSharedSettings(pmToolConfig, toolName = null) {
+    return Object.fromEntries(
+        Object.entries(pmToolConfig).filter(([key, value]) =>
+            key === toolName || (key !== 'profiles' && (value === null || typeof value !== 'object')))
+    );
+}
+
+/**
+ * すべてのプロファイルの設定を取得する(URLからのプロファイルの選択に使用)
+ * 環境変数・資格情報はurlのみ展開する(展開できない値はそのまま残す)
+ *
+ * @returns {Array<{tool: string, config: Object, pmToolConfig: Object, profile: string, keyPath: Array<string|number>}>}
+ *   プロファイルごとの設定(プロファイルを使用しない場合は空の配列)
+ * @throws {ConfigError} PM Tool設定が無効な場合
+ */
+export function listProfiles() {
+    const pmToolConfig = loadConfigLayers().config.integration?.pm_tool || {};
+    const profiles = normalizeProfiles(pmToolConfig.profiles) || {};
+    const envFile = readEnvFile();
+    return Object.entries(profiles).map(([name, entry]) => {
+        const pmTool = getProfileConfig(pmToolConfig, name, entry);
+        return { ...pmTool, config: { ...pmTool.config, url: expandEnvVars(pmTool.config.url, envFile) } };
+    });
+}
+
+/**
+ * プロファイルの一覧を名前とプロファイルの対応に変換する
+ * マップ形式(名前: 設定)とリスト形式(nameを含む設定の配列)に対応する
+ *
+ * @param {Object|Array|undefined} profiles - integration.pm_tool.profiles
+ * @returns {Object<string, {profile: Object, keyPath: Array<string|number>}>|null}
+ *   名前とプロファイル・キーのパスの対応(未設定の場合はnull)
+ * @throws {ConfigError} リスト形式でnameがない場合
+ */
+function normalizeProfiles(profiles) {
+    if (!profiles) {
+        return null;
+    }
+
+    const keyPath = [...PM_TOOL_KEY_PATH, 'profiles'];
+    if (!Array.isArray(profiles)) {
+        return Object.fromEntries(
+            Object.entries(profiles).map(([name, profile]) => [name, { profile, keyPath: [...keyPath, name] }])
+        );
+    }
+
+    const result = {};
+    for (const [index, profile] of profiles.entries()) {
+        if (!profile?.name) {
+            throw new ConfigError(`プロファイルの名前が設定されていません (integration.pm_tool.profiles[${index}].name)`);
+        }
+        result[profile.name] = { profile, keyPath: [...keyPath, index] };
+    }
+    return result;
+}
+
+/**
+ * プロファイルの設定を組み立てる
+ * プロファイルにはツール固有の設定(url、api_key等)とoutput_dir、file_prefixを直接記述する
+ * output_dir、file_prefixが未指定の場合はintegration.pm_toolの値を使用する
+ *
+ * @param {Object} pmToolConfig - integration.pm_tool
+ * @param {string} name - プロファイル名
+ * @param {{profile: Object, keyPath: Array<string|number>}} entry - プロファイルの設定とキーのパス
+ * @returns {{tool: string, config: Object, pmToolConfig: Object, profile: string, keyPath: Array<string|number>}} PM Tool設定オブジェクト
+ * @throws {ConfigError} 連携ツールが設定されていない場合
+ */
+function getProfileConfig(pmToolConfig, name, { profile, keyPath }) {
+    if (!profile?.type) {
+        throw new ConfigError(`プロファイル "${name}" の連携ツールが設定されていません (integration.pm_tool.profiles.${name}.type)`);
+    }
+
+    const { profiles, default_profile, ...shared } = pmToolConfig;
+    const { type, name: _name, output_dir, file_prefix, ...toolConfig } = profile;
+
+    return {
+        tool: type,
         config: toolConfig,
-        pmToolConfig: pmToolConfig  // pm_toolレベルの設定も含める
+        pmToolConfig: { ...shared, ...profile },
+        profile: name,
+        keyPath
     };
 }
@@ -1,4 +1,9 @@
 #!/usr/bin/env zx
+import "node:http";
+import "node:crypto";
+import "node:child_process";
+import { fileURLToPath } from "node:url";
+
 //#region _tools/lib/pm-tool/common/logger.js
 /**
 * ログレベル定義
@@ -14,6 +19,19 @@ const LOG_LEVELS = {
 */
 const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
 /**
+* 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+*/
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+/**
+* 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+*
+* @param {string} text - URLまたはURLを含む文字列
+* @returns {string} 伏せ字にした文字列
+*/
+function redactUrl(text) {
+	return String(text).replace(SECRET_QUERY_PATTERN, "$1***");
+}
+/**
 * タイムスタンプを生成する
 *
 * @returns {string} ISO形式のタイムスタンプ
@@ -23,6 +41,7 @@ function timestamp() {
 }
 /**
 * ログメッセージをフォーマットする
+* URLに含まれるAPIキー等はログに出力しない
 *
 * @param {string} level - ログレベル
 * @param {string} message - ログメッセージ
@@ -32,7 +51,7 @@ function timestamp() {
 function formatMessage(level, message, data) {
 	let formatted = `[${timestamp()}] [${level}] ${message}`;
 	if (data) formatted += ` ${JSON.stringify(data)}`;
-	return formatted;
+	return redactUrl(formatted);
 }
 /**
 * DEBUGレベルのログを出力する
@@ -61,10 +80,30 @@ function info(message, data) {
 function warn(message, data) {
 	if (currentLogLevel <= LOG_LEVELS.WARN) console.warn(formatMessage("WARN", message, data));
 }
+/**
+* ERRORレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Error|Object} [error] - エラーオブジェクトまたは追加データ
+*/
+function error(message, error$1) {
+	if (currentLogLevel <= LOG_LEVELS.ERROR) {
+		const data = error$1 instanceof Error ? {
+			message: error$1.message,
+			stack: error$1.stack
+		} : error$1;
+		console.error(formatMessage("ERROR", message, data));
+	}
+}
 
 //#endregion
 //#region _tools/lib/pm-tool/common/error.js
 /**
+* PM Toolのエラーであることを示すマーカー
+* プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+*/
+const PM_TOOL_ERROR = Symbol.for("pm-tool.error");
+/**
 * PM Tool基底エラークラス
 */
 var PmToolError = class extends Error {
@@ -73,6 +112,7 @@ var PmToolError = class extends Error {
 		this.name = "PmToolError";
 		this.code = code;
 		this.details = details;
+		this[PM_TOOL_ERROR] = true;
 	}
 };
 /**
@@ -112,6 +152,166 @@ var ValidationError = class extends PmToolError {
 		this.name = "ValidationError";
 	}
 };
+/**
+* エラーを適切な型に変換する
+*
+* @param {Error} error - 元のエラー
+* @returns {PmToolError} 適切な型に変換されたエラー
+*/
+function normalizeError(error$1) {
+	if (error$1 instanceof PmToolError) return error$1;
+	if (error$1.name === "TypeError" && error$1.message.includes("fetch")) return new NetworkError("ネットワークエラーが発生しました", { originalError: error$1.message });
+	return new PmToolError(error$1.message, "UNKNOWN_ERROR", {
+		originalError: error$1.toString(),
+		stack: error$1.stack
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/markdown.js
+/**
+* pm-toolが生成するセクションの開始・終了マーカー
+* fetch時に生成したセクション(コメント履歴等)を識別し、update時に説明から除外するために使用する
+*
+* @param {string} name - セクション名
+* @returns {{start: string, end: string}} マーカー
+*/
+function sectionMarkers(name) {
+	return {
+		start: `<!-- pm-tool:${name}:start -->`,
+		end: `<!-- pm-tool:${name}:end -->`
+	};
+}
+/**
+* Markdown本文からsubject（件名）を抽出する
+* h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 件名（h1見出しのテキスト）
+*/
+function extractSubjectFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^([^\n]+)\n=+/);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+(.+)$/m);
+	if (atxMatch) return atxMatch[1].trim();
+	return "";
+}
+/**
+* Markdown本文からdescription（説明）を抽出する
+* h1見出しを除去し、残りの本文を返す
+*
+* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 説明（h1見出しを除いた本文）
+*/
+function extractDescriptionFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+	if (atxMatch) return atxMatch[1].trim();
+	return body.trim();
+}
+/**
+* コメント履歴セクションを生成する
+*
+* @param {Array<Object>} comments - コメントの一覧(古い順)
+* @param {string} comments[].author - 投稿者
+* @param {string} comments[].created_at - 投稿日時(ISO形式)
+* @param {string} [comments[].text] - コメント本文
+* @param {Array<{field: string, from: *, to: *, text: string}>} [comments[].changes]
+*   項目の変更履歴(textを指定した場合は変更前後の値の代わりに表示する)
+* @returns {string} コメント履歴セクション(コメントがない場合は空文字列)
+*/
+function renderCommentSection(comments) {
+	if (!comments || comments.length === 0) return "";
+	return renderGeneratedSection("comments", "コメント履歴", comments.map((comment) => {
+		const lines = [`### ${comment.author || "(不明)"} (${formatDateTime(comment.created_at)})`, ""];
+		const changes = comment.changes || [];
+		if (changes.length > 0) lines.push(...changes.map((change) => change.text ? `- ${change.field}: ${change.text}` : `- ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`), "");
+		const text = (comment.text || "").replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
+		if (text) lines.push(text, "");
+		return lines.join("\n");
+	}).join("\n"));
+}
+/**
+* pm-toolが生成するセクションを本文の末尾に追加する
+*
+* @param {string} body - Markdown本文
+* @param {string} section - 追加するセクション(空文字列の場合は追加しない)
+* @returns {string} セクションを追加した本文
+*/
+function appendSection(body, section) {
+	if (!section) return body;
+	return body ? `${body}\n\n${section}` : section;
+}
+/**
+* pm-toolが生成するセクションを組み立てる
+*
+* @param {string} name - セクション名(マーカーに使用)
+* @param {string} title - 見出し
+* @param {string} content - セクションの内容
+* @returns {string} マーカーで囲まれたセクション
+*/
+function renderGeneratedSection(name, title, content) {
+	const { start, end } = sectionMarkers(name);
+	return [
+		start,
+		title,
+		"-------------------------",
+		"",
+		content,
+		end
+	].join("\n");
+}
+/**
+* Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 生成したセクションを除いた本文
+*/
+function stripGeneratedSections(body) {
+	return body.replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, "").trim();
+}
+/**
+* Markdown本文のリンク先を置き換える
+*
+* @param {string} body - Markdown本文
+* @param {Object<string, string>} replacements - 置き換え前のリンク先と置き換え後のリンク先
+* @returns {string} リンク先を置き換えた本文
+*/
+function replaceLinks(body, replacements) {
+	if (!body || Object.keys(replacements).length === 0) return body;
+	return body.replace(/(!?\[[^\]]*\]\(<?)([^)\s>]+)(>?(?:\s+"[^"]*")?\))/g, (match, open, target, close) => {
+		return Object.hasOwn(replacements, target) ? `${open}${replacements[target]}${close}` : match;
+	});
+}
+/**
+* ISO形式の日時をUTCの「YYYY-MM-DD HH:mm UTC」形式に変換する
+* 実行環境のタイムゾーンに依存すると、取得する人によってファイルの内容が変わるためUTCで表示する
+*
+* @param {string} value - ISO形式の日時
+* @returns {string} 変換後の日時(変換できない場合は元の値)
+*/
+function formatDateTime(value) {
+	const date = new Date(value);
+	if (!value || Number.isNaN(date.getTime())) return value || "";
+	return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+/**
+* 変更履歴の値を表示用に変換する
+*
+* @param {*} value - 変更前または変更後の値
+* @returns {string} 表示用の値(未設定の場合は「(なし)」)
+*/
+function formatValue(value) {
+	if (value === null || value === void 0 || value === "") return "(なし)";
+	return String(value).replace(/\s*\r?\n\s*/g, " ");
+}
 
 //#endregion
 //#region _tools/lib/pm-tool/common/retry.js
@@ -126,6 +326,7 @@ function sleep(ms) {
 }
 /**
 * 指数バックオフでリトライを実行する
+* エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
 *
 * @param {Function} fn - 実行する関数
 * @param {Object} options - オプション
@@ -133,296 +334,1514 @@ function sleep(ms) {
 * @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
 * @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
 * @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+* @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+* @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
 * @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
 * @returns {Promise<*>} 関数の実行結果
-* @throws {Error} すべてのリトライが失敗した場合
+* @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
 */
 async function retry(fn, options = {}) {
-	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, shouldRetry = () => true } = options;
+	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, jitter = .5, timeBudget = 6e4, shouldRetry = () => true } = options;
+	const startedAt = Date.now();
 	let lastError;
 	let delay = initialDelay;
 	for (let attempt = 0; attempt <= maxRetries; attempt++) try {
 		debug(`実行試行 ${attempt + 1}/${maxRetries + 1}`);
 		return await fn();
-	} catch (error) {
-		lastError = error;
+	} catch (error$1) {
+		lastError = error$1;
 		if (attempt === maxRetries) break;
-		if (!shouldRetry(error)) {
-			debug("リトライすべきでないエラーのため中断", { error: error.message });
-			throw error;
+		if (!shouldRetry(error$1)) {
+			debug("リトライすべきでないエラーのため中断", { error: error$1.message });
+			throw error$1;
 		}
-		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error.message}`, { nextRetryIn: delay });
-		await sleep(delay);
+		const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+		const wait = Math.round(Math.max(backoff, getRetryAfter(error$1) ?? 0));
+		if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+			warn(`リトライの待機時間が上限(${timeBudget / 1e3}秒)を超えるため中断します: ${error$1.message}`, { nextRetryIn: wait });
+			break;
+		}
+		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: wait });
+		await sleep(wait);
 		delay = Math.min(delay * backoffMultiplier, maxDelay);
 	}
 	throw lastError;
 }
-
-//#endregion
-//#region _tools/lib/pm-tool/plugins/backlog/fetch.js
 /**
-* Backlog課題情報を取得する
+* Retry-Afterヘッダーの値を待機時間に変換する
 *
-* @param {Object} config - Backlog設定
-* @param {string} issueKey - 課題キー(例: PROJ-123)
-* @param {Object} options - オプション
-* @returns {Promise<Object>} 課題情報({meta, title, body}形式)
+* @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+* @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+* @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
 */
-async function fetchIssue(config, issueKey, options = {}) {
-	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
-	if (!config.api_key) throw new ValidationError("Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)");
-	debug("Backlog課題取得", {
-		issueKey,
-		url: config.url
-	});
-	info(`Backlog課題を取得: ${issueKey}`);
-	const issue = await retry(() => callBacklogApi(config, issueKey), {
-		maxRetries: 3,
-		shouldRetry: (error) => {
-			return !(error instanceof AuthenticationError) && !(error instanceof ApiError && error.statusCode === 404);
-		}
-	});
-	info("課題情報を取得しました", {
-		key: issue.issueKey,
-		summary: issue.summary
-	});
-	return formatAsYamlFrontmatter(issue);
+function parseRetryAfter(value, now = Date.now()) {
+	if (value === null || value === void 0 || value === "") return null;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1e3;
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
 }
 /**
-* Backlog APIを呼び出す
+* レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+* APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
 *
-* @param {Object} config - Backlog設定
-* @param {string} issueKey - 課題キー
-* @returns {Promise<Object>} 課題情報
+* @param {Headers} headers - レスポンスヘッダー
+* @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
 */
-async function callBacklogApi(config, issueKey) {
-	const baseUrl = config.url.replace(/\/$/, "");
-	const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-	url.searchParams.append("apiKey", config.api_key);
-	debug("API リクエスト開始", { url: url.toString() });
-	try {
-		const response = await fetch(url.toString(), { headers: { "Content-Type": "application/json" } });
-		debug("API レスポンス受信", {
-			status: response.status,
-			statusText: response.statusText
-		});
-		if (!response.ok) {
-			const errorBody = await response.text();
-			let errorMessage = `Backlog API エラー: ${response.status} ${response.statusText}`;
-			try {
-				const errorData = JSON.parse(errorBody);
-				if (errorData.errors && errorData.errors.length > 0) errorMessage = errorData.errors.map((e) => e.message).join(", ");
-			} catch {}
-			if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーを確認してください。", {
-				status: response.status,
-				body: errorBody
-			});
-			if (response.status === 404) throw new ApiError("指定された課題が見つかりません。", response.status, { body: errorBody });
-			throw new ApiError(errorMessage, response.status, { body: errorBody });
-		}
-		return await response.json();
-	} catch (error) {
-		if (error instanceof ValidationError || error instanceof AuthenticationError || error instanceof ApiError) throw error;
-		if (error.name === "TypeError" && error.message.includes("fetch")) throw new NetworkError("ネットワークエラーが発生しました", { originalError: error.message });
-		throw error;
+function extractRetryDetails(headers) {
+	const details = {};
+	const retryAfter = headers?.get("Retry-After");
+	if (retryAfter) details.retryAfter = retryAfter;
+	const rateLimitReset = headers?.get("X-RateLimit-Reset");
+	if (rateLimitReset) details.rateLimitReset = rateLimitReset;
+	return details;
+}
+/**
+* エラーからサーバーが指定した待機時間を求める
+* Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+*/
+function getRetryAfter(error$1) {
+	const details = error$1?.details || {};
+	const waits = [parseRetryAfter(details.retryAfter)];
+	if (error$1 && isRateLimitError(error$1) && details.rateLimitReset) {
+		const reset = Number(details.rateLimitReset);
+		if (Number.isFinite(reset)) waits.push(Math.max(0, reset * 1e3 - Date.now()));
 	}
+	const valid = waits.filter((wait) => wait !== null);
+	return valid.length > 0 ? Math.max(...valid) : null;
 }
 /**
-* Backlog課題情報をYAMLフロントマター形式に変換する
+* レート制限エラーかどうかを判定する
 *
-* @param {Object} issue - Backlog課題情報
-* @returns {Object} フロントマター形式のデータ({meta, title, body})
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} レート制限エラーの場合true
 */
-function formatAsYamlFrontmatter(issue) {
-	const meta = {
-		backlog_id: issue.id,
-		backlog_key: issue.issueKey,
-		project_id: issue.projectId,
-		title: issue.summary,
-		type: issue.issueType?.name || "",
-		status: issue.status?.name || "",
-		priority: issue.priority?.name || "",
-		assignee: issue.assignee?.name || "",
-		created_at: issue.created,
-		updated_at: issue.updated
-	};
-	if (issue.startDate) meta.start_date = issue.startDate;
-	if (issue.dueDate) meta.due_date = issue.dueDate;
-	if (issue.estimatedHours !== null && issue.estimatedHours !== void 0) meta.estimated_hours = issue.estimatedHours;
-	if (issue.actualHours !== null && issue.actualHours !== void 0) meta.actual_hours = issue.actualHours;
-	const body = issue.description ? issue.description.replace(/\r\n/g, "\n").replace(/\r/g, "\n") : "";
-	return {
-		meta,
-		title: issue.summary || "Untitled",
-		body
-	};
+function isRateLimitError(error$1) {
+	return error$1.statusCode === 429;
+}
+/**
+* 一時的なエラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} 一時的なエラーの場合true
+*/
+function isTransientError(error$1) {
+	if (isRateLimitError(error$1)) return true;
+	if (error$1.statusCode >= 500 && error$1.statusCode < 600) return true;
+	if (error$1.name === "NetworkError") return true;
+	if (error$1.code === "ETIMEDOUT" || error$1.code === "ESOCKETTIMEDOUT") return true;
+	return false;
 }
 
 //#endregion
-//#region _tools/lib/pm-tool/plugins/backlog/update.js
+//#region _tools/lib/pm-tool/common/scheduler.js
 /**
-* Backlog課題情報を更新する
+* APIリクエストのスケジューラー
 *
-* @param {Object} config - Backlog設定
-* @param {string} issueKey - 課題キー
-* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
-* @returns {Promise<Object>} 更新結果
+* 同時実行数と1秒あたりのリクエスト数を制限し、
+* レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+* 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
 */
-async function updateIssue(config, issueKey, updateData = {}) {
-	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
-	if (!config.api_key) throw new ValidationError("Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)");
-	info(`Backlog課題を更新: ${issueKey}`);
-	const updatePayload = buildUpdatePayload(updateData, await retry(() => callBacklogGetApi(config, issueKey), {
-		maxRetries: 3,
-		shouldRetry: (error) => {
-			return !(error instanceof AuthenticationError) && !(error instanceof ApiError && error.statusCode === 404);
+/**
+* 共有するスケジューラーの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const SCHEDULER = Symbol.for("pm-tool.scheduler");
+/**
+* デフォルトの同時実行数
+*/
+const DEFAULT_CONCURRENCY = 4;
+/**
+* デフォルトの1秒あたりのリクエスト数(0は無制限)
+*/
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+/**
+* スケジューラーを作成する
+*
+* @param {Object} [options] - オプション
+* @param {number} [options.concurrency=4] - 同時実行数
+* @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+* @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+*/
+function createScheduler(options = {}) {
+	const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+	const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+	const interval = requestsPerSecond > 0 ? 1e3 / requestsPerSecond : 0;
+	const queue = [];
+	let active = 0;
+	let nextStart = 0;
+	let pausedUntil = 0;
+	let timer = null;
+	/**
+	* 待機中のリクエストを実行できるだけ開始する
+	*/
+	function dispatch() {
+		if (timer) return;
+		while (queue.length > 0 && active < concurrency) {
+			const now = Date.now();
+			const startAt = Math.max(nextStart, pausedUntil);
+			if (startAt > now) {
+				timer = setTimeout(() => {
+					timer = null;
+					dispatch();
+				}, startAt - now);
+				return;
+			}
+			const { task, resolve, reject } = queue.shift();
+			active++;
+			nextStart = now + interval;
+			Promise.resolve().then(task).then(resolve, reject).finally(() => {
+				active--;
+				dispatch();
+			});
 		}
-	}));
-	if (Object.keys(updatePayload).length === 0) {
-		info("更新する項目がありません");
-		return {
-			success: true,
-			message: "更新する項目がありません"
-		};
 	}
-	const updatedIssue = await retry(() => callBacklogUpdateApi(config, issueKey, updatePayload), {
-		maxRetries: 2,
-		shouldRetry: (error) => {
-			return !(error instanceof AuthenticationError) && !(error instanceof ApiError && error.statusCode === 404) && !(error instanceof ApiError && error.statusCode === 400);
-		}
-	});
-	info("課題を更新しました", {
-		key: updatedIssue.issueKey,
-		updated: Object.keys(updatePayload)
-	});
 	return {
-		success: true,
-		issue: updatedIssue
+		concurrency,
+		schedule(task) {
+			return new Promise((resolve, reject) => {
+				queue.push({
+					task,
+					resolve,
+					reject
+				});
+				dispatch();
+			});
+		},
+		observe(headers) {
+			const remaining = Number(headers?.get("X-RateLimit-Remaining") ?? NaN);
+			const reset = Number(headers?.get("X-RateLimit-Reset") ?? NaN);
+			if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) return;
+			const resetAt = reset * 1e3;
+			if (resetAt <= Date.now() || resetAt <= pausedUntil) return;
+			pausedUntil = resetAt;
+			info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1e3)}秒待機します`, { remaining });
+		}
 	};
 }
 /**
-* Backlog課題取得APIを呼び出す
+* 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
 *
-* @param {Object} config - Backlog設定
-* @param {string} issueKey - 課題キー
-* @returns {Promise<Object>} 課題情報
+* @returns {Object} スケジューラー
 */
-async function callBacklogGetApi(config, issueKey) {
-	const baseUrl = config.url.replace(/\/$/, "");
-	const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-	url.searchParams.append("apiKey", config.api_key);
-	debug("API リクエスト開始 (GET)", { url: url.toString() });
-	return await handleApiResponse(await fetch(url.toString(), { headers: { "Content-Type": "application/json" } }));
+function getScheduler() {
+	if (!globalThis[SCHEDULER]) globalThis[SCHEDULER] = createScheduler();
+	return globalThis[SCHEDULER];
 }
 /**
-* Backlog課題更新APIを呼び出す
+* 共有するスケジューラーを通してfetchを実行する
+* タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
 *
-* @param {Object} config - Backlog設定
-* @param {string} issueKey - 課題キー
-* @param {Object} updatePayload - 更新データ
-* @returns {Promise<Object>} 更新後の課題情報
-*/
-async function callBacklogUpdateApi(config, issueKey, updatePayload) {
-	const baseUrl = config.url.replace(/\/$/, "");
-	const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-	url.searchParams.append("apiKey", config.api_key);
-	const formData = new URLSearchParams();
-	for (const [key, value] of Object.entries(updatePayload)) if (value !== null && value !== void 0) formData.append(key, value);
-	debug("API リクエスト開始 (PATCH)", {
-		url: url.toString(),
-		payload: updatePayload
+* @param {string} url - リクエストURL
+* @param {Object} [init] - fetchオプション
+* @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+* @returns {Promise<Response>} レスポンス
+*/
+async function scheduledFetch(url, init = {}, timeout = null) {
+	const scheduler = getScheduler();
+	return await scheduler.schedule(async () => {
+		const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+		const response = await fetch(url, {
+			...init,
+			signal
+		});
+		scheduler.observe(response.headers);
+		return response;
 	});
-	return await handleApiResponse(await fetch(url.toString(), {
-		method: "PATCH",
-		headers: { "Content-Type": "application/x-www-form-urlencoded" },
-		body: formData.toString()
-	}));
 }
+
+//#endregion
+//#region _tools/lib/pm-tool/common/api.js
+/**
+* デフォルトのリクエストのタイムアウト(ミリ秒)
+*/
+const DEFAULT_TIMEOUT = 3e4;
 /**
-* APIレスポンスを処理する
+* HTTP APIリクエストを実行する
+* リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
 *
-* @param {Response} response - fetchレスポンス
-* @returns {Promise<Object>} パースされたJSONデータ
+* @param {string} url - リクエストURL
+* @param {Object} options - fetchオプション
+* @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+* @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+* @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+* @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
 */
-async function handleApiResponse(response) {
-	debug("API レスポンス受信", {
-		status: response.status,
-		statusText: response.statusText
-	});
-	if (!response.ok) {
-		const errorBody = await response.text();
-		let errorMessage = `Backlog API エラー: ${response.status} ${response.statusText}`;
-		try {
-			const errorData = JSON.parse(errorBody);
-			if (errorData.errors && errorData.errors.length > 0) errorMessage = errorData.errors.map((e) => e.message).join(", ");
-		} catch {}
-		if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーを確認してください。", {
-			status: response.status,
-			body: errorBody
-		});
-		if (response.status === 404) throw new ApiError("指定された課題が見つかりません。", response.status, { body: errorBody });
-		throw new ApiError(errorMessage, response.status, { body: errorBody });
+async function apiRequest(url, options = {}, retryOptions = {}) {
+	const { responseType, auth, timeout = DEFAULT_TIMEOUT,...fetchOptions } = options;
+	const request = auth ? await auth.apply(url, fetchOptions.headers) : {
+		url,
+		headers: fetchOptions.headers
+	};
+	const displayUrl = redactUrl(url);
+	debug(`API Request: ${options.method || "GET"} ${displayUrl}`);
+	const finalRetryOptions = {
+		maxRetries: 3,
+		shouldRetry: (error$1) => isTransientError(error$1),
+		...retryOptions
+	};
+	try {
+		return await retry(async () => {
+			try {
+				const response = await scheduledFetch(request.url, {
+					...fetchOptions,
+					headers: request.headers
+				}, timeout);
+				debug(`API Response: ${response.status} ${response.statusText}`);
+				if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーまたはトークンを確認してください", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 403) throw new AuthenticationError("アクセス権限がありません", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 429) throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, extractRetryDetails(response.headers));
+				if (response.status >= 500) {
+					const text = await response.text();
+					throw new ApiError("サーバーエラーが発生しました", response.status, {
+						responseBody: text,
+						...extractRetryDetails(response.headers)
+					});
+				}
+				if (!response.ok) {
+					const text = await response.text();
+					throw new ApiError(`APIエラー: ${extractErrorMessage(text) || response.statusText}`, response.status, {
+						url: displayUrl,
+						responseBody: text
+					});
+				}
+				if (response.status === 204) return null;
+				if (responseType === "buffer") return Buffer.from(await response.arrayBuffer());
+				const contentType = response.headers.get("content-type");
+				if (contentType && contentType.includes("application/json")) return await response.json();
+				return await response.text();
+			} catch (error$1) {
+				if (error$1 instanceof TypeError) throw new NetworkError("ネットワークエラーが発生しました", {
+					url: displayUrl,
+					originalError: error$1.message
+				});
+				if (error$1.name === "TimeoutError" || error$1.name === "AbortError") throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1e3}秒)`, { url: displayUrl });
+				throw error$1;
+			}
+		}, finalRetryOptions);
+	} catch (error$1) {
+		error(`API Request Failed: ${displayUrl}`, error$1);
+		throw normalizeError(error$1);
 	}
-	return await response.json();
 }
 /**
-* YAMLフロントマターをBacklog課題更新データに変換する
+* エラーレスポンスからエラーメッセージを取り出す
+* {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+* {error_description: "..."}(OAuth 2.0)の形式に対応する
 *
-* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
-* @param {Object} originalIssue - 元の課題情報
-* @returns {Object} Backlog API用更新データ
+* @param {string} text - レスポンスボディ
+* @returns {string|null} エラーメッセージ(取り出せない場合はnull)
 */
-function buildUpdatePayload(updateData, originalIssue) {
-	const frontmatter = updateData.frontmatter || {};
-	const body = updateData.body || "";
-	const payload = {};
-	if (body) {
-		const subject = extractSubjectFromMarkdown(body);
-		if (subject && subject !== originalIssue.summary) payload.summary = subject;
-	}
-	if (body) {
-		const description = extractDescriptionFromMarkdown(body);
-		if (description && description !== originalIssue.description) payload.description = description;
+function extractErrorMessage(text) {
+	try {
+		const data = JSON.parse(text);
+		if (Array.isArray(data.errors) && data.errors.length > 0) return data.errors.map((item) => typeof item === "string" ? item : item.message).filter(Boolean).join(", ");
+		const message = data.message || data.error_description || data.error;
+		return typeof message === "string" ? message : null;
+	} catch {
+		return null;
 	}
-	if (frontmatter.status && frontmatter.status !== originalIssue.status?.name) warn("ステータスの更新はサポートされていません。Backlog側で手動更新してください。", {
-		current: originalIssue.status?.name,
-		requested: frontmatter.status
-	});
-	if (frontmatter.due_date !== void 0) payload.dueDate = frontmatter.due_date || null;
-	if (frontmatter.start_date !== void 0) payload.startDate = frontmatter.start_date || null;
-	if (frontmatter.estimated_hours !== void 0) payload.estimatedHours = frontmatter.estimated_hours;
-	if (frontmatter.actual_hours !== void 0) payload.actualHours = frontmatter.actual_hours;
-	return payload;
 }
+
+//#endregion
+//#region _tools/lib/pm-tool/common/auth.js
 /**
-* Markdown本文からsubject（件名）を抽出する
-* h1見出しを取得して返す
+* API認証方式
 *
-* @param {string} body - Markdown本文（LF改行）
-* @returns {string} 件名（h1見出しのテキスト）
+* 認証方式はリクエストのURL・ヘッダーに認証情報を付与するオブジェクト({type, apply(url, headers)})で、
+* common/api.jsのapiRequestにauthオプションとして渡す。applyはPromiseを返してもよい(common/oauth.js)。
+* 認証情報は送信直前に付与するため、ログに出力されるリクエストURLには含まれない。
 */
-function extractSubjectFromMarkdown(body) {
-	if (!body) return "";
-	const setextMatch = body.match(/^([^\n]+)\n=+/);
-	if (setextMatch) return setextMatch[1].trim();
-	const atxMatch = body.match(/^#\s+(.+)$/m);
-	if (atxMatch) return atxMatch[1].trim();
-	return "";
+/**
+* クエリパラメータで認証情報を送信する認証方式を作成する(例: BacklogのapiKey)
+*
+* @param {string} name - パラメータ名
+* @param {string} value - APIキー
+* @returns {{type: string, apply: function(string, Object): {url: string, headers: Object}}} 認証方式
+*/
+function createQueryAuth(name, value) {
+	return {
+		type: "query",
+		apply(url, headers = {}) {
+			const authorizedUrl = new URL(url);
+			authorizedUrl.searchParams.set(name, value);
+			return {
+				url: authorizedUrl.toString(),
+				headers
+			};
+		}
+	};
 }
 /**
-* Markdown本文からdescription（説明）を抽出する
-* h1見出しを除去し、残りの本文を返す
+* Authorizationヘッダーでアクセストークンを送信する認証方式を作成する(OAuth 2.0)
 *
-* @param {string} body - Markdown本文（LF改行）
-* @returns {string} 説明（h1見出しを除いた本文）
+* @param {string} token - アクセストークン
+* @returns {{type: string, apply: function(string, Object): {url: string, headers: Object}}} 認証方式
 */
-function extractDescriptionFromMarkdown(body) {
-	if (!body) return "";
-	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
-	if (setextMatch) return setextMatch[1].trim();
-	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
-	if (atxMatch) return atxMatch[1].trim();
-	return body.trim();
+function createBearerAuth(token) {
+	return {
+		type: "bearer",
+		apply(url, headers = {}) {
+			return {
+				url,
+				headers: {
+					...headers,
+					Authorization: `Bearer ${token}`
+				}
+			};
+		}
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/config.js
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+/**
+* --configで指定された設定ファイルのパスの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const CONFIG_PATH = Symbol.for("pm-tool.configPath");
+/**
+* チケットディレクトリ(.ticket/)のパスを取得する
+* プロジェクトの設定ファイル(findConfigPath)のあるディレクトリを返す
+*
+* @returns {string} チケットディレクトリの絶対パス
+*/
+function getTicketDir() {
+	return path.dirname(findConfigPath().path);
+}
+/**
+* プロジェクトの設定ファイルを検索する
+* --config、環境変数PM_TOOL_CONFIG、カレントディレクトリから親ディレクトリへ遡って見つかった.ticket/config.yml、
+* pm-toolをインストールした.ticket/config.ymlの順に参照する
+*
+* @returns {{path: string, source: string}} 設定ファイルのパスと、そのパスを決定した方法
+*/
+function findConfigPath() {
+	if (globalThis[CONFIG_PATH]) return {
+		path: globalThis[CONFIG_PATH],
+		source: "--config"
+	};
+	if (process.env.PM_TOOL_CONFIG) return {
+		path: path.resolve(process.env.PM_TOOL_CONFIG),
+		source: "PM_TOOL_CONFIG"
+	};
+	for (let dir = process.cwd();; dir = path.dirname(dir)) {
+		const configPath = path.join(dir, ".ticket", "config.yml");
+		if (fs.existsSync(configPath)) return {
+			path: configPath,
+			source: "カレントディレクトリから検索"
+		};
+		if (path.dirname(dir) === dir) break;
+	}
+	return {
+		path: path.join(getInstalledTicketDir(), "config.yml"),
+		source: "インストール先"
+	};
+}
+/**
+* pm-toolをインストールしたチケットディレクトリのパスを取得する
+* pm-toolは.ticket/_tools/にあるため、その親ディレクトリを返す
+* プラグインは_tools/lib/pm-tool/plugins/にバンドルされるため、_toolsディレクトリまで遡って求める
+*
+* @returns {string} チケットディレクトリの絶対パス
+*/
+function getInstalledTicketDir() {
+	for (let dir = __dirname; path.dirname(dir) !== dir; dir = path.dirname(dir)) if (path.basename(dir) === "_tools") return path.dirname(dir);
+	return path.resolve(__dirname, "..");
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/oauth.js
+/**
+* 認可コードの受け取りを待つ時間(ミリ秒)
+*/
+const LOGIN_TIMEOUT = 300 * 1e3;
+/**
+* 有効期限のこの時間(ミリ秒)前からトークンを更新する
+*/
+const REFRESH_MARGIN = 60 * 1e3;
+/**
+* トークンファイルごとのトークン更新処理(同時に複数のリクエストから更新しないよう共有する)
+*/
+const refreshing = /* @__PURE__ */ new Map();
+/**
+* トークンファイルのパスを生成する
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定(url)
+* @returns {string} トークンファイルのパス
+*/
+function getTokenPath(tool, config) {
+	return path.join(getTicketDir(), ".pm-tool", "auth", `${getTokenName(tool, config)}.json`);
+}
+/**
+* 保存したトークンを読み込む
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定(url)
+* @returns {{access_token: string, refresh_token?: string, expires_at?: string}|null} トークン(ない場合はnull)
+*/
+function readToken(tool, config) {
+	try {
+		return JSON.parse(fs.readFileSync(getTokenPath(tool, config), "utf8"));
+	} catch (error$1) {
+		return null;
+	}
+}
+/**
+* トークンを保存する
+* トークンファイルは本人のみ読み書きできるパーミッション(0600)で作成する
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定(url)
+* @param {Object} token - トークン
+*/
+function writeToken(tool, config, token) {
+	const tokenPath = getTokenPath(tool, config);
+	fs.mkdirSync(path.dirname(tokenPath), {
+		recursive: true,
+		mode: 448
+	});
+	fs.writeFileSync(tokenPath, JSON.stringify(token, null, 2) + "\n", {
+		encoding: "utf8",
+		mode: 384
+	});
+	fs.chmodSync(tokenPath, 384);
+	debug("トークンを保存", { tokenPath });
+}
+/**
+* 有効なアクセストークンを取得する
+* 有効期限が近い場合はリフレッシュトークンで更新して保存する
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定(client_id、client_secret)
+* @param {Object} provider - プラグインのOAuthプロバイダー定義
+* @returns {Promise<string>} アクセストークン
+* @throws {AuthenticationError} ログインしていない、またはトークンを更新できない場合
+*/
+async function getAccessToken(tool, config, provider) {
+	const tokenPath = getTokenPath(tool, config);
+	const token = readToken(tool, config);
+	if (!token?.access_token) throw new AuthenticationError(`${tool}にログインしていません。pm-tool auth login を実行してください`, { tokenPath });
+	if (!isExpiring(token)) return token.access_token;
+	if (!token.refresh_token) throw new AuthenticationError("アクセストークンの有効期限が切れています。pm-tool auth login を実行してください", { expires_at: token.expires_at });
+	if (!refreshing.has(tokenPath)) {
+		debug("アクセストークンを更新", {
+			tool,
+			expires_at: token.expires_at
+		});
+		const refresh = requestToken(provider.tokenUrl(config), {
+			grant_type: "refresh_token",
+			refresh_token: token.refresh_token,
+			client_id: config.client_id,
+			client_secret: config.client_secret
+		}).then((refreshed) => {
+			const saved = {
+				refresh_token: token.refresh_token,
+				...refreshed
+			};
+			writeToken(tool, config, saved);
+			return saved;
+		}).catch((error$1) => {
+			throw new AuthenticationError(`アクセストークンの更新に失敗しました。pm-tool auth login を実行してください: ${error$1.message}`);
+		}).finally(() => refreshing.delete(tokenPath));
+		refreshing.set(tokenPath, refresh);
+	}
+	return (await refreshing.get(tokenPath)).access_token;
+}
+/**
+* 保存したトークン(必要に応じて更新する)で認証する認証方式を作成する
+* common/auth.jsの認証方式と同じく、apiRequestのauthオプションに渡す
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定
+* @param {Object} provider - プラグインのOAuthプロバイダー定義
+* @returns {{type: string, apply: function(string, Object): Promise<{url: string, headers: Object}>}} 認証方式
+*/
+function createOAuthAuth(tool, config, provider) {
+	return {
+		type: "oauth",
+		async apply(url, headers = {}) {
+			const accessToken = await getAccessToken(tool, config, provider);
+			return {
+				url,
+				headers: {
+					...headers,
+					Authorization: `Bearer ${accessToken}`
+				}
+			};
+		}
+	};
+}
+/**
+* トークンの有効期限が近いか判定する
+*
+* @param {Object} token - トークン
+* @returns {boolean} 有効期限が近い、または切れている場合はtrue(有効期限がない場合はfalse)
+*/
+function isExpiring(token) {
+	if (!token.expires_at) return false;
+	return new Date(token.expires_at).getTime() - REFRESH_MARGIN <= Date.now();
+}
+/**
+* トークンファイルの名前を生成する({ツール名}-{ホスト名}、URLがない場合はツール名)
+*
+* @param {string} tool - ツール名
+* @param {Object} config - ツール固有の設定(url)
+* @returns {string} トークンファイルの名前(拡張子なし)
+*/
+function getTokenName(tool, config) {
+	try {
+		return `${tool}-${new URL(config.url).host.replace(":", "_")}`;
+	} catch (error$1) {
+		return tool;
+	}
+}
+/**
+* トークンエンドポイントにリクエストし、トークンを取得する
+*
+* @param {string} tokenUrl - トークンエンドポイントのURL
+* @param {Object} params - リクエストパラメータ(フォーム形式で送信)
+* @returns {Promise<{access_token: string, refresh_token?: string, token_type: string, expires_at?: string}>} トークン
+*/
+async function requestToken(tokenUrl, params) {
+	const response = await apiRequest(tokenUrl, {
+		method: "POST",
+		headers: { "Content-Type": "application/x-www-form-urlencoded" },
+		body: new URLSearchParams(params).toString()
+	});
+	const token = {
+		access_token: response.access_token,
+		token_type: response.token_type || "Bearer"
+	};
+	if (response.refresh_token) token.refresh_token = response.refresh_token;
+	if (response.expires_in) token.expires_at = new Date(Date.now() + Number(response.expires_in) * 1e3).toISOString();
+	return token;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/client.js
+/**
+* BacklogのOAuth 2.0プロバイダー定義(common/oauth.js)
+*/
+const backlogOAuth = {
+	authorizeUrl(config, { redirectUri, state }) {
+		const url = new URL(`${config.url.replace(/\/$/, "")}/OAuth2AccessRequest.action`);
+		url.searchParams.set("response_type", "code");
+		url.searchParams.set("client_id", config.client_id);
+		url.searchParams.set("redirect_uri", redirectUri);
+		url.searchParams.set("state", state);
+		return url.toString();
+	},
+	tokenUrl(config) {
+		return backlogApiUrl(config, "/oauth2/token");
+	}
+};
+/**
+* Backlogの認証方式を作成する
+* access_token、client_id(pm-tool auth loginで保存したトークン)、api_keyの順に参照する
+*
+* @param {Object} config - Backlog設定
+* @returns {Object} 認証方式(common/auth.js)
+* @throws {ValidationError} 認証情報が設定されていない場合
+*/
+function createBacklogAuth(config) {
+	if (config.access_token) return createBearerAuth(config.access_token);
+	if (config.client_id) return createOAuthAuth("backlog", config, backlogOAuth);
+	if (config.api_key) return createQueryAuth("apiKey", config.api_key);
+	throw new ValidationError("Backlog認証情報が設定されていません。api_key、access_token または client_id(OAuth 2.0)のいずれかを設定してください");
+}
+/**
+* Backlog APIを呼び出す
+* 一時的なエラー(レート制限、5xx、ネットワークエラー)はcommon/api.jsがリトライする
+*
+* @param {Object} config - Backlog設定
+* @param {string} method - HTTPメソッド
+* @param {string} apiPath - APIパス(/api/v2以降)
+* @param {Object|null} payload - 送信データ(フォーム形式で送信、配列の値は同じキーで複数送信)
+* @returns {Promise<Object>} レスポンスデータ
+*/
+async function callBacklogApi(config, method, apiPath, payload = null) {
+	const request = {
+		method,
+		headers: { "Content-Type": payload ? "application/x-www-form-urlencoded" : "application/json" },
+		auth: createBacklogAuth(config)
+	};
+	if (payload) {
+		const formData = new URLSearchParams();
+		for (const [key, value] of Object.entries(payload)) if (Array.isArray(value)) value.forEach((item) => formData.append(key, item));
+		else if (value !== null && value !== void 0) formData.append(key, value);
+		request.body = formData.toString();
+	}
+	debug(`API リクエスト開始 (${method})`, {
+		apiPath,
+		payload
+	});
+	return await apiRequest(backlogApiUrl(config, apiPath), request);
+}
+/**
+* ファイルをBacklogにアップロードする(POST /space/attachment)
+* アップロードしたファイルは、返された添付ファイルIDを課題の更新時に指定することで添付される
+*
+* @param {Object} config - Backlog設定
+* @param {string} filename - ファイル名
+* @param {Buffer} content - ファイルの内容
+* @returns {Promise<Object>} アップロード結果({id, name, size})
+*/
+async function uploadBacklogAttachment(config, filename, content) {
+	const formData = new FormData();
+	formData.append("file", new Blob([content]), filename);
+	debug("API リクエスト開始 (POST)", {
+		apiPath: "/space/attachment",
+		filename
+	});
+	return await apiRequest(backlogApiUrl(config, "/space/attachment"), {
+		method: "POST",
+		body: formData,
+		auth: createBacklogAuth(config)
+	});
+}
+/**
+* プロジェクトを取得する
+*
+* @param {Object} config - Backlog設定
+* @param {string} projectKey - プロジェクトキー
+* @returns {Promise<Object>} プロジェクト情報
+* @throws {ValidationError} プロジェクトが存在しない場合
+*/
+async function getBacklogProject(config, projectKey) {
+	try {
+		return await callBacklogApi(config, "GET", `/projects/${projectKey}`);
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ValidationError(`プロジェクト "${projectKey}" が見つかりません`, { project: projectKey });
+		throw error$1;
+	}
+}
+/**
+* 認証に使用しているBacklogユーザーを取得する(GET /users/myself)
+*
+* @param {Object} config - Backlog設定
+* @returns {Promise<Object>} ユーザー情報({id, userId, name, ...})
+*/
+async function getBacklogMyself(config) {
+	return await callBacklogApi(config, "GET", "/users/myself");
+}
+/**
+* Backlog APIのURLを組み立てる
+*
+* @param {Object} config - Backlog設定
+* @param {string} apiPath - APIパス(/api/v2以降)
+* @returns {string} APIのURL
+*/
+function backlogApiUrl(config, apiPath) {
+	return `${config.url.replace(/\/$/, "")}/api/v2${apiPath}`;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/fetch.js
+/**
+* コメント一覧取得時の1ページあたりの件数(APIの上限)
+*/
+const COMMENT_PAGE_LIMIT = 100;
+/**
+* Backlog課題情報を取得する
+*
+* @param {Object} config - Backlog設定
+* @param {string} issueKey - 課題キー(例: PROJ-123)
+* @param {Object} options - オプション(include_comments: コメント履歴を含める、attachments: 添付ファイル情報を含める)
+* @returns {Promise<Object>} 課題情報({meta, title, body}形式)
+*/
+async function fetchIssue(config, issueKey, options = {}) {
+	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
+	createBacklogAuth(config);
+	debug("Backlog課題取得", {
+		issueKey,
+		url: config.url
+	});
+	info(`Backlog課題を取得: ${issueKey}`);
+	const issue = await callBacklogApi(config, "GET", `/issues/${issueKey}`);
+	info("課題情報を取得しました", {
+		key: issue.issueKey,
+		summary: issue.summary
+	});
+	const result = formatAsYamlFrontmatter(issue);
+	if (options.include_comments) {
+		const comments = await fetchComments(config, issueKey);
+		result.body = appendSection(result.body, renderCommentSection(comments));
+	}
+	if (options.attachments) result.attachments = (issue.attachments || []).map((attachment) => ({
+		id: attachment.id,
+		filename: attachment.name,
+		url: `${config.url.replace(/\/$/, "")}/api/v2/issues/${issue.issueKey}/attachments/${attachment.id}`,
+		size: attachment.size
+	}));
+	return result;
+}
+/**
+* Backlog課題のコメント一覧を取得し、コメント履歴の形式に変換する
+* 変更履歴(changeLog)は「status: 未対応 → 処理中」の形式で表す
+*
+* @param {Object} config - Backlog設定
+* @param {string} issueKey - 課題キー
+* @returns {Promise<Array<Object>>} コメントの一覧(古い順)
+*/
+async function fetchComments(config, issueKey) {
+	const comments = [];
+	let minId = null;
+	while (true) {
+		const page = await callBacklogApi(config, "GET", `/issues/${issueKey}/comments?${`order=asc&count=${COMMENT_PAGE_LIMIT}${minId ? `&minId=${minId}` : ""}`}`);
+		comments.push(...page);
+		if (page.length < COMMENT_PAGE_LIMIT) break;
+		minId = page[page.length - 1].id;
+	}
+	debug("コメントを取得しました", {
+		issueKey,
+		count: comments.length
+	});
+	return comments.map((comment) => ({
+		author: comment.createdUser?.name,
+		created_at: comment.created,
+		text: comment.content,
+		changes: (comment.changeLog || []).map((change) => change.field === "description" ? {
+			field: change.field,
+			text: "更新"
+		} : {
+			field: change.field,
+			from: change.originalValue,
+			to: change.newValue
+		})
+	})).filter((comment) => comment.text || comment.changes.length > 0);
+}
+/**
+* Backlog課題情報をYAMLフロントマター形式に変換する
+*
+* @param {Object} issue - Backlog課題情報
+* @returns {Object} フロントマター形式のデータ({meta, title, body})
+*/
+function formatAsYamlFrontmatter(issue) {
+	const meta = {
+		backlog_id: issue.id,
+		backlog_key: issue.issueKey,
+		project_id: issue.projectId,
+		title: issue.summary,
+		type: issue.issueType?.name || "",
+		status: issue.status?.name || "",
+		priority: issue.priority?.name || "",
+		assignee: issue.assignee?.name || "",
+		created_at: issue.created,
+		updated_at: issue.updated
+	};
+	if (issue.startDate) meta.start_date = issue.startDate;
+	if (issue.dueDate) meta.due_date = issue.dueDate;
+	if (issue.estimatedHours !== null && issue.estimatedHours !== void 0) meta.estimated_hours = issue.estimatedHours;
+	if (issue.actualHours !== null && issue.actualHours !== void 0) meta.actual_hours = issue.actualHours;
+	const body = issue.description ? issue.description.replace(/\r\n/g, "\n").replace(/\r/g, "\n") : "";
+	return {
+		meta,
+		title: issue.summary || "Untitled",
+		body
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/cache.js
+/**
+* キャッシュの有効期間のデフォルト値(秒)
+*/
+const DEFAULT_CACHE_TTL = 3600;
+/**
+* キャッシュディレクトリを取得する
+* 環境変数PM_TOOL_CACHE_DIR、XDG_CACHE_HOME/pm-tool、~/.cache/pm-toolの順に参照する
+*
+* @returns {string} キャッシュディレクトリのパス
+*/
+function getCacheDir() {
+	if (process.env.PM_TOOL_CACHE_DIR) return process.env.PM_TOOL_CACHE_DIR;
+	const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+	return path.join(base, "pm-tool");
+}
+/**
+* キャッシュキーからキャッシュファイルのパスを生成する
+*
+* @param {string} key - キャッシュキー
+* @returns {string} キャッシュファイルのパス
+*/
+function getCachePath(key) {
+	const filename = key.replace(/[^a-zA-Z0-9._-]+/g, "_");
+	return path.join(getCacheDir(), `${filename}.json`);
+}
+/**
+* キャッシュから値を読み込む
+*
+* @param {string} key - キャッシュキー
+* @param {number} ttl - 有効期間(秒)
+* @returns {*} キャッシュされた値、存在しないか期限切れの場合はundefined
+*/
+function readCache(key, ttl = DEFAULT_CACHE_TTL) {
+	const cachePath = getCachePath(key);
+	try {
+		const entry = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+		if (Date.now() - entry.savedAt > ttl * 1e3) {
+			debug("キャッシュ期限切れ", { key });
+			return;
+		}
+		debug("キャッシュを使用", { key });
+		return entry.value;
+	} catch (error$1) {
+		return;
+	}
+}
+/**
+* キャッシュに値を書き込む
+* 書き込みに失敗しても処理は継続する
+*
+* @param {string} key - キャッシュキー
+* @param {*} value - キャッシュする値(JSONとして保存可能な値)
+*/
+function writeCache(key, value) {
+	const cachePath = getCachePath(key);
+	try {
+		fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+		fs.writeFileSync(cachePath, JSON.stringify({
+			key,
+			savedAt: Date.now(),
+			value
+		}), "utf8");
+	} catch (error$1) {
+		warn("キャッシュの書き込みに失敗しました", {
+			key,
+			error: error$1.message
+		});
+	}
+}
+/**
+* キャッシュを利用して値を取得する
+* 有効なキャッシュがない場合はloaderで取得し、キャッシュに保存する
+*
+* @param {string} key - キャッシュキー
+* @param {Function} loader - 値を取得する非同期関数
+* @param {Object} options - オプション
+* @param {number} options.ttl - 有効期間(秒)、0の場合はキャッシュを使用しない
+* @param {boolean} options.refresh - trueの場合はキャッシュを無視して再取得する
+* @returns {Promise<*>} 値
+*/
+async function cached(key, loader, { ttl = DEFAULT_CACHE_TTL, refresh = false } = {}) {
+	if (ttl > 0 && !refresh) {
+		const value$1 = readCache(key, ttl);
+		if (value$1 !== void 0) return value$1;
+	}
+	const value = await loader();
+	if (ttl > 0) writeCache(key, value);
+	return value;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/resolver.js
+/**
+* 名前またはIDで一覧から項目を検索する
+*
+* @param {Array<Object>} items - 項目の一覧(id, nameを持つ)
+* @param {string|number|undefined} value - 名前またはID
+* @param {string} label - 項目の名称(エラーメッセージ用)
+* @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+* @returns {Object} 見つかった項目
+* @throws {ValidationError} 未指定または見つからない場合
+*/
+function findByNameOrId(items, value, label, names = (item$1) => [item$1.name]) {
+	const available = items.map((item$1) => item$1.name).join(", ");
+	if (isEmpty(value)) throw new ValidationError(`${label}が指定されていません。使用可能な${label}: ${available}`);
+	const item = matchItem(items, value, names);
+	if (!item) throw new ValidationError(`${label} "${value}" が見つかりません。使用可能な${label}: ${available}`, { [label]: value });
+	return item;
+}
+/**
+* 一覧APIから取得した項目を名前またはIDで検索するリゾルバーを作成する
+* 一覧はキャッシュし、有効期間内は再取得しない
+* 名前が見つからない場合はキャッシュが古い可能性があるため、一覧を再取得して検索し直す
+*
+* @param {Object} options - オプション
+* @param {Object<string, {label: string, names?: function(Object): Array<string>}>} options.resources - 変換対象の定義
+* @param {function(string): string} options.cacheKey - 変換対象からキャッシュキーを生成する関数
+* @param {function(string): Promise<Array<Object>>} options.fetchList - 変換対象の一覧をAPIから取得する関数
+* @param {number} options.ttl - キャッシュの有効期間(秒)、0の場合はキャッシュしない
+* @returns {{find: function(string, string|number): Promise<Object>, list: function(string): Promise<Array<Object>>}} リゾルバー
+*/
+function createListResolver({ resources, cacheKey, fetchList, ttl = DEFAULT_CACHE_TTL }) {
+	const lists = {};
+	/**
+	* 一覧を取得する(同じリゾルバー内で取得済みの場合、またはキャッシュがあれば再利用する)
+	*
+	* @param {string} type - 変換対象
+	* @param {boolean} refresh - キャッシュを無視して再取得する場合はtrue
+	* @returns {Promise<Array<Object>>} 一覧
+	*/
+	async function load(type, refresh = false) {
+		if (refresh || !lists[type]) lists[type] = cached(cacheKey(type), () => fetchList(type), {
+			ttl,
+			refresh
+		});
+		return await lists[type];
+	}
+	return {
+		async find(type, value) {
+			const { label, names } = resources[type];
+			let items = await load(type);
+			if (!isEmpty(value) && !matchItem(items, value, names)) {
+				debug("名前が見つからないため一覧を再取得します", {
+					type,
+					value
+				});
+				items = await load(type, true);
+			}
+			return findByNameOrId(items, value, label, names);
+		},
+		async list(type) {
+			return await load(type);
+		}
+	};
+}
+/**
+* 名前またはIDに一致する項目を探す
+*
+* @param {Array<Object>} items - 項目の一覧
+* @param {string|number} value - 名前またはID
+* @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+* @returns {Object|undefined} 見つかった項目
+*/
+function matchItem(items, value, names = (item) => [item.name]) {
+	return items.find((item) => names(item).includes(String(value)) || String(item.id) === String(value));
+}
+/**
+* 未指定(空文字列を含む)かどうかを判定する
+*
+* @param {*} value - 値
+* @returns {boolean} 未指定の場合はtrue
+*/
+function isEmpty(value) {
+	return value === void 0 || value === null || value === "";
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/resolver.js
+/**
+* 名前からIDへの変換対象
+* 一覧の取得先APIと、名前として照合するフィールドを定義する
+*/
+const RESOURCES = {
+	status: {
+		label: "ステータス",
+		path: (projectId) => `/projects/${projectId}/statuses`,
+		names: (item) => [item.name]
+	},
+	user: {
+		label: "担当者",
+		path: (projectId) => `/projects/${projectId}/users`,
+		names: (item) => [item.name, item.userId]
+	},
+	priority: {
+		label: "優先度",
+		path: () => "/priorities",
+		names: (item) => [item.name]
+	},
+	issueType: {
+		label: "種別",
+		path: (projectId) => `/projects/${projectId}/issueTypes`,
+		names: (item) => [item.name]
+	}
+};
+/**
+* プロジェクトのステータス・ユーザー・優先度・種別を名前からIDに変換するリゾルバーを作成する
+* 一覧はローカルにキャッシュし、有効期間内は再取得しない
+*
+* @param {Object} config - Backlog設定(cache_ttlでキャッシュの有効期間(秒)を指定可能)
+* @param {number|string} projectId - プロジェクトIDまたはキー
+* @returns {{resolve: function(string, string|number): Promise<Object>, list: function(string): Promise<Array<Object>>}} リゾルバー
+*/
+function createResolver(config, projectId) {
+	const lists = createListResolver({
+		resources: RESOURCES,
+		cacheKey: (type) => `backlog-${config.url}${RESOURCES[type].path(projectId)}`,
+		fetchList: async (type) => {
+			return (await callBacklogApi(config, "GET", RESOURCES[type].path(projectId))).map((item) => ({
+				id: item.id,
+				name: item.name,
+				userId: item.userId
+			}));
+		},
+		ttl: config.cache_ttl ?? DEFAULT_CACHE_TTL
+	});
+	return {
+		async resolve(type, value) {
+			return await lists.find(type, value);
+		},
+		async list(type) {
+			return await lists.list(type);
+		}
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/attachments.js
+/**
+* 添付ファイルと_files/のローカルファイルの対応付け
+*
+* fetch時は添付ファイルを「{チケットファイル名}-{添付ファイル名}」として_files/に保存し、
+* update時はその命名規則をもとに、ローカルファイルがリモートに添付済みかを判定する。
+*/
+/**
+* ファイル名に使用できない文字をハイフンに置き換える
+*
+* @param {string} name - ファイル名
+* @returns {string} 置き換え後のファイル名
+*/
+function sanitizeFilename(name) {
+	return String(name).replace(/[\\/:?*"<>|\s]+/g, "-");
+}
+/**
+* 添付ファイルの保存先ファイル名を生成する
+*
+* @param {string} fileBase - チケットファイル名(拡張子なし)
+* @param {{id: *, filename: string}} attachment - 添付ファイル情報
+* @param {boolean} [withId=false] - 添付ファイルIDを付けるか(同名の添付ファイルを区別する場合)
+* @returns {string} ファイル名
+*/
+function toAttachmentFilename(fileBase, attachment, withId = false) {
+	const safeName = sanitizeFilename(attachment.filename);
+	if (!withId) return `${fileBase}-${safeName}`;
+	const ext = path.extname(safeName);
+	return `${fileBase}-${path.basename(safeName, ext)}-${attachment.id}${ext}`;
+}
+/**
+* ローカルファイルに対応するリモートの添付ファイルを検索する
+* 添付ファイル名そのもの、またはfetch時の命名規則で保存したファイル名と一致するものを返す
+* (末尾の一致では判定しない。ticket-1-diagram-image.pngは添付ファイルimage.pngとは別のファイルとして扱う)
+*
+* @param {string} localName - ローカルファイル名
+* @param {Array<{id: *, filename: string}>} attachments - リモートの添付ファイル一覧
+* @param {string} fileBase - チケットファイル名(拡張子なし)
+* @returns {Object|null} 対応する添付ファイル(ない場合はnull)
+*/
+function findRemoteAttachment(localName, attachments, fileBase) {
+	return attachments.find((attachment) => localName === attachment.filename || localName === toAttachmentFilename(fileBase, attachment) || localName === toAttachmentFilename(fileBase, attachment, true)) || null;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/attachments.js
+/**
+* Backlogの添付ファイルをダウンロードする
+* 添付ファイルのURLには認証情報を含めず、ダウンロード時に付与する
+*
+* @param {Object} config - Backlog設定
+* @param {Object} attachment - 添付ファイル情報(fetch結果のattachmentsの要素)
+* @returns {Promise<Buffer>} 添付ファイルの内容
+*/
+async function downloadAttachment(config, attachment) {
+	debug("Backlog添付ファイルのダウンロード", {
+		id: attachment.id,
+		filename: attachment.filename
+	});
+	return await apiRequest(attachment.url, {
+		method: "GET",
+		responseType: "buffer",
+		auth: createBacklogAuth(config)
+	});
+}
+/**
+* 本文からリンクされているローカルファイルのうち、課題に未添付のものをアップロードして課題に添付する
+*
+* @param {Object} config - Backlog設定
+* @param {Object} issue - 元の課題情報
+* @param {Array<{link: string, path: string, filename: string}>} localFiles - 本文からリンクされているファイル
+* @param {string} fileBase - チケットファイル名(拡張子なし、添付済みのファイルの判定に使用する)
+* @param {boolean} dryRun - trueの場合はアップロードしない
+* @returns {Promise<{links: Object<string, string>, uploaded: string[], pending: string[]}>}
+*   本文のリンク先と添付ファイルのURLの対応、添付したファイル名、アップロード予定のファイル名(dry-run時)
+*/
+async function uploadLocalFiles(config, issue, localFiles, fileBase, dryRun = false) {
+	const result = {
+		links: {},
+		uploaded: [],
+		pending: []
+	};
+	if (!localFiles || localFiles.length === 0) return result;
+	const toAttachment = (attachment) => ({
+		id: attachment.id,
+		filename: attachment.name
+	});
+	const attachments = (issue.attachments || []).map(toAttachment);
+	const newFiles = [];
+	for (const file of localFiles) {
+		const remote = findRemoteAttachment(file.filename, attachments, fileBase);
+		if (remote) result.links[file.link] = attachmentUrl(config, remote);
+		else if (dryRun) result.pending.push(file.filename);
+		else {
+			const uploaded = await uploadBacklogAttachment(config, file.filename, fs.readFileSync(file.path));
+			info(`ファイルをアップロードしました: ${file.filename}`);
+			newFiles.push({
+				...file,
+				uploadId: uploaded.id
+			});
+		}
+	}
+	if (newFiles.length === 0) return result;
+	const updated = await callBacklogApi(config, "PATCH", `/issues/${issue.issueKey}`, { "attachmentId[]": newFiles.map((file) => file.uploadId) });
+	const existingIds = new Set(attachments.map((attachment) => attachment.id));
+	const added = (updated.attachments || []).map(toAttachment).filter((attachment) => !existingIds.has(attachment.id));
+	for (const file of newFiles) {
+		const attachment = added.find((item) => item.filename === file.filename);
+		if (attachment) result.links[file.link] = attachmentUrl(config, attachment);
+		result.uploaded.push(file.filename);
+	}
+	info(`${newFiles.length}件のファイルを課題 ${issue.issueKey} に添付しました`);
+	return result;
+}
+/**
+* 添付ファイルのURL(ブラウザで参照するURL)を組み立てる
+*
+* @param {Object} config - Backlog設定
+* @param {{id: number, filename: string}} attachment - 添付ファイル情報
+* @returns {string} 添付ファイルのURL
+*/
+function attachmentUrl(config, attachment) {
+	return `${config.url.replace(/\/$/, "")}/downloadAttachment/${attachment.id}/${encodeURIComponent(attachment.filename)}`;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/update.js
+/**
+* Backlog課題情報を更新する
+*
+* @param {Object} config - Backlog設定
+* @param {string} issueKey - 課題キー
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 更新結果
+*/
+async function updateIssue(config, issueKey, updateData = {}) {
+	info(`Backlog課題を更新: ${issueKey}`);
+	const dryRun = updateData.dryRun || updateData["dry-run"];
+	const { updatePayload, uploaded, pending } = await prepareUpdate(config, issueKey, updateData);
+	if (dryRun) {
+		console.log("\n=== Backlog API更新ペイロード ===");
+		console.log("Payload:", JSON.stringify(updatePayload, null, 2));
+		console.log("================================\n");
+		info("[DRY RUN] 実際の更新は行いません");
+		if (pending.length > 0) info(`[DRY RUN] アップロード予定のファイル: ${pending.join(", ")}`);
+		return {
+			success: true,
+			message: `[DRY RUN] 課題 ${issueKey} の更新をシミュレートしました`,
+			updated: updatePayload,
+			dryRun: true
+		};
+	}
+	if (Object.keys(updatePayload).length === 0) {
+		info("更新する項目がありません");
+		return {
+			success: true,
+			message: "更新する項目がありません",
+			uploaded
+		};
+	}
+	const updatedIssue = await callBacklogApi(config, "PATCH", `/issues/${issueKey}`, updatePayload);
+	info("課題を更新しました", {
+		key: updatedIssue.issueKey,
+		updated: Object.keys(updatePayload)
+	});
+	return {
+		success: true,
+		issue: updatedIssue,
+		uploaded
+	};
+}
+/**
+* 課題の更新内容を準備する(課題は更新しない)
+* dry-runの場合、添付ファイルはアップロードせず、添付済みのファイルのみ説明のリンク先を置き換える
+*
+* @param {Object} config - Backlog設定
+* @param {string} issueKey - 課題キー
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<{updatePayload: Object, uploaded: string[], pending: string[]}>}
+*   Backlog API用更新データ、アップロードしたファイル名、アップロード予定のファイル名
+*/
+async function prepareUpdate(config, issueKey, updateData = {}) {
+	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
+	createBacklogAuth(config);
+	const originalIssue = await callBacklogApi(config, "GET", `/issues/${issueKey}`);
+	const dryRun = updateData.dryRun || updateData["dry-run"];
+	const { links, uploaded, pending } = await uploadLocalFiles(config, originalIssue, updateData.localFiles, updateData.fileBase, dryRun);
+	return {
+		updatePayload: {
+			...buildUpdatePayload(updateData, originalIssue, links),
+			...await buildNamedFieldPayload(updateData, originalIssue, createResolver(config, originalIssue.projectId))
+		},
+		uploaded,
+		pending
+	};
+}
+/**
+* YAMLフロントマターをBacklog課題更新データに変換する
+*
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @param {Object} originalIssue - 元の課題情報
+* @param {Object<string, string>} [links] - 説明中のリンク先の置き換え(ローカルファイル→添付ファイルのURL)
+* @returns {Object} Backlog API用更新データ
+*/
+function buildUpdatePayload(updateData, originalIssue, links = {}) {
+	const frontmatter = updateData.frontmatter || {};
+	const body = updateData.body || "";
+	const payload = {};
+	if (body) {
+		const subject = extractSubjectFromMarkdown(body);
+		if (subject && subject !== originalIssue.summary) payload.summary = subject;
+	}
+	if (body) {
+		const description = replaceLinks(extractDescriptionFromMarkdown(body), links);
+		if (description && description !== originalIssue.description) payload.description = description;
+	}
+	if (frontmatter.due_date !== void 0) payload.dueDate = frontmatter.due_date || null;
+	if (frontmatter.start_date !== void 0) payload.startDate = frontmatter.start_date || null;
+	if (frontmatter.estimated_hours !== void 0) payload.estimatedHours = frontmatter.estimated_hours;
+	if (frontmatter.actual_hours !== void 0) payload.actualHours = frontmatter.actual_hours;
+	return payload;
+}
+/**
+* 名前で指定された項目をBacklog課題更新データに変換する
+* ステータス・担当者・優先度・種別はコマンドラインオプション優先、なければYAMLから取得し、
+* 元の課題と異なる場合のみ名前からIDに変換して更新データに含める
+*
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @param {Object} originalIssue - 元の課題情報
+* @param {Object} resolver - 名前からIDへのリゾルバー
+* @returns {Promise<Object>} Backlog API用更新データ
+* @throws {ValidationError} 存在しない名前が指定された場合
+*/
+async function buildNamedFieldPayload(updateData, originalIssue, resolver) {
+	const frontmatter = updateData.frontmatter || {};
+	const payload = {};
+	const fields = [
+		{
+			type: "status",
+			key: "statusId",
+			value: updateData.status ?? frontmatter.status,
+			current: originalIssue.status
+		},
+		{
+			type: "user",
+			key: "assigneeId",
+			value: updateData.assignee ?? frontmatter.assignee,
+			current: originalIssue.assignee
+		},
+		{
+			type: "priority",
+			key: "priorityId",
+			value: updateData.priority ?? frontmatter.priority,
+			current: originalIssue.priority
+		},
+		{
+			type: "issueType",
+			key: "issueTypeId",
+			value: updateData.issue_type ?? frontmatter.type,
+			current: originalIssue.issueType
+		}
+	];
+	for (const { type, key, value, current } of fields) {
+		if (value === void 0 || value === null || value === "") continue;
+		if (current && [
+			current.name,
+			current.userId,
+			current.id
+		].filter((v) => v !== void 0).map(String).includes(String(value))) continue;
+		const item = await resolver.resolve(type, value);
+		if (item.id !== current?.id) payload[key] = item.id;
+	}
+	return payload;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/create.js
+/**
+* 優先度のデフォルトID(Backlogの優先度「中」)
+*/
+const DEFAULT_PRIORITY_ID = 3;
+/**
+* Backlog課題を新規作成する
+*
+* @param {Object} config - Backlog設定
+* @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 作成結果(作成した課題キーとフロントマター)
+*/
+async function createIssue(config, createData = {}) {
+	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
+	createBacklogAuth(config);
+	const frontmatter = createData.frontmatter || {};
+	const projectKey = createData.project || frontmatter.project_id || config.project;
+	if (!projectKey) throw new ValidationError("プロジェクトが指定されていません。--project オプションまたは integration.pm_tool.backlog.project を設定してください");
+	const fields = buildUpdatePayload(createData, {});
+	if (!fields.summary) throw new ValidationError("件名が見つかりません。Markdown本文にh1見出しを記載してください");
+	debug("Backlog課題作成", {
+		projectKey,
+		fields
+	});
+	const project = await getBacklogProject(config, projectKey);
+	const resolver = createResolver(config, project.id);
+	const issueType = await resolver.resolve("issueType", createData.issue_type || frontmatter.type || config.issue_type);
+	const priorityName = createData.priority || frontmatter.priority || config.priority;
+	const priorityId = priorityName ? (await resolver.resolve("priority", priorityName)).id : DEFAULT_PRIORITY_ID;
+	const payload = {
+		projectId: project.id,
+		issueTypeId: issueType.id,
+		priorityId,
+		...fields
+	};
+	const assigneeName = createData.assignee || frontmatter.assignee;
+	if (assigneeName) payload.assigneeId = (await resolver.resolve("user", assigneeName)).id;
+	console.log("\n=== Backlog API作成ペイロード ===");
+	console.log("Payload:", JSON.stringify(payload, null, 2));
+	console.log("================================\n");
+	if (createData.dryRun || createData["dry-run"]) {
+		info("[DRY RUN] 実際の作成は行いません");
+		return {
+			success: true,
+			message: "[DRY RUN] 課題の作成をシミュレートしました",
+			created: payload,
+			dryRun: true
+		};
+	}
+	const issue = await callBacklogApi(config, "POST", "/issues", payload);
+	info("課題を作成しました", { key: issue.issueKey });
+	return {
+		success: true,
+		message: `課題 ${issue.issueKey} を作成しました`,
+		ticketId: issue.issueKey,
+		meta: formatAsYamlFrontmatter(issue).meta
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/backlog/search.js
+/**
+* 課題一覧取得時の1ページあたりの件数(APIの上限)
+*/
+const PAGE_LIMIT = 100;
+/**
+* Backlogの「完了」ステータスのID(全プロジェクト共通)
+*/
+const CLOSED_STATUS_ID = 4;
+/**
+* 名前で指定できる検索条件と、課題一覧APIのパラメータ・名前の変換対象の対応
+*/
+const NAMED_FILTERS = {
+	type: {
+		param: "issueTypeId[]",
+		type: "issueType"
+	},
+	issue_type: {
+		param: "issueTypeId[]",
+		type: "issueType"
+	},
+	priority: {
+		param: "priorityId[]",
+		type: "priority"
+	}
+};
+/**
+* 検索条件に一致するBacklog課題のキーを取得する
+* 名前で指定された条件はIDに変換し、それ以外の条件は課題一覧APIのパラメータとしてそのまま渡す
+*
+* @param {Object} config - Backlog設定
+* @param {Object<string, string>} query - 検索条件(例: {assigned_to: 'me', status: 'open', project: 'PROJ'})
+* @returns {Promise<string[]>} 課題キーの一覧
+* @throws {ValidationError} プロジェクトが未指定、または存在しない名前が指定された場合
+*/
+async function searchIssues(config, query = {}) {
+	if (!config.url) throw new ValidationError("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
+	createBacklogAuth(config);
+	const projectKey = query.project || config.project;
+	if (!projectKey) throw new ValidationError("プロジェクトが指定されていません。検索条件のproject、または設定のprojectを指定してください");
+	const project = await getBacklogProject(config, projectKey);
+	const resolver = createResolver(config, project.id);
+	const params = new URLSearchParams();
+	params.append("projectId[]", project.id);
+	for (const [key, value] of Object.entries(query)) {
+		if (key === "project") continue;
+		if (key === "assigned_to" || key === "assignee") {
+			const user = value === "me" ? await getBacklogMyself(config) : await resolver.resolve("user", value);
+			params.append("assigneeId[]", user.id);
+		} else if (key === "status") for (const id of await resolveStatusIds(resolver, value)) params.append("statusId[]", id);
+		else if (NAMED_FILTERS[key]) {
+			const item = await resolver.resolve(NAMED_FILTERS[key].type, value);
+			params.append(NAMED_FILTERS[key].param, item.id);
+		} else params.append(key, value);
+	}
+	debug("Backlog課題検索", {
+		query,
+		params: params.toString()
+	});
+	const keys = (await listIssues(config, params)).map((issue) => issue.issueKey);
+	info(`${keys.length}件の課題が見つかりました`);
+	return keys;
+}
+/**
+* 複数の課題の更新日時をまとめて取得する
+* 課題一覧APIは課題キーで絞り込めないため、フロントマターの課題ID(backlog_id)で絞り込む
+* 課題IDがない、または削除された等で取得できなかった課題は結果に含まれない
+*
+* @param {Object} config - Backlog設定
+* @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象の課題
+* @returns {Promise<Object<string, string>>} 課題キーと更新日時(updated_at)の対応
+*/
+async function getIssuesUpdatedAt(config, tickets) {
+	const ids = tickets.map((ticket) => ticket.frontmatter.backlog_id).filter(Boolean);
+	const updated = {};
+	for (let i = 0; i < ids.length; i += PAGE_LIMIT) {
+		const params = new URLSearchParams();
+		ids.slice(i, i + PAGE_LIMIT).forEach((id) => params.append("id[]", id));
+		for (const issue of await listIssues(config, params)) updated[issue.issueKey] = issue.updated;
+	}
+	return updated;
+}
+/**
+* 条件に一致する課題を全件取得するまでページングする
+*
+* @param {Object} config - Backlog設定
+* @param {URLSearchParams} params - 検索条件
+* @returns {Promise<Array<Object>>} 課題の一覧
+*/
+async function listIssues(config, params) {
+	const issues = [];
+	while (true) {
+		params.set("offset", issues.length);
+		params.set("count", PAGE_LIMIT);
+		const page = await callBacklogApi(config, "GET", `/issues?${params}`);
+		issues.push(...page);
+		if (page.length < PAGE_LIMIT) break;
+	}
+	return issues;
+}
+/**
+* ステータスの検索条件をステータスIDの一覧に変換する
+* open(完了以外)とclosed(完了)はRedmineの指定方法に合わせた別名
+*
+* @param {Object} resolver - リゾルバー
+* @param {string} value - ステータス(open、closed、名前またはID)
+* @returns {Promise<number[]>} ステータスIDの一覧
+*/
+async function resolveStatusIds(resolver, value) {
+	if (value === "open") return (await resolver.list("status")).map((status) => status.id).filter((id) => id !== CLOSED_STATUS_ID);
+	if (value === "closed") return [CLOSED_STATUS_ID];
+	return [(await resolver.resolve("status", value)).id];
 }
 
 //#endregion
@@ -433,7 +1852,28 @@ function extractDescriptionFromMarkdown(body) {
 var backlog_default = {
 	name: "backlog",
 	label: "Backlog",
-	defaults: { file_prefix: "" },
+	defaults: {
+		file_prefix: "",
+		rate_limit: {
+			concurrency: 2,
+			requests_per_second: 2
+		}
+	},
+	configSchema: { properties: {
+		api_key: { type: "string" },
+		access_token: { type: "string" },
+		client_id: { type: "string" },
+		client_secret: { type: "string" },
+		redirect_uri: { type: "string" },
+		project: { type: ["string", "integer"] },
+		issue_type: { type: ["string", "integer"] },
+		priority: { type: ["string", "integer"] },
+		cache_ttl: {
+			type: "integer",
+			minimum: 0
+		}
+	} },
+	oauth: backlogOAuth,
 	async fetch(config, issueKey, options = {}) {
 		debug("Backlogプラグイン: fetch", { issueKey });
 		return await fetchIssue(config, issueKey, options);
@@ -442,6 +1882,39 @@ var backlog_default = {
 		debug("Backlogプラグイン: update", { issueKey });
 		return await updateIssue(config, issueKey, updateData);
 	},
+	async buildUpdatePayload(config, issueKey, updateData = {}) {
+		debug("Backlogプラグイン: buildUpdatePayload", { issueKey });
+		const { updatePayload } = await prepareUpdate(config, issueKey, {
+			...updateData,
+			dryRun: true
+		});
+		return updatePayload;
+	},
+	async create(config, createData = {}) {
+		debug("Backlogプラグイン: create");
+		return await createIssue(config, createData);
+	},
+	async downloadAttachment(config, attachment) {
+		debug("Backlogプラグイン: downloadAttachment", { id: attachment.id });
+		return await downloadAttachment(config, attachment);
+	},
+	async search(config, query = {}) {
+		debug("Backlogプラグイン: search", { query });
+		return await searchIssues(config, query);
+	},
+	async getUpdatedAt(config, tickets) {
+		debug("Backlogプラグイン: getUpdatedAt", { count: tickets.length });
+		return await getIssuesUpdatedAt(config, tickets);
+	},
+	async getCurrentUser(config) {
+		debug("Backlogプラグイン: getCurrentUser");
+		const user = await getBacklogMyself(config);
+		return {
+			id: user.id,
+			login: user.userId,
+			name: user.name
+		};
+	},
 	extractTicketId(frontmatter) {
 		return frontmatter.backlog_key || null;
 	},
@@ -449,7 +1922,7 @@ var backlog_default = {
 		try {
 			const match = new URL(url).pathname.match(/\/view\/([A-Z]+-\d+)/);
 			return match ? match[1] : null;
-		} catch (error) {
+		} catch (error$1) {
 			return null;
 		}
 	},
@@ -474,14 +1947,42 @@ var backlog_default = {
 				name: "actual-hours",
 				description: "実績時間",
 				type: "number"
+			},
+			{
+				name: "status",
+				description: "ステータス(名前またはID)",
+				type: "string"
+			},
+			{
+				name: "assignee",
+				description: "担当者(名前、ユーザーIDまたはID)",
+				type: "string"
+			},
+			{
+				name: "priority",
+				description: "優先度(名前またはID)",
+				type: "string"
+			},
+			{
+				name: "issue-type",
+				description: "種別(名前またはID)",
+				type: "string"
 			}
 		];
 	},
+	getCreateOptions() {
+		return [{
+			name: "project",
+			description: "プロジェクト(キーまたはID)",
+			type: "string"
+		}];
+	},
 	async validate(config) {
 		debug("Backlogプラグイン: validate");
 		const errors = [];
 		if (!config.url) errors.push("Backlog URLが設定されていません (integration.pm_tool.backlog.url)");
-		if (!config.api_key) errors.push("Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)");
+		if (!config.api_key && !config.access_token && !config.client_id) errors.push("Backlog認証情報が設定されていません。api_key、access_token または client_id(OAuth 2.0)のいずれかを設定してください");
+		if (config.client_id && !config.client_secret) errors.push("OAuth 2.0のクライアントシークレットが設定されていません (integration.pm_tool.backlog.client_secret)");
 		return {
 			valid: errors.length === 0,
 			errors
@@ -0,0 +1,95 @@
+#!/usr/bin/env zx
+
+import { apiRequest } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { findRemoteAttachment } from '../../common/attachments.js';
+import { callBacklogApi, createBacklogAuth, uploadBacklogAttachment } from './client.js';
+
+/**
+ * Backlogの添付ファイルをダウンロードする
+ * 添付ファイルのURLには認証情報を含めず、ダウンロード時に付与する
+ *
+ * @param {Object} config - Backlog設定
+ * @param {Object} attachment - 添付ファイル情報(fetch結果のattachmentsの要素)
+ * @returns {Promise<Buffer>} 添付ファイルの内容
+ */
+export async function downloadAttachment(config, attachment) {
+    debug('Backlog添付ファイルのダウンロード', { id: attachment.id, filename: attachment.filename });
+
+    return await apiRequest(attachment.url, {
+        method: 'GET',
+        responseType: 'buffer',
+        auth: createBacklogAuth(config)
+    });
+}
+
+/**
+ * 本文からリンクされているローカルファイルのうち、課題に未添付のものをアップロードして課題に添付する
+ *
+ * @param {Object} config - Backlog設定
+ * @param {Object} issue - 元の課題情報
+ * @param {Array<{link: string, path: string, filename: string}>} localFiles - 本文からリンクされているファイル
+ * @param {string} fileBase - チケットファイル名(拡張子なし、添付済みのファイルの判定に使用する)
+ * @param {boolean} dryRun - trueの場合はアップロードしない
+ * @returns {Promise<{links: Object<string, string>, uploaded: string[], pending: string[]}>}
+ *   本文のリンク先と添付ファイルのURLの対応、添付したファイル名、アップロード予定のファイル名(dry-run時)
+ */
+export async function uploadLocalFiles(config, issue, localFiles, fileBase, dryRun = false) {
+    const result = { links: {}, uploaded: [], pending: [] };
+    if (!localFiles || localFiles.length === 0) {
+        return result;
+    }
+
+    const toAttachment = attachment => ({ id: attachment.id, filename: attachment.name });
+    const attachments = (issue.attachments || []).map(toAttachment);
+
+    // 未添付のファイルをアップロード
+    const newFiles = [];
+    for (const file of localFiles) {
+        const remote = findRemoteAttachment(file.filename, attachments, fileBase);
+        if (remote) {
+            result.links[file.link] = attachmentUrl(config, remote);
+        } else if (dryRun) {
+            result.pending.push(file.filename);
+        } else {
+            const uploaded = await uploadBacklogAttachment(config, file.filename, fs.readFileSync(file.path));
+            info(`ファイルをアップロードしました: ${file.filename}`);
+            newFiles.push({ ...file, uploadId: uploaded.id });
+        }
+    }
+
+    if (newFiles.length === 0) {
+        return result;
+    }
+
+    // 課題に添付(課題の添付ファイルIDはアップロード時のIDと異なるため、更新後の課題から取得する)
+    const updated = await callBacklogApi(config, 'PATCH', `/issues/${issue.issueKey}`, {
+        'attachmentId[]': newFiles.map(file => file.uploadId)
+    });
+    const existingIds = new Set(attachments.map(attachment => attachment.id));
+    const added = (updated.attachments || []).map(toAttachment).filter(attachment => !existingIds.has(attachment.id));
+
+    for (const file of newFiles) {
+        const attachment = added.find(item => item.filename === file.filename);
+        if (attachment) {
+            result.links[file.link] = attachmentUrl(config, attachment);
+        }
+        result.uploaded.push(file.filename);
+    }
+
+    info(`${newFiles.length}件のファイルを課題 ${issue.issueKey} に添付しました`);
+
+    return result;
+}
+
+/**
+ * 添付ファイルのURL(ブラウザで参照するURL)を組み立てる
+ *
+ * @param {Object} config - Backlog設定
+ * @param {{id: number, filename: string}} attachment - 添付ファイル情報
+ * @returns {string} 添付ファイルのURL
+ */
+function attachmentUrl(config, attachment) {
+    const baseUrl = config.url.replace(/\/$/, '');
+    return `${baseUrl}/downloadAttachment/${attachment.id}/${encodeURIComponent(attachment.filename)}`;
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env zx
+
+import { apiRequest } from '../../common/api.js';
+import { createQueryAuth, createBearerAuth } from '../../common/auth.js';
+import { createOAuthAuth } from '../../common/oauth.js';
+import { debug } from '../../common/logger.js';
+import { ValidationError, ApiError } from '../../common/error.js';
+
+/**
+ * BacklogのOAuth 2.0プロバイダー定義(common/oauth.js)
+ */
+export const backlogOAuth = {
+    /**
+     * 認可画面のURLを組み立てる
+     *
+     * @param {Object} config - Backlog設定
+     * @param {{redirectUri: string, state: string}} params - リダイレクトURIとstate
+     * @returns {string} 認可画面のURL
+     */
+    authorizeUrl(config, { redirectUri, state }) {
+        const url = new URL(`${config.url.replace(/\/$/, '')}/OAuth2AccessRequest.action`);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', config.client_id);
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('state', state);
+        return url.toString();
+    },
+
+    /**
+     * トークンエンドポイントのURLを組み立てる
+     *
+     * @param {Object} config - Backlog設定
+     * @returns {string} トークンエンドポイントのURL
+     */
+    tokenUrl(config) {
+        return backlogApiUrl(config, '/oauth2/token');
+    }
+};
+
+/**
+ * Backlogの認証方式を作成する
+ * access_token、client_id(pm-tool auth loginで保存したトークン)、api_keyの順に参照する
+ *
+ * @param {Object} config - Backlog設定
+ * @returns {Object} 認証方式(common/auth.js)
+ * @throws {ValidationError} 認証情報が設定されていない場合
+ */
+export function createBacklogAuth(config) {
+    if (config.access_token) {
+        return createBearerAuth(config.access_token);
+    }
+    if (config.client_id) {
+        return createOAuthAuth('backlog', config, backlogOAuth);
+    }
+    if (config.api_key) {
+        return createQueryAuth('apiKey', config.api_key);
+    }
+    throw new ValidationError(
+        'Backlog認証情報が設定されていません。' +
+        'api_key、access_token または client_id(OAuth 2.0)のいずれかを設定してください'
+    );
+}
+
+/**
+ * Backlog APIを呼び出す
+ * 一時的なエラー(レート制限、5xx、ネットワークエラー)はcommon/api.jsがリトライする
+ *
+ * @param {Object} config - Backlog設定
+ * @param {string} method - HTTPメソッド
+ * @param {string} apiPath - APIパス(/api/v2以降)
+ * @param {Object|null} payload - 送信データ(フォーム形式で送信、配列の値は同じキーで複数送信)
+ * @returns {Promise<Object>} レスポンスデータ
+ */
+export async function callBacklogApi(config, method, apiPath, payload = null) {
+    const request = {
+        method,
+        headers: {
+            'Content-Type': payload ? 'application/x-www-form-urlencoded' : 'application/json'
+        },
+        auth: createBacklogAuth(config)
+    };
+
+    if (payload) {
+        const formData = new URLSearchParams();
+        for (const [key, value] of Object.entries(payload)) {
+            if (Array.isArray(value)) {
+                value.forEach(item => formData.append(key, item));
+            } else if (value !== null && value !== undefined) {
+                formData.append(key, value);
+            }
+        }
+        request.body = formData.toString();
+    }
+
+    debug(`API リクエスト開始 (${method})`, { apiPath, payload });
+
+    return await apiRequest(backlogApiUrl(config, apiPath), request);
+}
+
+/**
+ * ファイルをBacklogにアップロードする(POST /space/attachment)
+ * アップロードしたファイルは、返された添付ファイルIDを課題の更新時に指定することで添付される
+ *
+ * @param {Object} config - Backlog設定
+ * @param {string} filename - ファイル名
+ * @param {Buffer} content - ファイルの内容
+ * @returns {Promise<Object>} アップロード結果({id, name, size})
+ */
+export async function uploadBacklogAttachment(config, filename, content) {
+    const formData = new FormData();
+    formData.append('file', new Blob([content]), filename);
+
+    debug('API リクエスト開始 (POST)', { apiPath: '/space/attachment', filename });
+
+    return await apiRequest(backlogApiUrl(config, '/space/attachment'), {
+        method: 'POST',
+        body: formData,
+        auth: createBacklogAuth(config)
+    });
+}
+
+/**
+ * プロジェクトを取得する
+ *
+ * @param {Object} config - Backlog設定
+ * @param {string} projectKey - プロジェクトキー
+ * @returns {Promise<Object>} プロジェクト情報
+ * @throws {ValidationError} プロジェクトが存在しない場合
+ */
+export async function getBacklogProject(config, projectKey) {
+    try {
+        return await callBacklogApi(config, 'GET', `/projects/${projectKey}`);
+    } catch (error) {
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ValidationError(`プロジェクト "${projectKey}" が見つかりません`, { project: projectKey });
+        }
+        throw error;
+    }
+}
+
+/**
+ * 認証に使用しているBacklogユーザーを取得する(GET /users/myself)
+ *
+ * @param {Object} config - Backlog設定
+ * @returns {Promise<Object>} ユーザー情報({id, userId, name, ...})
+ */
+export async function getBacklogMyself(config) {
+    return await callBacklogApi(config, 'GET', '/users/myself');
+}
+
+/**
+ * Backlog APIのURLを組み立てる
+ *
+ * @param {Object} config - Backlog設定
+ * @param {string} apiPath - APIパス(/api/v2以降)
+ * @returns {string} APIのURL
+ */
+export function backlogApiUrl(config, apiPath) {
+    return `${config.url.replace(/\/$/, '')}/api/v2${apiPath}`;
+}
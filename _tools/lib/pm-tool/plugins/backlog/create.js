@@ -0,0 +1,100 @@
+#!/usr/bin/env zx
+
+import { info, debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { formatAsYamlFrontmatter } from './fetch.js';
+import { buildUpdatePayload } from './update.js';
+import { callBacklogApi, createBacklogAuth, getBacklogProject } from './client.js';
+import { createResolver } from './resolver.js';
+
+/**
+ * 優先度のデフォルトID(Backlogの優先度「中」)
+ */
+const DEFAULT_PRIORITY_ID = 3;
+
+/**
+ * Backlog課題を新規作成する
+ *
+ * @param {Object} config - Backlog設定
+ * @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 作成結果(作成した課題キーとフロントマター)
+ */
+export async function createIssue(config, createData = {}) {
+    // 設定の検証
+    if (!config.url) {
+        throw new ValidationError('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
+    }
+
+    // 認証情報の検証
+    createBacklogAuth(config);
+
+    const frontmatter = createData.frontmatter || {};
+
+    // プロジェクト(キーまたはID)
+    const projectKey = createData.project || frontmatter.project_id || config.project;
+    if (!projectKey) {
+        throw new ValidationError(
+            'プロジェクトが指定されていません。' +
+            '--project オプションまたは integration.pm_tool.backlog.project を設定してください'
+        );
+    }
+
+    // 件名・説明・日付・時間は更新時と同じ規則で抽出する
+    const fields = buildUpdatePayload(createData, {});
+    if (!fields.summary) {
+        throw new ValidationError('件名が見つかりません。Markdown本文にh1見出しを記載してください');
+    }
+
+    debug('Backlog課題作成', { projectKey, fields });
+
+    const project = await getBacklogProject(config, projectKey);
+    const resolver = createResolver(config, project.id);
+
+    // 種別(名前またはID、必須)
+    const issueType = await resolver.resolve('issueType', createData.issue_type || frontmatter.type || config.issue_type);
+
+    // 優先度(名前またはID、省略時は「中」)
+    const priorityName = createData.priority || frontmatter.priority || config.priority;
+    const priorityId = priorityName ? (await resolver.resolve('priority', priorityName)).id : DEFAULT_PRIORITY_ID;
+
+    const payload = {
+        projectId: project.id,
+        issueTypeId: issueType.id,
+        priorityId,
+        ...fields
+    };
+
+    // 担当者(名前またはユーザーID、任意)
+    const assigneeName = createData.assignee || frontmatter.assignee;
+    if (assigneeName) {
+        payload.assigneeId = (await resolver.resolve('user', assigneeName)).id;
+    }
+
+    // 作成ペイロードを表示
+    console.log('\n=== Backlog API作成ペイロード ===');
+    console.log('Payload:', JSON.stringify(payload, null, 2));
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (createData.dryRun || createData['dry-run']) {
+        info('[DRY RUN] 実際の作成は行いません');
+        return {
+            success: true,
+            message: '[DRY RUN] 課題の作成をシミュレートしました',
+            created: payload,
+            dryRun: true
+        };
+    }
+
+    // 作成は冪等でないためリトライしない
+    const issue = await callBacklogApi(config, 'POST', '/issues', payload);
+
+    info('課題を作成しました', { key: issue.issueKey });
+
+    return {
+        success: true,
+        message: `課題 ${issue.issueKey} を作成しました`,
+        ticketId: issue.issueKey,
+        meta: formatAsYamlFrontmatter(issue).meta
+    };
+}
@@ -1,15 +1,21 @@
 #!/usr/bin/env zx
 
 import { info, debug, warn } from '../../common/logger.js';
-import { ValidationError, ApiError, AuthenticationError, NetworkError } from '../../common/error.js';
-import { retry } from '../../common/retry.js';
+import { ValidationError } from '../../common/error.js';
+import { renderCommentSection, appendSection } from '../../common/markdown.js';
+import { callBacklogApi, createBacklogAuth } from './client.js';
+
+/**
+ * コメント一覧取得時の1ページあたりの件数(APIの上限)
+ */
+const COMMENT_PAGE_LIMIT = 100;
 
 /**
  * Backlog課題情報を取得する
  *
  * @param {Object} config - Backlog設定
  * @param {string} issueKey - 課題キー(例: PROJ-123)
- * @param {Object} options - オプション
+ * @param {Object} options - オプション(include_comments: コメント履歴を含める、attachments: 添付ファイル情報を含める)
  * @returns {Promise<Object>} 課題情報({meta, title, body}形式)
  */
 export async function fetchIssue(config, issueKey, options = {}) {
@@ -18,99 +24,76 @@ export async function fetchIssue(config, issueKey, options = {}) {
         throw new ValidationError('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
     }
 
-    if (!config.api_key) {
-        throw new ValidationError('Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)');
-    }
+    // 認証情報の検証
+    createBacklogAuth(config);
 
     debug('Backlog課題取得', { issueKey, url: config.url });
 
     info(`Backlog課題を取得: ${issueKey}`);
 
     // API呼び出し
-    const issue = await retry(
-        () => callBacklogApi(config, issueKey),
-        {
-            maxRetries: 3,
-            shouldRetry: (error) => {
-                // 認証エラーと404はリトライしない
-                return !(error instanceof AuthenticationError) &&
-                    !(error instanceof ApiError && error.statusCode === 404);
-            }
-        }
-    );
+    const issue = await callBacklogApi(config, 'GET', `/issues/${issueKey}`);
 
     info('課題情報を取得しました', { key: issue.issueKey, summary: issue.summary });
 
     // YAMLフロントマター形式に変換
-    return formatAsYamlFrontmatter(issue);
+    const result = formatAsYamlFrontmatter(issue);
+
+    // コメント履歴を本文の末尾に追加
+    if (options.include_comments) {
+        const comments = await fetchComments(config, issueKey);
+        result.body = appendSection(result.body, renderCommentSection(comments));
+    }
+
+    // 添付ファイル(ダウンロードはCLIがdownloadAttachmentを通じて行う)
+    if (options.attachments) {
+        result.attachments = (issue.attachments || []).map(attachment => ({
+            id: attachment.id,
+            filename: attachment.name,
+            url: `${config.url.replace(/\/$/, '')}/api/v2/issues/${issue.issueKey}/attachments/${attachment.id}`,
+            size: attachment.size
+        }));
+    }
+
+    return result;
 }
 
 /**
- * Backlog APIを呼び出す
+ * Backlog課題のコメント一覧を取得し、コメント履歴の形式に変換する
+ * 変更履歴(changeLog)は「status: 未対応 → 処理中」の形式で表す
  *
  * @param {Object} config - Backlog設定
  * @param {string} issueKey - 課題キー
- * @returns {Promise<Object>} 課題情報
+ * @returns {Promise<Array<Object>>} コメントの一覧(古い順)
  */
-async function callBacklogApi(config, issueKey) {
-    const baseUrl = config.url.replace(/\/$/, '');
-    const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-    url.searchParams.append('apiKey', config.api_key);
-
-    debug('API リクエスト開始', { url: url.toString() });
-
-    try {
-        const response = await fetch(url.toString(), {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        debug('API レスポンス受信', { status: response.status, statusText: response.statusText });
-
-        if (!response.ok) {
-            const errorBody = await response.text();
-            let errorMessage = `Backlog API エラー: ${response.status} ${response.statusText}`;
-
-            try {
-                const errorData = JSON.parse(errorBody);
-                if (errorData.errors && errorData.errors.length > 0) {
-                    errorMessage = errorData.errors.map(e => e.message).join(', ');
-                }
-            } catch {
-                // JSONパースエラーは無視
-            }
-
-            if (response.status === 401) {
-                throw new AuthenticationError('認証に失敗しました。APIキーを確認してください。', {
-                    status: response.status,
-                    body: errorBody
-                });
-            }
-
-            if (response.status === 404) {
-                throw new ApiError('指定された課題が見つかりません。', response.status, {
-                    body: errorBody
-                });
-            }
-
-            throw new ApiError(errorMessage, response.status, { body: errorBody });
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof ValidationError || error instanceof AuthenticationError || error instanceof ApiError) {
-            throw error;
+async function fetchComments(config, issueKey) {
+    const comments = [];
+    let minId = null;
+
+    // 古い順に1ページずつ取得する
+    while (true) {
+        const query = `order=asc&count=${COMMENT_PAGE_LIMIT}${minId ? `&minId=${minId}` : ''}`;
+        const page = await callBacklogApi(config, 'GET', `/issues/${issueKey}/comments?${query}`);
+        comments.push(...page);
+        if (page.length < COMMENT_PAGE_LIMIT) {
+            break;
         }
-
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            throw new NetworkError('ネットワークエラーが発生しました', {
-                originalError: error.message
-            });
-        }
-
-        throw error;
+        minId = page[page.length - 1].id;
     }
+
+    debug('コメントを取得しました', { issueKey, count: comments.length });
+
+    return comments
+        .map(comment => ({
+            author: comment.createdUser?.name,
+            created_at: comment.created,
+            text: comment.content,
+            changes: (comment.changeLog || []).map(change => (change.field === 'description'
+                // 説明の変更は差分が長くなるため、変更があったことのみ表示する
+                ? { field: change.field, text: '更新' }
+                : { field: change.field, from: change.originalValue, to: change.newValue }))
+        }))
+        .filter(comment => comment.text || comment.changes.length > 0);
 }
 
 /**
@@ -119,7 +102,7 @@ async function callBacklogApi(config, issueKey) {
  * @param {Object} issue - Backlog課題情報
  * @returns {Object} フロントマター形式のデータ({meta, title, body})
  */
-function formatAsYamlFrontmatter(issue) {
+export function formatAsYamlFrontmatter(issue) {
     const meta = {
         backlog_id: issue.id,
         backlog_key: issue.issueKey,
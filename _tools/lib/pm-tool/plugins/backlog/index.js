@@ -1,7 +1,11 @@
 #!/usr/bin/env zx
 
 import { fetchIssue } from './fetch.js';
-import { updateIssue } from './update.js';
+import { updateIssue, prepareUpdate } from './update.js';
+import { createIssue } from './create.js';
+import { downloadAttachment } from './attachments.js';
+import { searchIssues, getIssuesUpdatedAt } from './search.js';
+import { backlogOAuth, getBacklogMyself } from './client.js';
 import { debug } from '../../common/logger.js';
 
 /**
@@ -11,9 +15,33 @@ export default {
     name: 'backlog',
     label: 'Backlog',
     defaults: {
-        file_prefix: '' // Backlogは空文字列(プレフィックスなし)
+        file_prefix: '', // Backlogは空文字列(プレフィックスなし)
+        // 無料プランの読み取り上限(150回/分)を超えないよう控えめに設定する
+        rate_limit: { concurrency: 2, requests_per_second: 2 }
     },
 
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            api_key: { type: 'string' },
+            access_token: { type: 'string' },
+            client_id: { type: 'string' },
+            client_secret: { type: 'string' },
+            redirect_uri: { type: 'string' },
+            project: { type: ['string', 'integer'] },
+            issue_type: { type: ['string', 'integer'] },
+            priority: { type: ['string', 'integer'] },
+            cache_ttl: { type: 'integer', minimum: 0 }
+        }
+    },
+
+    /**
+     * OAuth 2.0プロバイダー定義(pm-tool auth login)
+     */
+    oauth: backlogOAuth,
+
     /**
      * 課題情報を取得する
      *
@@ -40,6 +68,81 @@ export default {
         return await updateIssue(config, issueKey, updateData);
     },
 
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     * 課題は更新せず、添付ファイルもアップロードしない
+     *
+     * @param {Object} config - Backlog設定
+     * @param {string} issueKey - 課題キー(backlog_keyから取得)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, issueKey, updateData = {}) {
+        debug('Backlogプラグイン: buildUpdatePayload', { issueKey });
+        const { updatePayload } = await prepareUpdate(config, issueKey, { ...updateData, dryRun: true });
+        return updatePayload;
+    },
+
+    /**
+     * 課題を新規作成する
+     *
+     * @param {Object} config - Backlog設定
+     * @param {Object} createData - 作成データ
+     * @returns {Promise<Object>} 作成結果
+     */
+    async create(config, createData = {}) {
+        debug('Backlogプラグイン: create');
+        return await createIssue(config, createData);
+    },
+
+    /**
+     * 添付ファイルをダウンロードする
+     *
+     * @param {Object} config - Backlog設定
+     * @param {Object} attachment - 添付ファイル情報
+     * @returns {Promise<Buffer>} 添付ファイルの内容
+     */
+    async downloadAttachment(config, attachment) {
+        debug('Backlogプラグイン: downloadAttachment', { id: attachment.id });
+        return await downloadAttachment(config, attachment);
+    },
+
+    /**
+     * 検索条件に一致する課題のキーを取得する
+     *
+     * @param {Object} config - Backlog設定
+     * @param {Object<string, string>} query - 検索条件
+     * @returns {Promise<string[]>} 課題キーの一覧
+     */
+    async search(config, query = {}) {
+        debug('Backlogプラグイン: search', { query });
+        return await searchIssues(config, query);
+    },
+
+    /**
+     * 複数の課題の更新日時をまとめて取得する
+     *
+     * @param {Object} config - Backlog設定
+     * @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象の課題
+     * @returns {Promise<Object<string, string>>} 課題キーと更新日時の対応
+     */
+    async getUpdatedAt(config, tickets) {
+        debug('Backlogプラグイン: getUpdatedAt', { count: tickets.length });
+        return await getIssuesUpdatedAt(config, tickets);
+    },
+
+    /**
+     * 認証に使用しているユーザーを取得する(pm-tool doctorの接続確認に使用)
+     *
+     * @param {Object} config - Backlog設定
+     * @returns {Promise<{id: number, login: string, name: string}>} ユーザー情報
+     */
+    async getCurrentUser(config) {
+        debug('Backlogプラグイン: getCurrentUser');
+        const user = await getBacklogMyself(config);
+        return { id: user.id, login: user.userId, name: user.name };
+    },
+
     /**
      * YAMLフロントマターからチケットIDを抽出する
      *
@@ -78,6 +181,22 @@ export default {
             { name: 'due-date', description: '期限日(YYYY-MM-DD)', type: 'string' },
             { name: 'estimated-hours', description: '予定時間', type: 'number' },
             { name: 'actual-hours', description: '実績時間', type: 'number' },
+            { name: 'status', description: 'ステータス(名前またはID)', type: 'string' },
+            { name: 'assignee', description: '担当者(名前、ユーザーIDまたはID)', type: 'string' },
+            { name: 'priority', description: '優先度(名前またはID)', type: 'string' },
+            { name: 'issue-type', description: '種別(名前またはID)', type: 'string' },
+        ];
+    },
+
+    /**
+     * 作成時に使用可能なオプションを返す
+     * 更新時のオプション(種別、優先度、担当者等)も作成時に使用できる
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getCreateOptions() {
+        return [
+            { name: 'project', description: 'プロジェクト(キーまたはID)', type: 'string' },
         ];
     },
 
@@ -96,8 +215,15 @@ export default {
             errors.push('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
         }
 
-        if (!config.api_key) {
-            errors.push('Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)');
+        if (!config.api_key && !config.access_token && !config.client_id) {
+            errors.push(
+                'Backlog認証情報が設定されていません。' +
+                'api_key、access_token または client_id(OAuth 2.0)のいずれかを設定してください'
+            );
+        }
+
+        if (config.client_id && !config.client_secret) {
+            errors.push('OAuth 2.0のクライアントシークレットが設定されていません (integration.pm_tool.backlog.client_secret)');
         }
 
         return {
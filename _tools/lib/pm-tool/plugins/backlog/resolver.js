@@ -0,0 +1,77 @@
+#!/usr/bin/env zx
+
+import { DEFAULT_CACHE_TTL } from '../../common/cache.js';
+import { createListResolver } from '../../common/resolver.js';
+import { callBacklogApi } from './client.js';
+
+/**
+ * 名前からIDへの変換対象
+ * 一覧の取得先APIと、名前として照合するフィールドを定義する
+ */
+const RESOURCES = {
+    status: {
+        label: 'ステータス',
+        path: (projectId) => `/projects/${projectId}/statuses`,
+        names: (item) => [item.name]
+    },
+    user: {
+        label: '担当者',
+        path: (projectId) => `/projects/${projectId}/users`,
+        names: (item) => [item.name, item.userId]
+    },
+    priority: {
+        label: '優先度',
+        path: () => '/priorities',
+        names: (item) => [item.name]
+    },
+    issueType: {
+        label: '種別',
+        path: (projectId) => `/projects/${projectId}/issueTypes`,
+        names: (item) => [item.name]
+    }
+};
+
+/**
+ * プロジェクトのステータス・ユーザー・優先度・種別を名前からIDに変換するリゾルバーを作成する
+ * 一覧はローカルにキャッシュし、有効期間内は再取得しない
+ *
+ * @param {Object} config - Backlog設定(cache_ttlでキャッシュの有効期間(秒)を指定可能)
+ * @param {number|string} projectId - プロジェクトIDまたはキー
+ * @returns {{resolve: function(string, string|number): Promise<Object>, list: function(string): Promise<Array<Object>>}} リゾルバー
+ */
+export function createResolver(config, projectId) {
+    const lists = createListResolver({
+        resources: RESOURCES,
+        cacheKey: (type) => `backlog-${config.url}${RESOURCES[type].path(projectId)}`,
+        fetchList: async (type) => {
+            const items = await callBacklogApi(config, 'GET', RESOURCES[type].path(projectId));
+            // キャッシュにはメールアドレス等を保存しない
+            return items.map(item => ({ id: item.id, name: item.name, userId: item.userId }));
+        },
+        ttl: config.cache_ttl ?? DEFAULT_CACHE_TTL
+    });
+
+    return {
+        /**
+         * 名前またはIDから項目を検索する
+         *
+         * @param {string} type - 変換対象(status, user, priority, issueType)
+         * @param {string|number} value - 名前またはID
+         * @returns {Promise<Object>} 見つかった項目(id, nameを持つ)
+         * @throws {ValidationError} 見つからない場合(使用可能な名前の一覧を含む)
+         */
+        async resolve(type, value) {
+            return await lists.find(type, value);
+        },
+
+        /**
+         * 一覧を取得する
+         *
+         * @param {string} type - 変換対象(status, user, priority, issueType)
+         * @returns {Promise<Array<Object>>} 一覧
+         */
+        async list(type) {
+            return await lists.list(type);
+        }
+    };
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env zx
+
+import { info, debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { callBacklogApi, createBacklogAuth, getBacklogMyself, getBacklogProject } from './client.js';
+import { createResolver } from './resolver.js';
+
+/**
+ * 課題一覧取得時の1ページあたりの件数(APIの上限)
+ */
+const PAGE_LIMIT = 100;
+
+/**
+ * Backlogの「完了」ステータスのID(全プロジェクト共通)
+ */
+const CLOSED_STATUS_ID = 4;
+
+/**
+ * 名前で指定できる検索条件と、課題一覧APIのパラメータ・名前の変換対象の対応
+ */
+const NAMED_FILTERS = {
+    type: { param: 'issueTypeId[]', type: 'issueType' },
+    issue_type: { param: 'issueTypeId[]', type: 'issueType' },
+    priority: { param: 'priorityId[]', type: 'priority' }
+};
+
+/**
+ * 検索条件に一致するBacklog課題のキーを取得する
+ * 名前で指定された条件はIDに変換し、それ以外の条件は課題一覧APIのパラメータとしてそのまま渡す
+ *
+ * @param {Object} config - Backlog設定
+ * @param {Object<string, string>} query - 検索条件(例: {assigned_to: 'me', status: 'open', project: 'PROJ'})
+ * @returns {Promise<string[]>} 課題キーの一覧
+ * @throws {ValidationError} プロジェクトが未指定、または存在しない名前が指定された場合
+ */
+export async function searchIssues(config, query = {}) {
+    // 設定の検証
+    if (!config.url) {
+        throw new ValidationError('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
+    }
+
+    // 認証情報の検証
+    createBacklogAuth(config);
+
+    const projectKey = query.project || config.project;
+    if (!projectKey) {
+        throw new ValidationError(
+            'プロジェクトが指定されていません。検索条件のproject、または設定のprojectを指定してください'
+        );
+    }
+
+    const project = await getBacklogProject(config, projectKey);
+    const resolver = createResolver(config, project.id);
+
+    // 検索条件を課題一覧APIのパラメータに変換
+    const params = new URLSearchParams();
+    params.append('projectId[]', project.id);
+    for (const [key, value] of Object.entries(query)) {
+        if (key === 'project') {
+            continue;
+        }
+        if (key === 'assigned_to' || key === 'assignee') {
+            const user = value === 'me'
+                ? await getBacklogMyself(config)
+                : await resolver.resolve('user', value);
+            params.append('assigneeId[]', user.id);
+        } else if (key === 'status') {
+            for (const id of await resolveStatusIds(resolver, value)) {
+                params.append('statusId[]', id);
+            }
+        } else if (NAMED_FILTERS[key]) {
+            const item = await resolver.resolve(NAMED_FILTERS[key].type, value);
+            params.append(NAMED_FILTERS[key].param, item.id);
+        } else {
+            // その他の条件はパラメータとしてそのまま渡す(例: keyword=ログイン)
+            params.append(key, value);
+        }
+    }
+
+    debug('Backlog課題検索', { query, params: params.toString() });
+
+    const issues = await listIssues(config, params);
+    const keys = issues.map(issue => issue.issueKey);
+
+    info(`${keys.length}件の課題が見つかりました`);
+
+    return keys;
+}
+
+/**
+ * 複数の課題の更新日時をまとめて取得する
+ * 課題一覧APIは課題キーで絞り込めないため、フロントマターの課題ID(backlog_id)で絞り込む
+ * 課題IDがない、または削除された等で取得できなかった課題は結果に含まれない
+ *
+ * @param {Object} config - Backlog設定
+ * @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象の課題
+ * @returns {Promise<Object<string, string>>} 課題キーと更新日時(updated_at)の対応
+ */
+export async function getIssuesUpdatedAt(config, tickets) {
+    const ids = tickets.map(ticket => ticket.frontmatter.backlog_id).filter(Boolean);
+    const updated = {};
+
+    for (let i = 0; i < ids.length; i += PAGE_LIMIT) {
+        const params = new URLSearchParams();
+        ids.slice(i, i + PAGE_LIMIT).forEach(id => params.append('id[]', id));
+        for (const issue of await listIssues(config, params)) {
+            updated[issue.issueKey] = issue.updated;
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * 条件に一致する課題を全件取得するまでページングする
+ *
+ * @param {Object} config - Backlog設定
+ * @param {URLSearchParams} params - 検索条件
+ * @returns {Promise<Array<Object>>} 課題の一覧
+ */
+async function listIssues(config, params) {
+    const issues = [];
+    while (true) {
+        params.set('offset', issues.length);
+        params.set('count', PAGE_LIMIT);
+        const page = await callBacklogApi(config, 'GET', `/issues?${params}`);
+        issues.push(...page);
+        if (page.length < PAGE_LIMIT) {
+            break;
+        }
+    }
+    return issues;
+}
+
+/**
+ * ステータスの検索条件をステータスIDの一覧に変換する
+ * open(完了以外)とclosed(完了)はRedmineの指定方法に合わせた別名
+ *
+ * @param {Object} resolver - リゾルバー
+ * @param {string} value - ステータス(open、closed、名前またはID)
+ * @returns {Promise<number[]>} ステータスIDの一覧
+ */
+async function resolveStatusIds(resolver, value) {
+    if (value === 'open') {
+        const statuses = await resolver.list('status');
+        return statuses.map(status => status.id).filter(id => id !== CLOSED_STATUS_ID);
+    }
+    if (value === 'closed') {
+        return [CLOSED_STATUS_ID];
+    }
+    const status = await resolver.resolve('status', value);
+    return [status.id];
+}
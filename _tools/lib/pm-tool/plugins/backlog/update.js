@@ -1,8 +1,11 @@
 #!/usr/bin/env zx
 
-import { info, debug, warn } from '../../common/logger.js';
-import { ValidationError, ApiError, AuthenticationError, NetworkError } from '../../common/error.js';
-import { retry } from '../../common/retry.js';
+import { info } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown, replaceLinks } from '../../common/markdown.js';
+import { callBacklogApi, createBacklogAuth } from './client.js';
+import { createResolver } from './resolver.js';
+import { uploadLocalFiles } from './attachments.js';
 
 /**
  * Backlog課題情報を更新する
@@ -13,155 +16,81 @@ import { retry } from '../../common/retry.js';
  * @returns {Promise<Object>} 更新結果
  */
 export async function updateIssue(config, issueKey, updateData = {}) {
-    // 設定の検証
-    if (!config.url) {
-        throw new ValidationError('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
-    }
-
-    if (!config.api_key) {
-        throw new ValidationError('Backlog APIキーが設定されていません (integration.pm_tool.backlog.api_key)');
-    }
-
     info(`Backlog課題を更新: ${issueKey}`);
 
-    // 元の課題情報を取得
-    const originalIssue = await retry(
-        () => callBacklogGetApi(config, issueKey),
-        {
-            maxRetries: 3,
-            shouldRetry: (error) => {
-                return !(error instanceof AuthenticationError) &&
-                    !(error instanceof ApiError && error.statusCode === 404);
-            }
+    const dryRun = updateData.dryRun || updateData['dry-run'];
+    const { updatePayload, uploaded, pending } = await prepareUpdate(config, issueKey, updateData);
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (dryRun) {
+        console.log('\n=== Backlog API更新ペイロード ===');
+        console.log('Payload:', JSON.stringify(updatePayload, null, 2));
+        console.log('================================\n');
+        info('[DRY RUN] 実際の更新は行いません');
+        if (pending.length > 0) {
+            info(`[DRY RUN] アップロード予定のファイル: ${pending.join(', ')}`);
         }
-    );
-
-    // 更新データを生成
-    const updatePayload = buildUpdatePayload(updateData, originalIssue);
+        return {
+            success: true,
+            message: `[DRY RUN] 課題 ${issueKey} の更新をシミュレートしました`,
+            updated: updatePayload,
+            dryRun: true
+        };
+    }
 
     // 更新内容がない場合は終了
     if (Object.keys(updatePayload).length === 0) {
         info('更新する項目がありません');
-        return { success: true, message: '更新する項目がありません' };
+        return { success: true, message: '更新する項目がありません', uploaded };
     }
 
     // 課題を更新
-    const updatedIssue = await retry(
-        () => callBacklogUpdateApi(config, issueKey, updatePayload),
-        {
-            maxRetries: 2,
-            shouldRetry: (error) => {
-                return !(error instanceof AuthenticationError) &&
-                    !(error instanceof ApiError && error.statusCode === 404) &&
-                    !(error instanceof ApiError && error.statusCode === 400);
-            }
-        }
-    );
+    const updatedIssue = await callBacklogApi(config, 'PATCH', `/issues/${issueKey}`, updatePayload);
 
     info('課題を更新しました', {
         key: updatedIssue.issueKey,
         updated: Object.keys(updatePayload)
     });
 
-    return { success: true, issue: updatedIssue };
-}
-
-/**
- * Backlog課題取得APIを呼び出す
- *
- * @param {Object} config - Backlog設定
- * @param {string} issueKey - 課題キー
- * @returns {Promise<Object>} 課題情報
- */
-async function callBacklogGetApi(config, issueKey) {
-    const baseUrl = config.url.replace(/\/$/, '');
-    const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-    url.searchParams.append('apiKey', config.api_key);
-
-    debug('API リクエスト開始 (GET)', { url: url.toString() });
-
-    const response = await fetch(url.toString(), {
-        headers: {
-            'Content-Type': 'application/json'
-        }
-    });
-
-    return await handleApiResponse(response);
+    return { success: true, issue: updatedIssue, uploaded };
 }
 
 /**
- * Backlog課題更新APIを呼び出す
+ * 課題の更新内容を準備する(課題は更新しない)
+ * dry-runの場合、添付ファイルはアップロードせず、添付済みのファイルのみ説明のリンク先を置き換える
  *
  * @param {Object} config - Backlog設定
  * @param {string} issueKey - 課題キー
- * @param {Object} updatePayload - 更新データ
- * @returns {Promise<Object>} 更新後の課題情報
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<{updatePayload: Object, uploaded: string[], pending: string[]}>}
+ *   Backlog API用更新データ、アップロードしたファイル名、アップロード予定のファイル名
  */
-async function callBacklogUpdateApi(config, issueKey, updatePayload) {
-    const baseUrl = config.url.replace(/\/$/, '');
-    const url = new URL(`${baseUrl}/api/v2/issues/${issueKey}`);
-    url.searchParams.append('apiKey', config.api_key);
-
-    // PATCH用のフォームデータを構築
-    const formData = new URLSearchParams();
-    for (const [key, value] of Object.entries(updatePayload)) {
-        if (value !== null && value !== undefined) {
-            formData.append(key, value);
-        }
+export async function prepareUpdate(config, issueKey, updateData = {}) {
+    // 設定の検証
+    if (!config.url) {
+        throw new ValidationError('Backlog URLが設定されていません (integration.pm_tool.backlog.url)');
     }
 
-    debug('API リクエスト開始 (PATCH)', { url: url.toString(), payload: updatePayload });
+    // 認証情報の検証
+    createBacklogAuth(config);
 
-    const response = await fetch(url.toString(), {
-        method: 'PATCH',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: formData.toString()
-    });
-
-    return await handleApiResponse(response);
-}
-
-/**
- * APIレスポンスを処理する
- *
- * @param {Response} response - fetchレスポンス
- * @returns {Promise<Object>} パースされたJSONデータ
- */
-async function handleApiResponse(response) {
-    debug('API レスポンス受信', { status: response.status, statusText: response.statusText });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        let errorMessage = `Backlog API エラー: ${response.status} ${response.statusText}`;
-
-        try {
-            const errorData = JSON.parse(errorBody);
-            if (errorData.errors && errorData.errors.length > 0) {
-                errorMessage = errorData.errors.map(e => e.message).join(', ');
-            }
-        } catch {
-            // JSONパースエラーは無視
-        }
-
-        if (response.status === 401) {
-            throw new AuthenticationError('認証に失敗しました。APIキーを確認してください。', {
-                status: response.status,
-                body: errorBody
-            });
-        }
+    // 元の課題情報を取得
+    const originalIssue = await callBacklogApi(config, 'GET', `/issues/${issueKey}`);
 
-        if (response.status === 404) {
-            throw new ApiError('指定された課題が見つかりません。', response.status, {
-                body: errorBody
-            });
-        }
+    // 本文からリンクされている_files/のファイルを課題に添付する
+    const dryRun = updateData.dryRun || updateData['dry-run'];
+    const { links, uploaded, pending } = await uploadLocalFiles(
+        config, originalIssue, updateData.localFiles, updateData.fileBase, dryRun
+    );
 
-        throw new ApiError(errorMessage, response.status, { body: errorBody });
-    }
+    // 更新データを生成(ステータス・担当者・優先度・種別は名前からIDに変換)
+    // 説明のリンク先は添付ファイルのURLに置き換える(ローカルのMarkdownファイルは相対パスのまま)
+    const updatePayload = {
+        ...buildUpdatePayload(updateData, originalIssue, links),
+        ...await buildNamedFieldPayload(updateData, originalIssue, createResolver(config, originalIssue.projectId))
+    };
 
-    return await response.json();
+    return { updatePayload, uploaded, pending };
 }
 
 /**
@@ -169,9 +98,10 @@ async function handleApiResponse(response) {
  *
  * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
  * @param {Object} originalIssue - 元の課題情報
+ * @param {Object<string, string>} [links] - 説明中のリンク先の置き換え(ローカルファイル→添付ファイルのURL)
  * @returns {Object} Backlog API用更新データ
  */
-function buildUpdatePayload(updateData, originalIssue) {
+export function buildUpdatePayload(updateData, originalIssue, links = {}) {
     const frontmatter = updateData.frontmatter || {};
     const body = updateData.body || '';
     const payload = {};
@@ -186,20 +116,12 @@ function buildUpdatePayload(updateData, originalIssue) {
 
     // 説明 - Markdown本文から自動抽出（h1見出しを除く）
     if (body) {
-        const description = extractDescriptionFromMarkdown(body);
+        const description = replaceLinks(extractDescriptionFromMarkdown(body), links);
         if (description && description !== originalIssue.description) {
             payload.description = description;
         }
     }
 
-    // ステータス(名前からIDを取得する必要があるため未サポート)
-    if (frontmatter.status && frontmatter.status !== originalIssue.status?.name) {
-        warn('ステータスの更新はサポートされていません。Backlog側で手動更新してください。', {
-            current: originalIssue.status?.name,
-            requested: frontmatter.status
-        });
-    }
-
     // 期限日
     if (frontmatter.due_date !== undefined) {
         payload.dueDate = frontmatter.due_date || null;
@@ -224,57 +146,41 @@ function buildUpdatePayload(updateData, originalIssue) {
 }
 
 /**
- * Markdown本文からsubject（件名）を抽出する
- * h1見出しを取得して返す
+ * 名前で指定された項目をBacklog課題更新データに変換する
+ * ステータス・担当者・優先度・種別はコマンドラインオプション優先、なければYAMLから取得し、
+ * 元の課題と異なる場合のみ名前からIDに変換して更新データに含める
  *
- * @param {string} body - Markdown本文（LF改行）
- * @returns {string} 件名（h1見出しのテキスト）
- */
-function extractSubjectFromMarkdown(body) {
-    if (!body) {
-        return '';
-    }
-
-    // setext記法のh1（タイトル\n===）を抽出
-    const setextMatch = body.match(/^([^\n]+)\n=+/);
-    if (setextMatch) {
-        return setextMatch[1].trim();
-    }
-
-    // atx記法のh1（# タイトル）を抽出
-    const atxMatch = body.match(/^#\s+(.+)$/m);
-    if (atxMatch) {
-        return atxMatch[1].trim();
-    }
-
-    // h1が見つからない場合は空文字列を返す
-    return '';
-}
-
-/**
- * Markdown本文からdescription（説明）を抽出する
- * h1見出しを除去し、残りの本文を返す
- *
- * @param {string} body - Markdown本文（LF改行）
- * @returns {string} 説明（h1見出しを除いた本文）
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @param {Object} originalIssue - 元の課題情報
+ * @param {Object} resolver - 名前からIDへのリゾルバー
+ * @returns {Promise<Object>} Backlog API用更新データ
+ * @throws {ValidationError} 存在しない名前が指定された場合
  */
-function extractDescriptionFromMarkdown(body) {
-    if (!body) {
-        return '';
-    }
-
-    // setext記法のh1（タイトル\n===）を除去
-    const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
-    if (setextMatch) {
-        return setextMatch[1].trim();
-    }
+export async function buildNamedFieldPayload(updateData, originalIssue, resolver) {
+    const frontmatter = updateData.frontmatter || {};
+    const payload = {};
 
-    // atx記法のh1（# タイトル）を除去
-    const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
-    if (atxMatch) {
-        return atxMatch[1].trim();
+    const fields = [
+        { type: 'status', key: 'statusId', value: updateData.status ?? frontmatter.status, current: originalIssue.status },
+        { type: 'user', key: 'assigneeId', value: updateData.assignee ?? frontmatter.assignee, current: originalIssue.assignee },
+        { type: 'priority', key: 'priorityId', value: updateData.priority ?? frontmatter.priority, current: originalIssue.priority },
+        { type: 'issueType', key: 'issueTypeId', value: updateData.issue_type ?? frontmatter.type, current: originalIssue.issueType }
+    ];
+
+    for (const { type, key, value, current } of fields) {
+        // 未指定(空文字列を含む)の場合は変更しない
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        // 元の課題と同じ場合は変更しない
+        if (current && [current.name, current.userId, current.id].filter(v => v !== undefined).map(String).includes(String(value))) {
+            continue;
+        }
+        const item = await resolver.resolve(type, value);
+        if (item.id !== current?.id) {
+            payload[key] = item.id;
+        }
     }
 
-    // h1が見つからない場合は本文全体を返す
-    return body.trim();
+    return payload;
 }
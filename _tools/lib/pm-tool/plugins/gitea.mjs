@@ -0,0 +1,976 @@
+#!/usr/bin/env zx
+//#region _tools/lib/pm-tool/common/logger.js
+/**
+* ログレベル定義
+*/
+const LOG_LEVELS = {
+	DEBUG: 0,
+	INFO: 1,
+	WARN: 2,
+	ERROR: 3
+};
+/**
+* 現在のログレベル（環境変数PM_TOOL_LOG_LEVELで設定可能）
+*/
+const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
+/**
+* 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+*/
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+/**
+* 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+*
+* @param {string} text - URLまたはURLを含む文字列
+* @returns {string} 伏せ字にした文字列
+*/
+function redactUrl(text) {
+	return String(text).replace(SECRET_QUERY_PATTERN, "$1***");
+}
+/**
+* タイムスタンプを生成する
+*
+* @returns {string} ISO形式のタイムスタンプ
+*/
+function timestamp() {
+	return (/* @__PURE__ */ new Date()).toISOString();
+}
+/**
+* ログメッセージをフォーマットする
+* URLに含まれるAPIキー等はログに出力しない
+*
+* @param {string} level - ログレベル
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+* @returns {string} フォーマットされたログメッセージ
+*/
+function formatMessage(level, message, data) {
+	let formatted = `[${timestamp()}] [${level}] ${message}`;
+	if (data) formatted += ` ${JSON.stringify(data)}`;
+	return redactUrl(formatted);
+}
+/**
+* DEBUGレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function debug(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.DEBUG) console.error(formatMessage("DEBUG", message, data));
+}
+/**
+* INFOレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function info(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.INFO) console.error(formatMessage("INFO", message, data));
+}
+/**
+* WARNレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function warn(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.WARN) console.warn(formatMessage("WARN", message, data));
+}
+/**
+* ERRORレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Error|Object} [error] - エラーオブジェクトまたは追加データ
+*/
+function error(message, error$1) {
+	if (currentLogLevel <= LOG_LEVELS.ERROR) {
+		const data = error$1 instanceof Error ? {
+			message: error$1.message,
+			stack: error$1.stack
+		} : error$1;
+		console.error(formatMessage("ERROR", message, data));
+	}
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/error.js
+/**
+* PM Toolのエラーであることを示すマーカー
+* プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+*/
+const PM_TOOL_ERROR = Symbol.for("pm-tool.error");
+/**
+* PM Tool基底エラークラス
+*/
+var PmToolError = class extends Error {
+	constructor(message, code, details) {
+		super(message);
+		this.name = "PmToolError";
+		this.code = code;
+		this.details = details;
+		this[PM_TOOL_ERROR] = true;
+	}
+};
+/**
+* 認証エラー
+*/
+var AuthenticationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "AUTH_ERROR", details);
+		this.name = "AuthenticationError";
+	}
+};
+/**
+* APIエラー
+*/
+var ApiError = class extends PmToolError {
+	constructor(message, statusCode, details) {
+		super(message, "API_ERROR", details);
+		this.name = "ApiError";
+		this.statusCode = statusCode;
+	}
+};
+/**
+* ネットワークエラー
+*/
+var NetworkError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "NETWORK_ERROR", details);
+		this.name = "NetworkError";
+	}
+};
+/**
+* バリデーションエラー
+*/
+var ValidationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "VALIDATION_ERROR", details);
+		this.name = "ValidationError";
+	}
+};
+/**
+* エラーを適切な型に変換する
+*
+* @param {Error} error - 元のエラー
+* @returns {PmToolError} 適切な型に変換されたエラー
+*/
+function normalizeError(error$1) {
+	if (error$1 instanceof PmToolError) return error$1;
+	if (error$1.name === "TypeError" && error$1.message.includes("fetch")) return new NetworkError("ネットワークエラーが発生しました", { originalError: error$1.message });
+	return new PmToolError(error$1.message, "UNKNOWN_ERROR", {
+		originalError: error$1.toString(),
+		stack: error$1.stack
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/retry.js
+/**
+* 指定ミリ秒待機する
+*
+* @param {number} ms - 待機時間（ミリ秒）
+* @returns {Promise<void>}
+*/
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+/**
+* 指数バックオフでリトライを実行する
+* エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
+*
+* @param {Function} fn - 実行する関数
+* @param {Object} options - オプション
+* @param {number} [options.maxRetries=3] - 最大リトライ回数
+* @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
+* @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
+* @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+* @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+* @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
+* @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
+* @returns {Promise<*>} 関数の実行結果
+* @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
+*/
+async function retry(fn, options = {}) {
+	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, jitter = .5, timeBudget = 6e4, shouldRetry = () => true } = options;
+	const startedAt = Date.now();
+	let lastError;
+	let delay = initialDelay;
+	for (let attempt = 0; attempt <= maxRetries; attempt++) try {
+		debug(`実行試行 ${attempt + 1}/${maxRetries + 1}`);
+		return await fn();
+	} catch (error$1) {
+		lastError = error$1;
+		if (attempt === maxRetries) break;
+		if (!shouldRetry(error$1)) {
+			debug("リトライすべきでないエラーのため中断", { error: error$1.message });
+			throw error$1;
+		}
+		const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+		const wait = Math.round(Math.max(backoff, getRetryAfter(error$1) ?? 0));
+		if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+			warn(`リトライの待機時間が上限(${timeBudget / 1e3}秒)を超えるため中断します: ${error$1.message}`, { nextRetryIn: wait });
+			break;
+		}
+		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: wait });
+		await sleep(wait);
+		delay = Math.min(delay * backoffMultiplier, maxDelay);
+	}
+	throw lastError;
+}
+/**
+* Retry-Afterヘッダーの値を待機時間に変換する
+*
+* @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+* @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+* @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
+*/
+function parseRetryAfter(value, now = Date.now()) {
+	if (value === null || value === void 0 || value === "") return null;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1e3;
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+/**
+* レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+* APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
+*
+* @param {Headers} headers - レスポンスヘッダー
+* @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
+*/
+function extractRetryDetails(headers) {
+	const details = {};
+	const retryAfter = headers?.get("Retry-After");
+	if (retryAfter) details.retryAfter = retryAfter;
+	const rateLimitReset = headers?.get("X-RateLimit-Reset");
+	if (rateLimitReset) details.rateLimitReset = rateLimitReset;
+	return details;
+}
+/**
+* エラーからサーバーが指定した待機時間を求める
+* Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+*/
+function getRetryAfter(error$1) {
+	const details = error$1?.details || {};
+	const waits = [parseRetryAfter(details.retryAfter)];
+	if (error$1 && isRateLimitError(error$1) && details.rateLimitReset) {
+		const reset = Number(details.rateLimitReset);
+		if (Number.isFinite(reset)) waits.push(Math.max(0, reset * 1e3 - Date.now()));
+	}
+	const valid = waits.filter((wait) => wait !== null);
+	return valid.length > 0 ? Math.max(...valid) : null;
+}
+/**
+* レート制限エラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} レート制限エラーの場合true
+*/
+function isRateLimitError(error$1) {
+	return error$1.statusCode === 429;
+}
+/**
+* 一時的なエラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} 一時的なエラーの場合true
+*/
+function isTransientError(error$1) {
+	if (isRateLimitError(error$1)) return true;
+	if (error$1.statusCode >= 500 && error$1.statusCode < 600) return true;
+	if (error$1.name === "NetworkError") return true;
+	if (error$1.code === "ETIMEDOUT" || error$1.code === "ESOCKETTIMEDOUT") return true;
+	return false;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/scheduler.js
+/**
+* APIリクエストのスケジューラー
+*
+* 同時実行数と1秒あたりのリクエスト数を制限し、
+* レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+* 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
+*/
+/**
+* 共有するスケジューラーの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const SCHEDULER = Symbol.for("pm-tool.scheduler");
+/**
+* デフォルトの同時実行数
+*/
+const DEFAULT_CONCURRENCY = 4;
+/**
+* デフォルトの1秒あたりのリクエスト数(0は無制限)
+*/
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+/**
+* スケジューラーを作成する
+*
+* @param {Object} [options] - オプション
+* @param {number} [options.concurrency=4] - 同時実行数
+* @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+* @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+*/
+function createScheduler(options = {}) {
+	const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+	const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+	const interval = requestsPerSecond > 0 ? 1e3 / requestsPerSecond : 0;
+	const queue = [];
+	let active = 0;
+	let nextStart = 0;
+	let pausedUntil = 0;
+	let timer = null;
+	/**
+	* 待機中のリクエストを実行できるだけ開始する
+	*/
+	function dispatch() {
+		if (timer) return;
+		while (queue.length > 0 && active < concurrency) {
+			const now = Date.now();
+			const startAt = Math.max(nextStart, pausedUntil);
+			if (startAt > now) {
+				timer = setTimeout(() => {
+					timer = null;
+					dispatch();
+				}, startAt - now);
+				return;
+			}
+			const { task, resolve, reject } = queue.shift();
+			active++;
+			nextStart = now + interval;
+			Promise.resolve().then(task).then(resolve, reject).finally(() => {
+				active--;
+				dispatch();
+			});
+		}
+	}
+	return {
+		concurrency,
+		schedule(task) {
+			return new Promise((resolve, reject) => {
+				queue.push({
+					task,
+					resolve,
+					reject
+				});
+				dispatch();
+			});
+		},
+		observe(headers) {
+			const remaining = Number(headers?.get("X-RateLimit-Remaining") ?? NaN);
+			const reset = Number(headers?.get("X-RateLimit-Reset") ?? NaN);
+			if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) return;
+			const resetAt = reset * 1e3;
+			if (resetAt <= Date.now() || resetAt <= pausedUntil) return;
+			pausedUntil = resetAt;
+			info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1e3)}秒待機します`, { remaining });
+		}
+	};
+}
+/**
+* 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
+*
+* @returns {Object} スケジューラー
+*/
+function getScheduler() {
+	if (!globalThis[SCHEDULER]) globalThis[SCHEDULER] = createScheduler();
+	return globalThis[SCHEDULER];
+}
+/**
+* 共有するスケジューラーを通してfetchを実行する
+* タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
+*
+* @param {string} url - リクエストURL
+* @param {Object} [init] - fetchオプション
+* @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+* @returns {Promise<Response>} レスポンス
+*/
+async function scheduledFetch(url, init = {}, timeout = null) {
+	const scheduler = getScheduler();
+	return await scheduler.schedule(async () => {
+		const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+		const response = await fetch(url, {
+			...init,
+			signal
+		});
+		scheduler.observe(response.headers);
+		return response;
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/api.js
+/**
+* デフォルトのリクエストのタイムアウト(ミリ秒)
+*/
+const DEFAULT_TIMEOUT = 3e4;
+/**
+* HTTP APIリクエストを実行する
+* リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} options - fetchオプション
+* @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+* @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+* @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+* @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
+*/
+async function apiRequest(url, options = {}, retryOptions = {}) {
+	const { responseType, auth, timeout = DEFAULT_TIMEOUT,...fetchOptions } = options;
+	const request = auth ? await auth.apply(url, fetchOptions.headers) : {
+		url,
+		headers: fetchOptions.headers
+	};
+	const displayUrl = redactUrl(url);
+	debug(`API Request: ${options.method || "GET"} ${displayUrl}`);
+	const finalRetryOptions = {
+		maxRetries: 3,
+		shouldRetry: (error$1) => isTransientError(error$1),
+		...retryOptions
+	};
+	try {
+		return await retry(async () => {
+			try {
+				const response = await scheduledFetch(request.url, {
+					...fetchOptions,
+					headers: request.headers
+				}, timeout);
+				debug(`API Response: ${response.status} ${response.statusText}`);
+				if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーまたはトークンを確認してください", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 403) throw new AuthenticationError("アクセス権限がありません", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 429) throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, extractRetryDetails(response.headers));
+				if (response.status >= 500) {
+					const text = await response.text();
+					throw new ApiError("サーバーエラーが発生しました", response.status, {
+						responseBody: text,
+						...extractRetryDetails(response.headers)
+					});
+				}
+				if (!response.ok) {
+					const text = await response.text();
+					throw new ApiError(`APIエラー: ${extractErrorMessage(text) || response.statusText}`, response.status, {
+						url: displayUrl,
+						responseBody: text
+					});
+				}
+				if (response.status === 204) return null;
+				if (responseType === "buffer") return Buffer.from(await response.arrayBuffer());
+				const contentType = response.headers.get("content-type");
+				if (contentType && contentType.includes("application/json")) return await response.json();
+				return await response.text();
+			} catch (error$1) {
+				if (error$1 instanceof TypeError) throw new NetworkError("ネットワークエラーが発生しました", {
+					url: displayUrl,
+					originalError: error$1.message
+				});
+				if (error$1.name === "TimeoutError" || error$1.name === "AbortError") throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1e3}秒)`, { url: displayUrl });
+				throw error$1;
+			}
+		}, finalRetryOptions);
+	} catch (error$1) {
+		error(`API Request Failed: ${displayUrl}`, error$1);
+		throw normalizeError(error$1);
+	}
+}
+/**
+* エラーレスポンスからエラーメッセージを取り出す
+* {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+* {error_description: "..."}(OAuth 2.0)の形式に対応する
+*
+* @param {string} text - レスポンスボディ
+* @returns {string|null} エラーメッセージ(取り出せない場合はnull)
+*/
+function extractErrorMessage(text) {
+	try {
+		const data = JSON.parse(text);
+		if (Array.isArray(data.errors) && data.errors.length > 0) return data.errors.map((item) => typeof item === "string" ? item : item.message).filter(Boolean).join(", ");
+		const message = data.message || data.error_description || data.error;
+		return typeof message === "string" ? message : null;
+	} catch {
+		return null;
+	}
+}
+/**
+* GETリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function get(url, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "GET",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		}
+	}, retryOptions);
+}
+/**
+* POSTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function post(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+/**
+* PUTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function put(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "PUT",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+/**
+* PATCHリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function patch(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "PATCH",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitea/client.js
+/**
+* リポジトリAPIのURLを取得する
+*
+* @param {Object} config - Gitea設定
+* @param {string} repository - リポジトリ(owner/repo)
+* @returns {string} リポジトリAPIのURL(末尾スラッシュなし)
+*/
+function getRepoApiUrl(config, repository) {
+	return `${config.url.replace(/\/$/, "")}/api/v1/repos/${repository}`;
+}
+/**
+* Gitea APIリクエスト用のヘッダーを生成する
+*
+* @param {Object} config - Gitea設定
+* @returns {Object} リクエストヘッダー
+*/
+function createHeaders(config) {
+	return {
+		"Accept": "application/json",
+		"Authorization": `token ${config.token}`
+	};
+}
+/**
+* 設定の必須項目を検証する
+*
+* @param {Object} config - Gitea設定
+* @throws {ValidationError} 必須項目が不足している場合
+*/
+function assertConfig(config) {
+	if (!config.url) throw new ValidationError("Gitea URLが設定されていません (integration.pm_tool.gitea.url)");
+	if (!config.token) throw new ValidationError("Giteaアクセストークンが設定されていません (integration.pm_tool.gitea.token)");
+}
+/**
+* チケットIDをリポジトリとIssue番号に分解する
+* 以下の形式に対応する
+* - 5 / #5: config.ymlのrepositoryを使用
+* - owner/repo#5: 指定されたリポジトリを使用
+*
+* @param {string} ticketId - チケットID
+* @param {Object} config - Gitea設定
+* @returns {{repository: string, number: number}} リポジトリとIssue番号
+* @throws {ValidationError} 形式が不正、またはリポジトリが特定できない場合
+*/
+function parseIssueRef(ticketId, config) {
+	const match = String(ticketId).match(/^(?:([^/\s#]+\/[^/\s#]+))?#?(\d+)$/);
+	if (!match) throw new ValidationError(`Issue番号の形式が不正です: ${ticketId}`, { ticketId });
+	const repository = match[1] || config.repository;
+	if (!repository) throw new ValidationError("リポジトリが特定できません。owner/repo#番号 形式で指定するか、integration.pm_tool.gitea.repository を設定してください");
+	return {
+		repository,
+		number: parseInt(match[2], 10)
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitea/fetch.js
+/**
+* Gitea Issue情報を取得する
+*
+* @param {Object} config - Gitea設定
+* @param {string} ticketId - チケットID(5、#5、owner/repo#5)
+* @param {Object} options - オプション
+* @returns {Promise<Object>} Issue情報({meta, title, body}形式)
+*/
+async function fetchIssue(config, ticketId, options = {}) {
+	assertConfig(config);
+	const { repository, number } = parseIssueRef(ticketId, config);
+	debug("Gitea Issue取得", {
+		repository,
+		number,
+		url: config.url
+	});
+	const url = `${getRepoApiUrl(config, repository)}/issues/${number}`;
+	try {
+		const issue = await get(url, createHeaders(config));
+		info(`Issue ${repository}#${number} の情報を取得しました`);
+		return formatAsYamlFrontmatter(issue, repository);
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`Issue ${repository}#${number} が見つかりません (404 Not Found)`, 404, {
+			ticketId,
+			url
+		});
+		throw error$1;
+	}
+}
+/**
+* Gitea Issue情報をYAMLフロントマター形式に変換する
+*
+* @param {Object} issue - Gitea Issue情報
+* @param {string} repository - リポジトリ(owner/repo)
+* @returns {Object} フロントマター形式のデータ({meta, title, body})
+*/
+function formatAsYamlFrontmatter(issue, repository) {
+	const meta = {
+		gitea_repo: repository,
+		gitea_number: issue.number,
+		state: issue.state,
+		labels: (issue.labels || []).map((label) => label.name),
+		assignees: (issue.assignees || []).map((assignee) => assignee.login),
+		author: issue.user?.login || "",
+		created_at: issue.created_at,
+		updated_at: issue.updated_at
+	};
+	if (issue.milestone) meta.milestone = issue.milestone.title;
+	if (issue.due_date) meta.due_date = issue.due_date;
+	if (issue.closed_at) meta.closed_at = issue.closed_at;
+	const body = issue.body ? issue.body.replace(/\r\n/g, "\n").replace(/\r/g, "\n") : "";
+	return {
+		meta,
+		title: issue.title || "Untitled",
+		body
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/markdown.js
+/**
+* Markdown本文からsubject（件名）を抽出する
+* h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 件名（h1見出しのテキスト）
+*/
+function extractSubjectFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^([^\n]+)\n=+/);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+(.+)$/m);
+	if (atxMatch) return atxMatch[1].trim();
+	return "";
+}
+/**
+* Markdown本文からdescription（説明）を抽出する
+* h1見出しを除去し、残りの本文を返す
+*
+* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 説明（h1見出しを除いた本文）
+*/
+function extractDescriptionFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+	if (atxMatch) return atxMatch[1].trim();
+	return body.trim();
+}
+/**
+* Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 生成したセクションを除いた本文
+*/
+function stripGeneratedSections(body) {
+	return body.replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, "").trim();
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitea/update.js
+/**
+* ラベル一覧取得時の1ページあたりの件数
+*/
+const PAGE_LIMIT = 50;
+/**
+* Gitea Issue情報を更新する
+*
+* @param {Object} config - Gitea設定
+* @param {string} ticketId - チケットID(owner/repo#5形式)
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 更新結果
+*/
+async function updateIssue(config, ticketId, updateData = {}) {
+	const { repository, number, headers, url, payload, labelIds } = await prepareUpdate(config, ticketId, updateData);
+	const comment = updateData.comment || null;
+	if (Object.keys(payload).length === 0 && !labelIds && !comment) throw new ValidationError("更新する内容が指定されていません");
+	console.log("\n=== Gitea API更新ペイロード ===");
+	console.log("URL:", url);
+	console.log("Payload:", JSON.stringify(payload, null, 2));
+	if (labelIds) console.log("Labels:", JSON.stringify(labelIds));
+	if (comment) console.log("Comment:", comment);
+	console.log("================================\n");
+	if (updateData.dryRun || updateData["dry-run"]) {
+		info("[DRY RUN] 実際の更新は行いません");
+		return {
+			success: true,
+			message: `[DRY RUN] Issue ${repository}#${number} の更新をシミュレートしました`,
+			updated: payload,
+			dryRun: true
+		};
+	}
+	try {
+		if (Object.keys(payload).length > 0) await patch(url, payload, headers);
+		if (labelIds) await put(`${url}/labels`, { labels: labelIds }, headers);
+		if (comment) await post(`${url}/comments`, { body: comment }, headers);
+		info(`Issue ${repository}#${number} を更新しました`);
+		return {
+			success: true,
+			message: `Issue ${repository}#${number} を更新しました`,
+			updated: payload
+		};
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`Issue ${repository}#${number} が見つかりません (404 Not Found)`, 404, {
+			ticketId,
+			url
+		});
+		throw error$1;
+	}
+}
+/**
+* Issueの更新内容を準備する(Issueは更新しない)
+*
+* @param {Object} config - Gitea設定
+* @param {string} ticketId - チケットID(owner/repo#5形式)
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<{repository: string, number: number, headers: Object, url: string, payload: Object, labelIds: number[]|null}>}
+*   リポジトリ、Issue番号、認証ヘッダー、APIエンドポイント、Gitea API形式の更新データ、置き換えるラベルのID
+*/
+async function prepareUpdate(config, ticketId, updateData = {}) {
+	assertConfig(config);
+	const { repository, number } = parseIssueRef(ticketId, config);
+	const frontmatter = updateData.frontmatter || {};
+	const headers = createHeaders(config);
+	const repoUrl = getRepoApiUrl(config, repository);
+	debug("Gitea Issue更新", {
+		repository,
+		number,
+		updateData
+	});
+	const payload = buildUpdatePayload(updateData);
+	if (frontmatter.milestone !== void 0) payload.milestone = frontmatter.milestone ? await findMilestoneId(repoUrl, headers, frontmatter.milestone) : 0;
+	else if (await hasMilestone(repoUrl, headers, number)) payload.milestone = 0;
+	const labelIds = Array.isArray(frontmatter.labels) ? await findLabelIds(repoUrl, repository, headers, frontmatter.labels) : null;
+	return {
+		repository,
+		number,
+		headers,
+		url: `${repoUrl}/issues/${number}`,
+		payload,
+		labelIds
+	};
+}
+/**
+* 更新データをGitea API形式に変換する
+* Markdown本文からタイトルと本文を抽出
+*
+* @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+* @returns {Object} Gitea API形式の更新データ
+*/
+function buildUpdatePayload(updateData) {
+	const payload = {};
+	const body = updateData.body || "";
+	if (body) {
+		const title = extractSubjectFromMarkdown(body);
+		if (title) payload.title = title;
+	}
+	if (body) payload.body = extractDescriptionFromMarkdown(body);
+	return payload;
+}
+/**
+* Issueにマイルストーンが設定されているか確認する
+*
+* @param {string} repoUrl - リポジトリAPIのURL
+* @param {Object} headers - リクエストヘッダー
+* @param {number} number - Issue番号
+* @returns {Promise<boolean>} マイルストーンが設定されている場合はtrue
+*/
+async function hasMilestone(repoUrl, headers, number) {
+	return !!(await get(`${repoUrl}/issues/${number}`, headers)).milestone;
+}
+/**
+* マイルストーン名からIDを取得する
+* Gitea/ForgejoのAPIはIDまたは名前でマイルストーンを取得できる
+*
+* @param {string} repoUrl - リポジトリAPIのURL
+* @param {Object} headers - リクエストヘッダー
+* @param {string} name - マイルストーン名
+* @returns {Promise<number>} マイルストーンID
+* @throws {ValidationError} マイルストーンが見つからない場合
+*/
+async function findMilestoneId(repoUrl, headers, name) {
+	try {
+		return (await get(`${repoUrl}/milestones/${encodeURIComponent(name)}`, headers)).id;
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ValidationError(`マイルストーン "${name}" が見つかりません`, { milestone: name });
+		throw error$1;
+	}
+}
+/**
+* ラベル名からIDを取得する
+* リポジトリのラベルと組織のラベルを検索する
+*
+* @param {string} repoUrl - リポジトリAPIのURL
+* @param {string} repository - リポジトリ(owner/repo)
+* @param {Object} headers - リクエストヘッダー
+* @param {string[]} names - ラベル名の一覧
+* @returns {Promise<number[]>} ラベルIDの一覧
+* @throws {ValidationError} 存在しないラベルが含まれる場合
+*/
+async function findLabelIds(repoUrl, repository, headers, names) {
+	const labels = await listAll(`${repoUrl}/labels`, headers);
+	const owner = repository.split("/")[0];
+	const orgUrl = repoUrl.replace(/\/repos\/.+$/, `/orgs/${owner}/labels`);
+	try {
+		labels.push(...await listAll(orgUrl, headers));
+	} catch (error$1) {
+		if (!(error$1 instanceof ApiError && error$1.statusCode === 404)) throw error$1;
+	}
+	const labelMap = new Map(labels.map((label) => [label.name, label.id]));
+	const unknown = names.filter((name) => !labelMap.has(String(name)));
+	if (unknown.length > 0) throw new ValidationError(`ラベルが見つかりません: ${unknown.join(", ")}。使用可能なラベル: ${[...labelMap.keys()].join(", ") || "(なし)"}`, { unknown });
+	return names.map((name) => labelMap.get(String(name)));
+}
+/**
+* ページングされた一覧APIから全件を取得する
+*
+* @param {string} url - 一覧APIのURL
+* @param {Object} headers - リクエストヘッダー
+* @returns {Promise<Array<Object>>} 全件の一覧
+*/
+async function listAll(url, headers) {
+	const items = [];
+	for (let page = 1;; page++) {
+		const result = await get(`${url}?limit=${PAGE_LIMIT}&page=${page}`, headers);
+		items.push(...result);
+		if (result.length < PAGE_LIMIT) return items;
+	}
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitea/index.js
+/**
+* Gitea/Forgejo Issuesプラグイン
+*/
+var gitea_default = {
+	name: "gitea",
+	label: "Gitea",
+	defaults: { file_prefix: "" },
+	configSchema: { properties: {
+		repository: { type: "string" },
+		token: { type: "string" }
+	} },
+	async fetch(config, ticketId, options = {}) {
+		debug("Giteaプラグイン: fetch", { ticketId });
+		return await fetchIssue(config, ticketId, options);
+	},
+	async update(config, ticketId, updateData = {}) {
+		debug("Giteaプラグイン: update", { ticketId });
+		return await updateIssue(config, ticketId, updateData);
+	},
+	async buildUpdatePayload(config, ticketId, updateData = {}) {
+		debug("Giteaプラグイン: buildUpdatePayload", { ticketId });
+		const { payload, labelIds } = await prepareUpdate(config, ticketId, updateData);
+		return labelIds ? {
+			...payload,
+			labels: labelIds
+		} : payload;
+	},
+	extractTicketId(frontmatter) {
+		if (!frontmatter.gitea_number) return null;
+		if (frontmatter.gitea_repo) return `${frontmatter.gitea_repo}#${frontmatter.gitea_number}`;
+		return String(frontmatter.gitea_number);
+	},
+	parseUrl(url) {
+		try {
+			const match = new URL(url).pathname.match(/\/([^/]+)\/([^/]+)\/(?:issues|pulls)\/(\d+)/);
+			return match ? `${match[1]}/${match[2]}#${match[3]}` : null;
+		} catch (error$1) {
+			return null;
+		}
+	},
+	getUpdateOptions() {
+		return [{
+			name: "comment",
+			description: "コメント",
+			type: "string"
+		}];
+	},
+	async validate(config) {
+		debug("Giteaプラグイン: validate");
+		const errors = [];
+		if (!config.url) errors.push("Gitea URLが設定されていません (integration.pm_tool.gitea.url)");
+		if (!config.token) errors.push("Giteaアクセストークンが設定されていません (integration.pm_tool.gitea.token)");
+		if (config.repository && !/^[^/\s]+\/[^/\s]+$/.test(config.repository)) errors.push(`repositoryはowner/repo形式で指定してください: ${config.repository}`);
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+};
+
+//#endregion
+export { gitea_default as default };
\ No newline at end of file
@@ -0,0 +1,74 @@
+#!/usr/bin/env zx
+
+import { ValidationError } from '../../common/error.js';
+
+/**
+ * リポジトリAPIのURLを取得する
+ *
+ * @param {Object} config - Gitea設定
+ * @param {string} repository - リポジトリ(owner/repo)
+ * @returns {string} リポジトリAPIのURL(末尾スラッシュなし)
+ */
+export function getRepoApiUrl(config, repository) {
+    return `${config.url.replace(/\/$/, '')}/api/v1/repos/${repository}`;
+}
+
+/**
+ * Gitea APIリクエスト用のヘッダーを生成する
+ *
+ * @param {Object} config - Gitea設定
+ * @returns {Object} リクエストヘッダー
+ */
+export function createHeaders(config) {
+    return {
+        'Accept': 'application/json',
+        'Authorization': `token ${config.token}`
+    };
+}
+
+/**
+ * 設定の必須項目を検証する
+ *
+ * @param {Object} config - Gitea設定
+ * @throws {ValidationError} 必須項目が不足している場合
+ */
+export function assertConfig(config) {
+    if (!config.url) {
+        throw new ValidationError('Gitea URLが設定されていません (integration.pm_tool.gitea.url)');
+    }
+
+    if (!config.token) {
+        throw new ValidationError('Giteaアクセストークンが設定されていません (integration.pm_tool.gitea.token)');
+    }
+}
+
+/**
+ * チケットIDをリポジトリとIssue番号に分解する
+ * 以下の形式に対応する
+ * - 5 / #5: config.ymlのrepositoryを使用
+ * - owner/repo#5: 指定されたリポジトリを使用
+ *
+ * @param {string} ticketId - チケットID
+ * @param {Object} config - Gitea設定
+ * @returns {{repository: string, number: number}} リポジトリとIssue番号
+ * @throws {ValidationError} 形式が不正、またはリポジトリが特定できない場合
+ */
+export function parseIssueRef(ticketId, config) {
+    const match = String(ticketId).match(/^(?:([^/\s#]+\/[^/\s#]+))?#?(\d+)$/);
+    if (!match) {
+        throw new ValidationError(`Issue番号の形式が不正です: ${ticketId}`, { ticketId });
+    }
+
+    const repository = match[1] || config.repository;
+    if (!repository) {
+        throw new ValidationError(
+            'リポジトリが特定できません。owner/repo#番号 形式で指定するか、' +
+            'integration.pm_tool.gitea.repository を設定してください'
+        );
+    }
+
+    return {
+        repository,
+        number: parseInt(match[2], 10)
+    };
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env zx
+
+import { fetchIssue } from './fetch.js';
+import { updateIssue, prepareUpdate } from './update.js';
+import { debug } from '../../common/logger.js';
+
+/**
+ * Gitea/Forgejo Issuesプラグイン
+ */
+export default {
+    name: 'gitea',
+    label: 'Gitea',
+    defaults: {
+        file_prefix: '' // チケットIDにリポジトリ名を含むためプレフィックスなし
+    },
+
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            repository: { type: 'string' },
+            token: { type: 'string' }
+        }
+    },
+
+    /**
+     * Issue情報を取得する
+     *
+     * @param {Object} config - Gitea設定
+     * @param {string} ticketId - チケットID(5、#5、owner/repo#5)
+     * @param {Object} options - オプション
+     * @returns {Promise<Object>} Issue情報
+     */
+    async fetch(config, ticketId, options = {}) {
+        debug('Giteaプラグイン: fetch', { ticketId });
+        return await fetchIssue(config, ticketId, options);
+    },
+
+    /**
+     * Issue情報を更新する
+     *
+     * @param {Object} config - Gitea設定
+     * @param {string} ticketId - チケットID(owner/repo#5形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 更新結果
+     */
+    async update(config, ticketId, updateData = {}) {
+        debug('Giteaプラグイン: update', { ticketId });
+        return await updateIssue(config, ticketId, updateData);
+    },
+
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     * ラベルはlabels(IDの一覧)として含める
+     *
+     * @param {Object} config - Gitea設定
+     * @param {string} ticketId - チケットID(owner/repo#5形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, ticketId, updateData = {}) {
+        debug('Giteaプラグイン: buildUpdatePayload', { ticketId });
+        const { payload, labelIds } = await prepareUpdate(config, ticketId, updateData);
+        return labelIds ? { ...payload, labels: labelIds } : payload;
+    },
+
+    /**
+     * YAMLフロントマターからチケットIDを抽出する
+     *
+     * @param {Object} frontmatter - YAMLフロントマター
+     * @returns {string|null} チケットID(owner/repo#5形式)
+     */
+    extractTicketId(frontmatter) {
+        if (!frontmatter.gitea_number) {
+            return null;
+        }
+        if (frontmatter.gitea_repo) {
+            return `${frontmatter.gitea_repo}#${frontmatter.gitea_number}`;
+        }
+        return String(frontmatter.gitea_number);
+    },
+
+    /**
+     * URLからチケットIDを抽出する
+     *
+     * @param {string} url - Gitea Issue URL
+     * @returns {string|null} チケットID(owner/repo#5形式)、抽出できない場合はnull
+     */
+    parseUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            // Gitea形式: /owner/repo/issues/5 または /owner/repo/pulls/5
+            const match = urlObj.pathname.match(/\/([^/]+)\/([^/]+)\/(?:issues|pulls)\/(\d+)/);
+            return match ? `${match[1]}/${match[2]}#${match[3]}` : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 更新時に使用可能なオプションを返す
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getUpdateOptions() {
+        return [
+            { name: 'comment', description: 'コメント', type: 'string' },
+        ];
+    },
+
+    /**
+     * 設定を検証する
+     *
+     * @param {Object} config - Gitea設定
+     * @returns {Promise<Object>} 検証結果
+     */
+    async validate(config) {
+        debug('Giteaプラグイン: validate');
+
+        const errors = [];
+
+        if (!config.url) {
+            errors.push('Gitea URLが設定されていません (integration.pm_tool.gitea.url)');
+        }
+
+        if (!config.token) {
+            errors.push('Giteaアクセストークンが設定されていません (integration.pm_tool.gitea.token)');
+        }
+
+        if (config.repository && !/^[^/\s]+\/[^/\s]+$/.test(config.repository)) {
+            errors.push(`repositoryはowner/repo形式で指定してください: ${config.repository}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+};
@@ -0,0 +1,245 @@
+#!/usr/bin/env zx
+
+import { get, patch, put, post } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ValidationError, ApiError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown } from '../../common/markdown.js';
+import { getRepoApiUrl, createHeaders, assertConfig, parseIssueRef } from './client.js';
+
+/**
+ * ラベル一覧取得時の1ページあたりの件数
+ */
+const PAGE_LIMIT = 50;
+
+/**
+ * Gitea Issue情報を更新する
+ *
+ * @param {Object} config - Gitea設定
+ * @param {string} ticketId - チケットID(owner/repo#5形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 更新結果
+ */
+export async function updateIssue(config, ticketId, updateData = {}) {
+    const { repository, number, headers, url, payload, labelIds } = await prepareUpdate(config, ticketId, updateData);
+    const comment = updateData.comment || null;
+
+    if (Object.keys(payload).length === 0 && !labelIds && !comment) {
+        throw new ValidationError('更新する内容が指定されていません');
+    }
+
+    // 更新ペイロードを表示
+    console.log('\n=== Gitea API更新ペイロード ===');
+    console.log('URL:', url);
+    console.log('Payload:', JSON.stringify(payload, null, 2));
+    if (labelIds) {
+        console.log('Labels:', JSON.stringify(labelIds));
+    }
+    if (comment) {
+        console.log('Comment:', comment);
+    }
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (updateData.dryRun || updateData['dry-run']) {
+        info('[DRY RUN] 実際の更新は行いません');
+        return {
+            success: true,
+            message: `[DRY RUN] Issue ${repository}#${number} の更新をシミュレートしました`,
+            updated: payload,
+            dryRun: true
+        };
+    }
+
+    // API呼び出し
+    try {
+        if (Object.keys(payload).length > 0) {
+            await patch(url, payload, headers);
+        }
+
+        // ラベルは専用エンドポイントで置き換える
+        if (labelIds) {
+            await put(`${url}/labels`, { labels: labelIds }, headers);
+        }
+
+        if (comment) {
+            await post(`${url}/comments`, { body: comment }, headers);
+        }
+
+        info(`Issue ${repository}#${number} を更新しました`);
+
+        return {
+            success: true,
+            message: `Issue ${repository}#${number} を更新しました`,
+            updated: payload
+        };
+    } catch (error) {
+        // 404エラーの場合、より分かりやすいメッセージに変換
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ApiError(
+                `Issue ${repository}#${number} が見つかりません (404 Not Found)`,
+                404,
+                { ticketId, url }
+            );
+        }
+        // その他のエラーはそのまま再スロー
+        throw error;
+    }
+}
+
+/**
+ * Issueの更新内容を準備する(Issueは更新しない)
+ *
+ * @param {Object} config - Gitea設定
+ * @param {string} ticketId - チケットID(owner/repo#5形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<{repository: string, number: number, headers: Object, url: string, payload: Object, labelIds: number[]|null}>}
+ *   リポジトリ、Issue番号、認証ヘッダー、APIエンドポイント、Gitea API形式の更新データ、置き換えるラベルのID
+ */
+export async function prepareUpdate(config, ticketId, updateData = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    const { repository, number } = parseIssueRef(ticketId, config);
+    const frontmatter = updateData.frontmatter || {};
+    const headers = createHeaders(config);
+    const repoUrl = getRepoApiUrl(config, repository);
+
+    debug('Gitea Issue更新', { repository, number, updateData });
+
+    // 更新データを構築
+    const payload = buildUpdatePayload(updateData);
+
+    // マイルストーン(名前からIDを取得、空の場合は解除)
+    // 取得時はマイルストーンがない場合にキーを出力しないため、キーが削除された場合も設定済みのマイルストーンを解除する
+    if (frontmatter.milestone !== undefined) {
+        payload.milestone = frontmatter.milestone
+            ? await findMilestoneId(repoUrl, headers, frontmatter.milestone)
+            : 0;
+    } else if (await hasMilestone(repoUrl, headers, number)) {
+        payload.milestone = 0;
+    }
+
+    // ラベル(名前からIDを取得)
+    const labelIds = Array.isArray(frontmatter.labels)
+        ? await findLabelIds(repoUrl, repository, headers, frontmatter.labels)
+        : null;
+
+    return { repository, number, headers, url: `${repoUrl}/issues/${number}`, payload, labelIds };
+}
+
+/**
+ * 更新データをGitea API形式に変換する
+ * Markdown本文からタイトルと本文を抽出
+ *
+ * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+ * @returns {Object} Gitea API形式の更新データ
+ */
+function buildUpdatePayload(updateData) {
+    const payload = {};
+    const body = updateData.body || '';
+
+    // タイトル - Markdown本文のh1見出しから自動抽出
+    if (body) {
+        const title = extractSubjectFromMarkdown(body);
+        if (title) {
+            payload.title = title;
+        }
+    }
+
+    // 本文 - Markdown本文から自動抽出（h1見出しを除く）
+    if (body) {
+        payload.body = extractDescriptionFromMarkdown(body);
+    }
+
+    return payload;
+}
+
+/**
+ * Issueにマイルストーンが設定されているか確認する
+ *
+ * @param {string} repoUrl - リポジトリAPIのURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {number} number - Issue番号
+ * @returns {Promise<boolean>} マイルストーンが設定されている場合はtrue
+ */
+async function hasMilestone(repoUrl, headers, number) {
+    const issue = await get(`${repoUrl}/issues/${number}`, headers);
+    return !!issue.milestone;
+}
+
+/**
+ * マイルストーン名からIDを取得する
+ * Gitea/ForgejoのAPIはIDまたは名前でマイルストーンを取得できる
+ *
+ * @param {string} repoUrl - リポジトリAPIのURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string} name - マイルストーン名
+ * @returns {Promise<number>} マイルストーンID
+ * @throws {ValidationError} マイルストーンが見つからない場合
+ */
+async function findMilestoneId(repoUrl, headers, name) {
+    try {
+        const milestone = await get(`${repoUrl}/milestones/${encodeURIComponent(name)}`, headers);
+        return milestone.id;
+    } catch (error) {
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ValidationError(`マイルストーン "${name}" が見つかりません`, { milestone: name });
+        }
+        throw error;
+    }
+}
+
+/**
+ * ラベル名からIDを取得する
+ * リポジトリのラベルと組織のラベルを検索する
+ *
+ * @param {string} repoUrl - リポジトリAPIのURL
+ * @param {string} repository - リポジトリ(owner/repo)
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string[]} names - ラベル名の一覧
+ * @returns {Promise<number[]>} ラベルIDの一覧
+ * @throws {ValidationError} 存在しないラベルが含まれる場合
+ */
+async function findLabelIds(repoUrl, repository, headers, names) {
+    const labels = await listAll(`${repoUrl}/labels`, headers);
+
+    // 組織のラベル(オーナーがユーザーの場合は404になるため無視する)
+    const owner = repository.split('/')[0];
+    const orgUrl = repoUrl.replace(/\/repos\/.+$/, `/orgs/${owner}/labels`);
+    try {
+        labels.push(...await listAll(orgUrl, headers));
+    } catch (error) {
+        if (!(error instanceof ApiError && error.statusCode === 404)) {
+            throw error;
+        }
+    }
+
+    const labelMap = new Map(labels.map(label => [label.name, label.id]));
+    const unknown = names.filter(name => !labelMap.has(String(name)));
+    if (unknown.length > 0) {
+        throw new ValidationError(
+            `ラベルが見つかりません: ${unknown.join(', ')}。使用可能なラベル: ${[...labelMap.keys()].join(', ') || '(なし)'}`,
+            { unknown }
+        );
+    }
+
+    return names.map(name => labelMap.get(String(name)));
+}
+
+/**
+ * ページングされた一覧APIから全件を取得する
+ *
+ * @param {string} url - 一覧APIのURL
+ * @param {Object} headers - リクエストヘッダー
+ * @returns {Promise<Array<Object>>} 全件の一覧
+ */
+async function listAll(url, headers) {
+    const items = [];
+    for (let page = 1; ; page++) {
+        const result = await get(`${url}?limit=${PAGE_LIMIT}&page=${page}`, headers);
+        items.push(...result);
+        if (result.length < PAGE_LIMIT) {
+            return items;
+        }
+    }
+}
@@ -0,0 +1,84 @@
+#!/usr/bin/env zx
+
+import { ValidationError } from '../../common/error.js';
+
+/**
+ * GitHub APIのベースURLを取得する
+ * api_urlが未設定の場合、github.comならapi.github.com、
+ * それ以外(GitHub Enterprise Server)なら{url}/api/v3を使用する
+ *
+ * @param {Object} config - GitHub設定
+ * @returns {string} APIベースURL(末尾スラッシュなし)
+ */
+export function getApiBaseUrl(config) {
+    if (config.api_url) {
+        return config.api_url.replace(/\/$/, '');
+    }
+
+    const baseUrl = config.url.replace(/\/$/, '');
+    if (new URL(baseUrl).hostname === 'github.com') {
+        return 'https://api.github.com';
+    }
+    return `${baseUrl}/api/v3`;
+}
+
+/**
+ * GitHub APIリクエスト用のヘッダーを生成する
+ *
+ * @param {Object} config - GitHub設定
+ * @returns {Object} リクエストヘッダー
+ */
+export function createHeaders(config) {
+    return {
+        'Accept': 'application/vnd.github+json',
+        'Authorization': `Bearer ${config.token}`,
+        'X-GitHub-Api-Version': '2022-11-28'
+    };
+}
+
+/**
+ * 設定の必須項目を検証する
+ *
+ * @param {Object} config - GitHub設定
+ * @throws {ValidationError} 必須項目が不足している場合
+ */
+export function assertConfig(config) {
+    if (!config.url) {
+        throw new ValidationError('GitHub URLが設定されていません (integration.pm_tool.github.url)');
+    }
+
+    if (!config.token) {
+        throw new ValidationError('GitHubトークンが設定されていません (integration.pm_tool.github.token)');
+    }
+}
+
+/**
+ * チケットIDをリポジトリとIssue番号に分解する
+ * 以下の形式に対応する
+ * - 42 / #42: config.ymlのrepositoryを使用
+ * - owner/repo#42: 指定されたリポジトリを使用
+ *
+ * @param {string} ticketId - チケットID
+ * @param {Object} config - GitHub設定
+ * @returns {{repository: string, number: number}} リポジトリとIssue番号
+ * @throws {ValidationError} 形式が不正、またはリポジトリが特定できない場合
+ */
+export function parseIssueRef(ticketId, config) {
+    const match = String(ticketId).match(/^(?:([^/\s#]+\/[^/\s#]+))?#?(\d+)$/);
+    if (!match) {
+        throw new ValidationError(`Issue番号の形式が不正です: ${ticketId}`, { ticketId });
+    }
+
+    const repository = match[1] || config.repository;
+    if (!repository) {
+        throw new ValidationError(
+            'リポジトリが特定できません。owner/repo#番号 形式で指定するか、' +
+            'integration.pm_tool.github.repository を設定してください'
+        );
+    }
+
+    return {
+        repository,
+        number: parseInt(match[2], 10)
+    };
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ApiError } from '../../common/error.js';
+import { getApiBaseUrl, createHeaders, assertConfig, parseIssueRef } from './client.js';
+
+/**
+ * GitHub Issue情報を取得する
+ *
+ * @param {Object} config - GitHub設定
+ * @param {string} ticketId - チケットID(42、#42、owner/repo#42)
+ * @param {Object} options - オプション
+ * @returns {Promise<Object>} Issue情報({meta, title, body}形式)
+ */
+export async function fetchIssue(config, ticketId, options = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    const { repository, number } = parseIssueRef(ticketId, config);
+
+    debug('GitHub Issue取得', { repository, number, url: config.url });
+
+    // GitHub APIエンドポイント
+    const url = `${getApiBaseUrl(config)}/repos/${repository}/issues/${number}`;
+
+    // API呼び出し
+    try {
+        const issue = await get(url, createHeaders(config));
+
+        info(`Issue ${repository}#${number} の情報を取得しました`);
+
+        // YAMLフロントマター形式に変換
+        return formatAsYamlFrontmatter(issue, repository);
+    } catch (error) {
+        // 404エラーの場合、より分かりやすいメッセージに変換
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ApiError(
+                `Issue ${repository}#${number} が見つかりません (404 Not Found)`,
+                404,
+                { ticketId, url }
+            );
+        }
+        // その他のエラーはそのまま再スロー
+        throw error;
+    }
+}
+
+/**
+ * GitHub Issue情報をYAMLフロントマター形式に変換する
+ *
+ * @param {Object} issue - GitHub Issue情報
+ * @param {string} repository - リポジトリ(owner/repo)
+ * @returns {Object} フロントマター形式のデータ({meta, title, body})
+ */
+function formatAsYamlFrontmatter(issue, repository) {
+    const meta = {
+        github_repo: repository,
+        github_number: issue.number,
+        state: issue.state,
+        labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+        assignees: (issue.assignees || []).map(assignee => assignee.login),
+        author: issue.user?.login || '',
+        created_at: issue.created_at,
+        updated_at: issue.updated_at
+    };
+
+    // 任意フィールド(値がある場合のみ追加)
+    if (issue.milestone) {
+        meta.milestone = issue.milestone.title;
+    }
+    if (issue.closed_at) {
+        meta.closed_at = issue.closed_at;
+    }
+
+    // 本文のCRLFをLFに正規化（プラットフォーム非依存にする）
+    const body = issue.body ? issue.body.replace(/\r\n/g, '\n').replace(/\r/g, '\n') : '';
+    const title = issue.title || 'Untitled';
+
+    return {
+        meta,
+        title,
+        body
+    };
+}
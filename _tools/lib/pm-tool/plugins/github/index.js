@@ -0,0 +1,139 @@
+#!/usr/bin/env zx
+
+import { fetchIssue } from './fetch.js';
+import { updateIssue, prepareUpdate } from './update.js';
+import { debug } from '../../common/logger.js';
+
+/**
+ * GitHub Issuesプラグイン
+ */
+export default {
+    name: 'github',
+    label: 'GitHub',
+    defaults: {
+        file_prefix: '' // チケットIDにリポジトリ名を含むためプレフィックスなし
+    },
+
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            api_url: { type: 'string' },
+            repository: { type: 'string' },
+            token: { type: 'string' }
+        }
+    },
+
+    /**
+     * Issue情報を取得する
+     *
+     * @param {Object} config - GitHub設定
+     * @param {string} ticketId - チケットID(42、#42、owner/repo#42)
+     * @param {Object} options - オプション
+     * @returns {Promise<Object>} Issue情報
+     */
+    async fetch(config, ticketId, options = {}) {
+        debug('GitHubプラグイン: fetch', { ticketId });
+        return await fetchIssue(config, ticketId, options);
+    },
+
+    /**
+     * Issue情報を更新する
+     *
+     * @param {Object} config - GitHub設定
+     * @param {string} ticketId - チケットID(owner/repo#42形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 更新結果
+     */
+    async update(config, ticketId, updateData = {}) {
+        debug('GitHubプラグイン: update', { ticketId });
+        return await updateIssue(config, ticketId, updateData);
+    },
+
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     *
+     * @param {Object} config - GitHub設定
+     * @param {string} ticketId - チケットID(owner/repo#42形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, ticketId, updateData = {}) {
+        debug('GitHubプラグイン: buildUpdatePayload', { ticketId });
+        return prepareUpdate(config, ticketId, updateData).payload;
+    },
+
+    /**
+     * YAMLフロントマターからチケットIDを抽出する
+     *
+     * @param {Object} frontmatter - YAMLフロントマター
+     * @returns {string|null} チケットID(owner/repo#42形式)
+     */
+    extractTicketId(frontmatter) {
+        if (!frontmatter.github_number) {
+            return null;
+        }
+        if (frontmatter.github_repo) {
+            return `${frontmatter.github_repo}#${frontmatter.github_number}`;
+        }
+        return String(frontmatter.github_number);
+    },
+
+    /**
+     * URLからチケットIDを抽出する
+     *
+     * @param {string} url - GitHub Issue URL
+     * @returns {string|null} チケットID(owner/repo#42形式)、抽出できない場合はnull
+     */
+    parseUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            // GitHub形式: /owner/repo/issues/42 または /owner/repo/pull/42
+            const match = urlObj.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:issues|pull)\/(\d+)/);
+            return match ? `${match[1]}/${match[2]}#${match[3]}` : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 更新時に使用可能なオプションを返す
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getUpdateOptions() {
+        return [
+            { name: 'comment', description: 'コメント', type: 'string' },
+        ];
+    },
+
+    /**
+     * 設定を検証する
+     *
+     * @param {Object} config - GitHub設定
+     * @returns {Promise<Object>} 検証結果
+     */
+    async validate(config) {
+        debug('GitHubプラグイン: validate');
+
+        const errors = [];
+
+        if (!config.url) {
+            errors.push('GitHub URLが設定されていません (integration.pm_tool.github.url)');
+        }
+
+        if (!config.token) {
+            errors.push('GitHubトークンが設定されていません (integration.pm_tool.github.token)');
+        }
+
+        if (config.repository && !/^[^/\s]+\/[^/\s]+$/.test(config.repository)) {
+            errors.push(`repositoryはowner/repo形式で指定してください: ${config.repository}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+};
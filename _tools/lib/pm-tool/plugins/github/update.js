@@ -0,0 +1,132 @@
+#!/usr/bin/env zx
+
+import { patch, post } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ValidationError, ApiError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown } from '../../common/markdown.js';
+import { getApiBaseUrl, createHeaders, assertConfig, parseIssueRef } from './client.js';
+
+/**
+ * GitHub Issue情報を更新する
+ *
+ * @param {Object} config - GitHub設定
+ * @param {string} ticketId - チケットID(owner/repo#42形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 更新結果
+ */
+export async function updateIssue(config, ticketId, updateData = {}) {
+    const { repository, number, url, payload } = prepareUpdate(config, ticketId, updateData);
+    const comment = updateData.comment || null;
+
+    if (Object.keys(payload).length === 0 && !comment) {
+        throw new ValidationError('更新する内容が指定されていません');
+    }
+
+    // 更新ペイロードを表示
+    console.log('\n=== GitHub API更新ペイロード ===');
+    console.log('URL:', url);
+    console.log('Payload:', JSON.stringify(payload, null, 2));
+    if (comment) {
+        console.log('Comment:', comment);
+    }
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (updateData.dryRun || updateData['dry-run']) {
+        info('[DRY RUN] 実際の更新は行いません');
+        return {
+            success: true,
+            message: `[DRY RUN] Issue ${repository}#${number} の更新をシミュレートしました`,
+            updated: payload,
+            dryRun: true
+        };
+    }
+
+    const headers = createHeaders(config);
+
+    // API呼び出し
+    try {
+        if (Object.keys(payload).length > 0) {
+            await patch(url, payload, headers);
+        }
+
+        if (comment) {
+            await post(`${url}/comments`, { body: comment }, headers);
+        }
+
+        info(`Issue ${repository}#${number} を更新しました`);
+
+        return {
+            success: true,
+            message: `Issue ${repository}#${number} を更新しました`,
+            updated: payload
+        };
+    } catch (error) {
+        // 404エラーの場合、より分かりやすいメッセージに変換
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ApiError(
+                `Issue ${repository}#${number} が見つかりません (404 Not Found)`,
+                404,
+                { ticketId, url }
+            );
+        }
+        // その他のエラーはそのまま再スロー
+        throw error;
+    }
+}
+
+/**
+ * Issueの更新内容を準備する(Issueは更新しない)
+ *
+ * @param {Object} config - GitHub設定
+ * @param {string} ticketId - チケットID(owner/repo#42形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {{repository: string, number: number, url: string, payload: Object}}
+ *   リポジトリ、Issue番号、APIエンドポイント、GitHub API形式の更新データ
+ */
+export function prepareUpdate(config, ticketId, updateData = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    const { repository, number } = parseIssueRef(ticketId, config);
+
+    debug('GitHub Issue更新', { repository, number, updateData });
+
+    // GitHub APIエンドポイント
+    const url = `${getApiBaseUrl(config)}/repos/${repository}/issues/${number}`;
+
+    return { repository, number, url, payload: buildUpdatePayload(updateData) };
+}
+
+/**
+ * 更新データをGitHub API形式に変換する
+ * YAMLフロントマターとMarkdown本文から更新データを抽出
+ *
+ * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+ * @returns {Object} GitHub API形式の更新データ
+ */
+function buildUpdatePayload(updateData) {
+    const payload = {};
+    const frontmatter = updateData.frontmatter || {};
+    const body = updateData.body || '';
+
+    // タイトル - Markdown本文のh1見出しから自動抽出
+    if (body) {
+        const title = extractSubjectFromMarkdown(body);
+        if (title) {
+            payload.title = title;
+        }
+    }
+
+    // 本文 - Markdown本文から自動抽出（h1見出しを除く）
+    if (body) {
+        payload.body = extractDescriptionFromMarkdown(body);
+    }
+
+    // ラベル - YAMLフロントマターから(配列で指定)
+    if (Array.isArray(frontmatter.labels)) {
+        payload.labels = frontmatter.labels.map(label => String(label));
+    }
+
+    return payload;
+}
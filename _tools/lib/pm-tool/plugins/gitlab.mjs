@@ -0,0 +1,1021 @@
+#!/usr/bin/env zx
+//#region _tools/lib/pm-tool/common/logger.js
+/**
+* ログレベル定義
+*/
+const LOG_LEVELS = {
+	DEBUG: 0,
+	INFO: 1,
+	WARN: 2,
+	ERROR: 3
+};
+/**
+* 現在のログレベル（環境変数PM_TOOL_LOG_LEVELで設定可能）
+*/
+const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
+/**
+* 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+*/
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+/**
+* 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+*
+* @param {string} text - URLまたはURLを含む文字列
+* @returns {string} 伏せ字にした文字列
+*/
+function redactUrl(text) {
+	return String(text).replace(SECRET_QUERY_PATTERN, "$1***");
+}
+/**
+* タイムスタンプを生成する
+*
+* @returns {string} ISO形式のタイムスタンプ
+*/
+function timestamp() {
+	return (/* @__PURE__ */ new Date()).toISOString();
+}
+/**
+* ログメッセージをフォーマットする
+* URLに含まれるAPIキー等はログに出力しない
+*
+* @param {string} level - ログレベル
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+* @returns {string} フォーマットされたログメッセージ
+*/
+function formatMessage(level, message, data) {
+	let formatted = `[${timestamp()}] [${level}] ${message}`;
+	if (data) formatted += ` ${JSON.stringify(data)}`;
+	return redactUrl(formatted);
+}
+/**
+* DEBUGレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function debug(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.DEBUG) console.error(formatMessage("DEBUG", message, data));
+}
+/**
+* INFOレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function info(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.INFO) console.error(formatMessage("INFO", message, data));
+}
+/**
+* WARNレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function warn(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.WARN) console.warn(formatMessage("WARN", message, data));
+}
+/**
+* ERRORレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Error|Object} [error] - エラーオブジェクトまたは追加データ
+*/
+function error(message, error$1) {
+	if (currentLogLevel <= LOG_LEVELS.ERROR) {
+		const data = error$1 instanceof Error ? {
+			message: error$1.message,
+			stack: error$1.stack
+		} : error$1;
+		console.error(formatMessage("ERROR", message, data));
+	}
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/error.js
+/**
+* PM Toolのエラーであることを示すマーカー
+* プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+*/
+const PM_TOOL_ERROR = Symbol.for("pm-tool.error");
+/**
+* PM Tool基底エラークラス
+*/
+var PmToolError = class extends Error {
+	constructor(message, code, details) {
+		super(message);
+		this.name = "PmToolError";
+		this.code = code;
+		this.details = details;
+		this[PM_TOOL_ERROR] = true;
+	}
+};
+/**
+* 認証エラー
+*/
+var AuthenticationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "AUTH_ERROR", details);
+		this.name = "AuthenticationError";
+	}
+};
+/**
+* APIエラー
+*/
+var ApiError = class extends PmToolError {
+	constructor(message, statusCode, details) {
+		super(message, "API_ERROR", details);
+		this.name = "ApiError";
+		this.statusCode = statusCode;
+	}
+};
+/**
+* ネットワークエラー
+*/
+var NetworkError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "NETWORK_ERROR", details);
+		this.name = "NetworkError";
+	}
+};
+/**
+* バリデーションエラー
+*/
+var ValidationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "VALIDATION_ERROR", details);
+		this.name = "ValidationError";
+	}
+};
+/**
+* エラーを適切な型に変換する
+*
+* @param {Error} error - 元のエラー
+* @returns {PmToolError} 適切な型に変換されたエラー
+*/
+function normalizeError(error$1) {
+	if (error$1 instanceof PmToolError) return error$1;
+	if (error$1.name === "TypeError" && error$1.message.includes("fetch")) return new NetworkError("ネットワークエラーが発生しました", { originalError: error$1.message });
+	return new PmToolError(error$1.message, "UNKNOWN_ERROR", {
+		originalError: error$1.toString(),
+		stack: error$1.stack
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/retry.js
+/**
+* 指定ミリ秒待機する
+*
+* @param {number} ms - 待機時間（ミリ秒）
+* @returns {Promise<void>}
+*/
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+/**
+* 指数バックオフでリトライを実行する
+* エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
+*
+* @param {Function} fn - 実行する関数
+* @param {Object} options - オプション
+* @param {number} [options.maxRetries=3] - 最大リトライ回数
+* @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
+* @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
+* @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+* @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+* @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
+* @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
+* @returns {Promise<*>} 関数の実行結果
+* @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
+*/
+async function retry(fn, options = {}) {
+	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, jitter = .5, timeBudget = 6e4, shouldRetry = () => true } = options;
+	const startedAt = Date.now();
+	let lastError;
+	let delay = initialDelay;
+	for (let attempt = 0; attempt <= maxRetries; attempt++) try {
+		debug(`実行試行 ${attempt + 1}/${maxRetries + 1}`);
+		return await fn();
+	} catch (error$1) {
+		lastError = error$1;
+		if (attempt === maxRetries) break;
+		if (!shouldRetry(error$1)) {
+			debug("リトライすべきでないエラーのため中断", { error: error$1.message });
+			throw error$1;
+		}
+		const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+		const wait = Math.round(Math.max(backoff, getRetryAfter(error$1) ?? 0));
+		if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+			warn(`リトライの待機時間が上限(${timeBudget / 1e3}秒)を超えるため中断します: ${error$1.message}`, { nextRetryIn: wait });
+			break;
+		}
+		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: wait });
+		await sleep(wait);
+		delay = Math.min(delay * backoffMultiplier, maxDelay);
+	}
+	throw lastError;
+}
+/**
+* Retry-Afterヘッダーの値を待機時間に変換する
+*
+* @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+* @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+* @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
+*/
+function parseRetryAfter(value, now = Date.now()) {
+	if (value === null || value === void 0 || value === "") return null;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1e3;
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+/**
+* レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+* APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
+*
+* @param {Headers} headers - レスポンスヘッダー
+* @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
+*/
+function extractRetryDetails(headers) {
+	const details = {};
+	const retryAfter = headers?.get("Retry-After");
+	if (retryAfter) details.retryAfter = retryAfter;
+	const rateLimitReset = headers?.get("X-RateLimit-Reset");
+	if (rateLimitReset) details.rateLimitReset = rateLimitReset;
+	return details;
+}
+/**
+* エラーからサーバーが指定した待機時間を求める
+* Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+*/
+function getRetryAfter(error$1) {
+	const details = error$1?.details || {};
+	const waits = [parseRetryAfter(details.retryAfter)];
+	if (error$1 && isRateLimitError(error$1) && details.rateLimitReset) {
+		const reset = Number(details.rateLimitReset);
+		if (Number.isFinite(reset)) waits.push(Math.max(0, reset * 1e3 - Date.now()));
+	}
+	const valid = waits.filter((wait) => wait !== null);
+	return valid.length > 0 ? Math.max(...valid) : null;
+}
+/**
+* レート制限エラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} レート制限エラーの場合true
+*/
+function isRateLimitError(error$1) {
+	return error$1.statusCode === 429;
+}
+/**
+* 一時的なエラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} 一時的なエラーの場合true
+*/
+function isTransientError(error$1) {
+	if (isRateLimitError(error$1)) return true;
+	if (error$1.statusCode >= 500 && error$1.statusCode < 600) return true;
+	if (error$1.name === "NetworkError") return true;
+	if (error$1.code === "ETIMEDOUT" || error$1.code === "ESOCKETTIMEDOUT") return true;
+	return false;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/scheduler.js
+/**
+* APIリクエストのスケジューラー
+*
+* 同時実行数と1秒あたりのリクエスト数を制限し、
+* レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+* 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
+*/
+/**
+* 共有するスケジューラーの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const SCHEDULER = Symbol.for("pm-tool.scheduler");
+/**
+* デフォルトの同時実行数
+*/
+const DEFAULT_CONCURRENCY = 4;
+/**
+* デフォルトの1秒あたりのリクエスト数(0は無制限)
+*/
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+/**
+* スケジューラーを作成する
+*
+* @param {Object} [options] - オプション
+* @param {number} [options.concurrency=4] - 同時実行数
+* @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+* @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+*/
+function createScheduler(options = {}) {
+	const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+	const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+	const interval = requestsPerSecond > 0 ? 1e3 / requestsPerSecond : 0;
+	const queue = [];
+	let active = 0;
+	let nextStart = 0;
+	let pausedUntil = 0;
+	let timer = null;
+	/**
+	* 待機中のリクエストを実行できるだけ開始する
+	*/
+	function dispatch() {
+		if (timer) return;
+		while (queue.length > 0 && active < concurrency) {
+			const now = Date.now();
+			const startAt = Math.max(nextStart, pausedUntil);
+			if (startAt > now) {
+				timer = setTimeout(() => {
+					timer = null;
+					dispatch();
+				}, startAt - now);
+				return;
+			}
+			const { task, resolve, reject } = queue.shift();
+			active++;
+			nextStart = now + interval;
+			Promise.resolve().then(task).then(resolve, reject).finally(() => {
+				active--;
+				dispatch();
+			});
+		}
+	}
+	return {
+		concurrency,
+		schedule(task) {
+			return new Promise((resolve, reject) => {
+				queue.push({
+					task,
+					resolve,
+					reject
+				});
+				dispatch();
+			});
+		},
+		observe(headers) {
+			const remaining = Number(headers?.get("X-RateLimit-Remaining") ?? NaN);
+			const reset = Number(headers?.get("X-RateLimit-Reset") ?? NaN);
+			if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) return;
+			const resetAt = reset * 1e3;
+			if (resetAt <= Date.now() || resetAt <= pausedUntil) return;
+			pausedUntil = resetAt;
+			info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1e3)}秒待機します`, { remaining });
+		}
+	};
+}
+/**
+* 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
+*
+* @returns {Object} スケジューラー
+*/
+function getScheduler() {
+	if (!globalThis[SCHEDULER]) globalThis[SCHEDULER] = createScheduler();
+	return globalThis[SCHEDULER];
+}
+/**
+* 共有するスケジューラーを通してfetchを実行する
+* タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
+*
+* @param {string} url - リクエストURL
+* @param {Object} [init] - fetchオプション
+* @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+* @returns {Promise<Response>} レスポンス
+*/
+async function scheduledFetch(url, init = {}, timeout = null) {
+	const scheduler = getScheduler();
+	return await scheduler.schedule(async () => {
+		const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+		const response = await fetch(url, {
+			...init,
+			signal
+		});
+		scheduler.observe(response.headers);
+		return response;
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/api.js
+/**
+* デフォルトのリクエストのタイムアウト(ミリ秒)
+*/
+const DEFAULT_TIMEOUT = 3e4;
+/**
+* HTTP APIリクエストを実行する
+* リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} options - fetchオプション
+* @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+* @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+* @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+* @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
+*/
+async function apiRequest(url, options = {}, retryOptions = {}) {
+	const { responseType, auth, timeout = DEFAULT_TIMEOUT,...fetchOptions } = options;
+	const request = auth ? await auth.apply(url, fetchOptions.headers) : {
+		url,
+		headers: fetchOptions.headers
+	};
+	const displayUrl = redactUrl(url);
+	debug(`API Request: ${options.method || "GET"} ${displayUrl}`);
+	const finalRetryOptions = {
+		maxRetries: 3,
+		shouldRetry: (error$1) => isTransientError(error$1),
+		...retryOptions
+	};
+	try {
+		return await retry(async () => {
+			try {
+				const response = await scheduledFetch(request.url, {
+					...fetchOptions,
+					headers: request.headers
+				}, timeout);
+				debug(`API Response: ${response.status} ${response.statusText}`);
+				if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーまたはトークンを確認してください", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 403) throw new AuthenticationError("アクセス権限がありません", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 429) throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, extractRetryDetails(response.headers));
+				if (response.status >= 500) {
+					const text = await response.text();
+					throw new ApiError("サーバーエラーが発生しました", response.status, {
+						responseBody: text,
+						...extractRetryDetails(response.headers)
+					});
+				}
+				if (!response.ok) {
+					const text = await response.text();
+					throw new ApiError(`APIエラー: ${extractErrorMessage(text) || response.statusText}`, response.status, {
+						url: displayUrl,
+						responseBody: text
+					});
+				}
+				if (response.status === 204) return null;
+				if (responseType === "buffer") return Buffer.from(await response.arrayBuffer());
+				const contentType = response.headers.get("content-type");
+				if (contentType && contentType.includes("application/json")) return await response.json();
+				return await response.text();
+			} catch (error$1) {
+				if (error$1 instanceof TypeError) throw new NetworkError("ネットワークエラーが発生しました", {
+					url: displayUrl,
+					originalError: error$1.message
+				});
+				if (error$1.name === "TimeoutError" || error$1.name === "AbortError") throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1e3}秒)`, { url: displayUrl });
+				throw error$1;
+			}
+		}, finalRetryOptions);
+	} catch (error$1) {
+		error(`API Request Failed: ${displayUrl}`, error$1);
+		throw normalizeError(error$1);
+	}
+}
+/**
+* エラーレスポンスからエラーメッセージを取り出す
+* {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+* {error_description: "..."}(OAuth 2.0)の形式に対応する
+*
+* @param {string} text - レスポンスボディ
+* @returns {string|null} エラーメッセージ(取り出せない場合はnull)
+*/
+function extractErrorMessage(text) {
+	try {
+		const data = JSON.parse(text);
+		if (Array.isArray(data.errors) && data.errors.length > 0) return data.errors.map((item) => typeof item === "string" ? item : item.message).filter(Boolean).join(", ");
+		const message = data.message || data.error_description || data.error;
+		return typeof message === "string" ? message : null;
+	} catch {
+		return null;
+	}
+}
+/**
+* GETリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function get(url, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "GET",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		}
+	}, retryOptions);
+}
+/**
+* POSTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function post(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+/**
+* PUTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function put(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "PUT",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitlab/client.js
+/**
+* GitLab APIのベースURLを取得する
+*
+* @param {Object} config - GitLab設定
+* @returns {string} APIベースURL(末尾スラッシュなし)
+*/
+function getApiBaseUrl(config) {
+	return `${config.url.replace(/\/$/, "")}/api/v4`;
+}
+/**
+* プロジェクトのIssue APIのURLを取得する
+* プロジェクトパス(group/subgroup/project)はURLエンコードして使用する
+*
+* @param {Object} config - GitLab設定
+* @param {string} project - プロジェクトパスまたはプロジェクトID
+* @param {number} [iid] - Issue番号(プロジェクト内ID)
+* @returns {string} Issue APIのURL
+*/
+function getIssueApiUrl(config, project, iid) {
+	const url = `${getApiBaseUrl(config)}/projects/${encodeURIComponent(project)}/issues`;
+	return iid ? `${url}/${iid}` : url;
+}
+/**
+* GitLab APIリクエスト用のヘッダーを生成する
+*
+* @param {Object} config - GitLab設定
+* @returns {Object} リクエストヘッダー
+*/
+function createHeaders(config) {
+	return { "PRIVATE-TOKEN": config.token };
+}
+/**
+* 設定の必須項目を検証する
+*
+* @param {Object} config - GitLab設定
+* @throws {ValidationError} 必須項目が不足している場合
+*/
+function assertConfig(config) {
+	if (!config.url) throw new ValidationError("GitLab URLが設定されていません (integration.pm_tool.gitlab.url)");
+	if (!config.token) throw new ValidationError("GitLabアクセストークンが設定されていません (integration.pm_tool.gitlab.token)");
+}
+/**
+* URLから抽出したパスからGitLabのベースパスを除去する
+* 相対URLルートで運用している場合(例: https://example.com/gitlab)に
+* パス先頭の"gitlab/"をプロジェクトパスから取り除く
+*
+* @param {Object} config - GitLab設定
+* @param {string} projectPath - プロジェクトパス
+* @returns {string} ベースパスを除いたプロジェクトパス
+*/
+function stripBasePath(config, projectPath) {
+	const basePath = new URL(config.url).pathname.replace(/^\/|\/$/g, "");
+	if (basePath && projectPath.startsWith(`${basePath}/`)) return projectPath.slice(basePath.length + 1);
+	return projectPath;
+}
+/**
+* チケットIDをプロジェクトとIssue番号に分解する
+* 以下の形式に対応する
+* - 17 / #17: config.ymlのprojectを使用
+* - group/subgroup/project#17: 指定されたプロジェクトを使用(サブグループは何階層でも可)
+*
+* @param {string} ticketId - チケットID
+* @param {Object} config - GitLab設定
+* @returns {{project: string, iid: number}} プロジェクトとIssue番号
+* @throws {ValidationError} 形式が不正、またはプロジェクトが特定できない場合
+*/
+function parseIssueRef(ticketId, config) {
+	const match = String(ticketId).match(/^(?:([^\s#]+(?:\/[^\s#]+)+))?#?(\d+)$/);
+	if (!match) throw new ValidationError(`Issue番号の形式が不正です: ${ticketId}`, { ticketId });
+	const project = match[1] ? stripBasePath(config, match[1]) : config.project !== void 0 ? String(config.project) : null;
+	if (!project) throw new ValidationError("プロジェクトが特定できません。group/project#番号 形式で指定するか、integration.pm_tool.gitlab.project を設定してください");
+	return {
+		project,
+		iid: parseInt(match[2], 10)
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitlab/fetch.js
+/**
+* GitLab Issue情報を取得する
+*
+* @param {Object} config - GitLab設定
+* @param {string} ticketId - チケットID(17、#17、group/project#17)
+* @param {Object} options - オプション
+* @returns {Promise<Object>} Issue情報({meta, title, body}形式)
+*/
+async function fetchIssue(config, ticketId, options = {}) {
+	assertConfig(config);
+	const { project, iid } = parseIssueRef(ticketId, config);
+	debug("GitLab Issue取得", {
+		project,
+		iid,
+		url: config.url
+	});
+	const issue = await getIssue(config, project, iid);
+	info(`Issue ${project}#${iid} の情報を取得しました`);
+	return formatAsYamlFrontmatter(config, issue, project);
+}
+/**
+* GitLab Issue取得APIを呼び出す
+*
+* @param {Object} config - GitLab設定
+* @param {string} project - プロジェクトパスまたはID
+* @param {number} iid - Issue番号
+* @returns {Promise<Object>} Issue情報(APIレスポンス)
+*/
+async function getIssue(config, project, iid) {
+	const url = getIssueApiUrl(config, project, iid);
+	try {
+		return await get(url, createHeaders(config));
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`Issue ${project}#${iid} が見つかりません (404 Not Found)`, 404, {
+			project,
+			iid,
+			url
+		});
+		throw error$1;
+	}
+}
+/**
+* GitLab Issue情報をYAMLフロントマター形式に変換する
+*
+* @param {Object} config - GitLab設定
+* @param {Object} issue - GitLab Issue情報
+* @param {string} project - 取得時に指定したプロジェクト
+* @returns {Object} フロントマター形式のデータ({meta, title, body})
+*/
+function formatAsYamlFrontmatter(config, issue, project) {
+	const projectPath = extractProjectPath(issue.web_url);
+	const meta = {
+		gitlab_project: projectPath ? stripBasePath(config, projectPath) : project,
+		gitlab_iid: issue.iid,
+		state: issue.state,
+		labels: issue.labels || [],
+		assignees: (issue.assignees || []).map((assignee) => assignee.username),
+		author: issue.author?.username || "",
+		confidential: !!issue.confidential,
+		created_at: issue.created_at,
+		updated_at: issue.updated_at
+	};
+	if (issue.milestone) meta.milestone = issue.milestone.title;
+	if (issue.weight !== null && issue.weight !== void 0) meta.weight = issue.weight;
+	if (issue.due_date) meta.due_date = issue.due_date;
+	if (issue.time_stats?.human_time_estimate) meta.time_estimate = issue.time_stats.human_time_estimate;
+	if (issue.time_stats?.human_total_time_spent) meta.time_spent = issue.time_stats.human_total_time_spent;
+	const body = issue.description ? issue.description.replace(/\r\n/g, "\n").replace(/\r/g, "\n") : "";
+	return {
+		meta,
+		title: issue.title || "Untitled",
+		body
+	};
+}
+/**
+* IssueのURLからプロジェクトパスを抽出する
+* 例: https://gitlab.example.com/group/subgroup/project/-/issues/17 → group/subgroup/project
+*
+* @param {string} webUrl - IssueのURL
+* @returns {string|null} プロジェクトパス
+*/
+function extractProjectPath(webUrl) {
+	if (!webUrl) return null;
+	try {
+		const match = new URL(webUrl).pathname.match(/^\/(.+?)\/-\/(?:issues|work_items)\/\d+/);
+		return match ? decodeURIComponent(match[1]) : null;
+	} catch (error$1) {
+		return null;
+	}
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/markdown.js
+/**
+* Markdown本文からsubject（件名）を抽出する
+* h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 件名（h1見出しのテキスト）
+*/
+function extractSubjectFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^([^\n]+)\n=+/);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+(.+)$/m);
+	if (atxMatch) return atxMatch[1].trim();
+	return "";
+}
+/**
+* Markdown本文からdescription（説明）を抽出する
+* h1見出しを除去し、残りの本文を返す
+*
+* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 説明（h1見出しを除いた本文）
+*/
+function extractDescriptionFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+	if (atxMatch) return atxMatch[1].trim();
+	return body.trim();
+}
+/**
+* Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 生成したセクションを除いた本文
+*/
+function stripGeneratedSections(body) {
+	return body.replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, "").trim();
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitlab/update.js
+/**
+* GitLab Issue情報を更新する
+*
+* @param {Object} config - GitLab設定
+* @param {string} ticketId - チケットID(group/project#17形式)
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 更新結果
+*/
+async function updateIssue(config, ticketId, updateData = {}) {
+	const { project, iid, headers, url, payload, timeEstimate } = await prepareUpdate(config, ticketId, updateData);
+	const timeSpent = updateData.spend || null;
+	const comment = updateData.comment || null;
+	if (Object.keys(payload).length === 0 && timeEstimate === void 0 && !timeSpent && !comment) throw new ValidationError("更新する内容が指定されていません");
+	console.log("\n=== GitLab API更新ペイロード ===");
+	console.log("URL:", url);
+	console.log("Payload:", JSON.stringify(payload, null, 2));
+	if (timeEstimate !== void 0) console.log("Time estimate:", timeEstimate ?? "(リセット)");
+	if (timeSpent) console.log("Spend:", timeSpent);
+	if (comment) console.log("Note:", comment);
+	console.log("================================\n");
+	if (updateData.dryRun || updateData["dry-run"]) {
+		info("[DRY RUN] 実際の更新は行いません");
+		return {
+			success: true,
+			message: `[DRY RUN] Issue ${project}#${iid} の更新をシミュレートしました`,
+			updated: payload,
+			dryRun: true
+		};
+	}
+	if (Object.keys(payload).length > 0) await put(url, payload, headers);
+	if (timeEstimate === null) await post(`${url}/reset_time_estimate`, {}, headers);
+	else if (timeEstimate !== void 0) await post(`${url}/time_estimate?duration=${encodeURIComponent(timeEstimate)}`, {}, headers);
+	if (timeSpent) {
+		await post(`${url}/add_spent_time?duration=${encodeURIComponent(timeSpent)}`, {}, headers);
+		info(`作業時間を記録しました: ${timeSpent}`);
+	}
+	if (comment) await post(`${url}/notes`, { body: comment }, headers);
+	info(`Issue ${project}#${iid} を更新しました`);
+	return {
+		success: true,
+		message: `Issue ${project}#${iid} を更新しました`,
+		updated: payload
+	};
+}
+/**
+* Issueの更新内容を準備する(Issueは更新しない)
+*
+* @param {Object} config - GitLab設定
+* @param {string} ticketId - チケットID(group/project#17形式)
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<{project: string, iid: number, headers: Object, url: string, payload: Object, timeEstimate: string|null|undefined}>}
+*   プロジェクト、Issue番号、認証ヘッダー、APIエンドポイント、GitLab API形式の更新データ、
+*   設定する見積もり時間(nullはリセット、undefinedは変更なし)
+*/
+async function prepareUpdate(config, ticketId, updateData = {}) {
+	assertConfig(config);
+	const { project, iid } = parseIssueRef(ticketId, config);
+	const frontmatter = updateData.frontmatter || {};
+	const headers = createHeaders(config);
+	debug("GitLab Issue更新", {
+		project,
+		iid,
+		updateData
+	});
+	const originalIssue = await getIssue(config, project, iid);
+	const payload = buildUpdatePayload(updateData);
+	if (frontmatter.milestone !== void 0 && (frontmatter.milestone || null) !== (originalIssue.milestone?.title || null)) payload.milestone_id = frontmatter.milestone ? await findMilestoneId(config, project, headers, frontmatter.milestone) : null;
+	return {
+		project,
+		iid,
+		headers,
+		url: getIssueApiUrl(config, project, iid),
+		payload,
+		timeEstimate: resolveTimeEstimate(updateData, originalIssue)
+	};
+}
+/**
+* 更新データをGitLab API形式に変換する
+* YAMLフロントマターとMarkdown本文から更新データを抽出
+*
+* @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+* @returns {Object} GitLab API形式の更新データ
+*/
+function buildUpdatePayload(updateData) {
+	const payload = {};
+	const frontmatter = updateData.frontmatter || {};
+	const body = updateData.body || "";
+	if (body) {
+		const title = extractSubjectFromMarkdown(body);
+		if (title) payload.title = title;
+	}
+	if (body) payload.description = extractDescriptionFromMarkdown(body);
+	if (Array.isArray(frontmatter.labels)) payload.labels = frontmatter.labels.map((label) => String(label)).join(",");
+	if (typeof frontmatter.confidential === "boolean") payload.confidential = frontmatter.confidential;
+	if (frontmatter.weight !== void 0) payload.weight = frontmatter.weight;
+	if (frontmatter.due_date !== void 0) payload.due_date = frontmatter.due_date || null;
+	return payload;
+}
+/**
+* 設定する見積もり時間を決定する
+* コマンドラインオプション優先、なければYAMLから(現在値と同じ場合は設定しない)
+* GitLabは見積もり時間を正規化して返す(90mは1h 30m)ため、秒数に換算して比較する
+* YAMLからtime_estimateを削除した場合は、見積もり時間をリセットする
+*
+* @param {Object} updateData - 更新データ
+* @param {Object} originalIssue - 元のIssue情報
+* @returns {string|null|undefined} 見積もり時間(GitLabの期間表記、nullはリセット、undefinedは変更なし)
+*/
+function resolveTimeEstimate(updateData, originalIssue) {
+	if (updateData.estimate) return String(updateData.estimate);
+	const current = originalIssue.time_stats?.time_estimate || 0;
+	const estimate = updateData.frontmatter?.time_estimate;
+	if (!estimate) return current > 0 ? null : void 0;
+	const seconds = parseDuration(String(estimate));
+	return (seconds === null ? String(estimate) === originalIssue.time_stats?.human_time_estimate : seconds === current) ? void 0 : String(estimate);
+}
+/**
+* GitLabの期間表記の単位と秒数(1日は8時間、1週は5日、1か月は4週として換算する)
+*/
+const DURATION_UNITS = {
+	mo: 160 * 3600,
+	w: 40 * 3600,
+	d: 8 * 3600,
+	h: 3600,
+	m: 60,
+	s: 1
+};
+/**
+* GitLabの期間表記(1h 30m、1w 2d等)を秒数に換算する
+* 単位のない数値は時間として扱う
+*
+* @param {string} duration - 期間表記
+* @returns {number|null} 秒数(解釈できない場合はnull)
+*/
+function parseDuration(duration) {
+	const text = duration.trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * DURATION_UNITS.h);
+	const pattern = /(\d+(?:\.\d+)?)\s*(mo|w|d|h|m|s)\s*/gy;
+	let seconds = 0;
+	let match;
+	while ((match = pattern.exec(text)) !== null) {
+		seconds += Number(match[1]) * DURATION_UNITS[match[2]];
+		if (pattern.lastIndex === text.length) return Math.round(seconds);
+	}
+	return null;
+}
+/**
+* マイルストーンのタイトルからIDを取得する
+* プロジェクトのマイルストーンに加え、祖先のすべてのグループのマイルストーンも検索する(include_ancestors)
+*
+* @param {Object} config - GitLab設定
+* @param {string} project - プロジェクトパスまたはID
+* @param {Object} headers - リクエストヘッダー
+* @param {string} title - マイルストーンのタイトル
+* @returns {Promise<number>} マイルストーンID
+* @throws {ValidationError} マイルストーンが見つからない場合
+*/
+async function findMilestoneId(config, project, headers, title) {
+	const milestones = await get(`${`${getApiBaseUrl(config)}/projects/${encodeURIComponent(project)}`}/milestones${`?title=${encodeURIComponent(title)}&include_ancestors=true`}`, headers);
+	if (milestones.length > 0) return milestones[0].id;
+	throw new ValidationError(`マイルストーン "${title}" が見つかりません`, {
+		project,
+		milestone: title
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/gitlab/index.js
+/**
+* GitLab Issuesプラグイン
+*/
+var gitlab_default = {
+	name: "gitlab",
+	label: "GitLab",
+	defaults: { file_prefix: "" },
+	configSchema: { properties: {
+		project: { type: ["string", "integer"] },
+		token: { type: "string" }
+	} },
+	async fetch(config, ticketId, options = {}) {
+		debug("GitLabプラグイン: fetch", { ticketId });
+		return await fetchIssue(config, ticketId, options);
+	},
+	async update(config, ticketId, updateData = {}) {
+		debug("GitLabプラグイン: update", { ticketId });
+		return await updateIssue(config, ticketId, updateData);
+	},
+	async buildUpdatePayload(config, ticketId, updateData = {}) {
+		debug("GitLabプラグイン: buildUpdatePayload", { ticketId });
+		const { payload, timeEstimate } = await prepareUpdate(config, ticketId, updateData);
+		return timeEstimate !== void 0 ? {
+			...payload,
+			time_estimate: timeEstimate
+		} : payload;
+	},
+	extractTicketId(frontmatter) {
+		if (!frontmatter.gitlab_iid) return null;
+		if (frontmatter.gitlab_project) return `${String(frontmatter.gitlab_project).replace(/^\/+|\/+$/g, "")}#${frontmatter.gitlab_iid}`;
+		return String(frontmatter.gitlab_iid);
+	},
+	parseUrl(url) {
+		try {
+			const match = new URL(url).pathname.match(/^\/(.+?)\/-\/(?:issues|work_items)\/(\d+)/);
+			return match ? `${decodeURIComponent(match[1])}#${match[2]}` : null;
+		} catch (error$1) {
+			return null;
+		}
+	},
+	getUpdateOptions() {
+		return [
+			{
+				name: "comment",
+				description: "ノート(コメント)",
+				type: "string"
+			},
+			{
+				name: "spend",
+				description: "作業時間を記録(例: 1h30m)",
+				type: "string"
+			},
+			{
+				name: "estimate",
+				description: "見積もり時間(例: 3d)",
+				type: "string"
+			}
+		];
+	},
+	async validate(config) {
+		debug("GitLabプラグイン: validate");
+		const errors = [];
+		if (!config.url) errors.push("GitLab URLが設定されていません (integration.pm_tool.gitlab.url)");
+		if (!config.token) errors.push("GitLabアクセストークンが設定されていません (integration.pm_tool.gitlab.token)");
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+};
+
+//#endregion
+export { gitlab_default as default };
\ No newline at end of file
@@ -0,0 +1,105 @@
+#!/usr/bin/env zx
+
+import { ValidationError } from '../../common/error.js';
+
+/**
+ * GitLab APIのベースURLを取得する
+ *
+ * @param {Object} config - GitLab設定
+ * @returns {string} APIベースURL(末尾スラッシュなし)
+ */
+export function getApiBaseUrl(config) {
+    return `${config.url.replace(/\/$/, '')}/api/v4`;
+}
+
+/**
+ * プロジェクトのIssue APIのURLを取得する
+ * プロジェクトパス(group/subgroup/project)はURLエンコードして使用する
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} project - プロジェクトパスまたはプロジェクトID
+ * @param {number} [iid] - Issue番号(プロジェクト内ID)
+ * @returns {string} Issue APIのURL
+ */
+export function getIssueApiUrl(config, project, iid) {
+    const url = `${getApiBaseUrl(config)}/projects/${encodeURIComponent(project)}/issues`;
+    return iid ? `${url}/${iid}` : url;
+}
+
+/**
+ * GitLab APIリクエスト用のヘッダーを生成する
+ *
+ * @param {Object} config - GitLab設定
+ * @returns {Object} リクエストヘッダー
+ */
+export function createHeaders(config) {
+    return {
+        'PRIVATE-TOKEN': config.token
+    };
+}
+
+/**
+ * 設定の必須項目を検証する
+ *
+ * @param {Object} config - GitLab設定
+ * @throws {ValidationError} 必須項目が不足している場合
+ */
+export function assertConfig(config) {
+    if (!config.url) {
+        throw new ValidationError('GitLab URLが設定されていません (integration.pm_tool.gitlab.url)');
+    }
+
+    if (!config.token) {
+        throw new ValidationError('GitLabアクセストークンが設定されていません (integration.pm_tool.gitlab.token)');
+    }
+}
+
+/**
+ * URLから抽出したパスからGitLabのベースパスを除去する
+ * 相対URLルートで運用している場合(例: https://example.com/gitlab)に
+ * パス先頭の"gitlab/"をプロジェクトパスから取り除く
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} projectPath - プロジェクトパス
+ * @returns {string} ベースパスを除いたプロジェクトパス
+ */
+export function stripBasePath(config, projectPath) {
+    const basePath = new URL(config.url).pathname.replace(/^\/|\/$/g, '');
+    if (basePath && projectPath.startsWith(`${basePath}/`)) {
+        return projectPath.slice(basePath.length + 1);
+    }
+    return projectPath;
+}
+
+/**
+ * チケットIDをプロジェクトとIssue番号に分解する
+ * 以下の形式に対応する
+ * - 17 / #17: config.ymlのprojectを使用
+ * - group/subgroup/project#17: 指定されたプロジェクトを使用(サブグループは何階層でも可)
+ *
+ * @param {string} ticketId - チケットID
+ * @param {Object} config - GitLab設定
+ * @returns {{project: string, iid: number}} プロジェクトとIssue番号
+ * @throws {ValidationError} 形式が不正、またはプロジェクトが特定できない場合
+ */
+export function parseIssueRef(ticketId, config) {
+    const match = String(ticketId).match(/^(?:([^\s#]+(?:\/[^\s#]+)+))?#?(\d+)$/);
+    if (!match) {
+        throw new ValidationError(`Issue番号の形式が不正です: ${ticketId}`, { ticketId });
+    }
+
+    const project = match[1]
+        ? stripBasePath(config, match[1])
+        : (config.project !== undefined ? String(config.project) : null);
+    if (!project) {
+        throw new ValidationError(
+            'プロジェクトが特定できません。group/project#番号 形式で指定するか、' +
+            'integration.pm_tool.gitlab.project を設定してください'
+        );
+    }
+
+    return {
+        project,
+        iid: parseInt(match[2], 10)
+    };
+}
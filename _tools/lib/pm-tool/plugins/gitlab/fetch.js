@@ -0,0 +1,129 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ApiError } from '../../common/error.js';
+import { getIssueApiUrl, createHeaders, assertConfig, parseIssueRef, stripBasePath } from './client.js';
+
+/**
+ * GitLab Issue情報を取得する
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} ticketId - チケットID(17、#17、group/project#17)
+ * @param {Object} options - オプション
+ * @returns {Promise<Object>} Issue情報({meta, title, body}形式)
+ */
+export async function fetchIssue(config, ticketId, options = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    const { project, iid } = parseIssueRef(ticketId, config);
+
+    debug('GitLab Issue取得', { project, iid, url: config.url });
+
+    const issue = await getIssue(config, project, iid);
+
+    info(`Issue ${project}#${iid} の情報を取得しました`);
+
+    // YAMLフロントマター形式に変換
+    return formatAsYamlFrontmatter(config, issue, project);
+}
+
+/**
+ * GitLab Issue取得APIを呼び出す
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} project - プロジェクトパスまたはID
+ * @param {number} iid - Issue番号
+ * @returns {Promise<Object>} Issue情報(APIレスポンス)
+ */
+export async function getIssue(config, project, iid) {
+    const url = getIssueApiUrl(config, project, iid);
+
+    try {
+        return await get(url, createHeaders(config));
+    } catch (error) {
+        // 404エラーの場合、より分かりやすいメッセージに変換
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ApiError(
+                `Issue ${project}#${iid} が見つかりません (404 Not Found)`,
+                404,
+                { project, iid, url }
+            );
+        }
+        // その他のエラーはそのまま再スロー
+        throw error;
+    }
+}
+
+/**
+ * GitLab Issue情報をYAMLフロントマター形式に変換する
+ *
+ * @param {Object} config - GitLab設定
+ * @param {Object} issue - GitLab Issue情報
+ * @param {string} project - 取得時に指定したプロジェクト
+ * @returns {Object} フロントマター形式のデータ({meta, title, body})
+ */
+function formatAsYamlFrontmatter(config, issue, project) {
+    // プロジェクトIDで取得した場合もパス(group/project)で保存する
+    const projectPath = extractProjectPath(issue.web_url);
+
+    const meta = {
+        gitlab_project: projectPath ? stripBasePath(config, projectPath) : project,
+        gitlab_iid: issue.iid,
+        state: issue.state,
+        labels: issue.labels || [],
+        assignees: (issue.assignees || []).map(assignee => assignee.username),
+        author: issue.author?.username || '',
+        confidential: !!issue.confidential,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at
+    };
+
+    // 任意フィールド(値がある場合のみ追加)
+    if (issue.milestone) {
+        meta.milestone = issue.milestone.title;
+    }
+    if (issue.weight !== null && issue.weight !== undefined) {
+        meta.weight = issue.weight;
+    }
+    if (issue.due_date) {
+        meta.due_date = issue.due_date;
+    }
+    // 時間管理(GitLabの期間表記: 1w 2d 3h 30m)
+    if (issue.time_stats?.human_time_estimate) {
+        meta.time_estimate = issue.time_stats.human_time_estimate;
+    }
+    if (issue.time_stats?.human_total_time_spent) {
+        meta.time_spent = issue.time_stats.human_total_time_spent;
+    }
+
+    // 本文のCRLFをLFに正規化（プラットフォーム非依存にする）
+    const body = issue.description ? issue.description.replace(/\r\n/g, '\n').replace(/\r/g, '\n') : '';
+    const title = issue.title || 'Untitled';
+
+    return {
+        meta,
+        title,
+        body
+    };
+}
+
+/**
+ * IssueのURLからプロジェクトパスを抽出する
+ * 例: https://gitlab.example.com/group/subgroup/project/-/issues/17 → group/subgroup/project
+ *
+ * @param {string} webUrl - IssueのURL
+ * @returns {string|null} プロジェクトパス
+ */
+function extractProjectPath(webUrl) {
+    if (!webUrl) {
+        return null;
+    }
+    try {
+        const match = new URL(webUrl).pathname.match(/^\/(.+?)\/-\/(?:issues|work_items)\/\d+/);
+        return match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+        return null;
+    }
+}
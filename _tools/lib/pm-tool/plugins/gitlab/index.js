@@ -0,0 +1,140 @@
+#!/usr/bin/env zx
+
+import { fetchIssue } from './fetch.js';
+import { updateIssue, prepareUpdate } from './update.js';
+import { debug } from '../../common/logger.js';
+
+/**
+ * GitLab Issuesプラグイン
+ */
+export default {
+    name: 'gitlab',
+    label: 'GitLab',
+    defaults: {
+        file_prefix: '' // チケットIDにプロジェクトパスを含むためプレフィックスなし
+    },
+
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            project: { type: ['string', 'integer'] },
+            token: { type: 'string' }
+        }
+    },
+
+    /**
+     * Issue情報を取得する
+     *
+     * @param {Object} config - GitLab設定
+     * @param {string} ticketId - チケットID(17、#17、group/project#17)
+     * @param {Object} options - オプション
+     * @returns {Promise<Object>} Issue情報
+     */
+    async fetch(config, ticketId, options = {}) {
+        debug('GitLabプラグイン: fetch', { ticketId });
+        return await fetchIssue(config, ticketId, options);
+    },
+
+    /**
+     * Issue情報を更新する
+     *
+     * @param {Object} config - GitLab設定
+     * @param {string} ticketId - チケットID(group/project#17形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 更新結果
+     */
+    async update(config, ticketId, updateData = {}) {
+        debug('GitLabプラグイン: update', { ticketId });
+        return await updateIssue(config, ticketId, updateData);
+    },
+
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     * 見積もり時間はtime_estimateとして含める(リセットする場合はnull)
+     *
+     * @param {Object} config - GitLab設定
+     * @param {string} ticketId - チケットID(group/project#17形式)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, ticketId, updateData = {}) {
+        debug('GitLabプラグイン: buildUpdatePayload', { ticketId });
+        const { payload, timeEstimate } = await prepareUpdate(config, ticketId, updateData);
+        return timeEstimate !== undefined ? { ...payload, time_estimate: timeEstimate } : payload;
+    },
+
+    /**
+     * YAMLフロントマターからチケットIDを抽出する
+     * プロジェクトパスはサブグループを含む完全なパス(group/subgroup/project)
+     *
+     * @param {Object} frontmatter - YAMLフロントマター
+     * @returns {string|null} チケットID(group/subgroup/project#17形式)
+     */
+    extractTicketId(frontmatter) {
+        if (!frontmatter.gitlab_iid) {
+            return null;
+        }
+        if (frontmatter.gitlab_project) {
+            const project = String(frontmatter.gitlab_project).replace(/^\/+|\/+$/g, '');
+            return `${project}#${frontmatter.gitlab_iid}`;
+        }
+        return String(frontmatter.gitlab_iid);
+    },
+
+    /**
+     * URLからチケットIDを抽出する
+     *
+     * @param {string} url - GitLab Issue URL
+     * @returns {string|null} チケットID(group/subgroup/project#17形式)、抽出できない場合はnull
+     */
+    parseUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            // GitLab形式: /group/subgroup/project/-/issues/17
+            const match = urlObj.pathname.match(/^\/(.+?)\/-\/(?:issues|work_items)\/(\d+)/);
+            return match ? `${decodeURIComponent(match[1])}#${match[2]}` : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 更新時に使用可能なオプションを返す
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getUpdateOptions() {
+        return [
+            { name: 'comment', description: 'ノート(コメント)', type: 'string' },
+            { name: 'spend', description: '作業時間を記録(例: 1h30m)', type: 'string' },
+            { name: 'estimate', description: '見積もり時間(例: 3d)', type: 'string' },
+        ];
+    },
+
+    /**
+     * 設定を検証する
+     *
+     * @param {Object} config - GitLab設定
+     * @returns {Promise<Object>} 検証結果
+     */
+    async validate(config) {
+        debug('GitLabプラグイン: validate');
+
+        const errors = [];
+
+        if (!config.url) {
+            errors.push('GitLab URLが設定されていません (integration.pm_tool.gitlab.url)');
+        }
+
+        if (!config.token) {
+            errors.push('GitLabアクセストークンが設定されていません (integration.pm_tool.gitlab.token)');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+};
@@ -0,0 +1,265 @@
+#!/usr/bin/env zx
+
+import { get, put, post } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown } from '../../common/markdown.js';
+import { getApiBaseUrl, getIssueApiUrl, createHeaders, assertConfig, parseIssueRef } from './client.js';
+import { getIssue } from './fetch.js';
+
+/**
+ * GitLab Issue情報を更新する
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} ticketId - チケットID(group/project#17形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 更新結果
+ */
+export async function updateIssue(config, ticketId, updateData = {}) {
+    const { project, iid, headers, url, payload, timeEstimate } = await prepareUpdate(config, ticketId, updateData);
+
+    // 時間管理
+    const timeSpent = updateData.spend || null;
+    const comment = updateData.comment || null;
+
+    if (Object.keys(payload).length === 0 && timeEstimate === undefined && !timeSpent && !comment) {
+        throw new ValidationError('更新する内容が指定されていません');
+    }
+
+    // 更新ペイロードを表示
+    console.log('\n=== GitLab API更新ペイロード ===');
+    console.log('URL:', url);
+    console.log('Payload:', JSON.stringify(payload, null, 2));
+    if (timeEstimate !== undefined) {
+        console.log('Time estimate:', timeEstimate ?? '(リセット)');
+    }
+    if (timeSpent) {
+        console.log('Spend:', timeSpent);
+    }
+    if (comment) {
+        console.log('Note:', comment);
+    }
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (updateData.dryRun || updateData['dry-run']) {
+        info('[DRY RUN] 実際の更新は行いません');
+        return {
+            success: true,
+            message: `[DRY RUN] Issue ${project}#${iid} の更新をシミュレートしました`,
+            updated: payload,
+            dryRun: true
+        };
+    }
+
+    // Issue更新
+    if (Object.keys(payload).length > 0) {
+        await put(url, payload, headers);
+    }
+
+    // 見積もり時間の設定(nullの場合はリセット)
+    if (timeEstimate === null) {
+        await post(`${url}/reset_time_estimate`, {}, headers);
+    } else if (timeEstimate !== undefined) {
+        await post(`${url}/time_estimate?duration=${encodeURIComponent(timeEstimate)}`, {}, headers);
+    }
+
+    // 作業時間の記録(/spend相当)
+    if (timeSpent) {
+        await post(`${url}/add_spent_time?duration=${encodeURIComponent(timeSpent)}`, {}, headers);
+        info(`作業時間を記録しました: ${timeSpent}`);
+    }
+
+    // ノート(コメント)の追加
+    if (comment) {
+        await post(`${url}/notes`, { body: comment }, headers);
+    }
+
+    info(`Issue ${project}#${iid} を更新しました`);
+
+    return {
+        success: true,
+        message: `Issue ${project}#${iid} を更新しました`,
+        updated: payload
+    };
+}
+
+/**
+ * Issueの更新内容を準備する(Issueは更新しない)
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} ticketId - チケットID(group/project#17形式)
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<{project: string, iid: number, headers: Object, url: string, payload: Object, timeEstimate: string|null|undefined}>}
+ *   プロジェクト、Issue番号、認証ヘッダー、APIエンドポイント、GitLab API形式の更新データ、
+ *   設定する見積もり時間(nullはリセット、undefinedは変更なし)
+ */
+export async function prepareUpdate(config, ticketId, updateData = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    const { project, iid } = parseIssueRef(ticketId, config);
+    const frontmatter = updateData.frontmatter || {};
+    const headers = createHeaders(config);
+
+    debug('GitLab Issue更新', { project, iid, updateData });
+
+    // 元のIssue情報を取得（マイルストーン・見積もり時間の比較用）
+    const originalIssue = await getIssue(config, project, iid);
+
+    // 更新データを構築
+    const payload = buildUpdatePayload(updateData);
+
+    // マイルストーン(タイトルからIDを取得)
+    if (frontmatter.milestone !== undefined &&
+        (frontmatter.milestone || null) !== (originalIssue.milestone?.title || null)) {
+        payload.milestone_id = frontmatter.milestone
+            ? await findMilestoneId(config, project, headers, frontmatter.milestone)
+            : null;
+    }
+
+    return {
+        project,
+        iid,
+        headers,
+        url: getIssueApiUrl(config, project, iid),
+        payload,
+        timeEstimate: resolveTimeEstimate(updateData, originalIssue)
+    };
+}
+
+/**
+ * 更新データをGitLab API形式に変換する
+ * YAMLフロントマターとMarkdown本文から更新データを抽出
+ *
+ * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+ * @returns {Object} GitLab API形式の更新データ
+ */
+function buildUpdatePayload(updateData) {
+    const payload = {};
+    const frontmatter = updateData.frontmatter || {};
+    const body = updateData.body || '';
+
+    // タイトル - Markdown本文のh1見出しから自動抽出
+    if (body) {
+        const title = extractSubjectFromMarkdown(body);
+        if (title) {
+            payload.title = title;
+        }
+    }
+
+    // 説明 - Markdown本文から自動抽出（h1見出しを除く）
+    if (body) {
+        payload.description = extractDescriptionFromMarkdown(body);
+    }
+
+    // ラベル(カンマ区切りで送信)
+    if (Array.isArray(frontmatter.labels)) {
+        payload.labels = frontmatter.labels.map(label => String(label)).join(',');
+    }
+
+    // 機密フラグ
+    if (typeof frontmatter.confidential === 'boolean') {
+        payload.confidential = frontmatter.confidential;
+    }
+
+    // ウェイト
+    if (frontmatter.weight !== undefined) {
+        payload.weight = frontmatter.weight;
+    }
+
+    // 期日
+    if (frontmatter.due_date !== undefined) {
+        payload.due_date = frontmatter.due_date || null;
+    }
+
+    return payload;
+}
+
+/**
+ * 設定する見積もり時間を決定する
+ * コマンドラインオプション優先、なければYAMLから(現在値と同じ場合は設定しない)
+ * GitLabは見積もり時間を正規化して返す(90mは1h 30m)ため、秒数に換算して比較する
+ * YAMLからtime_estimateを削除した場合は、見積もり時間をリセットする
+ *
+ * @param {Object} updateData - 更新データ
+ * @param {Object} originalIssue - 元のIssue情報
+ * @returns {string|null|undefined} 見積もり時間(GitLabの期間表記、nullはリセット、undefinedは変更なし)
+ */
+function resolveTimeEstimate(updateData, originalIssue) {
+    if (updateData.estimate) {
+        return String(updateData.estimate);
+    }
+
+    const current = originalIssue.time_stats?.time_estimate || 0;
+    const estimate = updateData.frontmatter?.time_estimate;
+    if (!estimate) {
+        return current > 0 ? null : undefined;
+    }
+
+    const seconds = parseDuration(String(estimate));
+    const unchanged = seconds === null
+        ? String(estimate) === originalIssue.time_stats?.human_time_estimate
+        : seconds === current;
+    return unchanged ? undefined : String(estimate);
+}
+
+/**
+ * GitLabの期間表記の単位と秒数(1日は8時間、1週は5日、1か月は4週として換算する)
+ */
+const DURATION_UNITS = {
+    mo: 4 * 5 * 8 * 3600,
+    w: 5 * 8 * 3600,
+    d: 8 * 3600,
+    h: 3600,
+    m: 60,
+    s: 1
+};
+
+/**
+ * GitLabの期間表記(1h 30m、1w 2d等)を秒数に換算する
+ * 単位のない数値は時間として扱う
+ *
+ * @param {string} duration - 期間表記
+ * @returns {number|null} 秒数(解釈できない場合はnull)
+ */
+function parseDuration(duration) {
+    const text = duration.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(Number(text) * DURATION_UNITS.h);
+    }
+
+    const pattern = /(\d+(?:\.\d+)?)\s*(mo|w|d|h|m|s)\s*/gy;
+    let seconds = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        seconds += Number(match[1]) * DURATION_UNITS[match[2]];
+        if (pattern.lastIndex === text.length) {
+            return Math.round(seconds);
+        }
+    }
+    return null;
+}
+
+/**
+ * マイルストーンのタイトルからIDを取得する
+ * プロジェクトのマイルストーンに加え、祖先のすべてのグループのマイルストーンも検索する(include_ancestors)
+ *
+ * @param {Object} config - GitLab設定
+ * @param {string} project - プロジェクトパスまたはID
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string} title - マイルストーンのタイトル
+ * @returns {Promise<number>} マイルストーンID
+ * @throws {ValidationError} マイルストーンが見つからない場合
+ */
+async function findMilestoneId(config, project, headers, title) {
+    const projectUrl = `${getApiBaseUrl(config)}/projects/${encodeURIComponent(project)}`;
+    const query = `?title=${encodeURIComponent(title)}&include_ancestors=true`;
+
+    const milestones = await get(`${projectUrl}/milestones${query}`, headers);
+    if (milestones.length > 0) {
+        return milestones[0].id;
+    }
+
+    throw new ValidationError(`マイルストーン "${title}" が見つかりません`, { project, milestone: title });
+}
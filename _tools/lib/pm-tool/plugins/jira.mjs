@@ -0,0 +1,1743 @@
+#!/usr/bin/env zx
+//#region _tools/lib/pm-tool/common/logger.js
+/**
+* ログレベル定義
+*/
+const LOG_LEVELS = {
+	DEBUG: 0,
+	INFO: 1,
+	WARN: 2,
+	ERROR: 3
+};
+/**
+* 現在のログレベル（環境変数PM_TOOL_LOG_LEVELで設定可能）
+*/
+const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
+/**
+* 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+*/
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+/**
+* 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+*
+* @param {string} text - URLまたはURLを含む文字列
+* @returns {string} 伏せ字にした文字列
+*/
+function redactUrl(text) {
+	return String(text).replace(SECRET_QUERY_PATTERN, "$1***");
+}
+/**
+* タイムスタンプを生成する
+*
+* @returns {string} ISO形式のタイムスタンプ
+*/
+function timestamp() {
+	return (/* @__PURE__ */ new Date()).toISOString();
+}
+/**
+* ログメッセージをフォーマットする
+* URLに含まれるAPIキー等はログに出力しない
+*
+* @param {string} level - ログレベル
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+* @returns {string} フォーマットされたログメッセージ
+*/
+function formatMessage(level, message, data) {
+	let formatted = `[${timestamp()}] [${level}] ${message}`;
+	if (data) formatted += ` ${JSON.stringify(data)}`;
+	return redactUrl(formatted);
+}
+/**
+* DEBUGレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function debug(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.DEBUG) console.error(formatMessage("DEBUG", message, data));
+}
+/**
+* INFOレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function info(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.INFO) console.error(formatMessage("INFO", message, data));
+}
+/**
+* WARNレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Object} [data] - 追加データ
+*/
+function warn(message, data) {
+	if (currentLogLevel <= LOG_LEVELS.WARN) console.warn(formatMessage("WARN", message, data));
+}
+/**
+* ERRORレベルのログを出力する
+*
+* @param {string} message - ログメッセージ
+* @param {Error|Object} [error] - エラーオブジェクトまたは追加データ
+*/
+function error(message, error$1) {
+	if (currentLogLevel <= LOG_LEVELS.ERROR) {
+		const data = error$1 instanceof Error ? {
+			message: error$1.message,
+			stack: error$1.stack
+		} : error$1;
+		console.error(formatMessage("ERROR", message, data));
+	}
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/error.js
+/**
+* PM Toolのエラーであることを示すマーカー
+* プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+*/
+const PM_TOOL_ERROR = Symbol.for("pm-tool.error");
+/**
+* PM Tool基底エラークラス
+*/
+var PmToolError = class extends Error {
+	constructor(message, code, details) {
+		super(message);
+		this.name = "PmToolError";
+		this.code = code;
+		this.details = details;
+		this[PM_TOOL_ERROR] = true;
+	}
+};
+/**
+* 認証エラー
+*/
+var AuthenticationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "AUTH_ERROR", details);
+		this.name = "AuthenticationError";
+	}
+};
+/**
+* APIエラー
+*/
+var ApiError = class extends PmToolError {
+	constructor(message, statusCode, details) {
+		super(message, "API_ERROR", details);
+		this.name = "ApiError";
+		this.statusCode = statusCode;
+	}
+};
+/**
+* ネットワークエラー
+*/
+var NetworkError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "NETWORK_ERROR", details);
+		this.name = "NetworkError";
+	}
+};
+/**
+* バリデーションエラー
+*/
+var ValidationError = class extends PmToolError {
+	constructor(message, details) {
+		super(message, "VALIDATION_ERROR", details);
+		this.name = "ValidationError";
+	}
+};
+/**
+* エラーを適切な型に変換する
+*
+* @param {Error} error - 元のエラー
+* @returns {PmToolError} 適切な型に変換されたエラー
+*/
+function normalizeError(error$1) {
+	if (error$1 instanceof PmToolError) return error$1;
+	if (error$1.name === "TypeError" && error$1.message.includes("fetch")) return new NetworkError("ネットワークエラーが発生しました", { originalError: error$1.message });
+	return new PmToolError(error$1.message, "UNKNOWN_ERROR", {
+		originalError: error$1.toString(),
+		stack: error$1.stack
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/retry.js
+/**
+* 指定ミリ秒待機する
+*
+* @param {number} ms - 待機時間（ミリ秒）
+* @returns {Promise<void>}
+*/
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+/**
+* 指数バックオフでリトライを実行する
+* エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
+*
+* @param {Function} fn - 実行する関数
+* @param {Object} options - オプション
+* @param {number} [options.maxRetries=3] - 最大リトライ回数
+* @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
+* @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
+* @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+* @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+* @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
+* @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
+* @returns {Promise<*>} 関数の実行結果
+* @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
+*/
+async function retry(fn, options = {}) {
+	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, jitter = .5, timeBudget = 6e4, shouldRetry = () => true } = options;
+	const startedAt = Date.now();
+	let lastError;
+	let delay = initialDelay;
+	for (let attempt = 0; attempt <= maxRetries; attempt++) try {
+		debug(`実行試行 ${attempt + 1}/${maxRetries + 1}`);
+		return await fn();
+	} catch (error$1) {
+		lastError = error$1;
+		if (attempt === maxRetries) break;
+		if (!shouldRetry(error$1)) {
+			debug("リトライすべきでないエラーのため中断", { error: error$1.message });
+			throw error$1;
+		}
+		const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+		const wait = Math.round(Math.max(backoff, getRetryAfter(error$1) ?? 0));
+		if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+			warn(`リトライの待機時間が上限(${timeBudget / 1e3}秒)を超えるため中断します: ${error$1.message}`, { nextRetryIn: wait });
+			break;
+		}
+		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: wait });
+		await sleep(wait);
+		delay = Math.min(delay * backoffMultiplier, maxDelay);
+	}
+	throw lastError;
+}
+/**
+* Retry-Afterヘッダーの値を待機時間に変換する
+*
+* @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+* @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+* @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
+*/
+function parseRetryAfter(value, now = Date.now()) {
+	if (value === null || value === void 0 || value === "") return null;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1e3;
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+/**
+* レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+* APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
+*
+* @param {Headers} headers - レスポンスヘッダー
+* @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
+*/
+function extractRetryDetails(headers) {
+	const details = {};
+	const retryAfter = headers?.get("Retry-After");
+	if (retryAfter) details.retryAfter = retryAfter;
+	const rateLimitReset = headers?.get("X-RateLimit-Reset");
+	if (rateLimitReset) details.rateLimitReset = rateLimitReset;
+	return details;
+}
+/**
+* エラーからサーバーが指定した待機時間を求める
+* Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+*/
+function getRetryAfter(error$1) {
+	const details = error$1?.details || {};
+	const waits = [parseRetryAfter(details.retryAfter)];
+	if (error$1 && isRateLimitError(error$1) && details.rateLimitReset) {
+		const reset = Number(details.rateLimitReset);
+		if (Number.isFinite(reset)) waits.push(Math.max(0, reset * 1e3 - Date.now()));
+	}
+	const valid = waits.filter((wait) => wait !== null);
+	return valid.length > 0 ? Math.max(...valid) : null;
+}
+/**
+* レート制限エラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} レート制限エラーの場合true
+*/
+function isRateLimitError(error$1) {
+	return error$1.statusCode === 429;
+}
+/**
+* 一時的なエラーかどうかを判定する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {boolean} 一時的なエラーの場合true
+*/
+function isTransientError(error$1) {
+	if (isRateLimitError(error$1)) return true;
+	if (error$1.statusCode >= 500 && error$1.statusCode < 600) return true;
+	if (error$1.name === "NetworkError") return true;
+	if (error$1.code === "ETIMEDOUT" || error$1.code === "ESOCKETTIMEDOUT") return true;
+	return false;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/scheduler.js
+/**
+* APIリクエストのスケジューラー
+*
+* 同時実行数と1秒あたりのリクエスト数を制限し、
+* レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+* 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
+*/
+/**
+* 共有するスケジューラーの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const SCHEDULER = Symbol.for("pm-tool.scheduler");
+/**
+* デフォルトの同時実行数
+*/
+const DEFAULT_CONCURRENCY = 4;
+/**
+* デフォルトの1秒あたりのリクエスト数(0は無制限)
+*/
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+/**
+* スケジューラーを作成する
+*
+* @param {Object} [options] - オプション
+* @param {number} [options.concurrency=4] - 同時実行数
+* @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+* @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+*/
+function createScheduler(options = {}) {
+	const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+	const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+	const interval = requestsPerSecond > 0 ? 1e3 / requestsPerSecond : 0;
+	const queue = [];
+	let active = 0;
+	let nextStart = 0;
+	let pausedUntil = 0;
+	let timer = null;
+	/**
+	* 待機中のリクエストを実行できるだけ開始する
+	*/
+	function dispatch() {
+		if (timer) return;
+		while (queue.length > 0 && active < concurrency) {
+			const now = Date.now();
+			const startAt = Math.max(nextStart, pausedUntil);
+			if (startAt > now) {
+				timer = setTimeout(() => {
+					timer = null;
+					dispatch();
+				}, startAt - now);
+				return;
+			}
+			const { task, resolve, reject } = queue.shift();
+			active++;
+			nextStart = now + interval;
+			Promise.resolve().then(task).then(resolve, reject).finally(() => {
+				active--;
+				dispatch();
+			});
+		}
+	}
+	return {
+		concurrency,
+		schedule(task) {
+			return new Promise((resolve, reject) => {
+				queue.push({
+					task,
+					resolve,
+					reject
+				});
+				dispatch();
+			});
+		},
+		observe(headers) {
+			const remaining = Number(headers?.get("X-RateLimit-Remaining") ?? NaN);
+			const reset = Number(headers?.get("X-RateLimit-Reset") ?? NaN);
+			if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) return;
+			const resetAt = reset * 1e3;
+			if (resetAt <= Date.now() || resetAt <= pausedUntil) return;
+			pausedUntil = resetAt;
+			info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1e3)}秒待機します`, { remaining });
+		}
+	};
+}
+/**
+* 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
+*
+* @returns {Object} スケジューラー
+*/
+function getScheduler() {
+	if (!globalThis[SCHEDULER]) globalThis[SCHEDULER] = createScheduler();
+	return globalThis[SCHEDULER];
+}
+/**
+* 共有するスケジューラーを通してfetchを実行する
+* タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
+*
+* @param {string} url - リクエストURL
+* @param {Object} [init] - fetchオプション
+* @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+* @returns {Promise<Response>} レスポンス
+*/
+async function scheduledFetch(url, init = {}, timeout = null) {
+	const scheduler = getScheduler();
+	return await scheduler.schedule(async () => {
+		const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+		const response = await fetch(url, {
+			...init,
+			signal
+		});
+		scheduler.observe(response.headers);
+		return response;
+	});
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/api.js
+/**
+* デフォルトのリクエストのタイムアウト(ミリ秒)
+*/
+const DEFAULT_TIMEOUT = 3e4;
+/**
+* Basic認証ヘッダーを生成する
+*
+* @param {string} username - ユーザー名
+* @param {string} password - パスワード
+* @returns {string} Basic認証ヘッダー値
+*/
+function createBasicAuthHeader(username, password) {
+	const credentials = `${username}:${password}`;
+	return `Basic ${Buffer.from(credentials).toString("base64")}`;
+}
+/**
+* HTTP APIリクエストを実行する
+* リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} options - fetchオプション
+* @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+* @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+* @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+* @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
+*/
+async function apiRequest(url, options = {}, retryOptions = {}) {
+	const { responseType, auth, timeout = DEFAULT_TIMEOUT,...fetchOptions } = options;
+	const request = auth ? await auth.apply(url, fetchOptions.headers) : {
+		url,
+		headers: fetchOptions.headers
+	};
+	const displayUrl = redactUrl(url);
+	debug(`API Request: ${options.method || "GET"} ${displayUrl}`);
+	const finalRetryOptions = {
+		maxRetries: 3,
+		shouldRetry: (error$1) => isTransientError(error$1),
+		...retryOptions
+	};
+	try {
+		return await retry(async () => {
+			try {
+				const response = await scheduledFetch(request.url, {
+					...fetchOptions,
+					headers: request.headers
+				}, timeout);
+				debug(`API Response: ${response.status} ${response.statusText}`);
+				if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーまたはトークンを確認してください", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 403) throw new AuthenticationError("アクセス権限がありません", {
+					url: displayUrl,
+					status: response.status
+				});
+				if (response.status === 429) throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, extractRetryDetails(response.headers));
+				if (response.status >= 500) {
+					const text = await response.text();
+					throw new ApiError("サーバーエラーが発生しました", response.status, {
+						responseBody: text,
+						...extractRetryDetails(response.headers)
+					});
+				}
+				if (!response.ok) {
+					const text = await response.text();
+					throw new ApiError(`APIエラー: ${extractErrorMessage(text) || response.statusText}`, response.status, {
+						url: displayUrl,
+						responseBody: text
+					});
+				}
+				if (response.status === 204) return null;
+				if (responseType === "buffer") return Buffer.from(await response.arrayBuffer());
+				const contentType = response.headers.get("content-type");
+				if (contentType && contentType.includes("application/json")) return await response.json();
+				return await response.text();
+			} catch (error$1) {
+				if (error$1 instanceof TypeError) throw new NetworkError("ネットワークエラーが発生しました", {
+					url: displayUrl,
+					originalError: error$1.message
+				});
+				if (error$1.name === "TimeoutError" || error$1.name === "AbortError") throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1e3}秒)`, { url: displayUrl });
+				throw error$1;
+			}
+		}, finalRetryOptions);
+	} catch (error$1) {
+		error(`API Request Failed: ${displayUrl}`, error$1);
+		throw normalizeError(error$1);
+	}
+}
+/**
+* エラーレスポンスからエラーメッセージを取り出す
+* {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+* {error_description: "..."}(OAuth 2.0)の形式に対応する
+*
+* @param {string} text - レスポンスボディ
+* @returns {string|null} エラーメッセージ(取り出せない場合はnull)
+*/
+function extractErrorMessage(text) {
+	try {
+		const data = JSON.parse(text);
+		if (Array.isArray(data.errors) && data.errors.length > 0) return data.errors.map((item) => typeof item === "string" ? item : item.message).filter(Boolean).join(", ");
+		const message = data.message || data.error_description || data.error;
+		return typeof message === "string" ? message : null;
+	} catch {
+		return null;
+	}
+}
+/**
+* GETリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function get(url, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "GET",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		}
+	}, retryOptions);
+}
+/**
+* POSTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function post(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+/**
+* PUTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function put(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "PUT",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/adf.js
+/**
+* Atlassian Document Format(ADF)とMarkdownの相互変換
+*
+* Jira Cloud(REST API v3)の説明・コメントはADFで表現されるため、
+* MD-Ticketの本文(Markdown)との間で変換する。
+* Markdown → ADFの変換結果はwiki.jsでwiki記法への変換にも再利用する。
+*/
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+/**
+* ADFドキュメントをMarkdownに変換する
+*
+* @param {Object|null} doc - ADFドキュメント
+* @returns {string} Markdown文字列
+*/
+function adfToMarkdown(doc) {
+	if (!doc || !Array.isArray(doc.content)) return "";
+	return renderBlocks$1(doc.content, "\n\n").trim();
+}
+/**
+* MarkdownをADFドキュメントに変換する
+*
+* @param {string} markdown - Markdown文字列(LF改行)
+* @returns {Object} ADFドキュメント
+*/
+function markdownToAdf(markdown) {
+	return {
+		type: "doc",
+		version: 1,
+		content: parseBlocks((markdown || "").split("\n"))
+	};
+}
+/**
+* ブロックノードの配列をMarkdownに変換する
+*
+* @param {Array<Object>} nodes - ADFブロックノード
+* @param {string} separator - ブロック間の区切り文字列
+* @returns {string} Markdown文字列
+*/
+function renderBlocks$1(nodes, separator) {
+	return nodes.map((node) => renderBlock$1(node)).filter((text) => text !== "").join(separator);
+}
+/**
+* ブロックノードをMarkdownに変換する
+*
+* @param {Object} node - ADFブロックノード
+* @returns {string} Markdown文字列
+*/
+function renderBlock$1(node) {
+	const content = node.content || [];
+	switch (node.type) {
+		case "paragraph": return renderInline$1(content);
+		case "heading": return `${"#".repeat(node.attrs?.level || 1)} ${renderInline$1(content)}`;
+		case "bulletList": return content.map((item) => renderListItem(item, "- ")).join("\n");
+		case "orderedList": {
+			const start = node.attrs?.order || 1;
+			return content.map((item, index) => renderListItem(item, `${start + index}. `)).join("\n");
+		}
+		case "taskList": return content.map((item) => {
+			return `${item.attrs?.state === "DONE" ? "- [x] " : "- [ ] "}${renderInline$1(item.content || [])}`;
+		}).join("\n");
+		case "codeBlock": return `\`\`\`${node.attrs?.language || ""}\n${content.map((child) => child.text || "").join("")}\n\`\`\``;
+		case "blockquote":
+		case "panel": return prefixLines(renderBlocks$1(content, "\n\n"), "> ");
+		case "expand":
+		case "nestedExpand": return `${node.attrs?.title ? `**${node.attrs.title}**\n\n` : ""}${renderBlocks$1(content, "\n\n")}`;
+		case "rule": return "---";
+		case "table": return renderTable(content);
+		case "mediaSingle":
+		case "mediaGroup": return content.map((media) => media.attrs?.alt || media.attrs?.id).filter(Boolean).map((name) => `[添付: ${name}]`).join("\n");
+		default:
+			if (content.length > 0) return content[0].type === "text" ? renderInline$1(content) : renderBlocks$1(content, "\n\n");
+			return "";
+	}
+}
+/**
+* リスト項目をMarkdownに変換する
+* 2行目以降はマーカー幅でインデントする
+*
+* @param {Object} item - listItemノード
+* @param {string} marker - リストマーカー("- "、"1. "等)
+* @returns {string} Markdown文字列
+*/
+function renderListItem(item, marker) {
+	const text = renderBlocks$1(item.content || [], "\n");
+	const indent = " ".repeat(marker.length);
+	const [first, ...rest] = text.split("\n");
+	return [marker + first, ...rest.map((line) => line ? indent + line : line)].join("\n");
+}
+/**
+* テーブルをGFM形式のMarkdownに変換する
+* 1行目をヘッダー行として扱う
+*
+* @param {Array<Object>} rows - tableRowノード
+* @returns {string} Markdown文字列
+*/
+function renderTable(rows) {
+	const cells = rows.map((row) => (row.content || []).map((cell) => renderBlocks$1(cell.content || [], " ").replace(/\n/g, " ").replace(/\|/g, "\\|")));
+	if (cells.length === 0) return "";
+	const width = Math.max(...cells.map((row) => row.length));
+	const toLine = (row) => `| ${Array.from({ length: width }, (_, i) => row[i] || "").join(" | ")} |`;
+	return [
+		toLine(cells[0]),
+		`|${" --- |".repeat(width)}`,
+		...cells.slice(1).map(toLine)
+	].join("\n");
+}
+/**
+* インラインノードの配列をMarkdownに変換する
+*
+* @param {Array<Object>} nodes - ADFインラインノード
+* @returns {string} Markdown文字列
+*/
+function renderInline$1(nodes) {
+	return nodes.map((node) => {
+		switch (node.type) {
+			case "text": return applyMarks(node.text || "", node.marks || []);
+			case "hardBreak": return "\n";
+			case "mention": return node.attrs?.text || "@unknown";
+			case "emoji": return node.attrs?.text || node.attrs?.shortName || "";
+			case "inlineCard":
+			case "blockCard": return node.attrs?.url || "";
+			case "date": return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : "";
+			case "status": return node.attrs?.text ? `[${node.attrs.text}]` : "";
+			default: return node.text || "";
+		}
+	}).join("");
+}
+/**
+* テキストにADFマークに対応するMarkdown記法を適用する
+*
+* @param {string} text - テキスト
+* @param {Array<Object>} marks - ADFマーク
+* @returns {string} Markdown文字列
+*/
+function applyMarks(text, marks) {
+	let result = text;
+	let link = null;
+	for (const mark of marks) switch (mark.type) {
+		case "code":
+			result = `\`${result}\``;
+			break;
+		case "strong":
+			result = `**${result}**`;
+			break;
+		case "em":
+			result = `*${result}*`;
+			break;
+		case "strike":
+			result = `~~${result}~~`;
+			break;
+		case "link":
+			link = mark.attrs?.href;
+			break;
+	}
+	return link ? `[${result}](${link})` : result;
+}
+/**
+* 各行に接頭辞を付与する
+*
+* @param {string} text - 対象文字列
+* @param {string} prefix - 接頭辞
+* @returns {string} 接頭辞付きの文字列
+*/
+function prefixLines(text, prefix) {
+	return text.split("\n").map((line) => line ? prefix + line : prefix.trimEnd()).join("\n");
+}
+/**
+* Markdownの行配列をADFブロックノードに変換する
+*
+* @param {string[]} lines - Markdownの行配列
+* @returns {Array<Object>} ADFブロックノード
+*/
+function parseBlocks(lines) {
+	const blocks = [];
+	let i = 0;
+	while (i < lines.length) {
+		const line = lines[i];
+		if (line.trim() === "") {
+			i++;
+			continue;
+		}
+		const fenceMatch = line.match(/^\s*(```|~~~)\s*([^\s`]*)/);
+		if (fenceMatch) {
+			const fence = fenceMatch[1];
+			const codeLines = [];
+			i++;
+			while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+				codeLines.push(lines[i]);
+				i++;
+			}
+			i++;
+			const codeBlock = {
+				type: "codeBlock",
+				content: []
+			};
+			if (fenceMatch[2]) codeBlock.attrs = { language: fenceMatch[2] };
+			if (codeLines.length > 0) codeBlock.content.push({
+				type: "text",
+				text: codeLines.join("\n")
+			});
+			blocks.push(codeBlock);
+			continue;
+		}
+		const atxMatch = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+		if (atxMatch) {
+			blocks.push(createHeading(atxMatch[1].length, atxMatch[2]));
+			i++;
+			continue;
+		}
+		if (i + 1 < lines.length && !LIST_ITEM_PATTERN.test(line) && !line.startsWith(">")) {
+			if (/^=+\s*$/.test(lines[i + 1])) {
+				blocks.push(createHeading(1, line.trim()));
+				i += 2;
+				continue;
+			}
+			if (/^-+\s*$/.test(lines[i + 1])) {
+				blocks.push(createHeading(2, line.trim()));
+				i += 2;
+				continue;
+			}
+		}
+		if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+			blocks.push({ type: "rule" });
+			i++;
+			continue;
+		}
+		if (/^\s*>/.test(line)) {
+			const quoteLines = [];
+			while (i < lines.length && /^\s*>/.test(lines[i])) {
+				quoteLines.push(lines[i].replace(/^\s*>\s?/, ""));
+				i++;
+			}
+			blocks.push({
+				type: "blockquote",
+				content: parseBlocks(quoteLines)
+			});
+			continue;
+		}
+		if (LIST_ITEM_PATTERN.test(line)) {
+			const { node, next } = parseList(lines, i);
+			blocks.push(node);
+			i = next;
+			continue;
+		}
+		if (line.includes("|") && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+			const rows = [line];
+			i += 2;
+			while (i < lines.length && lines[i].includes("|") && lines[i].trim() !== "") {
+				rows.push(lines[i]);
+				i++;
+			}
+			blocks.push(createTable(rows));
+			continue;
+		}
+		const paragraphLines = [line];
+		i++;
+		while (i < lines.length && lines[i].trim() !== "" && !isBlockStart(lines, i)) {
+			paragraphLines.push(lines[i]);
+			i++;
+		}
+		blocks.push({
+			type: "paragraph",
+			content: parseInline(paragraphLines.map((l) => l.trim()).join("\n"))
+		});
+	}
+	return blocks;
+}
+/**
+* 段落を終了させるブロックの開始行かどうかを判定する
+*
+* @param {string[]} lines - Markdownの行配列
+* @param {number} i - 判定する行番号
+* @returns {boolean} ブロックの開始行の場合true
+*/
+function isBlockStart(lines, i) {
+	const line = lines[i];
+	return /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || LIST_ITEM_PATTERN.test(line) || /^(=+|-+)\s*$/.test(line);
+}
+/**
+* リストを解析する
+* 項目のマーカーより深いインデントの行は項目の内容(ネストしたリスト等)として扱う
+*
+* @param {string[]} lines - Markdownの行配列
+* @param {number} start - リストの開始行番号
+* @returns {{node: Object, next: number}} ADFリストノードと次の行番号
+*/
+function parseList(lines, start) {
+	const firstMatch = lines[start].match(LIST_ITEM_PATTERN);
+	const baseIndent = firstMatch[1].length;
+	const ordered = /\d/.test(firstMatch[2]);
+	const items = [];
+	let i = start;
+	while (i < lines.length) {
+		const match = lines[i].match(LIST_ITEM_PATTERN);
+		if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+		const contentIndent = match[0].length;
+		const itemLines = [lines[i].slice(contentIndent)];
+		i++;
+		while (i < lines.length) {
+			const current = lines[i];
+			if (current.trim() === "") {
+				const nextIndex$1 = findNextNonBlank(lines, i);
+				if (nextIndex$1 !== -1 && getIndent(lines[nextIndex$1]) > baseIndent) {
+					itemLines.push("");
+					i++;
+					continue;
+				}
+				break;
+			}
+			const indent = getIndent(current);
+			if (indent <= baseIndent) break;
+			itemLines.push(current.slice(Math.min(indent, contentIndent)));
+			i++;
+		}
+		itemLines[0] = itemLines[0].replace(/^\[[ xX]\]\s+/, "");
+		items.push({
+			type: "listItem",
+			content: parseBlocks(itemLines)
+		});
+		const nextIndex = findNextNonBlank(lines, i);
+		if (nextIndex !== -1 && nextIndex !== i) {
+			const nextMatch = lines[nextIndex].match(LIST_ITEM_PATTERN);
+			if (nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered) i = nextIndex;
+		}
+	}
+	const node = {
+		type: ordered ? "orderedList" : "bulletList",
+		content: items
+	};
+	if (ordered) {
+		const order = parseInt(firstMatch[2], 10);
+		if (order !== 1) node.attrs = { order };
+	}
+	return {
+		node,
+		next: i
+	};
+}
+/**
+* 次の空行でない行の番号を取得する
+*
+* @param {string[]} lines - Markdownの行配列
+* @param {number} start - 検索開始行番号
+* @returns {number} 行番号(見つからない場合は-1)
+*/
+function findNextNonBlank(lines, start) {
+	for (let i = start; i < lines.length; i++) if (lines[i].trim() !== "") return i;
+	return -1;
+}
+/**
+* 行頭のインデント幅を取得する(タブは4文字として扱う)
+*
+* @param {string} line - 対象行
+* @returns {number} インデント幅
+*/
+function getIndent(line) {
+	return line.match(/^[ \t]*/)[0].replace(/\t/g, "    ").length;
+}
+/**
+* 見出しノードを生成する
+*
+* @param {number} level - 見出しレベル
+* @param {string} text - 見出しテキスト
+* @returns {Object} headingノード
+*/
+function createHeading(level, text) {
+	return {
+		type: "heading",
+		attrs: { level },
+		content: parseInline(text)
+	};
+}
+/**
+* GFMテーブルの行をtableノードに変換する
+*
+* @param {string[]} rows - テーブル行(区切り行を除く)
+* @returns {Object} tableノード
+*/
+function createTable(rows) {
+	const splitRow = (row) => row.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, "|"));
+	return {
+		type: "table",
+		content: rows.map((row, rowIndex) => ({
+			type: "tableRow",
+			content: splitRow(row).map((cell) => ({
+				type: rowIndex === 0 ? "tableHeader" : "tableCell",
+				content: [{
+					type: "paragraph",
+					content: parseInline(cell)
+				}]
+			}))
+		}))
+	};
+}
+/**
+* Markdownのインライン要素をADFインラインノードに変換する
+*
+* @param {string} text - インラインテキスト
+* @param {Array<Object>} [marks] - 親要素から継承するマーク
+* @returns {Array<Object>} ADFインラインノード
+*/
+function parseInline(text, marks = []) {
+	const nodes = [];
+	let buffer = "";
+	let i = 0;
+	const flush = () => {
+		if (buffer) {
+			nodes.push(createText(buffer, marks));
+			buffer = "";
+		}
+	};
+	while (i < text.length) {
+		const rest = text.slice(i);
+		let match;
+		if (rest[0] === "\\" && /^\\[\\`*_[\]()~#>!|-]/.test(rest)) {
+			buffer += rest[1];
+			i += 2;
+			continue;
+		}
+		if (rest[0] === "\n") {
+			flush();
+			nodes.push({ type: "hardBreak" });
+			i++;
+			continue;
+		}
+		if (match = rest.match(/^(`+)(.+?)\1(?!`)/s)) {
+			flush();
+			nodes.push(createText(match[2], [...marks, { type: "code" }]));
+			i += match[0].length;
+			continue;
+		}
+		if (match = rest.match(/^!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/)) {
+			flush();
+			const linkMarks = [...marks, {
+				type: "link",
+				attrs: { href: match[2] }
+			}];
+			const children = parseInline(match[1] || match[2], linkMarks);
+			nodes.push(...children);
+			i += match[0].length;
+			continue;
+		}
+		if (match = rest.match(/^(\*\*|__)(?=\S)(.+?\S)\1/s)) {
+			flush();
+			nodes.push(...parseInline(match[2], [...marks, { type: "strong" }]));
+			i += match[0].length;
+			continue;
+		}
+		if (match = rest.match(/^~~(?=\S)(.+?\S)~~/s)) {
+			flush();
+			nodes.push(...parseInline(match[1], [...marks, { type: "strike" }]));
+			i += match[0].length;
+			continue;
+		}
+		const previous = i > 0 ? text[i - 1] : "";
+		if ((match = rest.match(/^(\*|_)(?=\S)(.+?\S)\1/s)) && !(match[1] === "_" && /\w/.test(previous))) {
+			flush();
+			nodes.push(...parseInline(match[2], [...marks, { type: "em" }]));
+			i += match[0].length;
+			continue;
+		}
+		buffer += rest[0];
+		i++;
+	}
+	flush();
+	return nodes;
+}
+/**
+* textノードを生成する
+*
+* @param {string} text - テキスト
+* @param {Array<Object>} marks - マーク
+* @returns {Object} textノード
+*/
+function createText(text, marks) {
+	const node = {
+		type: "text",
+		text
+	};
+	if (marks.length > 0) node.marks = marks;
+	return node;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/wiki.js
+/**
+* Jira wiki記法とMarkdownの相互変換
+*
+* Jira Data Center(REST API v2)の説明・コメントはwiki記法で表現されるため、
+* MD-Ticketの本文(Markdown)との間で変換する。
+*/
+/**
+* wiki記法をMarkdownに変換する
+*
+* @param {string|null} wiki - wiki記法の文字列
+* @returns {string} Markdown文字列
+*/
+function wikiToMarkdown(wiki) {
+	if (!wiki) return "";
+	const lines = wiki.replace(/\r\n/g, "\n").replace(/\r/g, "\n").split("\n");
+	const result = [];
+	let i = 0;
+	while (i < lines.length) {
+		const line = lines[i];
+		const codeMatch = line.match(/^\s*\{(code|noformat)(?::([^}|]*))?[^}]*\}(.*)$/);
+		if (codeMatch) {
+			const tag = codeMatch[1];
+			const language = tag === "code" && codeMatch[2] && !codeMatch[2].includes("=") ? codeMatch[2] : "";
+			const closing = `{${tag}}`;
+			const codeLines = [];
+			let rest = codeMatch[3];
+			while (true) {
+				const end = rest.indexOf(closing);
+				if (end !== -1) {
+					if (rest.slice(0, end)) codeLines.push(rest.slice(0, end));
+					break;
+				}
+				if (rest) codeLines.push(rest);
+				i++;
+				if (i >= lines.length) break;
+				rest = lines[i];
+			}
+			result.push(`\`\`\`${language}`, ...codeLines, "```");
+			i++;
+			continue;
+		}
+		if (/^\s*\{quote\}\s*$/.test(line)) {
+			const quoteLines = [];
+			i++;
+			while (i < lines.length && !/^\s*\{quote\}\s*$/.test(lines[i])) {
+				quoteLines.push(lines[i]);
+				i++;
+			}
+			i++;
+			result.push(...wikiToMarkdown(quoteLines.join("\n")).split("\n").map((l) => l ? `> ${l}` : ">"));
+			continue;
+		}
+		result.push(convertWikiLine(line));
+		i++;
+	}
+	return result.join("\n").trim();
+}
+/**
+* wiki記法の1行をMarkdownに変換する
+*
+* @param {string} line - wiki記法の行
+* @returns {string} Markdownの行(テーブルのヘッダー行は区切り行を含む)
+*/
+function convertWikiLine(line) {
+	const headingMatch = line.match(/^\s*h([1-6])\.\s+(.*)$/);
+	if (headingMatch) return `${"#".repeat(Number(headingMatch[1]))} ${convertWikiInline(headingMatch[2])}`;
+	const quoteMatch = line.match(/^\s*bq\.\s+(.*)$/);
+	if (quoteMatch) return `> ${convertWikiInline(quoteMatch[1])}`;
+	if (/^\s*-{4,}\s*$/.test(line)) return "---";
+	const listMatch = line.match(/^\s*([*#]+|-)\s+(.*)$/);
+	if (listMatch) {
+		const markers = listMatch[1];
+		let indent = "";
+		for (const marker of markers.slice(0, -1)) indent += marker === "#" ? "   " : "  ";
+		const bullet = markers.endsWith("#") ? "1. " : "- ";
+		return `${indent}${bullet}${convertWikiInline(listMatch[2])}`;
+	}
+	if (/^\s*\|\|/.test(line)) {
+		const cells = line.trim().replace(/^\|\|/, "").replace(/\|\|$/, "").split("||");
+		return `${`| ${cells.map((cell) => convertWikiInline(cell.trim())).join(" | ")} |`}\n|${" --- |".repeat(cells.length)}`;
+	}
+	if (/^\s*\|/.test(line)) return `| ${line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((cell) => convertWikiInline(cell.trim())).join(" | ")} |`;
+	return convertWikiInline(line);
+}
+/**
+* wiki記法のインライン要素をMarkdownに変換する
+*
+* @param {string} text - wiki記法のテキスト
+* @returns {string} Markdownのテキスト
+*/
+function convertWikiInline(text) {
+	const codes = [];
+	let result = text.replace(/\{\{(.+?)\}\}/g, (_, code) => {
+		codes.push(code);
+		return `\u0000${codes.length - 1}\u0000`;
+	});
+	result = result.replace(/\[([^\]|]+)\|([^\]]+)\]/g, "[$1]($2)").replace(/\[((?:https?|mailto):[^\]]+)\]/g, "<$1>").replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?=$|[^\w*])/g, "$1**$2**").replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?=$|[^\w_])/g, "$1*$2*").replace(/(^|[\s(])-(?=\S)([^-]*?\S)-(?=$|[\s).,!?:;])/g, "$1~~$2~~").replace(/\\\\/g, "  \n");
+	return result.replace(/\u0000(\d+)\u0000/g, (_, index) => `\`${codes[Number(index)]}\``);
+}
+/**
+* Markdownをwiki記法に変換する
+* 一度ADFに変換してからwiki記法として出力する
+*
+* @param {string} markdown - Markdown文字列(LF改行)
+* @returns {string} wiki記法の文字列
+*/
+function markdownToWiki(markdown) {
+	return renderBlocks(markdownToAdf(markdown).content, "", "\n\n").trim();
+}
+/**
+* ADFブロックノードの配列をwiki記法に変換する
+*
+* @param {Array<Object>} nodes - ADFブロックノード
+* @param {string} listPrefix - 親リストのマーカー(ネストしたリスト用)
+* @param {string} separator - ブロック間の区切り文字列
+* @returns {string} wiki記法の文字列
+*/
+function renderBlocks(nodes, listPrefix, separator) {
+	return nodes.map((node) => renderBlock(node, listPrefix)).filter((text) => text !== "").join(separator);
+}
+/**
+* ADFブロックノードをwiki記法に変換する
+*
+* @param {Object} node - ADFブロックノード
+* @param {string} listPrefix - 親リストのマーカー
+* @returns {string} wiki記法の文字列
+*/
+function renderBlock(node, listPrefix) {
+	const content = node.content || [];
+	switch (node.type) {
+		case "paragraph": return renderInline(content);
+		case "heading": return `h${node.attrs?.level || 1}. ${renderInline(content)}`;
+		case "bulletList":
+		case "orderedList": {
+			const prefix = listPrefix + (node.type === "bulletList" ? "*" : "#");
+			return content.map((item) => {
+				const [first, ...rest] = item.content || [];
+				const head = first && first.type === "paragraph" ? `${prefix} ${renderInline(first.content || [])}` : `${prefix} `;
+				const children = renderBlocks(first && first.type === "paragraph" ? rest : item.content || [], prefix, "\n");
+				return children ? `${head}\n${children}` : head;
+			}).join("\n");
+		}
+		case "codeBlock": {
+			const language = node.attrs?.language;
+			const code = content.map((child) => child.text || "").join("");
+			return `${language ? `{code:${language}}` : "{code}"}\n${code}\n{code}`;
+		}
+		case "blockquote":
+			if (content.length === 1 && content[0].type === "paragraph" && !(content[0].content || []).some((child) => child.type === "hardBreak")) return `bq. ${renderInline(content[0].content || [])}`;
+			return `{quote}\n${renderBlocks(content, "", "\n\n")}\n{quote}`;
+		case "rule": return "----";
+		case "table": return content.map((row) => {
+			const cells = row.content || [];
+			const delimiter = cells.length > 0 && cells.every((cell) => cell.type === "tableHeader") ? "||" : "|";
+			return `${delimiter}${cells.map((cell) => renderBlocks(cell.content || [], "", " ")).join(delimiter)}${delimiter}`;
+		}).join("\n");
+		default: return renderBlocks(content, listPrefix, "\n\n");
+	}
+}
+/**
+* ADFインラインノードの配列をwiki記法に変換する
+*
+* @param {Array<Object>} nodes - ADFインラインノード
+* @returns {string} wiki記法の文字列
+*/
+function renderInline(nodes) {
+	return nodes.map((node) => {
+		if (node.type === "hardBreak") return "\n";
+		if (node.type !== "text") return node.text || "";
+		let text = node.text || "";
+		let href = null;
+		for (const mark of node.marks || []) switch (mark.type) {
+			case "code":
+				text = `{{${text}}}`;
+				break;
+			case "strong":
+				text = `*${text}*`;
+				break;
+			case "em":
+				text = `_${text}_`;
+				break;
+			case "strike":
+				text = `-${text}-`;
+				break;
+			case "link":
+				href = mark.attrs?.href;
+				break;
+		}
+		if (href) return text === href ? `[${href}]` : `[${text}|${href}]`;
+		return text;
+	}).join("");
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/client.js
+/**
+* デフォルトのカスタムフィールドID(Jira Cloudの標準値)
+*/
+const DEFAULT_FIELDS = {
+	story_points: "customfield_10016",
+	sprint: "customfield_10020"
+};
+/**
+* Jira Cloudかどうかを判定する
+* deploymentが未設定の場合、atlassian.netのホストならCloudとみなす
+*
+* @param {Object} config - Jira設定
+* @returns {boolean} Jira Cloudの場合true
+*/
+function isCloud(config) {
+	if (config.deployment) return config.deployment === "cloud";
+	return new URL(config.url).hostname.endsWith(".atlassian.net");
+}
+/**
+* Jira REST APIのベースURLを取得する
+* CloudはAPI v3(ADF)、Data CenterはAPI v2(wiki記法)を使用する
+*
+* @param {Object} config - Jira設定
+* @returns {string} APIベースURL(末尾スラッシュなし)
+*/
+function getApiBaseUrl(config) {
+	return `${config.url.replace(/\/$/, "")}/rest/api/${isCloud(config) ? 3 : 2}`;
+}
+/**
+* Jira APIリクエスト用のヘッダーを生成する
+* 優先順位: パーソナルアクセストークン > メールアドレス+APIトークン > ユーザー名+パスワード
+*
+* @param {Object} config - Jira設定
+* @returns {Object} リクエストヘッダー
+*/
+function createHeaders(config) {
+	const headers = { "Accept": "application/json" };
+	if (config.token) headers["Authorization"] = `Bearer ${config.token}`;
+	else if (config.email && config.api_token) headers["Authorization"] = createBasicAuthHeader(config.email, config.api_token);
+	else headers["Authorization"] = createBasicAuthHeader(config.username, config.password);
+	return headers;
+}
+/**
+* 認証情報の検証エラーを取得する
+*
+* @param {Object} config - Jira設定
+* @returns {string[]} エラーメッセージ一覧
+*/
+function getConfigErrors(config) {
+	const errors = [];
+	if (!config.url) errors.push("Jira URLが設定されていません (integration.pm_tool.jira.url)");
+	const hasToken = !!config.token;
+	const hasApiToken = !!(config.email && config.api_token);
+	const hasBasicAuth = !!(config.username && config.password);
+	if (!hasToken && !hasApiToken && !hasBasicAuth) errors.push("Jira認証情報が設定されていません。token、email/api_token、username/password のいずれかを設定してください");
+	if (config.deployment && !["cloud", "datacenter"].includes(config.deployment)) errors.push(`deploymentはcloudまたはdatacenterを指定してください: ${config.deployment}`);
+	return errors;
+}
+/**
+* 設定の必須項目を検証する
+*
+* @param {Object} config - Jira設定
+* @throws {ValidationError} 必須項目が不足している場合
+*/
+function assertConfig(config) {
+	const errors = getConfigErrors(config);
+	if (errors.length > 0) throw new ValidationError(errors[0]);
+}
+/**
+* カスタムフィールドIDを取得する
+*
+* @param {Object} config - Jira設定
+* @param {string} name - フィールド名(story_points、sprint)
+* @returns {string} カスタムフィールドID
+*/
+function getFieldId(config, name) {
+	return config.fields?.[name] || DEFAULT_FIELDS[name];
+}
+/**
+* 説明・コメントの本文をMarkdownに変換する
+*
+* @param {Object} config - Jira設定
+* @param {Object|string|null} value - ADF(Cloud)またはwiki記法(Data Center)
+* @returns {string} Markdown文字列
+*/
+function toMarkdown(config, value) {
+	if (!value) return "";
+	if (typeof value === "object") return adfToMarkdown(value);
+	return wikiToMarkdown(value);
+}
+/**
+* Markdownを説明・コメントの本文形式に変換する
+*
+* @param {Object} config - Jira設定
+* @param {string} markdown - Markdown文字列
+* @returns {Object|string} ADF(Cloud)またはwiki記法(Data Center)
+*/
+function fromMarkdown(config, markdown) {
+	return isCloud(config) ? markdownToAdf(markdown) : markdownToWiki(markdown);
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/fetch.js
+/**
+* Jira課題情報を取得する
+*
+* @param {Object} config - Jira設定
+* @param {string} issueKey - 課題キー(例: PROJ-123)
+* @param {Object} options - オプション
+* @returns {Promise<Object>} 課題情報({meta, title, body}形式)
+*/
+async function fetchIssue(config, issueKey, options = {}) {
+	assertConfig(config);
+	debug("Jira課題取得", {
+		issueKey,
+		url: config.url
+	});
+	const issue = await getIssue(config, issueKey);
+	info(`課題 ${issue.key} の情報を取得しました`);
+	return formatAsYamlFrontmatter(config, issue);
+}
+/**
+* Jira課題取得APIを呼び出す
+*
+* @param {Object} config - Jira設定
+* @param {string} issueKey - 課題キー
+* @returns {Promise<Object>} 課題情報(APIレスポンス)
+*/
+async function getIssue(config, issueKey) {
+	const fields = [
+		"summary",
+		"description",
+		"status",
+		"issuetype",
+		"priority",
+		"assignee",
+		"reporter",
+		"components",
+		"labels",
+		"duedate",
+		"created",
+		"updated",
+		getFieldId(config, "story_points"),
+		getFieldId(config, "sprint")
+	];
+	const url = `${getApiBaseUrl(config)}/issue/${encodeURIComponent(issueKey)}?fields=${fields.join(",")}`;
+	try {
+		return await get(url, createHeaders(config));
+	} catch (error$1) {
+		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`課題 ${issueKey} が見つかりません (404 Not Found)`, 404, {
+			issueKey,
+			url
+		});
+		throw error$1;
+	}
+}
+/**
+* Jira課題情報をYAMLフロントマター形式に変換する
+*
+* @param {Object} config - Jira設定
+* @param {Object} issue - Jira課題情報
+* @returns {Object} フロントマター形式のデータ({meta, title, body})
+*/
+function formatAsYamlFrontmatter(config, issue) {
+	const fields = issue.fields || {};
+	const meta = {
+		jira_id: issue.id,
+		jira_key: issue.key,
+		issue_type: fields.issuetype?.name || "",
+		status: fields.status?.name || "",
+		priority: fields.priority?.name || "",
+		assignee: fields.assignee?.displayName || "",
+		reporter: fields.reporter?.displayName || "",
+		components: (fields.components || []).map((component) => component.name),
+		labels: fields.labels || [],
+		created_at: fields.created,
+		updated_at: fields.updated
+	};
+	const sprint = extractSprintName(fields[getFieldId(config, "sprint")]);
+	if (sprint) meta.sprint = sprint;
+	const storyPoints = fields[getFieldId(config, "story_points")];
+	if (storyPoints !== null && storyPoints !== void 0) meta.story_points = storyPoints;
+	if (fields.duedate) meta.due_date = fields.duedate;
+	const body = toMarkdown(config, fields.description);
+	return {
+		meta,
+		title: fields.summary || "Untitled",
+		body
+	};
+}
+/**
+* スプリントフィールドからスプリント名を抽出する
+* 複数ある場合はアクティブなスプリント、なければ最後のスプリントを返す
+*
+* Cloudはオブジェクト({name, state})の配列、Data Centerは
+* "com.atlassian.greenhopper...[id=1,state=ACTIVE,name=Sprint 1,...]"形式の文字列の配列
+*
+* @param {Array|null} value - スプリントフィールドの値
+* @returns {string|null} スプリント名
+*/
+function extractSprintName(value) {
+	if (!Array.isArray(value) || value.length === 0) return null;
+	const sprints = value.map((sprint) => {
+		if (typeof sprint === "object" && sprint !== null) return {
+			name: sprint.name,
+			state: String(sprint.state || "").toUpperCase()
+		};
+		const text = String(sprint);
+		return {
+			name: text.match(/[[,]name=([^,\]]*)/)?.[1],
+			state: (text.match(/[[,]state=([^,\]]*)/)?.[1] || "").toUpperCase()
+		};
+	}).filter((sprint) => sprint.name);
+	return (sprints.find((sprint) => sprint.state === "ACTIVE") || sprints[sprints.length - 1])?.name || null;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/markdown.js
+/**
+* Markdown本文からsubject（件名）を抽出する
+* h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 件名（h1見出しのテキスト）
+*/
+function extractSubjectFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^([^\n]+)\n=+/);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+(.+)$/m);
+	if (atxMatch) return atxMatch[1].trim();
+	return "";
+}
+/**
+* Markdown本文からdescription（説明）を抽出する
+* h1見出しを除去し、残りの本文を返す
+*
+* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 説明（h1見出しを除いた本文）
+*/
+function extractDescriptionFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+	if (atxMatch) return atxMatch[1].trim();
+	return body.trim();
+}
+/**
+* Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 生成したセクションを除いた本文
+*/
+function stripGeneratedSections(body) {
+	return body.replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, "").trim();
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/update.js
+/**
+* Jira課題情報を更新する
+*
+* @param {Object} config - Jira設定
+* @param {string} issueKey - 課題キー
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 更新結果
+*/
+async function updateIssue(config, issueKey, updateData = {}) {
+	const { headers, issueUrl, originalIssue, fields, targetStatus, transition } = await prepareUpdate(config, issueKey, updateData);
+	const comment = updateData.comment || null;
+	if (Object.keys(fields).length === 0 && !targetStatus && !comment) throw new ValidationError("更新する内容が指定されていません");
+	console.log("\n=== Jira API更新ペイロード ===");
+	console.log("URL:", issueUrl);
+	console.log("Payload:", JSON.stringify({ fields }, null, 2));
+	if (transition) console.log("Transition:", `${transition.name} (→ ${transition.to?.name || targetStatus})`);
+	if (comment) console.log("Comment:", comment);
+	console.log("================================\n");
+	if (updateData.dryRun || updateData["dry-run"]) {
+		info("[DRY RUN] 実際の更新は行いません");
+		return {
+			success: true,
+			message: `[DRY RUN] 課題 ${issueKey} の更新をシミュレートしました`,
+			updated: fields,
+			transition: transition?.to?.name || null,
+			dryRun: true
+		};
+	}
+	if (Object.keys(fields).length > 0) await put(issueUrl, { fields }, headers);
+	if (transition) {
+		await post(`${issueUrl}/transitions`, { transition: { id: transition.id } }, headers);
+		info(`ステータスを遷移しました: ${originalIssue.fields?.status?.name} → ${transition.to?.name || targetStatus}`);
+	}
+	if (comment) await post(`${issueUrl}/comment`, { body: fromMarkdown(config, comment) }, headers);
+	info(`課題 ${issueKey} を更新しました`);
+	return {
+		success: true,
+		message: `課題 ${issueKey} を更新しました`,
+		updated: fields,
+		transition: transition?.to?.name || null
+	};
+}
+/**
+* 課題の更新内容を準備する(課題は更新しない)
+*
+* @param {Object} config - Jira設定
+* @param {string} issueKey - 課題キー
+* @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<{headers: Object, issueUrl: string, originalIssue: Object, fields: Object, targetStatus: string|null, transition: Object|null}>}
+*   認証ヘッダー、課題APIのURL、元の課題情報、Jira API形式のfields、遷移先ステータス名、ワークフロー遷移
+*/
+async function prepareUpdate(config, issueKey, updateData = {}) {
+	assertConfig(config);
+	debug("Jira課題更新", {
+		issueKey,
+		updateData
+	});
+	const originalIssue = await getIssue(config, issueKey);
+	const fields = buildUpdateFields(config, updateData);
+	const targetStatus = resolveTargetStatus(updateData, originalIssue);
+	const headers = createHeaders(config);
+	const issueUrl = `${getApiBaseUrl(config)}/issue/${encodeURIComponent(issueKey)}`;
+	return {
+		headers,
+		issueUrl,
+		originalIssue,
+		fields,
+		targetStatus,
+		transition: targetStatus ? await findTransition(issueUrl, headers, targetStatus) : null
+	};
+}
+/**
+* 更新データをJira APIのfields形式に変換する
+* YAMLフロントマターとコマンドラインオプションから更新データを抽出
+*
+* @param {Object} config - Jira設定
+* @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+* @returns {Object} Jira API形式のfields
+*/
+function buildUpdateFields(config, updateData) {
+	const fields = {};
+	const frontmatter = updateData.frontmatter || {};
+	const body = updateData.body || "";
+	if (body) {
+		const summary = extractSubjectFromMarkdown(body);
+		if (summary) fields.summary = summary;
+	}
+	if (body) fields.description = fromMarkdown(config, extractDescriptionFromMarkdown(body));
+	if (Array.isArray(frontmatter.labels)) fields.labels = frontmatter.labels.map((label) => String(label));
+	if (Array.isArray(frontmatter.components)) fields.components = frontmatter.components.map((name) => ({ name: String(name) }));
+	if (updateData.story_points !== void 0) fields[getFieldId(config, "story_points")] = parseFloat(updateData.story_points);
+	else if (frontmatter.story_points !== void 0) fields[getFieldId(config, "story_points")] = frontmatter.story_points;
+	if (updateData.due_date) fields.duedate = updateData.due_date;
+	else if (frontmatter.due_date !== void 0) fields.duedate = frontmatter.due_date || null;
+	return fields;
+}
+/**
+* 遷移先のステータス名を決定する
+* 現在のステータスと同じ場合は遷移不要としてnullを返す
+*
+* @param {Object} updateData - 更新データ
+* @param {Object} originalIssue - 元の課題情報
+* @returns {string|null} 遷移先のステータス名
+*/
+function resolveTargetStatus(updateData, originalIssue) {
+	const requested = updateData.status || updateData.frontmatter?.status;
+	if (!requested) return null;
+	const current = originalIssue.fields?.status?.name || "";
+	if (String(requested).toLowerCase() === current.toLowerCase()) return null;
+	return String(requested);
+}
+/**
+* ステータス名に対応するワークフロー遷移を取得する
+* 遷移先ステータス名、遷移名の順に照合する(大文字小文字は区別しない)
+*
+* @param {string} issueUrl - 課題APIのURL
+* @param {Object} headers - リクエストヘッダー
+* @param {string} statusName - 遷移先ステータス名
+* @returns {Promise<Object>} 遷移情報
+* @throws {ValidationError} 該当する遷移がない場合
+*/
+async function findTransition(issueUrl, headers, statusName) {
+	const transitions = (await get(`${issueUrl}/transitions`, headers)).transitions || [];
+	const target = statusName.toLowerCase();
+	const transition = transitions.find((t) => t.to?.name?.toLowerCase() === target) || transitions.find((t) => t.name?.toLowerCase() === target);
+	if (!transition) {
+		const available = transitions.map((t) => t.to?.name || t.name);
+		throw new ValidationError(`ステータス "${statusName}" への遷移が見つかりません。遷移可能なステータス: ${available.join(", ") || "(なし)"}`, {
+			status: statusName,
+			available
+		});
+	}
+	return transition;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/jira/index.js
+/**
+* Jiraプラグイン(Jira Cloud / Data Center)
+*/
+var jira_default = {
+	name: "jira",
+	label: "Jira",
+	defaults: { file_prefix: "" },
+	configSchema: { properties: {
+		deployment: {
+			type: "string",
+			enum: ["cloud", "datacenter"]
+		},
+		email: { type: "string" },
+		api_token: { type: "string" },
+		token: { type: "string" },
+		username: { type: "string" },
+		password: { type: "string" },
+		fields: {
+			type: "object",
+			additionalProperties: { type: "string" }
+		}
+	} },
+	async fetch(config, issueKey, options = {}) {
+		debug("Jiraプラグイン: fetch", { issueKey });
+		return await fetchIssue(config, issueKey, options);
+	},
+	async update(config, issueKey, updateData = {}) {
+		debug("Jiraプラグイン: update", { issueKey });
+		return await updateIssue(config, issueKey, updateData);
+	},
+	async buildUpdatePayload(config, issueKey, updateData = {}) {
+		debug("Jiraプラグイン: buildUpdatePayload", { issueKey });
+		const { fields, targetStatus, transition } = await prepareUpdate(config, issueKey, updateData);
+		return transition ? {
+			...fields,
+			transition: transition.to?.name || targetStatus
+		} : fields;
+	},
+	extractTicketId(frontmatter) {
+		return frontmatter.jira_key || null;
+	},
+	parseUrl(url) {
+		try {
+			const urlObj = new URL(url);
+			const match = urlObj.pathname.match(/\/browse\/([A-Z][A-Z0-9_]*-\d+)/i);
+			if (match) return match[1].toUpperCase();
+			const selected = urlObj.searchParams.get("selectedIssue");
+			return selected && /^[A-Z][A-Z0-9_]*-\d+$/i.test(selected) ? selected.toUpperCase() : null;
+		} catch (error$1) {
+			return null;
+		}
+	},
+	getUpdateOptions() {
+		return [
+			{
+				name: "comment",
+				description: "コメント(Markdown)",
+				type: "string"
+			},
+			{
+				name: "status",
+				description: "遷移先ステータス名",
+				type: "string"
+			},
+			{
+				name: "story-points",
+				description: "ストーリーポイント",
+				type: "number"
+			},
+			{
+				name: "due-date",
+				description: "期日(YYYY-MM-DD)",
+				type: "string"
+			}
+		];
+	},
+	async validate(config) {
+		debug("Jiraプラグイン: validate");
+		const errors = getConfigErrors(config);
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+};
+
+//#endregion
+export { jira_default as default };
\ No newline at end of file
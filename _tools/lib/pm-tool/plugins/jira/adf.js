@@ -0,0 +1,619 @@
+#!/usr/bin/env zx
+
+/**
+ * Atlassian Document Format(ADF)とMarkdownの相互変換
+ *
+ * Jira Cloud(REST API v3)の説明・コメントはADFで表現されるため、
+ * MD-Ticketの本文(Markdown)との間で変換する。
+ * Markdown → ADFの変換結果はwiki.jsでwiki記法への変換にも再利用する。
+ */
+
+// リスト項目の行頭パターン(インデント、マーカー)
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+/;
+
+// GFMテーブルの区切り行パターン
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * ADFドキュメントをMarkdownに変換する
+ *
+ * @param {Object|null} doc - ADFドキュメント
+ * @returns {string} Markdown文字列
+ */
+export function adfToMarkdown(doc) {
+    if (!doc || !Array.isArray(doc.content)) {
+        return '';
+    }
+    return renderBlocks(doc.content, '\n\n').trim();
+}
+
+/**
+ * MarkdownをADFドキュメントに変換する
+ *
+ * @param {string} markdown - Markdown文字列(LF改行)
+ * @returns {Object} ADFドキュメント
+ */
+export function markdownToAdf(markdown) {
+    const lines = (markdown || '').split('\n');
+    return {
+        type: 'doc',
+        version: 1,
+        content: parseBlocks(lines)
+    };
+}
+
+/**
+ * ブロックノードの配列をMarkdownに変換する
+ *
+ * @param {Array<Object>} nodes - ADFブロックノード
+ * @param {string} separator - ブロック間の区切り文字列
+ * @returns {string} Markdown文字列
+ */
+function renderBlocks(nodes, separator) {
+    return nodes
+        .map(node => renderBlock(node))
+        .filter(text => text !== '')
+        .join(separator);
+}
+
+/**
+ * ブロックノードをMarkdownに変換する
+ *
+ * @param {Object} node - ADFブロックノード
+ * @returns {string} Markdown文字列
+ */
+function renderBlock(node) {
+    const content = node.content || [];
+
+    switch (node.type) {
+        case 'paragraph':
+            return renderInline(content);
+
+        case 'heading':
+            return `${'#'.repeat(node.attrs?.level || 1)} ${renderInline(content)}`;
+
+        case 'bulletList':
+            return content.map(item => renderListItem(item, '- ')).join('\n');
+
+        case 'orderedList': {
+            const start = node.attrs?.order || 1;
+            return content.map((item, index) => renderListItem(item, `${start + index}. `)).join('\n');
+        }
+
+        case 'taskList':
+            return content.map(item => {
+                const marker = item.attrs?.state === 'DONE' ? '- [x] ' : '- [ ] ';
+                return `${marker}${renderInline(item.content || [])}`;
+            }).join('\n');
+
+        case 'codeBlock': {
+            const language = node.attrs?.language || '';
+            const code = content.map(child => child.text || '').join('');
+            return `\`\`\`${language}\n${code}\n\`\`\``;
+        }
+
+        case 'blockquote':
+        case 'panel':
+            return prefixLines(renderBlocks(content, '\n\n'), '> ');
+
+        case 'expand':
+        case 'nestedExpand': {
+            const title = node.attrs?.title ? `**${node.attrs.title}**\n\n` : '';
+            return `${title}${renderBlocks(content, '\n\n')}`;
+        }
+
+        case 'rule':
+            return '---';
+
+        case 'table':
+            return renderTable(content);
+
+        case 'mediaSingle':
+        case 'mediaGroup': {
+            const names = content
+                .map(media => media.attrs?.alt || media.attrs?.id)
+                .filter(Boolean);
+            return names.map(name => `[添付: ${name}]`).join('\n');
+        }
+
+        default:
+            // 未対応のノードは子要素のみ変換する
+            if (content.length > 0) {
+                return content[0].type === 'text' ? renderInline(content) : renderBlocks(content, '\n\n');
+            }
+            return '';
+    }
+}
+
+/**
+ * リスト項目をMarkdownに変換する
+ * 2行目以降はマーカー幅でインデントする
+ *
+ * @param {Object} item - listItemノード
+ * @param {string} marker - リストマーカー("- "、"1. "等)
+ * @returns {string} Markdown文字列
+ */
+function renderListItem(item, marker) {
+    const text = renderBlocks(item.content || [], '\n');
+    const indent = ' '.repeat(marker.length);
+    const [first, ...rest] = text.split('\n');
+    return [marker + first, ...rest.map(line => (line ? indent + line : line))].join('\n');
+}
+
+/**
+ * テーブルをGFM形式のMarkdownに変換する
+ * 1行目をヘッダー行として扱う
+ *
+ * @param {Array<Object>} rows - tableRowノード
+ * @returns {string} Markdown文字列
+ */
+function renderTable(rows) {
+    const cells = rows.map(row => (row.content || []).map(cell =>
+        renderBlocks(cell.content || [], ' ').replace(/\n/g, ' ').replace(/\|/g, '\\|')
+    ));
+    if (cells.length === 0) {
+        return '';
+    }
+
+    const width = Math.max(...cells.map(row => row.length));
+    const toLine = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+
+    return [
+        toLine(cells[0]),
+        `|${' --- |'.repeat(width)}`,
+        ...cells.slice(1).map(toLine)
+    ].join('\n');
+}
+
+/**
+ * インラインノードの配列をMarkdownに変換する
+ *
+ * @param {Array<Object>} nodes - ADFインラインノード
+ * @returns {string} Markdown文字列
+ */
+function renderInline(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return applyMarks(node.text || '', node.marks || []);
+            case 'hardBreak':
+                return '\n';
+            case 'mention':
+                return node.attrs?.text || '@unknown';
+            case 'emoji':
+                return node.attrs?.text || node.attrs?.shortName || '';
+            case 'inlineCard':
+            case 'blockCard':
+                return node.attrs?.url || '';
+            case 'date':
+                return node.attrs?.timestamp
+                    ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10)
+                    : '';
+            case 'status':
+                return node.attrs?.text ? `[${node.attrs.text}]` : '';
+            default:
+                return node.text || '';
+        }
+    }).join('');
+}
+
+/**
+ * テキストにADFマークに対応するMarkdown記法を適用する
+ *
+ * @param {string} text - テキスト
+ * @param {Array<Object>} marks - ADFマーク
+ * @returns {string} Markdown文字列
+ */
+function applyMarks(text, marks) {
+    let result = text;
+    let link = null;
+
+    for (const mark of marks) {
+        switch (mark.type) {
+            case 'code':
+                result = `\`${result}\``;
+                break;
+            case 'strong':
+                result = `**${result}**`;
+                break;
+            case 'em':
+                result = `*${result}*`;
+                break;
+            case 'strike':
+                result = `~~${result}~~`;
+                break;
+            case 'link':
+                link = mark.attrs?.href;
+                break;
+        }
+    }
+
+    return link ? `[${result}](${link})` : result;
+}
+
+/**
+ * 各行に接頭辞を付与する
+ *
+ * @param {string} text - 対象文字列
+ * @param {string} prefix - 接頭辞
+ * @returns {string} 接頭辞付きの文字列
+ */
+function prefixLines(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : prefix.trimEnd())).join('\n');
+}
+
+/**
+ * Markdownの行配列をADFブロックノードに変換する
+ *
+ * @param {string[]} lines - Markdownの行配列
+ * @returns {Array<Object>} ADFブロックノード
+ */
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // 空行
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // コードブロック
+        const fenceMatch = line.match(/^\s*(```|~~~)\s*([^\s`]*)/);
+        if (fenceMatch) {
+            const fence = fenceMatch[1];
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // 閉じフェンスをスキップ
+            const codeBlock = { type: 'codeBlock', content: [] };
+            if (fenceMatch[2]) {
+                codeBlock.attrs = { language: fenceMatch[2] };
+            }
+            if (codeLines.length > 0) {
+                codeBlock.content.push({ type: 'text', text: codeLines.join('\n') });
+            }
+            blocks.push(codeBlock);
+            continue;
+        }
+
+        // atx記法の見出し
+        const atxMatch = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (atxMatch) {
+            blocks.push(createHeading(atxMatch[1].length, atxMatch[2]));
+            i++;
+            continue;
+        }
+
+        // setext記法の見出し
+        if (i + 1 < lines.length && !LIST_ITEM_PATTERN.test(line) && !line.startsWith('>')) {
+            if (/^=+\s*$/.test(lines[i + 1])) {
+                blocks.push(createHeading(1, line.trim()));
+                i += 2;
+                continue;
+            }
+            if (/^-+\s*$/.test(lines[i + 1])) {
+                blocks.push(createHeading(2, line.trim()));
+                i += 2;
+                continue;
+            }
+        }
+
+        // 水平線
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        // 引用
+        if (/^\s*>/.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoteLines.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            blocks.push({ type: 'blockquote', content: parseBlocks(quoteLines) });
+            continue;
+        }
+
+        // リスト
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const { node, next } = parseList(lines, i);
+            blocks.push(node);
+            i = next;
+            continue;
+        }
+
+        // テーブル
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+            const rows = [line];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+                rows.push(lines[i]);
+                i++;
+            }
+            blocks.push(createTable(rows));
+            continue;
+        }
+
+        // 段落(空行または他のブロックの開始まで)
+        const paragraphLines = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines, i)) {
+            paragraphLines.push(lines[i]);
+            i++;
+        }
+        blocks.push({
+            type: 'paragraph',
+            content: parseInline(paragraphLines.map(l => l.trim()).join('\n'))
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * 段落を終了させるブロックの開始行かどうかを判定する
+ *
+ * @param {string[]} lines - Markdownの行配列
+ * @param {number} i - 判定する行番号
+ * @returns {boolean} ブロックの開始行の場合true
+ */
+function isBlockStart(lines, i) {
+    const line = lines[i];
+    return /^\s*(```|~~~)/.test(line) ||
+        /^#{1,6}\s/.test(line) ||
+        /^\s*>/.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        /^(=+|-+)\s*$/.test(line);
+}
+
+/**
+ * リストを解析する
+ * 項目のマーカーより深いインデントの行は項目の内容(ネストしたリスト等)として扱う
+ *
+ * @param {string[]} lines - Markdownの行配列
+ * @param {number} start - リストの開始行番号
+ * @returns {{node: Object, next: number}} ADFリストノードと次の行番号
+ */
+function parseList(lines, start) {
+    const firstMatch = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = firstMatch[1].length;
+    const ordered = /\d/.test(firstMatch[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) {
+            break;
+        }
+
+        const contentIndent = match[0].length;
+        const itemLines = [lines[i].slice(contentIndent)];
+        i++;
+
+        while (i < lines.length) {
+            const current = lines[i];
+            if (current.trim() === '') {
+                // 空行の後がより深いインデントなら項目の続き
+                const nextIndex = findNextNonBlank(lines, i);
+                if (nextIndex !== -1 && getIndent(lines[nextIndex]) > baseIndent) {
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            const indent = getIndent(current);
+            if (indent <= baseIndent) {
+                break;
+            }
+            itemLines.push(current.slice(Math.min(indent, contentIndent)));
+            i++;
+        }
+
+        // チェックボックス付き項目はマーカー部分を除去する
+        itemLines[0] = itemLines[0].replace(/^\[[ xX]\]\s+/, '');
+        items.push({ type: 'listItem', content: parseBlocks(itemLines) });
+
+        // 同じ階層の次の項目との間の空行をスキップ
+        const nextIndex = findNextNonBlank(lines, i);
+        if (nextIndex !== -1 && nextIndex !== i) {
+            const nextMatch = lines[nextIndex].match(LIST_ITEM_PATTERN);
+            if (nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+                i = nextIndex;
+            }
+        }
+    }
+
+    const node = { type: ordered ? 'orderedList' : 'bulletList', content: items };
+    if (ordered) {
+        const order = parseInt(firstMatch[2], 10);
+        if (order !== 1) {
+            node.attrs = { order };
+        }
+    }
+
+    return { node, next: i };
+}
+
+/**
+ * 次の空行でない行の番号を取得する
+ *
+ * @param {string[]} lines - Markdownの行配列
+ * @param {number} start - 検索開始行番号
+ * @returns {number} 行番号(見つからない場合は-1)
+ */
+function findNextNonBlank(lines, start) {
+    for (let i = start; i < lines.length; i++) {
+        if (lines[i].trim() !== '') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * 行頭のインデント幅を取得する(タブは4文字として扱う)
+ *
+ * @param {string} line - 対象行
+ * @returns {number} インデント幅
+ */
+function getIndent(line) {
+    const match = line.match(/^[ \t]*/);
+    return match[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * 見出しノードを生成する
+ *
+ * @param {number} level - 見出しレベル
+ * @param {string} text - 見出しテキスト
+ * @returns {Object} headingノード
+ */
+function createHeading(level, text) {
+    return {
+        type: 'heading',
+        attrs: { level },
+        content: parseInline(text)
+    };
+}
+
+/**
+ * GFMテーブルの行をtableノードに変換する
+ *
+ * @param {string[]} rows - テーブル行(区切り行を除く)
+ * @returns {Object} tableノード
+ */
+function createTable(rows) {
+    const splitRow = row => row
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+    return {
+        type: 'table',
+        content: rows.map((row, rowIndex) => ({
+            type: 'tableRow',
+            content: splitRow(row).map(cell => ({
+                type: rowIndex === 0 ? 'tableHeader' : 'tableCell',
+                content: [{ type: 'paragraph', content: parseInline(cell) }]
+            }))
+        }))
+    };
+}
+
+/**
+ * Markdownのインライン要素をADFインラインノードに変換する
+ *
+ * @param {string} text - インラインテキスト
+ * @param {Array<Object>} [marks] - 親要素から継承するマーク
+ * @returns {Array<Object>} ADFインラインノード
+ */
+function parseInline(text, marks = []) {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push(createText(buffer, marks));
+            buffer = '';
+        }
+    };
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        let match;
+
+        // エスケープ文字
+        if (rest[0] === '\\' && /^\\[\\`*_[\]()~#>!|-]/.test(rest)) {
+            buffer += rest[1];
+            i += 2;
+            continue;
+        }
+
+        // 改行
+        if (rest[0] === '\n') {
+            flush();
+            nodes.push({ type: 'hardBreak' });
+            i++;
+            continue;
+        }
+
+        // インラインコード
+        if ((match = rest.match(/^(`+)(.+?)\1(?!`)/s))) {
+            flush();
+            nodes.push(createText(match[2], [...marks, { type: 'code' }]));
+            i += match[0].length;
+            continue;
+        }
+
+        // リンク・画像(画像はリンクとして扱う)
+        if ((match = rest.match(/^!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/))) {
+            flush();
+            const linkMarks = [...marks, { type: 'link', attrs: { href: match[2] } }];
+            const children = parseInline(match[1] || match[2], linkMarks);
+            nodes.push(...children);
+            i += match[0].length;
+            continue;
+        }
+
+        // 太字
+        if ((match = rest.match(/^(\*\*|__)(?=\S)(.+?\S)\1/s))) {
+            flush();
+            nodes.push(...parseInline(match[2], [...marks, { type: 'strong' }]));
+            i += match[0].length;
+            continue;
+        }
+
+        // 取り消し線
+        if ((match = rest.match(/^~~(?=\S)(.+?\S)~~/s))) {
+            flush();
+            nodes.push(...parseInline(match[1], [...marks, { type: 'strike' }]));
+            i += match[0].length;
+            continue;
+        }
+
+        // 斜体(_は単語の途中では扱わない)
+        const previous = i > 0 ? text[i - 1] : '';
+        if ((match = rest.match(/^(\*|_)(?=\S)(.+?\S)\1/s)) &&
+            !(match[1] === '_' && /\w/.test(previous))) {
+            flush();
+            nodes.push(...parseInline(match[2], [...marks, { type: 'em' }]));
+            i += match[0].length;
+            continue;
+        }
+
+        buffer += rest[0];
+        i++;
+    }
+
+    flush();
+    return nodes;
+}
+
+/**
+ * textノードを生成する
+ *
+ * @param {string} text - テキスト
+ * @param {Array<Object>} marks - マーク
+ * @returns {Object} textノード
+ */
+function createText(text, marks) {
+    const node = { type: 'text', text };
+    if (marks.length > 0) {
+        node.marks = marks;
+    }
+    return node;
+}
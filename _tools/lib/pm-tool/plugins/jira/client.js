@@ -0,0 +1,142 @@
+#!/usr/bin/env zx
+
+import { createBasicAuthHeader } from '../../common/api.js';
+import { ValidationError } from '../../common/error.js';
+import { adfToMarkdown, markdownToAdf } from './adf.js';
+import { wikiToMarkdown, markdownToWiki } from './wiki.js';
+
+/**
+ * デフォルトのカスタムフィールドID(Jira Cloudの標準値)
+ */
+export const DEFAULT_FIELDS = {
+    story_points: 'customfield_10016',
+    sprint: 'customfield_10020'
+};
+
+/**
+ * Jira Cloudかどうかを判定する
+ * deploymentが未設定の場合、atlassian.netのホストならCloudとみなす
+ *
+ * @param {Object} config - Jira設定
+ * @returns {boolean} Jira Cloudの場合true
+ */
+export function isCloud(config) {
+    if (config.deployment) {
+        return config.deployment === 'cloud';
+    }
+    return new URL(config.url).hostname.endsWith('.atlassian.net');
+}
+
+/**
+ * Jira REST APIのベースURLを取得する
+ * CloudはAPI v3(ADF)、Data CenterはAPI v2(wiki記法)を使用する
+ *
+ * @param {Object} config - Jira設定
+ * @returns {string} APIベースURL(末尾スラッシュなし)
+ */
+export function getApiBaseUrl(config) {
+    const baseUrl = config.url.replace(/\/$/, '');
+    return `${baseUrl}/rest/api/${isCloud(config) ? 3 : 2}`;
+}
+
+/**
+ * Jira APIリクエスト用のヘッダーを生成する
+ * 優先順位: パーソナルアクセストークン > メールアドレス+APIトークン > ユーザー名+パスワード
+ *
+ * @param {Object} config - Jira設定
+ * @returns {Object} リクエストヘッダー
+ */
+export function createHeaders(config) {
+    const headers = { 'Accept': 'application/json' };
+    if (config.token) {
+        headers['Authorization'] = `Bearer ${config.token}`;
+    } else if (config.email && config.api_token) {
+        headers['Authorization'] = createBasicAuthHeader(config.email, config.api_token);
+    } else {
+        headers['Authorization'] = createBasicAuthHeader(config.username, config.password);
+    }
+    return headers;
+}
+
+/**
+ * 認証情報の検証エラーを取得する
+ *
+ * @param {Object} config - Jira設定
+ * @returns {string[]} エラーメッセージ一覧
+ */
+export function getConfigErrors(config) {
+    const errors = [];
+
+    if (!config.url) {
+        errors.push('Jira URLが設定されていません (integration.pm_tool.jira.url)');
+    }
+
+    const hasToken = !!config.token;
+    const hasApiToken = !!(config.email && config.api_token);
+    const hasBasicAuth = !!(config.username && config.password);
+
+    if (!hasToken && !hasApiToken && !hasBasicAuth) {
+        errors.push(
+            'Jira認証情報が設定されていません。' +
+            'token、email/api_token、username/password のいずれかを設定してください'
+        );
+    }
+
+    if (config.deployment && !['cloud', 'datacenter'].includes(config.deployment)) {
+        errors.push(`deploymentはcloudまたはdatacenterを指定してください: ${config.deployment}`);
+    }
+
+    return errors;
+}
+
+/**
+ * 設定の必須項目を検証する
+ *
+ * @param {Object} config - Jira設定
+ * @throws {ValidationError} 必須項目が不足している場合
+ */
+export function assertConfig(config) {
+    const errors = getConfigErrors(config);
+    if (errors.length > 0) {
+        throw new ValidationError(errors[0]);
+    }
+}
+
+/**
+ * カスタムフィールドIDを取得する
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} name - フィールド名(story_points、sprint)
+ * @returns {string} カスタムフィールドID
+ */
+export function getFieldId(config, name) {
+    return config.fields?.[name] || DEFAULT_FIELDS[name];
+}
+
+/**
+ * 説明・コメントの本文をMarkdownに変換する
+ *
+ * @param {Object} config - Jira設定
+ * @param {Object|string|null} value - ADF(Cloud)またはwiki記法(Data Center)
+ * @returns {string} Markdown文字列
+ */
+export function toMarkdown(config, value) {
+    if (!value) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return adfToMarkdown(value);
+    }
+    return wikiToMarkdown(value);
+}
+
+/**
+ * Markdownを説明・コメントの本文形式に変換する
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} markdown - Markdown文字列
+ * @returns {Object|string} ADF(Cloud)またはwiki記法(Data Center)
+ */
+export function fromMarkdown(config, markdown) {
+    return isCloud(config) ? markdownToAdf(markdown) : markdownToWiki(markdown);
+}
@@ -0,0 +1,139 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ApiError } from '../../common/error.js';
+import { getApiBaseUrl, createHeaders, assertConfig, getFieldId, toMarkdown } from './client.js';
+
+/**
+ * Jira課題情報を取得する
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} issueKey - 課題キー(例: PROJ-123)
+ * @param {Object} options - オプション
+ * @returns {Promise<Object>} 課題情報({meta, title, body}形式)
+ */
+export async function fetchIssue(config, issueKey, options = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    debug('Jira課題取得', { issueKey, url: config.url });
+
+    const issue = await getIssue(config, issueKey);
+
+    info(`課題 ${issue.key} の情報を取得しました`);
+
+    // YAMLフロントマター形式に変換
+    return formatAsYamlFrontmatter(config, issue);
+}
+
+/**
+ * Jira課題取得APIを呼び出す
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} issueKey - 課題キー
+ * @returns {Promise<Object>} 課題情報(APIレスポンス)
+ */
+export async function getIssue(config, issueKey) {
+    const fields = [
+        'summary', 'description', 'status', 'issuetype', 'priority',
+        'assignee', 'reporter', 'components', 'labels', 'duedate',
+        'created', 'updated',
+        getFieldId(config, 'story_points'),
+        getFieldId(config, 'sprint')
+    ];
+    const url = `${getApiBaseUrl(config)}/issue/${encodeURIComponent(issueKey)}?fields=${fields.join(',')}`;
+
+    try {
+        return await get(url, createHeaders(config));
+    } catch (error) {
+        // 404エラーの場合、より分かりやすいメッセージに変換
+        if (error instanceof ApiError && error.statusCode === 404) {
+            throw new ApiError(
+                `課題 ${issueKey} が見つかりません (404 Not Found)`,
+                404,
+                { issueKey, url }
+            );
+        }
+        // その他のエラーはそのまま再スロー
+        throw error;
+    }
+}
+
+/**
+ * Jira課題情報をYAMLフロントマター形式に変換する
+ *
+ * @param {Object} config - Jira設定
+ * @param {Object} issue - Jira課題情報
+ * @returns {Object} フロントマター形式のデータ({meta, title, body})
+ */
+function formatAsYamlFrontmatter(config, issue) {
+    const fields = issue.fields || {};
+
+    const meta = {
+        jira_id: issue.id,
+        jira_key: issue.key,
+        issue_type: fields.issuetype?.name || '',
+        status: fields.status?.name || '',
+        priority: fields.priority?.name || '',
+        assignee: fields.assignee?.displayName || '',
+        reporter: fields.reporter?.displayName || '',
+        components: (fields.components || []).map(component => component.name),
+        labels: fields.labels || [],
+        created_at: fields.created,
+        updated_at: fields.updated
+    };
+
+    // 任意フィールド(値がある場合のみ追加)
+    const sprint = extractSprintName(fields[getFieldId(config, 'sprint')]);
+    if (sprint) {
+        meta.sprint = sprint;
+    }
+    const storyPoints = fields[getFieldId(config, 'story_points')];
+    if (storyPoints !== null && storyPoints !== undefined) {
+        meta.story_points = storyPoints;
+    }
+    if (fields.duedate) {
+        meta.due_date = fields.duedate;
+    }
+
+    // 説明をMarkdownに変換（ADFまたはwiki記法）
+    const body = toMarkdown(config, fields.description);
+    const title = fields.summary || 'Untitled';
+
+    return {
+        meta,
+        title,
+        body
+    };
+}
+
+/**
+ * スプリントフィールドからスプリント名を抽出する
+ * 複数ある場合はアクティブなスプリント、なければ最後のスプリントを返す
+ *
+ * Cloudはオブジェクト({name, state})の配列、Data Centerは
+ * "com.atlassian.greenhopper...[id=1,state=ACTIVE,name=Sprint 1,...]"形式の文字列の配列
+ *
+ * @param {Array|null} value - スプリントフィールドの値
+ * @returns {string|null} スプリント名
+ */
+function extractSprintName(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return null;
+    }
+
+    const sprints = value.map(sprint => {
+        if (typeof sprint === 'object' && sprint !== null) {
+            return { name: sprint.name, state: String(sprint.state || '').toUpperCase() };
+        }
+        const text = String(sprint);
+        return {
+            name: text.match(/[[,]name=([^,\]]*)/)?.[1],
+            state: (text.match(/[[,]state=([^,\]]*)/)?.[1] || '').toUpperCase()
+        };
+    }).filter(sprint => sprint.name);
+
+    const active = sprints.find(sprint => sprint.state === 'ACTIVE');
+    return (active || sprints[sprints.length - 1])?.name || null;
+}
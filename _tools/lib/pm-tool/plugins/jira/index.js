@@ -0,0 +1,136 @@
+#!/usr/bin/env zx
+
+import { fetchIssue } from './fetch.js';
+import { updateIssue, prepareUpdate } from './update.js';
+import { getConfigErrors } from './client.js';
+import { debug } from '../../common/logger.js';
+
+/**
+ * Jiraプラグイン(Jira Cloud / Data Center)
+ */
+export default {
+    name: 'jira',
+    label: 'Jira',
+    defaults: {
+        file_prefix: '' // 課題キー(PROJ-123)をそのままファイル名にする
+    },
+
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            deployment: { type: 'string', enum: ['cloud', 'datacenter'] },
+            email: { type: 'string' },
+            api_token: { type: 'string' },
+            token: { type: 'string' },
+            username: { type: 'string' },
+            password: { type: 'string' },
+            fields: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    },
+
+    /**
+     * 課題情報を取得する
+     *
+     * @param {Object} config - Jira設定
+     * @param {string} issueKey - 課題キー(例: PROJ-123)
+     * @param {Object} options - オプション
+     * @returns {Promise<Object>} 課題情報
+     */
+    async fetch(config, issueKey, options = {}) {
+        debug('Jiraプラグイン: fetch', { issueKey });
+        return await fetchIssue(config, issueKey, options);
+    },
+
+    /**
+     * 課題情報を更新する
+     *
+     * @param {Object} config - Jira設定
+     * @param {string} issueKey - 課題キー(jira_keyから取得)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 更新結果
+     */
+    async update(config, issueKey, updateData = {}) {
+        debug('Jiraプラグイン: update', { issueKey });
+        return await updateIssue(config, issueKey, updateData);
+    },
+
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     * ステータスの変更はワークフロー遷移の遷移先ステータス名(transition)として含める
+     *
+     * @param {Object} config - Jira設定
+     * @param {string} issueKey - 課題キー(jira_keyから取得)
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, issueKey, updateData = {}) {
+        debug('Jiraプラグイン: buildUpdatePayload', { issueKey });
+        const { fields, targetStatus, transition } = await prepareUpdate(config, issueKey, updateData);
+        return transition ? { ...fields, transition: transition.to?.name || targetStatus } : fields;
+    },
+
+    /**
+     * YAMLフロントマターからチケットIDを抽出する
+     *
+     * @param {Object} frontmatter - YAMLフロントマター
+     * @returns {string|null} チケットID
+     */
+    extractTicketId(frontmatter) {
+        return frontmatter.jira_key || null;
+    },
+
+    /**
+     * URLから課題キーを抽出する
+     *
+     * @param {string} url - Jira URL
+     * @returns {string|null} 課題キー、抽出できない場合はnull
+     */
+    parseUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            // Jira形式: /browse/PROJ-123
+            const match = urlObj.pathname.match(/\/browse\/([A-Z][A-Z0-9_]*-\d+)/i);
+            if (match) {
+                return match[1].toUpperCase();
+            }
+            // ボード等の形式: ?selectedIssue=PROJ-123
+            const selected = urlObj.searchParams.get('selectedIssue');
+            return selected && /^[A-Z][A-Z0-9_]*-\d+$/i.test(selected) ? selected.toUpperCase() : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 更新時に使用可能なオプションを返す
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getUpdateOptions() {
+        return [
+            { name: 'comment', description: 'コメント(Markdown)', type: 'string' },
+            { name: 'status', description: '遷移先ステータス名', type: 'string' },
+            { name: 'story-points', description: 'ストーリーポイント', type: 'number' },
+            { name: 'due-date', description: '期日(YYYY-MM-DD)', type: 'string' },
+        ];
+    },
+
+    /**
+     * 設定を検証する
+     *
+     * @param {Object} config - Jira設定
+     * @returns {Promise<Object>} 検証結果
+     */
+    async validate(config) {
+        debug('Jiraプラグイン: validate');
+
+        const errors = getConfigErrors(config);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+};
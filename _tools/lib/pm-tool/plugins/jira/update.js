@@ -0,0 +1,211 @@
+#!/usr/bin/env zx
+
+import { get, put, post } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown } from '../../common/markdown.js';
+import { getApiBaseUrl, createHeaders, assertConfig, getFieldId, fromMarkdown } from './client.js';
+import { getIssue } from './fetch.js';
+
+/**
+ * Jira課題情報を更新する
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} issueKey - 課題キー
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 更新結果
+ */
+export async function updateIssue(config, issueKey, updateData = {}) {
+    const { headers, issueUrl, originalIssue, fields, targetStatus, transition } = await prepareUpdate(config, issueKey, updateData);
+    const comment = updateData.comment || null;
+
+    if (Object.keys(fields).length === 0 && !targetStatus && !comment) {
+        throw new ValidationError('更新する内容が指定されていません');
+    }
+
+    // 更新ペイロードを表示
+    console.log('\n=== Jira API更新ペイロード ===');
+    console.log('URL:', issueUrl);
+    console.log('Payload:', JSON.stringify({ fields }, null, 2));
+    if (transition) {
+        console.log('Transition:', `${transition.name} (→ ${transition.to?.name || targetStatus})`);
+    }
+    if (comment) {
+        console.log('Comment:', comment);
+    }
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (updateData.dryRun || updateData['dry-run']) {
+        info('[DRY RUN] 実際の更新は行いません');
+        return {
+            success: true,
+            message: `[DRY RUN] 課題 ${issueKey} の更新をシミュレートしました`,
+            updated: fields,
+            transition: transition?.to?.name || null,
+            dryRun: true
+        };
+    }
+
+    // フィールド更新
+    if (Object.keys(fields).length > 0) {
+        await put(issueUrl, { fields }, headers);
+    }
+
+    // ワークフロー遷移
+    if (transition) {
+        await post(`${issueUrl}/transitions`, { transition: { id: transition.id } }, headers);
+        info(`ステータスを遷移しました: ${originalIssue.fields?.status?.name} → ${transition.to?.name || targetStatus}`);
+    }
+
+    // コメント追加
+    if (comment) {
+        await post(`${issueUrl}/comment`, { body: fromMarkdown(config, comment) }, headers);
+    }
+
+    info(`課題 ${issueKey} を更新しました`);
+
+    return {
+        success: true,
+        message: `課題 ${issueKey} を更新しました`,
+        updated: fields,
+        transition: transition?.to?.name || null
+    };
+}
+
+/**
+ * 課題の更新内容を準備する(課題は更新しない)
+ *
+ * @param {Object} config - Jira設定
+ * @param {string} issueKey - 課題キー
+ * @param {Object} updateData - 更新データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<{headers: Object, issueUrl: string, originalIssue: Object, fields: Object, targetStatus: string|null, transition: Object|null}>}
+ *   認証ヘッダー、課題APIのURL、元の課題情報、Jira API形式のfields、遷移先ステータス名、ワークフロー遷移
+ */
+export async function prepareUpdate(config, issueKey, updateData = {}) {
+    // 設定の検証
+    assertConfig(config);
+
+    debug('Jira課題更新', { issueKey, updateData });
+
+    // 元の課題情報を取得（ステータス比較用）
+    const originalIssue = await getIssue(config, issueKey);
+
+    // 更新データを構築
+    const fields = buildUpdateFields(config, updateData);
+    const targetStatus = resolveTargetStatus(updateData, originalIssue);
+
+    const headers = createHeaders(config);
+    const issueUrl = `${getApiBaseUrl(config)}/issue/${encodeURIComponent(issueKey)}`;
+
+    // 遷移先ステータスからワークフロー遷移を特定
+    const transition = targetStatus
+        ? await findTransition(issueUrl, headers, targetStatus)
+        : null;
+
+    return { headers, issueUrl, originalIssue, fields, targetStatus, transition };
+}
+
+/**
+ * 更新データをJira APIのfields形式に変換する
+ * YAMLフロントマターとコマンドラインオプションから更新データを抽出
+ *
+ * @param {Object} config - Jira設定
+ * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
+ * @returns {Object} Jira API形式のfields
+ */
+function buildUpdateFields(config, updateData) {
+    const fields = {};
+    const frontmatter = updateData.frontmatter || {};
+    const body = updateData.body || '';
+
+    // 要約 - Markdown本文のh1見出しから自動抽出
+    if (body) {
+        const summary = extractSubjectFromMarkdown(body);
+        if (summary) {
+            fields.summary = summary;
+        }
+    }
+
+    // 説明 - Markdown本文から自動抽出（h1見出しを除く）し、ADFまたはwiki記法に変換
+    if (body) {
+        fields.description = fromMarkdown(config, extractDescriptionFromMarkdown(body));
+    }
+
+    // ラベル
+    if (Array.isArray(frontmatter.labels)) {
+        fields.labels = frontmatter.labels.map(label => String(label));
+    }
+
+    // コンポーネント(名前で指定)
+    if (Array.isArray(frontmatter.components)) {
+        fields.components = frontmatter.components.map(name => ({ name: String(name) }));
+    }
+
+    // ストーリーポイント - コマンドラインオプション優先、なければYAMLから
+    if (updateData.story_points !== undefined) {
+        fields[getFieldId(config, 'story_points')] = parseFloat(updateData.story_points);
+    } else if (frontmatter.story_points !== undefined) {
+        fields[getFieldId(config, 'story_points')] = frontmatter.story_points;
+    }
+
+    // 期日 - コマンドラインオプション優先、なければYAMLから
+    if (updateData.due_date) {
+        fields.duedate = updateData.due_date;
+    } else if (frontmatter.due_date !== undefined) {
+        fields.duedate = frontmatter.due_date || null;
+    }
+
+    return fields;
+}
+
+/**
+ * 遷移先のステータス名を決定する
+ * 現在のステータスと同じ場合は遷移不要としてnullを返す
+ *
+ * @param {Object} updateData - 更新データ
+ * @param {Object} originalIssue - 元の課題情報
+ * @returns {string|null} 遷移先のステータス名
+ */
+function resolveTargetStatus(updateData, originalIssue) {
+    const requested = updateData.status || updateData.frontmatter?.status;
+    if (!requested) {
+        return null;
+    }
+
+    const current = originalIssue.fields?.status?.name || '';
+    if (String(requested).toLowerCase() === current.toLowerCase()) {
+        return null;
+    }
+    return String(requested);
+}
+
+/**
+ * ステータス名に対応するワークフロー遷移を取得する
+ * 遷移先ステータス名、遷移名の順に照合する(大文字小文字は区別しない)
+ *
+ * @param {string} issueUrl - 課題APIのURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string} statusName - 遷移先ステータス名
+ * @returns {Promise<Object>} 遷移情報
+ * @throws {ValidationError} 該当する遷移がない場合
+ */
+async function findTransition(issueUrl, headers, statusName) {
+    const response = await get(`${issueUrl}/transitions`, headers);
+    const transitions = response.transitions || [];
+    const target = statusName.toLowerCase();
+
+    const transition =
+        transitions.find(t => t.to?.name?.toLowerCase() === target) ||
+        transitions.find(t => t.name?.toLowerCase() === target);
+
+    if (!transition) {
+        const available = transitions.map(t => t.to?.name || t.name);
+        throw new ValidationError(
+            `ステータス "${statusName}" への遷移が見つかりません。遷移可能なステータス: ${available.join(', ') || '(なし)'}`,
+            { status: statusName, available }
+        );
+    }
+
+    return transition;
+}
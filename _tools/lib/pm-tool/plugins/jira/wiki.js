@@ -0,0 +1,292 @@
+#!/usr/bin/env zx
+
+import { markdownToAdf } from './adf.js';
+
+/**
+ * Jira wiki記法とMarkdownの相互変換
+ *
+ * Jira Data Center(REST API v2)の説明・コメントはwiki記法で表現されるため、
+ * MD-Ticketの本文(Markdown)との間で変換する。
+ */
+
+/**
+ * wiki記法をMarkdownに変換する
+ *
+ * @param {string|null} wiki - wiki記法の文字列
+ * @returns {string} Markdown文字列
+ */
+export function wikiToMarkdown(wiki) {
+    if (!wiki) {
+        return '';
+    }
+
+    const lines = wiki.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const result = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // コードブロック({code}、{noformat})
+        const codeMatch = line.match(/^\s*\{(code|noformat)(?::([^}|]*))?[^}]*\}(.*)$/);
+        if (codeMatch) {
+            const tag = codeMatch[1];
+            const language = tag === 'code' && codeMatch[2] && !codeMatch[2].includes('=') ? codeMatch[2] : '';
+            const closing = `{${tag}}`;
+            const codeLines = [];
+            let rest = codeMatch[3];
+            while (true) {
+                const end = rest.indexOf(closing);
+                if (end !== -1) {
+                    if (rest.slice(0, end)) {
+                        codeLines.push(rest.slice(0, end));
+                    }
+                    break;
+                }
+                if (rest) {
+                    codeLines.push(rest);
+                }
+                i++;
+                if (i >= lines.length) {
+                    break;
+                }
+                rest = lines[i];
+            }
+            result.push(`\`\`\`${language}`, ...codeLines, '```');
+            i++;
+            continue;
+        }
+
+        // 引用ブロック({quote})
+        if (/^\s*\{quote\}\s*$/.test(line)) {
+            const quoteLines = [];
+            i++;
+            while (i < lines.length && !/^\s*\{quote\}\s*$/.test(lines[i])) {
+                quoteLines.push(lines[i]);
+                i++;
+            }
+            i++;
+            result.push(...wikiToMarkdown(quoteLines.join('\n')).split('\n').map(l => (l ? `> ${l}` : '>')));
+            continue;
+        }
+
+        result.push(convertWikiLine(line));
+        i++;
+    }
+
+    return result.join('\n').trim();
+}
+
+/**
+ * wiki記法の1行をMarkdownに変換する
+ *
+ * @param {string} line - wiki記法の行
+ * @returns {string} Markdownの行(テーブルのヘッダー行は区切り行を含む)
+ */
+function convertWikiLine(line) {
+    // 見出し
+    const headingMatch = line.match(/^\s*h([1-6])\.\s+(.*)$/);
+    if (headingMatch) {
+        return `${'#'.repeat(Number(headingMatch[1]))} ${convertWikiInline(headingMatch[2])}`;
+    }
+
+    // 引用(1行)
+    const quoteMatch = line.match(/^\s*bq\.\s+(.*)$/);
+    if (quoteMatch) {
+        return `> ${convertWikiInline(quoteMatch[1])}`;
+    }
+
+    // 水平線
+    if (/^\s*-{4,}\s*$/.test(line)) {
+        return '---';
+    }
+
+    // リスト(*、#の連続で階層を表す。-は1階層のみ)
+    const listMatch = line.match(/^\s*([*#]+|-)\s+(.*)$/);
+    if (listMatch) {
+        const markers = listMatch[1];
+        let indent = '';
+        for (const marker of markers.slice(0, -1)) {
+            indent += marker === '#' ? '   ' : '  ';
+        }
+        const bullet = markers.endsWith('#') ? '1. ' : '- ';
+        return `${indent}${bullet}${convertWikiInline(listMatch[2])}`;
+    }
+
+    // テーブルのヘッダー行
+    if (/^\s*\|\|/.test(line)) {
+        const cells = line.trim().replace(/^\|\|/, '').replace(/\|\|$/, '').split('||');
+        const header = `| ${cells.map(cell => convertWikiInline(cell.trim())).join(' | ')} |`;
+        return `${header}\n|${' --- |'.repeat(cells.length)}`;
+    }
+
+    // テーブルの行
+    if (/^\s*\|/.test(line)) {
+        const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+        return `| ${cells.map(cell => convertWikiInline(cell.trim())).join(' | ')} |`;
+    }
+
+    return convertWikiInline(line);
+}
+
+/**
+ * wiki記法のインライン要素をMarkdownに変換する
+ *
+ * @param {string} text - wiki記法のテキスト
+ * @returns {string} Markdownのテキスト
+ */
+function convertWikiInline(text) {
+    // 等幅テキストは他の変換の対象外とするため退避する
+    const codes = [];
+    let result = text.replace(/\{\{(.+?)\}\}/g, (_, code) => {
+        codes.push(code);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+
+    result = result
+        // リンク: [テキスト|URL]、[URL]
+        .replace(/\[([^\]|]+)\|([^\]]+)\]/g, '[$1]($2)')
+        .replace(/\[((?:https?|mailto):[^\]]+)\]/g, '<$1>')
+        // 太字: *テキスト*
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?=$|[^\w*])/g, '$1**$2**')
+        // 斜体: _テキスト_
+        .replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?=$|[^\w_])/g, '$1*$2*')
+        // 取り消し線: -テキスト-
+        .replace(/(^|[\s(])-(?=\S)([^-]*?\S)-(?=$|[\s).,!?:;])/g, '$1~~$2~~')
+        // 強制改行
+        .replace(/\\\\/g, '  \n');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => `\`${codes[Number(index)]}\``);
+}
+
+/**
+ * Markdownをwiki記法に変換する
+ * 一度ADFに変換してからwiki記法として出力する
+ *
+ * @param {string} markdown - Markdown文字列(LF改行)
+ * @returns {string} wiki記法の文字列
+ */
+export function markdownToWiki(markdown) {
+    const doc = markdownToAdf(markdown);
+    return renderBlocks(doc.content, '', '\n\n').trim();
+}
+
+/**
+ * ADFブロックノードの配列をwiki記法に変換する
+ *
+ * @param {Array<Object>} nodes - ADFブロックノード
+ * @param {string} listPrefix - 親リストのマーカー(ネストしたリスト用)
+ * @param {string} separator - ブロック間の区切り文字列
+ * @returns {string} wiki記法の文字列
+ */
+function renderBlocks(nodes, listPrefix, separator) {
+    return nodes
+        .map(node => renderBlock(node, listPrefix))
+        .filter(text => text !== '')
+        .join(separator);
+}
+
+/**
+ * ADFブロックノードをwiki記法に変換する
+ *
+ * @param {Object} node - ADFブロックノード
+ * @param {string} listPrefix - 親リストのマーカー
+ * @returns {string} wiki記法の文字列
+ */
+function renderBlock(node, listPrefix) {
+    const content = node.content || [];
+
+    switch (node.type) {
+        case 'paragraph':
+            return renderInline(content);
+
+        case 'heading':
+            return `h${node.attrs?.level || 1}. ${renderInline(content)}`;
+
+        case 'bulletList':
+        case 'orderedList': {
+            const prefix = listPrefix + (node.type === 'bulletList' ? '*' : '#');
+            return content.map(item => {
+                const [first, ...rest] = item.content || [];
+                const head = first && first.type === 'paragraph'
+                    ? `${prefix} ${renderInline(first.content || [])}`
+                    : `${prefix} `;
+                const children = renderBlocks(first && first.type === 'paragraph' ? rest : item.content || [], prefix, '\n');
+                return children ? `${head}\n${children}` : head;
+            }).join('\n');
+        }
+
+        case 'codeBlock': {
+            const language = node.attrs?.language;
+            const code = content.map(child => child.text || '').join('');
+            return `${language ? `{code:${language}}` : '{code}'}\n${code}\n{code}`;
+        }
+
+        case 'blockquote': {
+            if (content.length === 1 && content[0].type === 'paragraph' &&
+                !(content[0].content || []).some(child => child.type === 'hardBreak')) {
+                return `bq. ${renderInline(content[0].content || [])}`;
+            }
+            return `{quote}\n${renderBlocks(content, '', '\n\n')}\n{quote}`;
+        }
+
+        case 'rule':
+            return '----';
+
+        case 'table':
+            return content.map(row => {
+                const cells = row.content || [];
+                const isHeader = cells.length > 0 && cells.every(cell => cell.type === 'tableHeader');
+                const delimiter = isHeader ? '||' : '|';
+                const texts = cells.map(cell => renderBlocks(cell.content || [], '', ' '));
+                return `${delimiter}${texts.join(delimiter)}${delimiter}`;
+            }).join('\n');
+
+        default:
+            return renderBlocks(content, listPrefix, '\n\n');
+    }
+}
+
+/**
+ * ADFインラインノードの配列をwiki記法に変換する
+ *
+ * @param {Array<Object>} nodes - ADFインラインノード
+ * @returns {string} wiki記法の文字列
+ */
+function renderInline(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'hardBreak') {
+            return '\n';
+        }
+        if (node.type !== 'text') {
+            return node.text || '';
+        }
+
+        let text = node.text || '';
+        let href = null;
+        for (const mark of node.marks || []) {
+            switch (mark.type) {
+                case 'code':
+                    text = `{{${text}}}`;
+                    break;
+                case 'strong':
+                    text = `*${text}*`;
+                    break;
+                case 'em':
+                    text = `_${text}_`;
+                    break;
+                case 'strike':
+                    text = `-${text}-`;
+                    break;
+                case 'link':
+                    href = mark.attrs?.href;
+                    break;
+            }
+        }
+
+        if (href) {
+            return text === href ? `[${href}]` : `[${text}|${href}]`;
+        }
+        return text;
+    }).join('');
+}
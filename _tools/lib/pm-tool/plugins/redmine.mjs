@@ -14,6 +14,19 @@ const LOG_LEVELS = {
 */
 const currentLogLevel = LOG_LEVELS[process.env.PM_TOOL_LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
 /**
+* 伏せ字にするURLのクエリパラメータ(APIキー・アクセストークン)
+*/
+const SECRET_QUERY_PATTERN = /([?&](?:apiKey|api_key|key|access_token|token)=)[^&#\s"']+/gi;
+/**
+* 文字列中のURLに含まれるAPIキー・アクセストークンを伏せ字にする
+*
+* @param {string} text - URLまたはURLを含む文字列
+* @returns {string} 伏せ字にした文字列
+*/
+function redactUrl(text) {
+	return String(text).replace(SECRET_QUERY_PATTERN, "$1***");
+}
+/**
 * タイムスタンプを生成する
 *
 * @returns {string} ISO形式のタイムスタンプ
@@ -23,6 +36,7 @@ function timestamp() {
 }
 /**
 * ログメッセージをフォーマットする
+* URLに含まれるAPIキー等はログに出力しない
 *
 * @param {string} level - ログレベル
 * @param {string} message - ログメッセージ
@@ -32,7 +46,7 @@ function timestamp() {
 function formatMessage(level, message, data) {
 	let formatted = `[${timestamp()}] [${level}] ${message}`;
 	if (data) formatted += ` ${JSON.stringify(data)}`;
-	return formatted;
+	return redactUrl(formatted);
 }
 /**
 * DEBUGレベルのログを出力する
@@ -80,6 +94,11 @@ function error(message, error$1) {
 //#endregion
 //#region _tools/lib/pm-tool/common/error.js
 /**
+* PM Toolのエラーであることを示すマーカー
+* プラグインはCLIと別にバンドルされ、エラークラスの実体が異なるためinstanceofで判定できない
+*/
+const PM_TOOL_ERROR = Symbol.for("pm-tool.error");
+/**
 * PM Tool基底エラークラス
 */
 var PmToolError = class extends Error {
@@ -88,6 +107,7 @@ var PmToolError = class extends Error {
 		this.name = "PmToolError";
 		this.code = code;
 		this.details = details;
+		this[PM_TOOL_ERROR] = true;
 	}
 };
 /**
@@ -155,6 +175,7 @@ function sleep(ms) {
 }
 /**
 * 指数バックオフでリトライを実行する
+* エラーにサーバーが指定した待機時間(Retry-After、レート制限のリセット時刻)がある場合は、それより短く待機しない
 *
 * @param {Function} fn - 実行する関数
 * @param {Object} options - オプション
@@ -162,12 +183,15 @@ function sleep(ms) {
 * @param {number} [options.initialDelay=1000] - 初回待機時間（ミリ秒）
 * @param {number} [options.maxDelay=10000] - 最大待機時間（ミリ秒）
 * @param {number} [options.backoffMultiplier=2] - バックオフ倍率
+* @param {number} [options.jitter=0.5] - 待機時間をランダムに短くする割合(0〜1、0はジッターなし)
+* @param {number} [options.timeBudget=60000] - 初回の実行からの合計時間の上限（ミリ秒、0は無制限）
 * @param {Function} [options.shouldRetry] - リトライすべきかを判定する関数
 * @returns {Promise<*>} 関数の実行結果
-* @throws {Error} すべてのリトライが失敗した場合
+* @throws {Error} すべてのリトライが失敗した場合、または合計時間の上限を超える場合
 */
 async function retry(fn, options = {}) {
-	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, shouldRetry = () => true } = options;
+	const { maxRetries = 3, initialDelay = 1e3, maxDelay = 1e4, backoffMultiplier = 2, jitter = .5, timeBudget = 6e4, shouldRetry = () => true } = options;
+	const startedAt = Date.now();
 	let lastError;
 	let delay = initialDelay;
 	for (let attempt = 0; attempt <= maxRetries; attempt++) try {
@@ -180,13 +204,65 @@ async function retry(fn, options = {}) {
 			debug("リトライすべきでないエラーのため中断", { error: error$1.message });
 			throw error$1;
 		}
-		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: delay });
-		await sleep(delay);
+		const backoff = delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+		const wait = Math.round(Math.max(backoff, getRetryAfter(error$1) ?? 0));
+		if (timeBudget > 0 && Date.now() - startedAt + wait > timeBudget) {
+			warn(`リトライの待機時間が上限(${timeBudget / 1e3}秒)を超えるため中断します: ${error$1.message}`, { nextRetryIn: wait });
+			break;
+		}
+		warn(`実行失敗 (${attempt + 1}/${maxRetries + 1}): ${error$1.message}`, { nextRetryIn: wait });
+		await sleep(wait);
 		delay = Math.min(delay * backoffMultiplier, maxDelay);
 	}
 	throw lastError;
 }
 /**
+* Retry-Afterヘッダーの値を待機時間に変換する
+*
+* @param {string|number|null|undefined} value - Retry-Afterヘッダーの値(秒数またはHTTP日付)
+* @param {number} [now=Date.now()] - 現在時刻(UNIX時刻、ミリ秒)
+* @returns {number|null} 待機時間（ミリ秒）、解釈できない場合はnull
+*/
+function parseRetryAfter(value, now = Date.now()) {
+	if (value === null || value === void 0 || value === "") return null;
+	const text = String(value).trim();
+	if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 1e3;
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+/**
+* レスポンスヘッダーから再試行までの待機時間に関する値を取り出す
+* APIエラーのdetailsに含めることで、retryが待機時間を決定する際に参照する
+*
+* @param {Headers} headers - レスポンスヘッダー
+* @returns {{retryAfter?: string, rateLimitReset?: string}} Retry-AfterとX-RateLimit-Reset(ヘッダーがある場合のみ)
+*/
+function extractRetryDetails(headers) {
+	const details = {};
+	const retryAfter = headers?.get("Retry-After");
+	if (retryAfter) details.retryAfter = retryAfter;
+	const rateLimitReset = headers?.get("X-RateLimit-Reset");
+	if (rateLimitReset) details.rateLimitReset = rateLimitReset;
+	return details;
+}
+/**
+* エラーからサーバーが指定した待機時間を求める
+* Retry-Afterと、レート制限エラーの場合はX-RateLimit-Reset(UNIX時刻、秒)のうち長い方を採用する
+*
+* @param {Error} error - エラーオブジェクト
+* @returns {number|null} 待機時間（ミリ秒）、指定がない場合はnull
+*/
+function getRetryAfter(error$1) {
+	const details = error$1?.details || {};
+	const waits = [parseRetryAfter(details.retryAfter)];
+	if (error$1 && isRateLimitError(error$1) && details.rateLimitReset) {
+		const reset = Number(details.rateLimitReset);
+		if (Number.isFinite(reset)) waits.push(Math.max(0, reset * 1e3 - Date.now()));
+	}
+	const valid = waits.filter((wait) => wait !== null);
+	return valid.length > 0 ? Math.max(...valid) : null;
+}
+/**
 * レート制限エラーかどうかを判定する
 *
 * @param {Error} error - エラーオブジェクト
@@ -209,9 +285,130 @@ function isTransientError(error$1) {
 	return false;
 }
 
+//#endregion
+//#region _tools/lib/pm-tool/common/scheduler.js
+/**
+* APIリクエストのスケジューラー
+*
+* 同時実行数と1秒あたりのリクエスト数を制限し、
+* レスポンスのX-RateLimit-Remaining/X-RateLimit-Resetヘッダーから残りのリクエスト数が少ないと判断した場合は
+* 429エラーになる前にリセット時刻まで新しいリクエストを待機させる。
+*/
+/**
+* 共有するスケジューラーの格納先
+* プラグインはCLIと別にバンドルされ、モジュールの実体が異なるためグローバルに保持する
+*/
+const SCHEDULER = Symbol.for("pm-tool.scheduler");
+/**
+* デフォルトの同時実行数
+*/
+const DEFAULT_CONCURRENCY = 4;
+/**
+* デフォルトの1秒あたりのリクエスト数(0は無制限)
+*/
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+/**
+* スケジューラーを作成する
+*
+* @param {Object} [options] - オプション
+* @param {number} [options.concurrency=4] - 同時実行数
+* @param {number} [options.requestsPerSecond=10] - 1秒あたりのリクエスト数(0は無制限)
+* @returns {{concurrency: number, schedule: function(Function): Promise<*>, observe: function(Headers): void}} スケジューラー
+*/
+function createScheduler(options = {}) {
+	const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+	const requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+	const interval = requestsPerSecond > 0 ? 1e3 / requestsPerSecond : 0;
+	const queue = [];
+	let active = 0;
+	let nextStart = 0;
+	let pausedUntil = 0;
+	let timer = null;
+	/**
+	* 待機中のリクエストを実行できるだけ開始する
+	*/
+	function dispatch() {
+		if (timer) return;
+		while (queue.length > 0 && active < concurrency) {
+			const now = Date.now();
+			const startAt = Math.max(nextStart, pausedUntil);
+			if (startAt > now) {
+				timer = setTimeout(() => {
+					timer = null;
+					dispatch();
+				}, startAt - now);
+				return;
+			}
+			const { task, resolve, reject } = queue.shift();
+			active++;
+			nextStart = now + interval;
+			Promise.resolve().then(task).then(resolve, reject).finally(() => {
+				active--;
+				dispatch();
+			});
+		}
+	}
+	return {
+		concurrency,
+		schedule(task) {
+			return new Promise((resolve, reject) => {
+				queue.push({
+					task,
+					resolve,
+					reject
+				});
+				dispatch();
+			});
+		},
+		observe(headers) {
+			const remaining = Number(headers?.get("X-RateLimit-Remaining") ?? NaN);
+			const reset = Number(headers?.get("X-RateLimit-Reset") ?? NaN);
+			if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining > concurrency) return;
+			const resetAt = reset * 1e3;
+			if (resetAt <= Date.now() || resetAt <= pausedUntil) return;
+			pausedUntil = resetAt;
+			info(`APIのレート制限の残りが少ないため、${Math.ceil((resetAt - Date.now()) / 1e3)}秒待機します`, { remaining });
+		}
+	};
+}
+/**
+* 共有するスケジューラーを取得する(未設定の場合はデフォルト設定で作成する)
+*
+* @returns {Object} スケジューラー
+*/
+function getScheduler() {
+	if (!globalThis[SCHEDULER]) globalThis[SCHEDULER] = createScheduler();
+	return globalThis[SCHEDULER];
+}
+/**
+* 共有するスケジューラーを通してfetchを実行する
+* タイムアウトは実行枠を得てから計測する(空き待ち・レート制限による一時停止の時間は含めない)
+*
+* @param {string} url - リクエストURL
+* @param {Object} [init] - fetchオプション
+* @param {number} [timeout] - タイムアウト(ミリ秒、省略時はタイムアウトしない)
+* @returns {Promise<Response>} レスポンス
+*/
+async function scheduledFetch(url, init = {}, timeout = null) {
+	const scheduler = getScheduler();
+	return await scheduler.schedule(async () => {
+		const signal = timeout ? AbortSignal.timeout(timeout) : init.signal;
+		const response = await fetch(url, {
+			...init,
+			signal
+		});
+		scheduler.observe(response.headers);
+		return response;
+	});
+}
+
 //#endregion
 //#region _tools/lib/pm-tool/common/api.js
 /**
+* デフォルトのリクエストのタイムアウト(ミリ秒)
+*/
+const DEFAULT_TIMEOUT = 3e4;
+/**
 * Basic認証ヘッダーを生成する
 *
 * @param {string} username - ユーザー名
@@ -224,15 +421,25 @@ function createBasicAuthHeader(username, password) {
 }
 /**
 * HTTP APIリクエストを実行する
+* リクエストは共有のスケジューラーを通して同時実行数・レート制限を守って実行する
 *
 * @param {string} url - リクエストURL
 * @param {Object} options - fetchオプション
+* @param {'buffer'} [options.responseType] - 'buffer'でバイナリとして取得
+* @param {Object} [options.auth] - 認証方式(common/auth.js、送信直前にURL・ヘッダーに認証情報を付与する)
+* @param {number} [options.timeout=30000] - 1回のリクエストのタイムアウト(ミリ秒)
 * @param {Object} [retryOptions] - リトライオプション
 * @returns {Promise<Object>} レスポンスオブジェクト
 * @throws {ApiError|NetworkError|AuthenticationError} API呼び出しエラー
 */
 async function apiRequest(url, options = {}, retryOptions = {}) {
-	debug(`API Request: ${options.method || "GET"} ${url}`);
+	const { responseType, auth, timeout = DEFAULT_TIMEOUT,...fetchOptions } = options;
+	const request = auth ? await auth.apply(url, fetchOptions.headers) : {
+		url,
+		headers: fetchOptions.headers
+	};
+	const displayUrl = redactUrl(url);
+	debug(`API Request: ${options.method || "GET"} ${displayUrl}`);
 	const finalRetryOptions = {
 		maxRetries: 3,
 		shouldRetry: (error$1) => isTransientError(error$1),
@@ -241,48 +448,72 @@ async function apiRequest(url, options = {}, retryOptions = {}) {
 	try {
 		return await retry(async () => {
 			try {
-				const response = await fetch(url, {
-					timeout: 3e4,
-					...options
-				});
+				const response = await scheduledFetch(request.url, {
+					...fetchOptions,
+					headers: request.headers
+				}, timeout);
 				debug(`API Response: ${response.status} ${response.statusText}`);
 				if (response.status === 401) throw new AuthenticationError("認証に失敗しました。APIキーまたはトークンを確認してください", {
-					url,
+					url: displayUrl,
 					status: response.status
 				});
 				if (response.status === 403) throw new AuthenticationError("アクセス権限がありません", {
-					url,
+					url: displayUrl,
 					status: response.status
 				});
-				if (response.status === 429) {
-					const retryAfter = response.headers.get("Retry-After");
-					throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, { retryAfter });
-				}
+				if (response.status === 429) throw new ApiError("レート制限に達しました。しばらく待ってから再試行してください", response.status, extractRetryDetails(response.headers));
 				if (response.status >= 500) {
 					const text = await response.text();
-					throw new ApiError("サーバーエラーが発生しました", response.status, { responseBody: text });
+					throw new ApiError("サーバーエラーが発生しました", response.status, {
+						responseBody: text,
+						...extractRetryDetails(response.headers)
+					});
 				}
 				if (!response.ok) {
 					const text = await response.text();
-					throw new ApiError(`APIエラー: ${response.statusText}`, response.status, { responseBody: text });
+					throw new ApiError(`APIエラー: ${extractErrorMessage(text) || response.statusText}`, response.status, {
+						url: displayUrl,
+						responseBody: text
+					});
 				}
+				if (response.status === 204) return null;
+				if (responseType === "buffer") return Buffer.from(await response.arrayBuffer());
 				const contentType = response.headers.get("content-type");
 				if (contentType && contentType.includes("application/json")) return await response.json();
 				return await response.text();
 			} catch (error$1) {
 				if (error$1 instanceof TypeError) throw new NetworkError("ネットワークエラーが発生しました", {
-					url,
+					url: displayUrl,
 					originalError: error$1.message
 				});
+				if (error$1.name === "TimeoutError" || error$1.name === "AbortError") throw new NetworkError(`リクエストがタイムアウトしました(${timeout / 1e3}秒)`, { url: displayUrl });
 				throw error$1;
 			}
 		}, finalRetryOptions);
 	} catch (error$1) {
-		error(`API Request Failed: ${url}`, error$1);
+		error(`API Request Failed: ${displayUrl}`, error$1);
 		throw normalizeError(error$1);
 	}
 }
 /**
+* エラーレスポンスからエラーメッセージを取り出す
+* {errors: ["..."]}(Redmine)、{errors: [{message: "..."}]}(Backlog)、{message: "..."}、
+* {error_description: "..."}(OAuth 2.0)の形式に対応する
+*
+* @param {string} text - レスポンスボディ
+* @returns {string|null} エラーメッセージ(取り出せない場合はnull)
+*/
+function extractErrorMessage(text) {
+	try {
+		const data = JSON.parse(text);
+		if (Array.isArray(data.errors) && data.errors.length > 0) return data.errors.map((item) => typeof item === "string" ? item : item.message).filter(Boolean).join(", ");
+		const message = data.message || data.error_description || data.error;
+		return typeof message === "string" ? message : null;
+	} catch {
+		return null;
+	}
+}
+/**
 * GETリクエストを実行する
 *
 * @param {string} url - リクエストURL
@@ -300,6 +531,25 @@ async function get(url, headers = {}, retryOptions = {}) {
 	}, retryOptions);
 }
 /**
+* POSTリクエストを実行する
+*
+* @param {string} url - リクエストURL
+* @param {Object} body - リクエストボディ
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function post(url, body, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+			...headers
+		},
+		body: JSON.stringify(body)
+	}, retryOptions);
+}
+/**
 * PUTリクエストを実行する
 *
 * @param {string} url - リクエストURL
@@ -318,6 +568,513 @@ async function put(url, body, headers = {}, retryOptions = {}) {
 		body: JSON.stringify(body)
 	}, retryOptions);
 }
+/**
+* ファイルをダウンロードする
+*
+* @param {string} url - ダウンロードURL
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Buffer>} ファイルの内容
+*/
+async function download(url, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "GET",
+		headers,
+		responseType: "buffer"
+	}, retryOptions);
+}
+/**
+* ファイルをアップロードする(バイナリをそのまま送信する)
+*
+* @param {string} url - アップロードURL
+* @param {Buffer} content - ファイルの内容
+* @param {Object} [headers] - リクエストヘッダー
+* @param {Object} [retryOptions] - リトライオプション
+* @returns {Promise<Object>} レスポンスオブジェクト
+*/
+async function upload(url, content, headers = {}, retryOptions = {}) {
+	return apiRequest(url, {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/octet-stream",
+			...headers
+		},
+		body: content
+	}, retryOptions);
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/markdown.js
+/**
+* pm-toolが生成するセクションの開始・終了マーカー
+* fetch時に生成したセクション(コメント履歴等)を識別し、update時に説明から除外するために使用する
+*
+* @param {string} name - セクション名
+* @returns {{start: string, end: string}} マーカー
+*/
+function sectionMarkers(name) {
+	return {
+		start: `<!-- pm-tool:${name}:start -->`,
+		end: `<!-- pm-tool:${name}:end -->`
+	};
+}
+/**
+* Markdown本文からsubject（件名）を抽出する
+* h1見出しを取得して返す(pm-toolが生成したセクション内の見出しは対象外)
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 件名（h1見出しのテキスト）
+*/
+function extractSubjectFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^([^\n]+)\n=+/);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+(.+)$/m);
+	if (atxMatch) return atxMatch[1].trim();
+	return "";
+}
+/**
+* Markdown本文からdescription（説明）を抽出する
+* h1見出しを除去し、残りの本文を返す
+*
+* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 説明（h1見出しを除いた本文）
+*/
+function extractDescriptionFromMarkdown(body) {
+	if (!body) return "";
+	body = stripGeneratedSections(body);
+	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
+	if (setextMatch) return setextMatch[1].trim();
+	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
+	if (atxMatch) return atxMatch[1].trim();
+	return body.trim();
+}
+/**
+* コメント履歴セクションを生成する
+*
+* @param {Array<Object>} comments - コメントの一覧(古い順)
+* @param {string} comments[].author - 投稿者
+* @param {string} comments[].created_at - 投稿日時(ISO形式)
+* @param {string} [comments[].text] - コメント本文
+* @param {Array<{field: string, from: *, to: *, text: string}>} [comments[].changes]
+*   項目の変更履歴(textを指定した場合は変更前後の値の代わりに表示する)
+* @returns {string} コメント履歴セクション(コメントがない場合は空文字列)
+*/
+function renderCommentSection(comments) {
+	if (!comments || comments.length === 0) return "";
+	return renderGeneratedSection("comments", "コメント履歴", comments.map((comment) => {
+		const lines = [`### ${comment.author || "(不明)"} (${formatDateTime(comment.created_at)})`, ""];
+		const changes = comment.changes || [];
+		if (changes.length > 0) lines.push(...changes.map((change) => change.text ? `- ${change.field}: ${change.text}` : `- ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`), "");
+		const text = (comment.text || "").replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
+		if (text) lines.push(text, "");
+		return lines.join("\n");
+	}).join("\n"));
+}
+/**
+* pm-toolが生成するセクションを本文の末尾に追加する
+*
+* @param {string} body - Markdown本文
+* @param {string} section - 追加するセクション(空文字列の場合は追加しない)
+* @returns {string} セクションを追加した本文
+*/
+function appendSection(body, section) {
+	if (!section) return body;
+	return body ? `${body}\n\n${section}` : section;
+}
+/**
+* pm-toolが生成するセクションを組み立てる
+*
+* @param {string} name - セクション名(マーカーに使用)
+* @param {string} title - 見出し
+* @param {string} content - セクションの内容
+* @returns {string} マーカーで囲まれたセクション
+*/
+function renderGeneratedSection(name, title, content) {
+	const { start, end } = sectionMarkers(name);
+	return [
+		start,
+		title,
+		"-------------------------",
+		"",
+		content,
+		end
+	].join("\n");
+}
+/**
+* Markdown本文からpm-toolが生成したセクション(コメント履歴、添付ファイル)を除去する
+*
+* @param {string} body - Markdown本文（LF改行）
+* @returns {string} 生成したセクションを除いた本文
+*/
+function stripGeneratedSections(body) {
+	return body.replace(/<!-- pm-tool:([\w-]+):start -->[\s\S]*?(?:<!-- pm-tool:\1:end -->\n*|$)/g, "").trim();
+}
+/**
+* Markdown本文のリンク先を置き換える
+*
+* @param {string} body - Markdown本文
+* @param {Object<string, string>} replacements - 置き換え前のリンク先と置き換え後のリンク先
+* @returns {string} リンク先を置き換えた本文
+*/
+function replaceLinks(body, replacements) {
+	if (!body || Object.keys(replacements).length === 0) return body;
+	return body.replace(/(!?\[[^\]]*\]\(<?)([^)\s>]+)(>?(?:\s+"[^"]*")?\))/g, (match, open, target, close) => {
+		return Object.hasOwn(replacements, target) ? `${open}${replacements[target]}${close}` : match;
+	});
+}
+/**
+* ISO形式の日時をUTCの「YYYY-MM-DD HH:mm UTC」形式に変換する
+* 実行環境のタイムゾーンに依存すると、取得する人によってファイルの内容が変わるためUTCで表示する
+*
+* @param {string} value - ISO形式の日時
+* @returns {string} 変換後の日時(変換できない場合は元の値)
+*/
+function formatDateTime(value) {
+	const date = new Date(value);
+	if (!value || Number.isNaN(date.getTime())) return value || "";
+	return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+/**
+* 変更履歴の値を表示用に変換する
+*
+* @param {*} value - 変更前または変更後の値
+* @returns {string} 表示用の値(未設定の場合は「(なし)」)
+*/
+function formatValue(value) {
+	if (value === null || value === void 0 || value === "") return "(なし)";
+	return String(value).replace(/\s*\r?\n\s*/g, " ");
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/client.js
+/**
+* Redmine設定を検証する
+*
+* @param {Object} config - Redmine設定
+* @throws {ValidationError} URLまたは認証情報が設定されていない場合
+*/
+function assertConfig(config) {
+	if (!config.url) throw new ValidationError("Redmine URLが設定されていません (integration.pm_tool.redmine.url)");
+	if (!config.api_key && !(config.username && config.password)) throw new ValidationError("Redmine認証情報が設定されていません。api_key または username/password のいずれかを設定してください");
+}
+/**
+* 設定を検証し、Redmine APIリクエスト用の認証ヘッダーを作成する
+* APIキーが設定されている場合はAPIキー、それ以外はBasic認証を使用する
+*
+* @param {Object} config - Redmine設定
+* @returns {Object} 認証ヘッダー
+* @throws {ValidationError} URLまたは認証情報が設定されていない場合
+*/
+function createHeaders(config) {
+	assertConfig(config);
+	if (config.api_key) return { "X-Redmine-API-Key": config.api_key };
+	return { "Authorization": createBasicAuthHeader(config.username, config.password) };
+}
+/**
+* ログに出力する認証方式を取得する
+*
+* @param {Object} config - Redmine設定
+* @returns {string} 認証方式(api_keyまたはbasic)
+*/
+function getAuthType(config) {
+	return config.api_key ? "api_key" : "basic";
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/cache.js
+/**
+* キャッシュの有効期間のデフォルト値(秒)
+*/
+const DEFAULT_CACHE_TTL = 3600;
+/**
+* キャッシュディレクトリを取得する
+* 環境変数PM_TOOL_CACHE_DIR、XDG_CACHE_HOME/pm-tool、~/.cache/pm-toolの順に参照する
+*
+* @returns {string} キャッシュディレクトリのパス
+*/
+function getCacheDir() {
+	if (process.env.PM_TOOL_CACHE_DIR) return process.env.PM_TOOL_CACHE_DIR;
+	const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+	return path.join(base, "pm-tool");
+}
+/**
+* キャッシュキーからキャッシュファイルのパスを生成する
+*
+* @param {string} key - キャッシュキー
+* @returns {string} キャッシュファイルのパス
+*/
+function getCachePath(key) {
+	const filename = key.replace(/[^a-zA-Z0-9._-]+/g, "_");
+	return path.join(getCacheDir(), `${filename}.json`);
+}
+/**
+* キャッシュから値を読み込む
+*
+* @param {string} key - キャッシュキー
+* @param {number} ttl - 有効期間(秒)
+* @returns {*} キャッシュされた値、存在しないか期限切れの場合はundefined
+*/
+function readCache(key, ttl = DEFAULT_CACHE_TTL) {
+	const cachePath = getCachePath(key);
+	try {
+		const entry = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+		if (Date.now() - entry.savedAt > ttl * 1e3) {
+			debug("キャッシュ期限切れ", { key });
+			return;
+		}
+		debug("キャッシュを使用", { key });
+		return entry.value;
+	} catch (error$1) {
+		return;
+	}
+}
+/**
+* キャッシュに値を書き込む
+* 書き込みに失敗しても処理は継続する
+*
+* @param {string} key - キャッシュキー
+* @param {*} value - キャッシュする値(JSONとして保存可能な値)
+*/
+function writeCache(key, value) {
+	const cachePath = getCachePath(key);
+	try {
+		fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+		fs.writeFileSync(cachePath, JSON.stringify({
+			key,
+			savedAt: Date.now(),
+			value
+		}), "utf8");
+	} catch (error$1) {
+		warn("キャッシュの書き込みに失敗しました", {
+			key,
+			error: error$1.message
+		});
+	}
+}
+/**
+* キャッシュを利用して値を取得する
+* 有効なキャッシュがない場合はloaderで取得し、キャッシュに保存する
+*
+* @param {string} key - キャッシュキー
+* @param {Function} loader - 値を取得する非同期関数
+* @param {Object} options - オプション
+* @param {number} options.ttl - 有効期間(秒)、0の場合はキャッシュを使用しない
+* @param {boolean} options.refresh - trueの場合はキャッシュを無視して再取得する
+* @returns {Promise<*>} 値
+*/
+async function cached(key, loader, { ttl = DEFAULT_CACHE_TTL, refresh = false } = {}) {
+	if (ttl > 0 && !refresh) {
+		const value$1 = readCache(key, ttl);
+		if (value$1 !== void 0) return value$1;
+	}
+	const value = await loader();
+	if (ttl > 0) writeCache(key, value);
+	return value;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/common/resolver.js
+/**
+* 名前またはIDで一覧から項目を検索する
+*
+* @param {Array<Object>} items - 項目の一覧(id, nameを持つ)
+* @param {string|number|undefined} value - 名前またはID
+* @param {string} label - 項目の名称(エラーメッセージ用)
+* @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+* @returns {Object} 見つかった項目
+* @throws {ValidationError} 未指定または見つからない場合
+*/
+function findByNameOrId(items, value, label, names = (item$1) => [item$1.name]) {
+	const available = items.map((item$1) => item$1.name).join(", ");
+	if (isEmpty(value)) throw new ValidationError(`${label}が指定されていません。使用可能な${label}: ${available}`);
+	const item = matchItem(items, value, names);
+	if (!item) throw new ValidationError(`${label} "${value}" が見つかりません。使用可能な${label}: ${available}`, { [label]: value });
+	return item;
+}
+/**
+* 一覧APIから取得した項目を名前またはIDで検索するリゾルバーを作成する
+* 一覧はキャッシュし、有効期間内は再取得しない
+* 名前が見つからない場合はキャッシュが古い可能性があるため、一覧を再取得して検索し直す
+*
+* @param {Object} options - オプション
+* @param {Object<string, {label: string, names?: function(Object): Array<string>}>} options.resources - 変換対象の定義
+* @param {function(string): string} options.cacheKey - 変換対象からキャッシュキーを生成する関数
+* @param {function(string): Promise<Array<Object>>} options.fetchList - 変換対象の一覧をAPIから取得する関数
+* @param {number} options.ttl - キャッシュの有効期間(秒)、0の場合はキャッシュしない
+* @returns {{find: function(string, string|number): Promise<Object>, list: function(string): Promise<Array<Object>>}} リゾルバー
+*/
+function createListResolver({ resources, cacheKey, fetchList, ttl = DEFAULT_CACHE_TTL }) {
+	const lists = {};
+	/**
+	* 一覧を取得する(同じリゾルバー内で取得済みの場合、またはキャッシュがあれば再利用する)
+	*
+	* @param {string} type - 変換対象
+	* @param {boolean} refresh - キャッシュを無視して再取得する場合はtrue
+	* @returns {Promise<Array<Object>>} 一覧
+	*/
+	async function load(type, refresh = false) {
+		if (refresh || !lists[type]) lists[type] = cached(cacheKey(type), () => fetchList(type), {
+			ttl,
+			refresh
+		});
+		return await lists[type];
+	}
+	return {
+		async find(type, value) {
+			const { label, names } = resources[type];
+			let items = await load(type);
+			if (!isEmpty(value) && !matchItem(items, value, names)) {
+				debug("名前が見つからないため一覧を再取得します", {
+					type,
+					value
+				});
+				items = await load(type, true);
+			}
+			return findByNameOrId(items, value, label, names);
+		},
+		async list(type) {
+			return await load(type);
+		}
+	};
+}
+/**
+* 名前またはIDに一致する項目を探す
+*
+* @param {Array<Object>} items - 項目の一覧
+* @param {string|number} value - 名前またはID
+* @param {function(Object): Array<string>} names - 項目の名前として照合する値を返す関数
+* @returns {Object|undefined} 見つかった項目
+*/
+function matchItem(items, value, names = (item) => [item.name]) {
+	return items.find((item) => names(item).includes(String(value)) || String(item.id) === String(value));
+}
+/**
+* 未指定(空文字列を含む)かどうかを判定する
+*
+* @param {*} value - 値
+* @returns {boolean} 未指定の場合はtrue
+*/
+function isEmpty(value) {
+	return value === void 0 || value === null || value === "";
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/resolver.js
+/**
+* 一覧取得時の1ページあたりの件数
+*/
+const PAGE_LIMIT$1 = 100;
+/**
+* 名前からIDへの変換対象
+* 一覧の取得先APIと、レスポンスから項目を取り出す方法を定義する
+*/
+const RESOURCES = {
+	status: {
+		label: "ステータス",
+		path: () => "/issue_statuses.json",
+		key: "issue_statuses"
+	},
+	tracker: {
+		label: "トラッカー",
+		path: () => "/trackers.json",
+		key: "trackers"
+	},
+	priority: {
+		label: "優先度",
+		path: () => "/enumerations/issue_priorities.json",
+		key: "issue_priorities"
+	},
+	user: {
+		label: "担当者",
+		path: (project) => `/projects/${project}/memberships.json`,
+		key: "memberships",
+		map: (membership) => membership.user || membership.group,
+		project: true
+	},
+	category: {
+		label: "カテゴリ",
+		path: (project) => `/projects/${project}/issue_categories.json`,
+		key: "issue_categories",
+		project: true
+	}
+};
+/**
+* ステータス・トラッカー・優先度・担当者・カテゴリを名前からIDに変換するリゾルバーを作成する
+* 一覧はローカルにキャッシュし、有効期間内は再取得しない
+*
+* @param {Object} config - Redmine設定(cache_ttlでキャッシュの有効期間(秒)を指定可能)
+* @param {Object} headers - 認証ヘッダー
+* @param {string|number|null} project - プロジェクトIDまたは識別子(担当者・カテゴリの変換に使用)
+* @returns {{resolve: function(string, *): Promise<number|null>}} リゾルバー
+*/
+function createResolver(config, headers, project = null) {
+	const lists = createListResolver({
+		resources: RESOURCES,
+		cacheKey: (type) => `redmine-${config.url}${RESOURCES[type].path(project)}`,
+		fetchList: async (type) => {
+			const resource = RESOURCES[type];
+			return (await listAll(`${config.url}${resource.path(project)}`, headers, resource.key)).map(resource.map || ((item) => item)).filter(Boolean).map((item) => ({
+				id: item.id,
+				name: item.name
+			}));
+		},
+		ttl: config.cache_ttl ?? DEFAULT_CACHE_TTL
+	});
+	/**
+	* プロジェクトごとの一覧の場合、プロジェクトが特定できることを確認する
+	*
+	* @param {string} type - 変換対象
+	* @throws {ValidationError} プロジェクトが特定できない場合
+	*/
+	function assertProject(type) {
+		const resource = RESOURCES[type];
+		if (resource.project && !project) throw new ValidationError(`プロジェクトが特定できないため${resource.label}を名前で指定できません。IDで指定するか、--project オプションを指定してください`);
+	}
+	return {
+		async resolve(type, value) {
+			if (value !== null && typeof value === "object") value = value.name ?? value.id;
+			if (value === void 0 || value === null || value === "") return null;
+			if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+			assertProject(type);
+			return (await lists.find(type, String(value))).id;
+		},
+		async nameOf(type, id) {
+			if (id === void 0 || id === null || id === "") return id;
+			try {
+				assertProject(type);
+				return (await lists.list(type)).find((item) => String(item.id) === String(id))?.name ?? String(id);
+			} catch (error$1) {
+				debug("名前の取得に失敗しました", {
+					type,
+					id,
+					error: error$1.message
+				});
+				return String(id);
+			}
+		}
+	};
+}
+/**
+* ページングされた一覧APIから全件を取得する
+*
+* @param {string} url - 一覧APIのURL
+* @param {Object} headers - 認証ヘッダー
+* @param {string} key - レスポンス内の一覧のキー
+* @returns {Promise<Array<Object>>} 全件の一覧
+*/
+async function listAll(url, headers, key) {
+	const items = [];
+	for (let offset = 0;; offset += PAGE_LIMIT$1) {
+		const response = await get(`${url}?limit=${PAGE_LIMIT$1}&offset=${offset}`, headers);
+		const page = response[key] || [];
+		items.push(...page);
+		if (response.total_count === void 0 || page.length === 0 || items.length >= response.total_count) return items;
+	}
+}
 
 //#endregion
 //#region _tools/lib/pm-tool/plugins/redmine/fetch.js
@@ -326,27 +1083,36 @@ async function put(url, body, headers = {}, retryOptions = {}) {
 *
 * @param {Object} config - Redmine設定
 * @param {string} ticketId - チケットID
-* @param {Object} options - オプション
+* @param {Object} options - オプション(include_comments: コメント履歴を含める、attachments: 添付ファイル情報を含める)
 * @returns {Promise<Object>} チケット情報
 */
 async function fetchTicket(config, ticketId, options = {}) {
-	if (!config.url) throw new ValidationError("Redmine URLが設定されていません (integration.pm_tool.redmine.url)");
-	const hasApiKey = !!config.api_key;
-	const hasBasicAuth = !!(config.username && config.password);
-	if (!hasApiKey && !hasBasicAuth) throw new ValidationError("Redmine認証情報が設定されていません。api_key または username/password のいずれかを設定してください");
+	const headers = createHeaders(config);
 	debug("Redmineチケット取得", {
 		ticketId,
 		url: config.url,
-		authType: hasApiKey ? "api_key" : "basic"
+		authType: getAuthType(config)
 	});
-	const url = `${config.url}/issues/${ticketId}.json`;
-	const headers = {};
-	if (hasApiKey) headers["X-Redmine-API-Key"] = config.api_key;
-	else headers["Authorization"] = createBasicAuthHeader(config.username, config.password);
+	const includeComments = !!options.include_comments;
+	const includes = [...includeComments ? ["journals"] : [], ...options.attachments ? ["attachments"] : []];
+	const url = `${config.url}/issues/${ticketId}.json${includes.length > 0 ? `?include=${includes.join(",")}` : ""}`;
 	try {
 		const response = await get(url, headers);
 		info(`チケット #${ticketId} の情報を取得しました`);
-		return formatAsYamlFrontmatter(response.issue);
+		const result = formatAsYamlFrontmatter(response.issue);
+		if (includeComments) {
+			const resolver = createResolver(config, headers, response.issue.project?.id);
+			const comments = await convertJournals(response.issue.journals || [], resolver);
+			result.body = appendSection(result.body, renderCommentSection(comments));
+		}
+		if (options.attachments) result.attachments = (response.issue.attachments || []).map((attachment) => ({
+			id: attachment.id,
+			filename: attachment.filename,
+			url: attachment.content_url,
+			size: attachment.filesize,
+			content_type: attachment.content_type
+		}));
+		return result;
 	} catch (error$1) {
 		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`チケット #${ticketId} が見つかりません (404 Not Found)`, 404, {
 			ticketId,
@@ -407,6 +1173,62 @@ function formatAsYamlFrontmatter(issue) {
 	};
 }
 /**
+* 変更履歴の属性名と、IDを名前に変換する際の変換対象
+*/
+const JOURNAL_ATTRIBUTES = {
+	status_id: "status",
+	tracker_id: "tracker",
+	priority_id: "priority",
+	assigned_to_id: "user",
+	category_id: "category"
+};
+/**
+* Redmineの履歴(journals)をコメント履歴の形式に変換する
+* 属性の変更はIDを名前に変換して「status: 新規 → 進行中」の形式で表す
+*
+* @param {Array<Object>} journals - Redmineの履歴
+* @param {Object} resolver - 名前とIDのリゾルバー
+* @returns {Promise<Array<Object>>} コメントの一覧
+*/
+async function convertJournals(journals, resolver) {
+	const comments = [];
+	for (const journal of journals) {
+		const changes = [];
+		for (const detail of journal.details || []) if (detail.property === "attachment") changes.push({
+			field: "attachment",
+			from: detail.old_value,
+			to: detail.new_value
+		});
+		else if (detail.property === "attr" && detail.name === "description") changes.push({
+			field: "description",
+			text: "更新"
+		});
+		else if (detail.property === "attr" && JOURNAL_ATTRIBUTES[detail.name]) {
+			const type = JOURNAL_ATTRIBUTES[detail.name];
+			changes.push({
+				field: detail.name.replace(/_id$/, ""),
+				from: await resolver.nameOf(type, detail.old_value),
+				to: await resolver.nameOf(type, detail.new_value)
+			});
+		} else {
+			const field = detail.property === "cf" ? `custom_field_${detail.name}` : detail.name;
+			changes.push({
+				field,
+				from: detail.old_value,
+				to: detail.new_value
+			});
+		}
+		if (!journal.notes && changes.length === 0) continue;
+		comments.push({
+			author: journal.user?.name,
+			created_at: journal.created_on,
+			text: journal.notes,
+			changes
+		});
+	}
+	return comments;
+}
+/**
 * オブジェクトからundefinedのフィールドを再帰的に削除する
 *
 * @param {Object} obj - 対象オブジェクト
@@ -418,6 +1240,109 @@ function removeUndefinedFields(obj) {
 	});
 }
 
+//#endregion
+//#region _tools/lib/pm-tool/common/attachments.js
+/**
+* 添付ファイルと_files/のローカルファイルの対応付け
+*
+* fetch時は添付ファイルを「{チケットファイル名}-{添付ファイル名}」として_files/に保存し、
+* update時はその命名規則をもとに、ローカルファイルがリモートに添付済みかを判定する。
+*/
+/**
+* ファイル名に使用できない文字をハイフンに置き換える
+*
+* @param {string} name - ファイル名
+* @returns {string} 置き換え後のファイル名
+*/
+function sanitizeFilename(name) {
+	return String(name).replace(/[\\/:?*"<>|\s]+/g, "-");
+}
+/**
+* 添付ファイルの保存先ファイル名を生成する
+*
+* @param {string} fileBase - チケットファイル名(拡張子なし)
+* @param {{id: *, filename: string}} attachment - 添付ファイル情報
+* @param {boolean} [withId=false] - 添付ファイルIDを付けるか(同名の添付ファイルを区別する場合)
+* @returns {string} ファイル名
+*/
+function toAttachmentFilename(fileBase, attachment, withId = false) {
+	const safeName = sanitizeFilename(attachment.filename);
+	if (!withId) return `${fileBase}-${safeName}`;
+	const ext = path.extname(safeName);
+	return `${fileBase}-${path.basename(safeName, ext)}-${attachment.id}${ext}`;
+}
+/**
+* ローカルファイルに対応するリモートの添付ファイルを検索する
+* 添付ファイル名そのもの、またはfetch時の命名規則で保存したファイル名と一致するものを返す
+* (末尾の一致では判定しない。ticket-1-diagram-image.pngは添付ファイルimage.pngとは別のファイルとして扱う)
+*
+* @param {string} localName - ローカルファイル名
+* @param {Array<{id: *, filename: string}>} attachments - リモートの添付ファイル一覧
+* @param {string} fileBase - チケットファイル名(拡張子なし)
+* @returns {Object|null} 対応する添付ファイル(ない場合はnull)
+*/
+function findRemoteAttachment(localName, attachments, fileBase) {
+	return attachments.find((attachment) => localName === attachment.filename || localName === toAttachmentFilename(fileBase, attachment) || localName === toAttachmentFilename(fileBase, attachment, true)) || null;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/attachments.js
+/**
+* Redmineの添付ファイルをダウンロードする
+*
+* @param {Object} config - Redmine設定
+* @param {Object} attachment - 添付ファイル情報(fetch結果のattachmentsの要素)
+* @returns {Promise<Buffer>} 添付ファイルの内容
+*/
+async function downloadAttachment(config, attachment) {
+	debug("Redmine添付ファイルのダウンロード", {
+		id: attachment.id,
+		filename: attachment.filename
+	});
+	return await download(attachment.url, createHeaders(config));
+}
+/**
+* 本文からリンクされているローカルファイルのうち、チケットに未添付のものをアップロードする
+* アップロードで得たトークンをチケット更新時にuploadsとして送信することで添付される
+*
+* @param {Object} config - Redmine設定
+* @param {Object} headers - 認証ヘッダー
+* @param {string} ticketId - チケットID
+* @param {Array<{link: string, path: string, filename: string}>} localFiles - 本文からリンクされているファイル
+* @param {string} fileBase - チケットファイル名(拡張子なし、添付済みのファイルの判定に使用する)
+* @param {boolean} dryRun - trueの場合はアップロードしない
+* @returns {Promise<{uploads: Array<Object>, links: Object<string, string>, pending: string[]}>}
+*   更新時に送信するuploads、本文のリンク先と添付ファイルのURLの対応、アップロード予定のファイル名(dry-run時)
+*/
+async function uploadLocalFiles(config, headers, ticketId, localFiles, fileBase, dryRun = false) {
+	const result = {
+		uploads: [],
+		links: {},
+		pending: []
+	};
+	if (!localFiles || localFiles.length === 0) return result;
+	const attachments = (await get(`${config.url}/issues/${ticketId}.json?include=attachments`, headers)).issue.attachments || [];
+	for (const file of localFiles) {
+		const remote = findRemoteAttachment(file.filename, attachments, fileBase);
+		if (remote) {
+			result.links[file.link] = remote.content_url;
+			continue;
+		}
+		if (dryRun) {
+			result.pending.push(file.filename);
+			continue;
+		}
+		const { upload: uploaded } = await upload(`${config.url}/uploads.json?filename=${encodeURIComponent(file.filename)}`, fs.readFileSync(file.path), headers);
+		info(`ファイルをアップロードしました: ${file.filename}`);
+		result.uploads.push({
+			token: uploaded.token,
+			filename: file.filename
+		});
+		result.links[file.link] = uploaded.id ? `${config.url}/attachments/download/${uploaded.id}/${encodeURIComponent(file.filename)}` : file.filename;
+	}
+	return result;
+}
+
 //#endregion
 //#region _tools/lib/pm-tool/plugins/redmine/update.js
 /**
@@ -429,24 +1354,16 @@ function removeUndefinedFields(obj) {
 * @returns {Promise<Object>} 更新結果
 */
 async function updateTicket(config, ticketId, updateData = {}) {
-	if (!config.url) throw new ValidationError("Redmine URLが設定されていません (integration.pm_tool.redmine.url)");
-	const hasApiKey = !!config.api_key;
-	const hasBasicAuth = !!(config.username && config.password);
-	if (!hasApiKey && !hasBasicAuth) throw new ValidationError("Redmine認証情報が設定されていません。api_key または username/password のいずれかを設定してください");
-	debug("Redmineチケット更新", {
-		ticketId,
-		updateData,
-		authType: hasApiKey ? "api_key" : "basic"
-	});
-	const issueData = buildIssueUpdateData(updateData);
+	const dryRun = updateData.dryRun || updateData["dry-run"];
+	const { url, headers, issueData, pending } = await prepareUpdate(config, ticketId, updateData);
 	if (Object.keys(issueData).length === 0) throw new ValidationError("更新する内容が指定されていません");
-	const url = `${config.url}/issues/${ticketId}.json`;
 	console.log("\n=== Redmine API更新ペイロード ===");
 	console.log("URL:", url);
 	console.log("Payload:", JSON.stringify({ issue: issueData }, null, 2));
 	console.log("================================\n");
-	if (updateData.dryRun || updateData["dry-run"]) {
+	if (dryRun) {
 		info("[DRY RUN] 実際の更新は行いません");
+		if (pending.length > 0) info(`[DRY RUN] アップロード予定のファイル: ${pending.join(", ")}`);
 		return {
 			success: true,
 			message: `[DRY RUN] チケット #${ticketId} の更新をシミュレートしました`,
@@ -454,9 +1371,6 @@ async function updateTicket(config, ticketId, updateData = {}) {
 			dryRun: true
 		};
 	}
-	const headers = {};
-	if (hasApiKey) headers["X-Redmine-API-Key"] = config.api_key;
-	else headers["Authorization"] = createBasicAuthHeader(config.username, config.password);
 	try {
 		await put(url, { issue: issueData }, headers);
 		info(`チケット #${ticketId} を更新しました`);
@@ -466,21 +1380,83 @@ async function updateTicket(config, ticketId, updateData = {}) {
 			updated: issueData
 		};
 	} catch (error$1) {
-		if (error$1 instanceof ApiError && error$1.statusCode === 404) throw new ApiError(`チケット #${ticketId} が見つかりません (404 Not Found)`, 404, {
-			ticketId,
-			url
-		});
-		throw error$1;
+		throw toNotFoundError(error$1, ticketId, url);
 	}
 }
 /**
+* チケットの更新内容を準備する(チケットは更新しない)
+* dry-runの場合、添付ファイルはアップロードせず、添付済みのファイルのみ説明のリンク先を置き換える
+*
+* @param {Object} config - Redmine設定
+* @param {string} ticketId - チケットID
+* @param {Object} updateData - 更新データ
+* @returns {Promise<{url: string, headers: Object, issueData: Object, pending: string[]}>}
+*   APIエンドポイント、認証ヘッダー、Redmine API形式の更新データ、アップロード予定のファイル名
+*/
+async function prepareUpdate(config, ticketId, updateData = {}) {
+	const headers = createHeaders(config);
+	debug("Redmineチケット更新", {
+		ticketId,
+		updateData,
+		authType: getAuthType(config)
+	});
+	const url = `${config.url}/issues/${ticketId}.json`;
+	const originalIssue = await fetchOriginalIssue(url, headers, ticketId);
+	const issueData = await buildIssueUpdateData(updateData, createResolver(config, headers, updateData.project || originalIssue.project?.id || config.project), originalIssue);
+	const dryRun = updateData.dryRun || updateData["dry-run"];
+	const { uploads, links, pending } = await uploadLocalFiles(config, headers, ticketId, updateData.localFiles, updateData.fileBase, dryRun);
+	if (uploads.length > 0) issueData.uploads = uploads;
+	if (issueData.description) issueData.description = replaceLinks(issueData.description, links);
+	return {
+		url,
+		headers,
+		issueData,
+		pending
+	};
+}
+/**
+* 更新前のチケット情報を取得する
+*
+* @param {string} url - チケットのAPIエンドポイント
+* @param {Object} headers - 認証ヘッダー
+* @param {string} ticketId - チケットID
+* @returns {Promise<Object>} チケット情報
+*/
+async function fetchOriginalIssue(url, headers, ticketId) {
+	try {
+		return (await get(url, headers)).issue;
+	} catch (error$1) {
+		throw toNotFoundError(error$1, ticketId, url);
+	}
+}
+/**
+* 404エラーの場合、より分かりやすいメッセージのエラーに変換する
+*
+* @param {Error} error - 発生したエラー
+* @param {string} ticketId - チケットID
+* @param {string} url - チケットのAPIエンドポイント
+* @returns {Error} 変換後のエラー(404以外はそのまま)
+*/
+function toNotFoundError(error$1, ticketId, url) {
+	if (error$1 instanceof ApiError && error$1.statusCode === 404) return new ApiError(`チケット #${ticketId} が見つかりません (404 Not Found)`, 404, {
+		ticketId,
+		url
+	});
+	return error$1;
+}
+/**
 * 更新データをRedmine API形式に変換する
 * YAMLフロントマターとコマンドラインオプションから更新データを抽出
 *
+* ステータス等は元のチケットと異なる場合のみ名前からIDに変換して更新データに含める
+*
 * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
-* @returns {Object} Redmine API形式の更新データ
+* @param {Object} resolver - 名前からIDへのリゾルバー
+* @param {Object} originalIssue - 元のチケット情報(作成時は省略)
+* @returns {Promise<Object>} Redmine API形式の更新データ
+* @throws {ValidationError} 存在しない名前が指定された場合
 */
-function buildIssueUpdateData(updateData) {
+async function buildIssueUpdateData(updateData, resolver, originalIssue = {}) {
 	const issueData = {};
 	const frontmatter = updateData.frontmatter || {};
 	const body = updateData.body || "";
@@ -490,10 +1466,42 @@ function buildIssueUpdateData(updateData) {
 		if (subject) issueData.subject = subject;
 	}
 	if (body) issueData.description = extractDescriptionFromMarkdown(body);
-	if (updateData.status) issueData.status_id = parseInt(updateData.status, 10);
-	else if (frontmatter.status?.id) issueData.status_id = frontmatter.status.id;
-	if (updateData.assigned_to) issueData.assigned_to_id = parseInt(updateData.assigned_to, 10);
-	else if (frontmatter.assigned_to?.id) issueData.assigned_to_id = frontmatter.assigned_to.id;
+	const namedFields = [
+		{
+			type: "status",
+			key: "status_id",
+			value: updateData.status || frontmatter.status,
+			current: originalIssue.status
+		},
+		{
+			type: "tracker",
+			key: "tracker_id",
+			value: updateData.tracker || frontmatter.tracker,
+			current: originalIssue.tracker
+		},
+		{
+			type: "user",
+			key: "assigned_to_id",
+			value: updateData.assigned_to || frontmatter.assigned_to,
+			current: originalIssue.assigned_to
+		},
+		{
+			type: "priority",
+			key: "priority_id",
+			value: updateData.priority || frontmatter.priority,
+			current: originalIssue.priority
+		},
+		{
+			type: "category",
+			key: "category_id",
+			value: updateData.category || frontmatter.category,
+			current: originalIssue.category
+		}
+	];
+	for (const { type, key, value, current } of namedFields) {
+		const id = await resolver.resolve(type, pickChangedValue(value, current));
+		if (id !== null && id !== current?.id) issueData[key] = id;
+	}
 	if (updateData.done_ratio !== void 0) issueData.done_ratio = parseInt(updateData.done_ratio, 10);
 	else if (frontmatter.done_ratio !== void 0) issueData.done_ratio = frontmatter.done_ratio;
 	if (updateData.estimated_hours !== void 0) issueData.estimated_hours = parseFloat(updateData.estimated_hours);
@@ -502,41 +1510,223 @@ function buildIssueUpdateData(updateData) {
 	else if (frontmatter.start_date) issueData.start_date = frontmatter.start_date;
 	if (updateData.due_date) issueData.due_date = updateData.due_date;
 	else if (frontmatter.due_date) issueData.due_date = frontmatter.due_date;
-	if (updateData.priority) issueData.priority_id = parseInt(updateData.priority, 10);
-	if (updateData.category) issueData.category_id = parseInt(updateData.category, 10);
 	return issueData;
 }
 /**
-* Markdown本文からsubject（件名）を抽出する
-* h1見出しを取得して返す
+* 名前またはIDの指定のうち、元のチケットから変更されているものを取り出す
+* {id, name}形式(フロントマター)の場合、idが元のままnameだけ変更されていればname、それ以外はidを使用する
 *
-* @param {string} body - Markdown本文（LF改行）
-* @returns {string} 件名（h1見出しのテキスト）
+* @param {*} value - 名前、IDまたは{id, name}形式のオブジェクト
+* @param {Object|undefined} current - 元のチケットの値({id, name}形式)
+* @returns {string|number|null} 変更された名前またはID、未指定または変更がない場合はnull
 */
-function extractSubjectFromMarkdown(body) {
-	if (!body) return "";
-	const setextMatch = body.match(/^([^\n]+)\n=+/);
-	if (setextMatch) return setextMatch[1].trim();
-	const atxMatch = body.match(/^#\s+(.+)$/m);
-	if (atxMatch) return atxMatch[1].trim();
-	return "";
+function pickChangedValue(value, current) {
+	if (value !== null && typeof value === "object") value = value.name !== void 0 && current !== void 0 && String(value.id) === String(current.id) && value.name !== current.name || value.id === void 0 || value.id === null ? value.name : value.id;
+	if (value === void 0 || value === null || value === "") return null;
+	if (current && [current.name, current.id].filter((v) => v !== void 0).map(String).includes(String(value))) return null;
+	return value;
 }
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/create.js
 /**
-* Markdown本文からdescription（説明）を抽出する
-* h1見出しを除去し、残りの本文を返す
+* Redmineチケットを新規作成する
 *
-* 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
+* @param {Object} config - Redmine設定
+* @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} 作成結果(作成したチケットのIDとフロントマター)
+*/
+async function createTicket(config, createData = {}) {
+	const headers = createHeaders(config);
+	debug("Redmineチケット作成", {
+		createData,
+		authType: getAuthType(config)
+	});
+	const issueData = await buildIssueCreateData(config, headers, createData);
+	const url = `${config.url}/issues.json`;
+	console.log("\n=== Redmine API作成ペイロード ===");
+	console.log("URL:", url);
+	console.log("Payload:", JSON.stringify({ issue: issueData }, null, 2));
+	console.log("================================\n");
+	if (createData.dryRun || createData["dry-run"]) {
+		info("[DRY RUN] 実際の作成は行いません");
+		return {
+			success: true,
+			message: "[DRY RUN] チケットの作成をシミュレートしました",
+			created: issueData,
+			dryRun: true
+		};
+	}
+	const response = await post(url, { issue: issueData }, headers);
+	const ticketId = String(response.issue.id);
+	info(`チケット #${ticketId} を作成しました`);
+	return {
+		success: true,
+		message: `チケット #${ticketId} を作成しました`,
+		ticketId,
+		meta: formatAsYamlFrontmatter(response.issue).meta
+	};
+}
+/**
+* 作成データをRedmine API形式に変換する
+* プロジェクトとトラッカーはコマンドラインオプション、YAMLフロントマター、config.ymlの順に参照する
 *
-* @param {string} body - Markdown本文（LF改行）
-* @returns {string} 説明（h1見出しを除いた本文）
+* @param {Object} config - Redmine設定
+* @param {Object} headers - 認証ヘッダー
+* @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+* @returns {Promise<Object>} Redmine API形式の作成データ
+* @throws {ValidationError} 件名またはプロジェクトが特定できない場合
 */
-function extractDescriptionFromMarkdown(body) {
-	if (!body) return "";
-	const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
-	if (setextMatch) return setextMatch[1].trim();
-	const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
-	if (atxMatch) return atxMatch[1].trim();
-	return body.trim();
+async function buildIssueCreateData(config, headers, createData) {
+	const frontmatter = createData.frontmatter || {};
+	const project = createData.project || frontmatter.project?.id || config.project;
+	if (!project) throw new ValidationError("プロジェクトが指定されていません。--project オプションまたは integration.pm_tool.redmine.project を設定してください");
+	const resolver = createResolver(config, headers, project);
+	const { notes,...fields } = await buildIssueUpdateData(createData, resolver);
+	if (!fields.subject) throw new ValidationError("件名が見つかりません。Markdown本文にh1見出しを記載してください");
+	const issueData = { project_id: /^\d+$/.test(String(project)) ? parseInt(project, 10) : project };
+	if (!fields.tracker_id && config.tracker) issueData.tracker_id = await resolver.resolve("tracker", config.tracker);
+	return {
+		...issueData,
+		...fields
+	};
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/search.js
+/**
+* チケット一覧取得時の1ページあたりの件数(APIの上限)
+*/
+const PAGE_LIMIT = 100;
+/**
+* 名前で指定できる検索条件と、Redmineのフィルタ・名前の変換対象の対応
+* specialはRedmineがそのまま解釈する値(open: 未完了、me: 自分、*: すべて等)
+*/
+const NAMED_FILTERS = {
+	status: {
+		param: "status_id",
+		type: "status",
+		special: [
+			"open",
+			"closed",
+			"*"
+		]
+	},
+	tracker: {
+		param: "tracker_id",
+		type: "tracker",
+		special: []
+	},
+	assigned_to: {
+		param: "assigned_to_id",
+		type: "user",
+		special: [
+			"me",
+			"*",
+			"!*"
+		]
+	},
+	priority: {
+		param: "priority_id",
+		type: "priority",
+		special: []
+	},
+	category: {
+		param: "category_id",
+		type: "category",
+		special: ["*", "!*"]
+	}
+};
+/**
+* 検索条件に一致するRedmineチケットのIDを取得する
+* 名前で指定された条件はIDに変換し、それ以外の条件はRedmineのフィルタとしてそのまま渡す
+*
+* @param {Object} config - Redmine設定
+* @param {Object<string, string>} query - 検索条件(例: {assigned_to: 'me', status: 'open', project: 'foo'})
+* @returns {Promise<string[]>} チケットIDの一覧
+* @throws {ValidationError} 存在しない名前が指定された場合
+*/
+async function searchTickets(config, query = {}) {
+	const headers = createHeaders(config);
+	const project = query.project || config.project;
+	const resolver = createResolver(config, headers, project);
+	const params = new URLSearchParams();
+	if (project) params.set("project_id", project);
+	for (const [key, value] of Object.entries(query)) {
+		if (key === "project") continue;
+		const filter = NAMED_FILTERS[key];
+		if (!filter) params.set(key, value);
+		else if (filter.special.includes(value)) params.set(filter.param, value);
+		else params.set(filter.param, await resolver.resolve(filter.type, value));
+	}
+	debug("Redmineチケット検索", {
+		query,
+		params: params.toString()
+	});
+	const ids = (await listIssues(config, headers, params)).map((issue) => String(issue.id));
+	info(`${ids.length}件のチケットが見つかりました`);
+	return ids;
+}
+/**
+* 複数のチケットの更新日時をまとめて取得する
+* 削除された等で取得できなかったチケットは結果に含まれない
+*
+* @param {Object} config - Redmine設定
+* @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象のチケット
+* @returns {Promise<Object<string, string>>} チケットIDと更新日時(updated_on)の対応
+*/
+async function getTicketsUpdatedAt(config, tickets) {
+	const headers = createHeaders(config);
+	const updated = {};
+	for (let i = 0; i < tickets.length; i += PAGE_LIMIT) {
+		const ids = tickets.slice(i, i + PAGE_LIMIT).map((ticket) => ticket.ticketId);
+		const params = new URLSearchParams({
+			issue_id: ids.join(","),
+			status_id: "*"
+		});
+		for (const issue of await listIssues(config, headers, params)) updated[String(issue.id)] = issue.updated_on;
+	}
+	return updated;
+}
+/**
+* 条件に一致するチケットを全件取得するまでページングする
+*
+* @param {Object} config - Redmine設定
+* @param {Object} headers - 認証ヘッダー
+* @param {URLSearchParams} params - 検索条件
+* @returns {Promise<Array<Object>>} チケットの一覧
+*/
+async function listIssues(config, headers, params) {
+	const issues = [];
+	while (true) {
+		params.set("offset", issues.length);
+		params.set("limit", PAGE_LIMIT);
+		const response = await get(`${config.url}/issues.json?${params}`, headers);
+		const page = response.issues || [];
+		issues.push(...page);
+		if (page.length === 0 || issues.length >= response.total_count) break;
+	}
+	return issues;
+}
+
+//#endregion
+//#region _tools/lib/pm-tool/plugins/redmine/user.js
+/**
+* 認証に使用しているRedmineユーザーを取得する(GET /users/current.json)
+*
+* @param {Object} config - Redmine設定
+* @returns {Promise<{id: number, login: string, name: string}>} ユーザー情報
+* @throws {ValidationError} URLまたは認証情報が設定されていない場合
+*/
+async function getCurrentUser(config) {
+	const headers = createHeaders(config);
+	debug("Redmine認証ユーザー取得", { url: config.url });
+	const { user } = await get(`${config.url}/users/current.json`, headers);
+	return {
+		id: user.id,
+		login: user.login,
+		name: [user.firstname, user.lastname].filter(Boolean).join(" ") || user.login
+	};
 }
 
 //#endregion
@@ -548,6 +1738,17 @@ var redmine_default = {
 	name: "redmine",
 	label: "Redmine",
 	defaults: { file_prefix: "ticket-" },
+	configSchema: { properties: {
+		api_key: { type: "string" },
+		username: { type: "string" },
+		password: { type: "string" },
+		project: { type: ["string", "integer"] },
+		tracker: { type: ["string", "integer"] },
+		cache_ttl: {
+			type: "integer",
+			minimum: 0
+		}
+	} },
 	async fetch(config, ticketId, options = {}) {
 		debug("Redmineプラグイン: fetch", { ticketId });
 		return await fetchTicket(config, ticketId, options);
@@ -556,6 +1757,34 @@ var redmine_default = {
 		debug("Redmineプラグイン: update", { ticketId });
 		return await updateTicket(config, ticketId, updateData);
 	},
+	async buildUpdatePayload(config, ticketId, updateData = {}) {
+		debug("Redmineプラグイン: buildUpdatePayload", { ticketId });
+		const { issueData } = await prepareUpdate(config, ticketId, {
+			...updateData,
+			dryRun: true
+		});
+		return issueData;
+	},
+	async create(config, createData = {}) {
+		debug("Redmineプラグイン: create");
+		return await createTicket(config, createData);
+	},
+	async downloadAttachment(config, attachment) {
+		debug("Redmineプラグイン: downloadAttachment", { id: attachment.id });
+		return await downloadAttachment(config, attachment);
+	},
+	async search(config, query = {}) {
+		debug("Redmineプラグイン: search", { query });
+		return await searchTickets(config, query);
+	},
+	async getUpdatedAt(config, tickets) {
+		debug("Redmineプラグイン: getUpdatedAt", { count: tickets.length });
+		return await getTicketsUpdatedAt(config, tickets);
+	},
+	async getCurrentUser(config) {
+		debug("Redmineプラグイン: getCurrentUser");
+		return await getCurrentUser(config);
+	},
 	extractTicketId(frontmatter) {
 		return frontmatter.id || null;
 	},
@@ -576,13 +1805,18 @@ var redmine_default = {
 			},
 			{
 				name: "status",
-				description: "ステータスID",
-				type: "number"
+				description: "ステータス(名前またはID)",
+				type: "string"
+			},
+			{
+				name: "tracker",
+				description: "トラッカー(名前またはID)",
+				type: "string"
 			},
 			{
 				name: "assigned-to",
-				description: "担当者ID",
-				type: "number"
+				description: "担当者(名前またはID)",
+				type: "string"
 			},
 			{
 				name: "done-ratio",
@@ -606,16 +1840,23 @@ var redmine_default = {
 			},
 			{
 				name: "priority",
-				description: "優先度ID",
-				type: "number"
+				description: "優先度(名前またはID)",
+				type: "string"
 			},
 			{
 				name: "category",
-				description: "カテゴリID",
-				type: "number"
+				description: "カテゴリ(名前またはID)",
+				type: "string"
 			}
 		];
 	},
+	getCreateOptions() {
+		return [{
+			name: "project",
+			description: "プロジェクト(IDまたは識別子)",
+			type: "string"
+		}];
+	},
 	async validate(config) {
 		debug("Redmineプラグイン: validate");
 		const errors = [];
@@ -0,0 +1,68 @@
+#!/usr/bin/env zx
+
+import { get, download, upload } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { findRemoteAttachment } from '../../common/attachments.js';
+import { createHeaders } from './client.js';
+
+/**
+ * Redmineの添付ファイルをダウンロードする
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object} attachment - 添付ファイル情報(fetch結果のattachmentsの要素)
+ * @returns {Promise<Buffer>} 添付ファイルの内容
+ */
+export async function downloadAttachment(config, attachment) {
+    debug('Redmine添付ファイルのダウンロード', { id: attachment.id, filename: attachment.filename });
+
+    return await download(attachment.url, createHeaders(config));
+}
+
+/**
+ * 本文からリンクされているローカルファイルのうち、チケットに未添付のものをアップロードする
+ * アップロードで得たトークンをチケット更新時にuploadsとして送信することで添付される
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object} headers - 認証ヘッダー
+ * @param {string} ticketId - チケットID
+ * @param {Array<{link: string, path: string, filename: string}>} localFiles - 本文からリンクされているファイル
+ * @param {string} fileBase - チケットファイル名(拡張子なし、添付済みのファイルの判定に使用する)
+ * @param {boolean} dryRun - trueの場合はアップロードしない
+ * @returns {Promise<{uploads: Array<Object>, links: Object<string, string>, pending: string[]}>}
+ *   更新時に送信するuploads、本文のリンク先と添付ファイルのURLの対応、アップロード予定のファイル名(dry-run時)
+ */
+export async function uploadLocalFiles(config, headers, ticketId, localFiles, fileBase, dryRun = false) {
+    const result = { uploads: [], links: {}, pending: [] };
+    if (!localFiles || localFiles.length === 0) {
+        return result;
+    }
+
+    // 添付済みのファイルを確認するため、チケットの添付ファイル一覧を取得
+    const response = await get(`${config.url}/issues/${ticketId}.json?include=attachments`, headers);
+    const attachments = response.issue.attachments || [];
+
+    for (const file of localFiles) {
+        const remote = findRemoteAttachment(file.filename, attachments, fileBase);
+        if (remote) {
+            result.links[file.link] = remote.content_url;
+            continue;
+        }
+        if (dryRun) {
+            result.pending.push(file.filename);
+            continue;
+        }
+
+        const url = `${config.url}/uploads.json?filename=${encodeURIComponent(file.filename)}`;
+        const { upload: uploaded } = await upload(url, fs.readFileSync(file.path), headers);
+        info(`ファイルをアップロードしました: ${file.filename}`);
+
+        result.uploads.push({ token: uploaded.token, filename: file.filename });
+        // Redmine 3.4以降はアップロード時に添付ファイルIDが返るため、ダウンロードURLを組み立てられる
+        // それ以前はファイル名のみとする(Redmineは添付ファイル名のリンクを添付ファイルとして表示する)
+        result.links[file.link] = uploaded.id
+            ? `${config.url}/attachments/download/${uploaded.id}/${encodeURIComponent(file.filename)}`
+            : file.filename;
+    }
+
+    return result;
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env zx
+
+import { createBasicAuthHeader } from '../../common/api.js';
+import { ValidationError } from '../../common/error.js';
+
+/**
+ * Redmine設定を検証する
+ *
+ * @param {Object} config - Redmine設定
+ * @throws {ValidationError} URLまたは認証情報が設定されていない場合
+ */
+export function assertConfig(config) {
+    if (!config.url) {
+        throw new ValidationError('Redmine URLが設定されていません (integration.pm_tool.redmine.url)');
+    }
+
+    // 認証情報の検証（APIキーまたはBasic認証）
+    if (!config.api_key && !(config.username && config.password)) {
+        throw new ValidationError(
+            'Redmine認証情報が設定されていません。' +
+            'api_key または username/password のいずれかを設定してください'
+        );
+    }
+}
+
+/**
+ * 設定を検証し、Redmine APIリクエスト用の認証ヘッダーを作成する
+ * APIキーが設定されている場合はAPIキー、それ以外はBasic認証を使用する
+ *
+ * @param {Object} config - Redmine設定
+ * @returns {Object} 認証ヘッダー
+ * @throws {ValidationError} URLまたは認証情報が設定されていない場合
+ */
+export function createHeaders(config) {
+    assertConfig(config);
+
+    if (config.api_key) {
+        return { 'X-Redmine-API-Key': config.api_key };
+    }
+    return { 'Authorization': createBasicAuthHeader(config.username, config.password) };
+}
+
+/**
+ * ログに出力する認証方式を取得する
+ *
+ * @param {Object} config - Redmine設定
+ * @returns {string} 認証方式(api_keyまたはbasic)
+ */
+export function getAuthType(config) {
+    return config.api_key ? 'api_key' : 'basic';
+}
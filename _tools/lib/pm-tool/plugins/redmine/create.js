@@ -0,0 +1,100 @@
+#!/usr/bin/env zx
+
+import { post } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { formatAsYamlFrontmatter } from './fetch.js';
+import { buildIssueUpdateData } from './update.js';
+import { createHeaders, getAuthType } from './client.js';
+import { createResolver } from './resolver.js';
+
+/**
+ * Redmineチケットを新規作成する
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} 作成結果(作成したチケットのIDとフロントマター)
+ */
+export async function createTicket(config, createData = {}) {
+    // 設定の検証と認証ヘッダーの準備
+    const headers = createHeaders(config);
+
+    debug('Redmineチケット作成', { createData, authType: getAuthType(config) });
+
+    // 作成データを構築
+    const issueData = await buildIssueCreateData(config, headers, createData);
+
+    // Redmine APIエンドポイント
+    const url = `${config.url}/issues.json`;
+
+    // 作成ペイロードを表示
+    console.log('\n=== Redmine API作成ペイロード ===');
+    console.log('URL:', url);
+    console.log('Payload:', JSON.stringify({ issue: issueData }, null, 2));
+    console.log('================================\n');
+
+    // dry-runモードの場合はAPI呼び出しをスキップ
+    if (createData.dryRun || createData['dry-run']) {
+        info('[DRY RUN] 実際の作成は行いません');
+        return {
+            success: true,
+            message: '[DRY RUN] チケットの作成をシミュレートしました',
+            created: issueData,
+            dryRun: true
+        };
+    }
+
+    // API呼び出し
+    const response = await post(url, { issue: issueData }, headers);
+    const ticketId = String(response.issue.id);
+
+    info(`チケット #${ticketId} を作成しました`);
+
+    return {
+        success: true,
+        message: `チケット #${ticketId} を作成しました`,
+        ticketId,
+        meta: formatAsYamlFrontmatter(response.issue).meta
+    };
+}
+
+/**
+ * 作成データをRedmine API形式に変換する
+ * プロジェクトとトラッカーはコマンドラインオプション、YAMLフロントマター、config.ymlの順に参照する
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object} headers - 認証ヘッダー
+ * @param {Object} createData - 作成データ(frontmatter, body, コマンドラインオプション)
+ * @returns {Promise<Object>} Redmine API形式の作成データ
+ * @throws {ValidationError} 件名またはプロジェクトが特定できない場合
+ */
+async function buildIssueCreateData(config, headers, createData) {
+    const frontmatter = createData.frontmatter || {};
+
+    // プロジェクト(IDまたは識別子)
+    const project = createData.project || frontmatter.project?.id || config.project;
+    if (!project) {
+        throw new ValidationError(
+            'プロジェクトが指定されていません。' +
+            '--project オプションまたは integration.pm_tool.redmine.project を設定してください'
+        );
+    }
+
+    // 件名・説明などは更新時と同じ規則で抽出する(コメントは作成時には使用しない)
+    const resolver = createResolver(config, headers, project);
+    const { notes, ...fields } = await buildIssueUpdateData(createData, resolver);
+    if (!fields.subject) {
+        throw new ValidationError('件名が見つかりません。Markdown本文にh1見出しを記載してください');
+    }
+
+    const issueData = {
+        project_id: /^\d+$/.test(String(project)) ? parseInt(project, 10) : project
+    };
+
+    // トラッカー(名前またはID、省略時はプロジェクトのデフォルトトラッカー)
+    if (!fields.tracker_id && config.tracker) {
+        issueData.tracker_id = await resolver.resolve('tracker', config.tracker);
+    }
+
+    return { ...issueData, ...fields };
+}
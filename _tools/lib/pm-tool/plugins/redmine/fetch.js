@@ -1,47 +1,33 @@
 #!/usr/bin/env zx
 
-import { get, createBasicAuthHeader } from '../../common/api.js';
+import { get } from '../../common/api.js';
 import { info, debug } from '../../common/logger.js';
-import { ValidationError, ApiError } from '../../common/error.js';
+import { ApiError } from '../../common/error.js';
+import { renderCommentSection, appendSection } from '../../common/markdown.js';
+import { createHeaders, getAuthType } from './client.js';
+import { createResolver } from './resolver.js';
 
 /**
  * Redmineチケット情報を取得する
  *
  * @param {Object} config - Redmine設定
  * @param {string} ticketId - チケットID
- * @param {Object} options - オプション
+ * @param {Object} options - オプション(include_comments: コメント履歴を含める、attachments: 添付ファイル情報を含める)
  * @returns {Promise<Object>} チケット情報
  */
 export async function fetchTicket(config, ticketId, options = {}) {
-    // 設定の検証
-    if (!config.url) {
-        throw new ValidationError('Redmine URLが設定されていません (integration.pm_tool.redmine.url)');
-    }
-
-    // 認証情報の検証（APIキーまたはBasic認証）
-    const hasApiKey = !!config.api_key;
-    const hasBasicAuth = !!(config.username && config.password);
-
-    if (!hasApiKey && !hasBasicAuth) {
-        throw new ValidationError(
-            'Redmine認証情報が設定されていません。' +
-            'api_key または username/password のいずれかを設定してください'
-        );
-    }
+    // 設定の検証と認証ヘッダーの準備
+    const headers = createHeaders(config);
 
-    debug('Redmineチケット取得', { ticketId, url: config.url, authType: hasApiKey ? 'api_key' : 'basic' });
+    debug('Redmineチケット取得', { ticketId, url: config.url, authType: getAuthType(config) });
 
-    // Redmine APIエンドポイント
-    const url = `${config.url}/issues/${ticketId}.json`;
-
-    // 認証ヘッダーの準備
-    const headers = {};
-    if (hasApiKey) {
-        headers['X-Redmine-API-Key'] = config.api_key;
-    } else {
-        // Basic認証の場合
-        headers['Authorization'] = createBasicAuthHeader(config.username, config.password);
-    }
+    // Redmine APIエンドポイント(コメント履歴はjournals、添付ファイルはattachmentsを取得)
+    const includeComments = !!options.include_comments;
+    const includes = [
+        ...(includeComments ? ['journals'] : []),
+        ...(options.attachments ? ['attachments'] : [])
+    ];
+    const url = `${config.url}/issues/${ticketId}.json${includes.length > 0 ? `?include=${includes.join(',')}` : ''}`;
 
     // API呼び出し
     try {
@@ -50,7 +36,27 @@ export async function fetchTicket(config, ticketId, options = {}) {
         info(`チケット #${ticketId} の情報を取得しました`);
 
         // YAMLフロントマター形式に変換
-        return formatAsYamlFrontmatter(response.issue);
+        const result = formatAsYamlFrontmatter(response.issue);
+
+        // コメント履歴を本文の末尾に追加
+        if (includeComments) {
+            const resolver = createResolver(config, headers, response.issue.project?.id);
+            const comments = await convertJournals(response.issue.journals || [], resolver);
+            result.body = appendSection(result.body, renderCommentSection(comments));
+        }
+
+        // 添付ファイル(ダウンロードはCLIがdownloadAttachmentを通じて行う)
+        if (options.attachments) {
+            result.attachments = (response.issue.attachments || []).map(attachment => ({
+                id: attachment.id,
+                filename: attachment.filename,
+                url: attachment.content_url,
+                size: attachment.filesize,
+                content_type: attachment.content_type
+            }));
+        }
+
+        return result;
     } catch (error) {
         // 404エラーの場合、より分かりやすいメッセージに変換
         if (error instanceof ApiError && error.statusCode === 404) {
@@ -71,7 +77,7 @@ export async function fetchTicket(config, ticketId, options = {}) {
  * @param {Object} issue - Redmineチケット情報
  * @returns {Object} フロントマター形式のデータ
  */
-function formatAsYamlFrontmatter(issue) {
+export function formatAsYamlFrontmatter(issue) {
     const meta = {
         id: issue.id,
         project: issue.project ? {
@@ -124,6 +130,65 @@ function formatAsYamlFrontmatter(issue) {
     };
 }
 
+/**
+ * 変更履歴の属性名と、IDを名前に変換する際の変換対象
+ */
+const JOURNAL_ATTRIBUTES = {
+    status_id: 'status',
+    tracker_id: 'tracker',
+    priority_id: 'priority',
+    assigned_to_id: 'user',
+    category_id: 'category'
+};
+
+/**
+ * Redmineの履歴(journals)をコメント履歴の形式に変換する
+ * 属性の変更はIDを名前に変換して「status: 新規 → 進行中」の形式で表す
+ *
+ * @param {Array<Object>} journals - Redmineの履歴
+ * @param {Object} resolver - 名前とIDのリゾルバー
+ * @returns {Promise<Array<Object>>} コメントの一覧
+ */
+async function convertJournals(journals, resolver) {
+    const comments = [];
+
+    for (const journal of journals) {
+        const changes = [];
+        for (const detail of journal.details || []) {
+            if (detail.property === 'attachment') {
+                changes.push({ field: 'attachment', from: detail.old_value, to: detail.new_value });
+            } else if (detail.property === 'attr' && detail.name === 'description') {
+                // 説明の変更は差分が長くなるため、変更があったことのみ表示する
+                changes.push({ field: 'description', text: '更新' });
+            } else if (detail.property === 'attr' && JOURNAL_ATTRIBUTES[detail.name]) {
+                const type = JOURNAL_ATTRIBUTES[detail.name];
+                changes.push({
+                    field: detail.name.replace(/_id$/, ''),
+                    from: await resolver.nameOf(type, detail.old_value),
+                    to: await resolver.nameOf(type, detail.new_value)
+                });
+            } else {
+                const field = detail.property === 'cf' ? `custom_field_${detail.name}` : detail.name;
+                changes.push({ field, from: detail.old_value, to: detail.new_value });
+            }
+        }
+
+        // コメントも変更もない履歴(非公開メモ等)は除外
+        if (!journal.notes && changes.length === 0) {
+            continue;
+        }
+
+        comments.push({
+            author: journal.user?.name,
+            created_at: journal.created_on,
+            text: journal.notes,
+            changes
+        });
+    }
+
+    return comments;
+}
+
 /**
  * オブジェクトからundefinedのフィールドを再帰的に削除する
  *
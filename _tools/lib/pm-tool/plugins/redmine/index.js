@@ -1,7 +1,11 @@
 #!/usr/bin/env zx
 
 import { fetchTicket } from './fetch.js';
-import { updateTicket } from './update.js';
+import { updateTicket, prepareUpdate } from './update.js';
+import { createTicket } from './create.js';
+import { downloadAttachment } from './attachments.js';
+import { searchTickets, getTicketsUpdatedAt } from './search.js';
+import { getCurrentUser } from './user.js';
 import { debug } from '../../common/logger.js';
 
 /**
@@ -18,6 +22,20 @@ export default {
         file_prefix: 'ticket-'
     },
 
+    /**
+     * ツール固有の設定のスキーマ(url、rate_limitは共通で検証する)
+     */
+    configSchema: {
+        properties: {
+            api_key: { type: 'string' },
+            username: { type: 'string' },
+            password: { type: 'string' },
+            project: { type: ['string', 'integer'] },
+            tracker: { type: ['string', 'integer'] },
+            cache_ttl: { type: 'integer', minimum: 0 }
+        }
+    },
+
     /**
      * チケット情報を取得する
      *
@@ -44,6 +62,80 @@ export default {
         return await updateTicket(config, ticketId, updateData);
     },
 
+    /**
+     * 更新時に送信する内容を作成する(diffコマンド)
+     * チケットは更新せず、添付ファイルもアップロードしない
+     *
+     * @param {Object} config - Redmine設定
+     * @param {string} ticketId - チケットID
+     * @param {Object} updateData - 更新データ
+     * @returns {Promise<Object>} 送信する項目と値
+     */
+    async buildUpdatePayload(config, ticketId, updateData = {}) {
+        debug('Redmineプラグイン: buildUpdatePayload', { ticketId });
+        const { issueData } = await prepareUpdate(config, ticketId, { ...updateData, dryRun: true });
+        return issueData;
+    },
+
+    /**
+     * チケットを新規作成する
+     *
+     * @param {Object} config - Redmine設定
+     * @param {Object} createData - 作成データ
+     * @returns {Promise<Object>} 作成結果
+     */
+    async create(config, createData = {}) {
+        debug('Redmineプラグイン: create');
+        return await createTicket(config, createData);
+    },
+
+    /**
+     * 添付ファイルをダウンロードする
+     *
+     * @param {Object} config - Redmine設定
+     * @param {Object} attachment - 添付ファイル情報
+     * @returns {Promise<Buffer>} 添付ファイルの内容
+     */
+    async downloadAttachment(config, attachment) {
+        debug('Redmineプラグイン: downloadAttachment', { id: attachment.id });
+        return await downloadAttachment(config, attachment);
+    },
+
+    /**
+     * 検索条件に一致するチケットのIDを取得する
+     *
+     * @param {Object} config - Redmine設定
+     * @param {Object<string, string>} query - 検索条件
+     * @returns {Promise<string[]>} チケットIDの一覧
+     */
+    async search(config, query = {}) {
+        debug('Redmineプラグイン: search', { query });
+        return await searchTickets(config, query);
+    },
+
+    /**
+     * 複数のチケットの更新日時をまとめて取得する
+     *
+     * @param {Object} config - Redmine設定
+     * @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象のチケット
+     * @returns {Promise<Object<string, string>>} チケットIDと更新日時の対応
+     */
+    async getUpdatedAt(config, tickets) {
+        debug('Redmineプラグイン: getUpdatedAt', { count: tickets.length });
+        return await getTicketsUpdatedAt(config, tickets);
+    },
+
+    /**
+     * 認証に使用しているユーザーを取得する(pm-tool doctorの接続確認に使用)
+     *
+     * @param {Object} config - Redmine設定
+     * @returns {Promise<{id: number, login: string, name: string}>} ユーザー情報
+     */
+    async getCurrentUser(config) {
+        debug('Redmineプラグイン: getCurrentUser');
+        return await getCurrentUser(config);
+    },
+
     /**
      * YAMLフロントマターからチケットIDを抽出する
      *
@@ -79,14 +171,27 @@ export default {
     getUpdateOptions() {
         return [
             { name: 'comment', description: 'コメント', type: 'string' },
-            { name: 'status', description: 'ステータスID', type: 'number' },
-            { name: 'assigned-to', description: '担当者ID', type: 'number' },
+            { name: 'status', description: 'ステータス(名前またはID)', type: 'string' },
+            { name: 'tracker', description: 'トラッカー(名前またはID)', type: 'string' },
+            { name: 'assigned-to', description: '担当者(名前またはID)', type: 'string' },
             { name: 'done-ratio', description: '進捗率(0-100)', type: 'number' },
             { name: 'estimated-hours', description: '予定工数', type: 'number' },
             { name: 'start-date', description: '開始日(YYYY-MM-DD)', type: 'string' },
             { name: 'due-date', description: '期日(YYYY-MM-DD)', type: 'string' },
-            { name: 'priority', description: '優先度ID', type: 'number' },
-            { name: 'category', description: 'カテゴリID', type: 'number' },
+            { name: 'priority', description: '優先度(名前またはID)', type: 'string' },
+            { name: 'category', description: 'カテゴリ(名前またはID)', type: 'string' },
+        ];
+    },
+
+    /**
+     * 作成時に使用可能なオプションを返す
+     * 更新時のオプション(ステータス、担当者等)も作成時に使用できる
+     *
+     * @returns {Array<Object>} オプション一覧
+     */
+    getCreateOptions() {
+        return [
+            { name: 'project', description: 'プロジェクト(IDまたは識別子)', type: 'string' },
         ];
     },
 
@@ -0,0 +1,162 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { debug } from '../../common/logger.js';
+import { ValidationError } from '../../common/error.js';
+import { DEFAULT_CACHE_TTL } from '../../common/cache.js';
+import { createListResolver } from '../../common/resolver.js';
+
+/**
+ * 一覧取得時の1ページあたりの件数
+ */
+const PAGE_LIMIT = 100;
+
+/**
+ * 名前からIDへの変換対象
+ * 一覧の取得先APIと、レスポンスから項目を取り出す方法を定義する
+ */
+const RESOURCES = {
+    status: {
+        label: 'ステータス',
+        path: () => '/issue_statuses.json',
+        key: 'issue_statuses'
+    },
+    tracker: {
+        label: 'トラッカー',
+        path: () => '/trackers.json',
+        key: 'trackers'
+    },
+    priority: {
+        label: '優先度',
+        path: () => '/enumerations/issue_priorities.json',
+        key: 'issue_priorities'
+    },
+    user: {
+        label: '担当者',
+        path: (project) => `/projects/${project}/memberships.json`,
+        key: 'memberships',
+        // メンバーはユーザーまたはグループ
+        map: (membership) => membership.user || membership.group,
+        project: true
+    },
+    category: {
+        label: 'カテゴリ',
+        path: (project) => `/projects/${project}/issue_categories.json`,
+        key: 'issue_categories',
+        project: true
+    }
+};
+
+/**
+ * ステータス・トラッカー・優先度・担当者・カテゴリを名前からIDに変換するリゾルバーを作成する
+ * 一覧はローカルにキャッシュし、有効期間内は再取得しない
+ *
+ * @param {Object} config - Redmine設定(cache_ttlでキャッシュの有効期間(秒)を指定可能)
+ * @param {Object} headers - 認証ヘッダー
+ * @param {string|number|null} project - プロジェクトIDまたは識別子(担当者・カテゴリの変換に使用)
+ * @returns {{resolve: function(string, *): Promise<number|null>}} リゾルバー
+ */
+export function createResolver(config, headers, project = null) {
+    const lists = createListResolver({
+        resources: RESOURCES,
+        cacheKey: (type) => `redmine-${config.url}${RESOURCES[type].path(project)}`,
+        fetchList: async (type) => {
+            const resource = RESOURCES[type];
+            const items = await listAll(`${config.url}${resource.path(project)}`, headers, resource.key);
+            return items
+                .map(resource.map || (item => item))
+                .filter(Boolean)
+                .map(item => ({ id: item.id, name: item.name }));
+        },
+        ttl: config.cache_ttl ?? DEFAULT_CACHE_TTL
+    });
+
+    /**
+     * プロジェクトごとの一覧の場合、プロジェクトが特定できることを確認する
+     *
+     * @param {string} type - 変換対象
+     * @throws {ValidationError} プロジェクトが特定できない場合
+     */
+    function assertProject(type) {
+        const resource = RESOURCES[type];
+        if (resource.project && !project) {
+            throw new ValidationError(
+                `プロジェクトが特定できないため${resource.label}を名前で指定できません。` +
+                'IDで指定するか、--project オプションを指定してください'
+            );
+        }
+    }
+
+    return {
+        /**
+         * 名前またはIDからIDを取得する
+         * 以下の形式に対応する
+         * - 数値、数字のみの文字列: IDとしてそのまま使用
+         * - 文字列: 名前として検索
+         * - {id, name}形式のオブジェクト(フロントマター): nameを優先して検索、nameがなければid
+         *
+         * @param {string} type - 変換対象(status, tracker, priority, user, category)
+         * @param {*} value - 名前またはID
+         * @returns {Promise<number|null>} ID、未指定の場合はnull
+         * @throws {ValidationError} 名前が見つからない場合(使用可能な名前の一覧を含む)
+         */
+        async resolve(type, value) {
+            if (value !== null && typeof value === 'object') {
+                value = value.name ?? value.id;
+            }
+            if (value === undefined || value === null || value === '') {
+                return null;
+            }
+            if (/^\d+$/.test(String(value))) {
+                return parseInt(value, 10);
+            }
+
+            assertProject(type);
+            const item = await lists.find(type, String(value));
+            return item.id;
+        },
+
+        /**
+         * IDから名前を取得する
+         * 一覧が取得できない場合や見つからない場合はIDをそのまま返す
+         *
+         * @param {string} type - 変換対象(status, tracker, priority, user, category)
+         * @param {string|number} id - ID
+         * @returns {Promise<string>} 名前
+         */
+        async nameOf(type, id) {
+            if (id === undefined || id === null || id === '') {
+                return id;
+            }
+            try {
+                assertProject(type);
+                const items = await lists.list(type);
+                return items.find(item => String(item.id) === String(id))?.name ?? String(id);
+            } catch (error) {
+                debug('名前の取得に失敗しました', { type, id, error: error.message });
+                return String(id);
+            }
+        }
+    };
+}
+
+/**
+ * ページングされた一覧APIから全件を取得する
+ *
+ * @param {string} url - 一覧APIのURL
+ * @param {Object} headers - 認証ヘッダー
+ * @param {string} key - レスポンス内の一覧のキー
+ * @returns {Promise<Array<Object>>} 全件の一覧
+ */
+async function listAll(url, headers, key) {
+    const items = [];
+    for (let offset = 0; ; offset += PAGE_LIMIT) {
+        const response = await get(`${url}?limit=${PAGE_LIMIT}&offset=${offset}`, headers);
+        const page = response[key] || [];
+        items.push(...page);
+        // total_countを返さないAPI(ステータス一覧等)は1回で全件が返る
+        if (response.total_count === undefined || page.length === 0 || items.length >= response.total_count) {
+            return items;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { info, debug } from '../../common/logger.js';
+import { createHeaders } from './client.js';
+import { createResolver } from './resolver.js';
+
+/**
+ * チケット一覧取得時の1ページあたりの件数(APIの上限)
+ */
+const PAGE_LIMIT = 100;
+
+/**
+ * 名前で指定できる検索条件と、Redmineのフィルタ・名前の変換対象の対応
+ * specialはRedmineがそのまま解釈する値(open: 未完了、me: 自分、*: すべて等)
+ */
+const NAMED_FILTERS = {
+    status: { param: 'status_id', type: 'status', special: ['open', 'closed', '*'] },
+    tracker: { param: 'tracker_id', type: 'tracker', special: [] },
+    assigned_to: { param: 'assigned_to_id', type: 'user', special: ['me', '*', '!*'] },
+    priority: { param: 'priority_id', type: 'priority', special: [] },
+    category: { param: 'category_id', type: 'category', special: ['*', '!*'] }
+};
+
+/**
+ * 検索条件に一致するRedmineチケットのIDを取得する
+ * 名前で指定された条件はIDに変換し、それ以外の条件はRedmineのフィルタとしてそのまま渡す
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object<string, string>} query - 検索条件(例: {assigned_to: 'me', status: 'open', project: 'foo'})
+ * @returns {Promise<string[]>} チケットIDの一覧
+ * @throws {ValidationError} 存在しない名前が指定された場合
+ */
+export async function searchTickets(config, query = {}) {
+    const headers = createHeaders(config);
+
+    // 検索条件をRedmineのフィルタに変換
+    const project = query.project || config.project;
+    const resolver = createResolver(config, headers, project);
+    const params = new URLSearchParams();
+    if (project) {
+        params.set('project_id', project);
+    }
+    for (const [key, value] of Object.entries(query)) {
+        if (key === 'project') {
+            continue;
+        }
+        const filter = NAMED_FILTERS[key];
+        if (!filter) {
+            // その他の条件はRedmineのフィルタとしてそのまま渡す(例: sort=updated_on:desc)
+            params.set(key, value);
+        } else if (filter.special.includes(value)) {
+            params.set(filter.param, value);
+        } else {
+            params.set(filter.param, await resolver.resolve(filter.type, value));
+        }
+    }
+
+    debug('Redmineチケット検索', { query, params: params.toString() });
+
+    const issues = await listIssues(config, headers, params);
+    const ids = issues.map(issue => String(issue.id));
+
+    info(`${ids.length}件のチケットが見つかりました`);
+
+    return ids;
+}
+
+/**
+ * 複数のチケットの更新日時をまとめて取得する
+ * 削除された等で取得できなかったチケットは結果に含まれない
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Array<{ticketId: string, frontmatter: Object}>} tickets - 対象のチケット
+ * @returns {Promise<Object<string, string>>} チケットIDと更新日時(updated_on)の対応
+ */
+export async function getTicketsUpdatedAt(config, tickets) {
+    const headers = createHeaders(config);
+    const updated = {};
+
+    // issue_idに指定するIDが多すぎるとURLが長くなるため、1ページ分ずつ取得する
+    for (let i = 0; i < tickets.length; i += PAGE_LIMIT) {
+        const ids = tickets.slice(i, i + PAGE_LIMIT).map(ticket => ticket.ticketId);
+        const params = new URLSearchParams({ issue_id: ids.join(','), status_id: '*' });
+        for (const issue of await listIssues(config, headers, params)) {
+            updated[String(issue.id)] = issue.updated_on;
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * 条件に一致するチケットを全件取得するまでページングする
+ *
+ * @param {Object} config - Redmine設定
+ * @param {Object} headers - 認証ヘッダー
+ * @param {URLSearchParams} params - 検索条件
+ * @returns {Promise<Array<Object>>} チケットの一覧
+ */
+async function listIssues(config, headers, params) {
+    const issues = [];
+    while (true) {
+        params.set('offset', issues.length);
+        params.set('limit', PAGE_LIMIT);
+        const response = await get(`${config.url}/issues.json?${params}`, headers);
+        const page = response.issues || [];
+        issues.push(...page);
+        if (page.length === 0 || issues.length >= response.total_count) {
+            break;
+        }
+    }
+    return issues;
+}
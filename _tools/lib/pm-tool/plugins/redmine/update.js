@@ -1,8 +1,12 @@
 #!/usr/bin/env zx
 
-import { put, createBasicAuthHeader } from '../../common/api.js';
+import { get, put } from '../../common/api.js';
 import { info, debug } from '../../common/logger.js';
 import { ValidationError, ApiError } from '../../common/error.js';
+import { extractSubjectFromMarkdown, extractDescriptionFromMarkdown, replaceLinks } from '../../common/markdown.js';
+import { createHeaders, getAuthType } from './client.js';
+import { createResolver } from './resolver.js';
+import { uploadLocalFiles } from './attachments.js';
 
 /**
  * Redmineチケット情報を更新する
@@ -13,34 +17,13 @@ import { ValidationError, ApiError } from '../../common/error.js';
  * @returns {Promise<Object>} 更新結果
  */
 export async function updateTicket(config, ticketId, updateData = {}) {
-    // 設定の検証
-    if (!config.url) {
-        throw new ValidationError('Redmine URLが設定されていません (integration.pm_tool.redmine.url)');
-    }
-
-    // 認証情報の検証（APIキーまたはBasic認証）
-    const hasApiKey = !!config.api_key;
-    const hasBasicAuth = !!(config.username && config.password);
-
-    if (!hasApiKey && !hasBasicAuth) {
-        throw new ValidationError(
-            'Redmine認証情報が設定されていません。' +
-            'api_key または username/password のいずれかを設定してください'
-        );
-    }
-
-    debug('Redmineチケット更新', { ticketId, updateData, authType: hasApiKey ? 'api_key' : 'basic' });
-
-    // 更新データを構築
-    const issueData = buildIssueUpdateData(updateData);
+    const dryRun = updateData.dryRun || updateData['dry-run'];
+    const { url, headers, issueData, pending } = await prepareUpdate(config, ticketId, updateData);
 
     if (Object.keys(issueData).length === 0) {
         throw new ValidationError('更新する内容が指定されていません');
     }
 
-    // Redmine APIエンドポイント
-    const url = `${config.url}/issues/${ticketId}.json`;
-
     // 更新ペイロードを表示
     console.log('\n=== Redmine API更新ペイロード ===');
     console.log('URL:', url);
@@ -48,8 +31,11 @@ export async function updateTicket(config, ticketId, updateData = {}) {
     console.log('================================\n');
 
     // dry-runモードの場合はAPI呼び出しをスキップ
-    if (updateData.dryRun || updateData['dry-run']) {
+    if (dryRun) {
         info('[DRY RUN] 実際の更新は行いません');
+        if (pending.length > 0) {
+            info(`[DRY RUN] アップロード予定のファイル: ${pending.join(', ')}`);
+        }
         return {
             success: true,
             message: `[DRY RUN] チケット #${ticketId} の更新をシミュレートしました`,
@@ -58,18 +44,9 @@ export async function updateTicket(config, ticketId, updateData = {}) {
         };
     }
 
-    // 認証ヘッダーの準備
-    const headers = {};
-    if (hasApiKey) {
-        headers['X-Redmine-API-Key'] = config.api_key;
-    } else {
-        // Basic認証の場合
-        headers['Authorization'] = createBasicAuthHeader(config.username, config.password);
-    }
-
     // API呼び出し
     try {
-        const response = await put(url, { issue: issueData }, headers);
+        await put(url, { issue: issueData }, headers);
 
         info(`チケット #${ticketId} を更新しました`);
 
@@ -79,27 +56,101 @@ export async function updateTicket(config, ticketId, updateData = {}) {
             updated: issueData
         };
     } catch (error) {
-        // 404エラーの場合、より分かりやすいメッセージに変換
-        if (error instanceof ApiError && error.statusCode === 404) {
-            throw new ApiError(
-                `チケット #${ticketId} が見つかりません (404 Not Found)`,
-                404,
-                { ticketId, url }
-            );
-        }
-        // その他のエラーはそのまま再スロー
-        throw error;
+        throw toNotFoundError(error, ticketId, url);
+    }
+}
+
+/**
+ * チケットの更新内容を準備する(チケットは更新しない)
+ * dry-runの場合、添付ファイルはアップロードせず、添付済みのファイルのみ説明のリンク先を置き換える
+ *
+ * @param {Object} config - Redmine設定
+ * @param {string} ticketId - チケットID
+ * @param {Object} updateData - 更新データ
+ * @returns {Promise<{url: string, headers: Object, issueData: Object, pending: string[]}>}
+ *   APIエンドポイント、認証ヘッダー、Redmine API形式の更新データ、アップロード予定のファイル名
+ */
+export async function prepareUpdate(config, ticketId, updateData = {}) {
+    // 設定の検証と認証ヘッダーの準備
+    const headers = createHeaders(config);
+
+    debug('Redmineチケット更新', { ticketId, updateData, authType: getAuthType(config) });
+
+    // Redmine APIエンドポイント
+    const url = `${config.url}/issues/${ticketId}.json`;
+
+    // 元のチケット情報を取得
+    const originalIssue = await fetchOriginalIssue(url, headers, ticketId);
+
+    // 更新データを構築(ステータス等の名前は元のチケットから変更されている場合のみIDに変換)
+    const project = updateData.project || originalIssue.project?.id || config.project;
+    const issueData = await buildIssueUpdateData(updateData, createResolver(config, headers, project), originalIssue);
+
+    // 本文からリンクされている_files/のファイルを添付し、説明のリンク先を添付ファイルのURLに置き換える
+    // (ローカルのMarkdownファイルは相対パスのまま)
+    const dryRun = updateData.dryRun || updateData['dry-run'];
+    const { uploads, links, pending } = await uploadLocalFiles(
+        config, headers, ticketId, updateData.localFiles, updateData.fileBase, dryRun
+    );
+    if (uploads.length > 0) {
+        issueData.uploads = uploads;
+    }
+    if (issueData.description) {
+        issueData.description = replaceLinks(issueData.description, links);
+    }
+
+    return { url, headers, issueData, pending };
+}
+
+/**
+ * 更新前のチケット情報を取得する
+ *
+ * @param {string} url - チケットのAPIエンドポイント
+ * @param {Object} headers - 認証ヘッダー
+ * @param {string} ticketId - チケットID
+ * @returns {Promise<Object>} チケット情報
+ */
+async function fetchOriginalIssue(url, headers, ticketId) {
+    try {
+        const response = await get(url, headers);
+        return response.issue;
+    } catch (error) {
+        throw toNotFoundError(error, ticketId, url);
+    }
+}
+
+/**
+ * 404エラーの場合、より分かりやすいメッセージのエラーに変換する
+ *
+ * @param {Error} error - 発生したエラー
+ * @param {string} ticketId - チケットID
+ * @param {string} url - チケットのAPIエンドポイント
+ * @returns {Error} 変換後のエラー(404以外はそのまま)
+ */
+function toNotFoundError(error, ticketId, url) {
+    if (error instanceof ApiError && error.statusCode === 404) {
+        return new ApiError(
+            `チケット #${ticketId} が見つかりません (404 Not Found)`,
+            404,
+            { ticketId, url }
+        );
     }
+    return error;
 }
 
 /**
  * 更新データをRedmine API形式に変換する
  * YAMLフロントマターとコマンドラインオプションから更新データを抽出
  *
+ * ステータス等は元のチケットと異なる場合のみ名前からIDに変換して更新データに含める
+ *
  * @param {Object} updateData - 更新データ（frontmatter, body, コマンドラインオプション）
- * @returns {Object} Redmine API形式の更新データ
+ * @param {Object} resolver - 名前からIDへのリゾルバー
+ * @param {Object} originalIssue - 元のチケット情報(作成時は省略)
+ * @returns {Promise<Object>} Redmine API形式の更新データ
+ * @throws {ValidationError} 存在しない名前が指定された場合
  */
-function buildIssueUpdateData(updateData) {
+export async function buildIssueUpdateData(updateData, resolver, originalIssue = {}) {
     const issueData = {};
     const frontmatter = updateData.frontmatter || {};
     const body = updateData.body || '';
@@ -123,18 +174,21 @@ function buildIssueUpdateData(updateData) {
         issueData.description = extractDescriptionFromMarkdown(body);
     }
 
-    // ステータスID - コマンドラインオプション優先、なければYAMLから
-    if (updateData.status) {
-        issueData.status_id = parseInt(updateData.status, 10);
-    } else if (frontmatter.status?.id) {
-        issueData.status_id = frontmatter.status.id;
-    }
-
-    // 担当者ID - コマンドラインオプション優先、なければYAMLから
-    if (updateData.assigned_to) {
-        issueData.assigned_to_id = parseInt(updateData.assigned_to, 10);
-    } else if (frontmatter.assigned_to?.id) {
-        issueData.assigned_to_id = frontmatter.assigned_to.id;
+    // ステータス・トラッカー・担当者・優先度・カテゴリ - コマンドラインオプション優先、なければYAMLから
+    // 名前またはIDで指定でき、元のチケットから変更されている場合のみ名前をIDに変換する
+    // (プロジェクトのメンバー以外の担当者など、一覧にない値のままでも更新できるようにする)
+    const namedFields = [
+        { type: 'status', key: 'status_id', value: updateData.status || frontmatter.status, current: originalIssue.status },
+        { type: 'tracker', key: 'tracker_id', value: updateData.tracker || frontmatter.tracker, current: originalIssue.tracker },
+        { type: 'user', key: 'assigned_to_id', value: updateData.assigned_to || frontmatter.assigned_to, current: originalIssue.assigned_to },
+        { type: 'priority', key: 'priority_id', value: updateData.priority || frontmatter.priority, current: originalIssue.priority },
+        { type: 'category', key: 'category_id', value: updateData.category || frontmatter.category, current: originalIssue.category }
+    ];
+    for (const { type, key, value, current } of namedFields) {
+        const id = await resolver.resolve(type, pickChangedValue(value, current));
+        if (id !== null && id !== current?.id) {
+            issueData[key] = id;
+        }
     }
 
     // 進捗率 - コマンドラインオプション優先、なければYAMLから
@@ -165,73 +219,29 @@ function buildIssueUpdateData(updateData) {
         issueData.due_date = frontmatter.due_date;
     }
 
-    // 優先度ID - コマンドラインオプションのみ（YAMLフロントマターには通常含まれない）
-    if (updateData.priority) {
-        issueData.priority_id = parseInt(updateData.priority, 10);
-    }
-
-    // カテゴリID - コマンドラインオプションのみ（YAMLフロントマターには通常含まれない）
-    if (updateData.category) {
-        issueData.category_id = parseInt(updateData.category, 10);
-    }
-
     return issueData;
 }
 
 /**
- * Markdown本文からsubject（件名）を抽出する
- * h1見出しを取得して返す
- *
- * @param {string} body - Markdown本文（LF改行）
- * @returns {string} 件名（h1見出しのテキスト）
- */
-function extractSubjectFromMarkdown(body) {
-    if (!body) {
-        return '';
-    }
-
-    // setext記法のh1（タイトル\n===）を抽出
-    const setextMatch = body.match(/^([^\n]+)\n=+/);
-    if (setextMatch) {
-        return setextMatch[1].trim();
-    }
-
-    // atx記法のh1（# タイトル）を抽出
-    const atxMatch = body.match(/^#\s+(.+)$/m);
-    if (atxMatch) {
-        return atxMatch[1].trim();
-    }
-
-    // h1が見つからない場合は空文字列を返す
-    return '';
-}
-
-/**
- * Markdown本文からdescription（説明）を抽出する
- * h1見出しを除去し、残りの本文を返す
+ * 名前またはIDの指定のうち、元のチケットから変更されているものを取り出す
+ * {id, name}形式(フロントマター)の場合、idが元のままnameだけ変更されていればname、それ以外はidを使用する
  *
- * 注: この関数は既にLFに正規化された本文を受け取ることを前提とする
- *
- * @param {string} body - Markdown本文（LF改行）
- * @returns {string} 説明（h1見出しを除いた本文）
+ * @param {*} value - 名前、IDまたは{id, name}形式のオブジェクト
+ * @param {Object|undefined} current - 元のチケットの値({id, name}形式)
+ * @returns {string|number|null} 変更された名前またはID、未指定または変更がない場合はnull
  */
-function extractDescriptionFromMarkdown(body) {
-    if (!body) {
-        return '';
+function pickChangedValue(value, current) {
+    if (value !== null && typeof value === 'object') {
+        const nameEdited = value.name !== undefined && current !== undefined &&
+            String(value.id) === String(current.id) && value.name !== current.name;
+        value = nameEdited || value.id === undefined || value.id === null ? value.name : value.id;
     }
-
-    // setext記法のh1（タイトル\n===）を除去
-    const setextMatch = body.match(/^[^\n]+\n=+\n+(.+)$/s);
-    if (setextMatch) {
-        return setextMatch[1].trim();
+    if (value === undefined || value === null || value === '') {
+        return null;
     }
-
-    // atx記法のh1（# タイトル）を除去
-    const atxMatch = body.match(/^#\s+[^\n]+\n+(.+)$/s);
-    if (atxMatch) {
-        return atxMatch[1].trim();
+    // 元のチケットと同じ場合は変更しない
+    if (current && [current.name, current.id].filter(v => v !== undefined).map(String).includes(String(value))) {
+        return null;
     }
-
-    // h1が見つからない場合は本文全体を返す
-    return body.trim();
+    return value;
 }
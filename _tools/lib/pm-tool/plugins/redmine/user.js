@@ -0,0 +1,25 @@
+#!/usr/bin/env zx
+
+import { get } from '../../common/api.js';
+import { debug } from '../../common/logger.js';
+import { createHeaders } from './client.js';
+
+/**
+ * 認証に使用しているRedmineユーザーを取得する(GET /users/current.json)
+ *
+ * @param {Object} config - Redmine設定
+ * @returns {Promise<{id: number, login: string, name: string}>} ユーザー情報
+ * @throws {ValidationError} URLまたは認証情報が設定されていない場合
+ */
+export async function getCurrentUser(config) {
+    const headers = createHeaders(config);
+
+    debug('Redmine認証ユーザー取得', { url: config.url });
+
+    const { user } = await get(`${config.url}/users/current.json`, headers);
+    return {
+        id: user.id,
+        login: user.login,
+        name: [user.firstname, user.lastname].filter(Boolean).join(' ') || user.login
+    };
+}
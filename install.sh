@@ -217,6 +217,10 @@ download_file "_tools/pm-tool" "$TICKET_DIR/_tools/pm-tool"
 chmod +x "$TICKET_DIR/_tools/pm-tool"
 download_file "_tools/lib/pm-tool/plugins/redmine.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/redmine.mjs"
 download_file "_tools/lib/pm-tool/plugins/backlog.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/backlog.mjs"
+download_file "_tools/lib/pm-tool/plugins/github.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/github.mjs"
+download_file "_tools/lib/pm-tool/plugins/jira.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/jira.mjs"
+download_file "_tools/lib/pm-tool/plugins/gitlab.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/gitlab.mjs"
+download_file "_tools/lib/pm-tool/plugins/gitea.mjs" "$TICKET_DIR/_tools/lib/pm-tool/plugins/gitea.mjs"
 
 if [ "$FORCE_INSTALL" = true ]; then
     success "MD-Ticket has been updated in '$TICKET_DIR'!"
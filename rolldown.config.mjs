@@ -22,6 +22,9 @@ export default defineConfig([
       'node:fs',
       'node:path',
       'node:url',
+      'node:crypto',
+      'node:http',
+      'node:child_process',
     ],
     resolve: {
       extensions: ['.js'],
@@ -48,6 +51,67 @@ export default defineConfig([
       file: '_tools/lib/pm-tool/plugins/backlog.mjs',
       format: 'esm',
     },
+    external: [
+      'zx',
+      // OAuth 2.0認証(common/oauth.js)で使用
+      'node:url',
+      'node:crypto',
+      'node:http',
+      'node:child_process',
+    ],
+    resolve: {
+      extensions: ['.js'],
+    },
+  },
+  // GitHubプラグイン（独立バンドル）
+  {
+    input: '_tools/lib/pm-tool/plugins/github/index.js',
+    output: {
+      file: '_tools/lib/pm-tool/plugins/github.mjs',
+      format: 'esm',
+    },
+    external: [
+      'zx',
+    ],
+    resolve: {
+      extensions: ['.js'],
+    },
+  },
+  // Jiraプラグイン（独立バンドル）
+  {
+    input: '_tools/lib/pm-tool/plugins/jira/index.js',
+    output: {
+      file: '_tools/lib/pm-tool/plugins/jira.mjs',
+      format: 'esm',
+    },
+    external: [
+      'zx',
+    ],
+    resolve: {
+      extensions: ['.js'],
+    },
+  },
+  // GitLabプラグイン（独立バンドル）
+  {
+    input: '_tools/lib/pm-tool/plugins/gitlab/index.js',
+    output: {
+      file: '_tools/lib/pm-tool/plugins/gitlab.mjs',
+      format: 'esm',
+    },
+    external: [
+      'zx',
+    ],
+    resolve: {
+      extensions: ['.js'],
+    },
+  },
+  // Giteaプラグイン（独立バンドル）
+  {
+    input: '_tools/lib/pm-tool/plugins/gitea/index.js',
+    output: {
+      file: '_tools/lib/pm-tool/plugins/gitea.mjs',
+      format: 'esm',
+    },
     external: [
       'zx',
     ],